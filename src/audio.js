@@ -276,6 +276,29 @@ export class AudioSystem {
         }
     }
 
+    // Crossfade looping biome beds; mix maps ambience id to 0-1 weight
+    async loadBiomeAmbience(ambienceIds) {
+        await Promise.all(ambienceIds.map(id =>
+            this.loadSound('environment', `ambience_${id}`, `sounds/ambience/${id}.mp3`, { loop: true, volume: 0 })
+        ));
+    }
+
+    updateBiomeAmbience(mix) {
+        this.state.environmentState.ambience = mix;
+
+        this.sounds.environment.forEach((sound, id) => {
+            if (!id.startsWith('ambience_')) return;
+
+            const weight = mix[id.slice('ambience_'.length)] ?? 0;
+            sound.setVolume(weight * this.settings.environmentVolume);
+            if (weight > 0 && !sound.isPlaying) {
+                sound.play();
+            } else if (weight === 0 && sound.isPlaying) {
+                sound.pause();
+            }
+        });
+    }
+
     setVolume(category, volume) {
         if (category === 'master') {
             this.settings.masterVolume = volume;
@@ -5,8 +5,14 @@ export class VehicleControls {
             ArrowDown: false,
             ArrowLeft: false,
             ArrowRight: false,
-            Space: false
+            Space: false,
+            KeyR: false,
+            KeyF: false,
+            KeyL: false,
+            KeyB: false
         };
+        // Transfer case lever and the locker and sway bar switches act once per press
+        this.pressed = new Set();
 
         this.steering = 0;
         this.acceleration = 0;
@@ -23,6 +29,7 @@ export class VehicleControls {
 
     updateKey(key, pressed) {
         if (this.keys.hasOwnProperty(key)) {
+            if (pressed && !this.keys[key]) this.pressed.add(key);
             this.keys[key] = pressed;
         }
     }
@@ -42,11 +49,21 @@ export class VehicleControls {
         this.braking = this.keys.ArrowDown;
         this.brake = this.keys.Space;
 
+        const rangeUp = this.pressed.has('KeyR');
+        const rangeDown = this.pressed.has('KeyF');
+        const lockers = this.pressed.has('KeyL');
+        const swayBar = this.pressed.has('KeyB');
+        this.pressed.clear();
+
         return {
             steering: this.steering,
             acceleration: this.acceleration,
             braking: this.braking,
-            brake: this.brake
+            brake: this.brake,
+            rangeUp,
+            rangeDown,
+            lockers,
+            swayBar
         };
     }
 } 
\ No newline at end of file
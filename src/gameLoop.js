@@ -31,7 +31,8 @@ export class GameLoop {
             minFps: Infinity,
             maxFps: 0,
             frameTimeHistory: [],
-            historySize: 60 // Keep last 60 frames of timing data
+            historySize: 60, // Keep last 60 frames of timing data
+            systemStats: new Map() // Latest per-frame stats pushed by systems, e.g. terrain culling
         };
 
         // Debug info
@@ -208,6 +209,11 @@ export class GameLoop {
         }
     }
 
+    // Systems push their own per-frame counters here for the debug overlay
+    reportStats(name, stats) {
+        this.performance.systemStats.set(name, { ...stats });
+    }
+
     toggleDebug() {
         this.state.debugMode = !this.state.debugMode;
     }
@@ -219,6 +225,7 @@ export class GameLoop {
             fps: this.time.fps,
             frameTime: this.time.delta * 1000,
             systemTimes: Object.fromEntries(this.performance.systemTimes),
+            systemStats: Object.fromEntries(this.performance.systemStats),
             averageFps: Math.round(this.performance.averageFps),
             minFps: this.performance.minFps,
             maxFps: this.performance.maxFps,
@@ -261,6 +268,7 @@ export class GameLoop {
 
         // Clear performance data
         this.performance.systemTimes.clear();
+        this.performance.systemStats.clear();
         this.performance.frameTimeHistory = [];
     }
 } 
\ No newline at end of file
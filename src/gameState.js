@@ -1,3 +1,5 @@
+import { generateSeed } from './utils.js';
+
 export class GameStateManager {
     constructor() {
         this.states = {
@@ -24,7 +26,9 @@ export class GameStateManager {
             unlockedLevels: new Set(['level_1']),
             highScores: new Map(),
             achievements: new Set(),
-            totalPlayTime: 0
+            totalPlayTime: 0,
+            worldSeed: generateSeed(),
+            trailWear: null
         };
 
         this.loadGameData();
@@ -114,6 +118,25 @@ export class GameStateManager {
         }
     }
 
+    setWorldSeed(seed) {
+        this.gameData.worldSeed = seed;
+        // Ruts belong to the ground they were dug in
+        this.gameData.trailWear = null;
+        this.saveGameData();
+        this.notifyListeners('worldSeedChanged', seed);
+    }
+
+    // TerrainWearSystem data for the current world
+    setTrailWear(data) {
+        this.gameData.trailWear = { seed: this.gameData.worldSeed, ...data };
+        this.saveGameData();
+    }
+
+    getTrailWear() {
+        const wear = this.gameData.trailWear;
+        return wear && wear.seed === this.gameData.worldSeed ? wear : null;
+    }
+
     updatePlayTime(seconds) {
         this.gameData.totalPlayTime += seconds;
         this.saveGameData();
@@ -127,7 +150,9 @@ export class GameStateManager {
             unlockedLevels: Array.from(this.gameData.unlockedLevels),
             highScores: Array.from(this.gameData.highScores.entries()),
             achievements: Array.from(this.gameData.achievements),
-            totalPlayTime: this.gameData.totalPlayTime
+            totalPlayTime: this.gameData.totalPlayTime,
+            worldSeed: this.gameData.worldSeed,
+            trailWear: this.gameData.trailWear
         };
 
         localStorage.setItem('jeepGameData', JSON.stringify(saveData));
@@ -143,7 +168,9 @@ export class GameStateManager {
                 unlockedLevels: new Set(data.unlockedLevels),
                 highScores: new Map(data.highScores),
                 achievements: new Set(data.achievements),
-                totalPlayTime: data.totalPlayTime || 0
+                totalPlayTime: data.totalPlayTime || 0,
+                worldSeed: data.worldSeed ?? this.gameData.worldSeed,
+                trailWear: data.trailWear ?? null
             };
         }
     }
@@ -155,7 +182,9 @@ export class GameStateManager {
             unlockedLevels: new Set(['level_1']),
             highScores: new Map(),
             achievements: new Set(),
-            totalPlayTime: 0
+            totalPlayTime: 0,
+            worldSeed: generateSeed(),
+            trailWear: null
         };
         this.saveGameData();
         this.notifyListeners('gameDataReset', null);
@@ -180,7 +209,8 @@ export class GameStateManager {
             unlockedVehicles: this.gameData.unlockedVehicles.size,
             unlockedLevels: this.gameData.unlockedLevels.size,
             achievements: this.gameData.achievements.size,
-            totalPlayTime: this.gameData.totalPlayTime
+            totalPlayTime: this.gameData.totalPlayTime,
+            worldSeed: this.gameData.worldSeed
         };
     }
 } 
\ No newline at end of file
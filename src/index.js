@@ -1,10 +1,32 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { TerrainSystem } from './terrain.js';
+import { TerrainOptimizationSystem } from './terrain/terrainOptimization.js';
+import { TerrainWaterSystem } from './terrain/terrainWater.js';
+import { TerrainBiomeSystem } from './terrain/terrainBiome.js';
+import { TerrainBlendingSystem } from './terrain/terrainBlending.js';
+import { TerrainTexturingSystem } from './terrain/terrainTexturing.js';
+import { TerrainEditorSystem } from './terrain/terrainEditor.js';
+import { TerrainDecorationSystem } from './terrain/terrainDecoration.js';
+import { TerrainPathSystem } from './terrain/terrainPath.js';
+import { TerrainWetnessSystem } from './terrain/terrainWetness.js';
+import { TerrainSnowSystem } from './terrain/terrainSnow.js';
+import { TerrainMapSystem } from './terrain/terrainMap.js';
+import { TerrainWearSystem } from './terrain/terrainWear.js';
+import { WeatherSystem } from './weather.js';
+import { VegetationSystem } from './vegetation.js';
+import { AudioSystem } from './audio.js';
+import { GameStateManager } from './gameState.js';
+import { GameLoop } from './gameLoop.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
-import { VehiclePhysics } from './physics/vehiclePhysics.js';
+import { VehicleSimulation } from './physics/vehicleSimulation.js';
+import { VehiclePerformanceSystem } from './vehicles/performanceSystem.js';
+import { VehicleHandlingSystem } from './vehicles/handlingSystem.js';
+import { VehicleTerrainSystem } from './vehicles/terrainSystem.js';
+import { VehicleReplaySystem } from './vehicles/replaySystem.js';
 import { VehicleControls } from './controls/vehicleControls.js';
+import { UISystem } from './ui.js';
 
 class Game {
     constructor() {
@@ -12,6 +34,14 @@ class Game {
         this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
         this.renderer = new THREE.WebGLRenderer({ antialias: true });
         
+        this.gameState = new GameStateManager();
+
+        // Shared trails: ?seed=1234 loads the same world on every machine
+        const sharedSeed = new URLSearchParams(window.location.search).get('seed');
+        if (sharedSeed !== null) {
+            this.gameState.setWorldSeed(Number.isNaN(Number(sharedSeed)) ? sharedSeed : Number(sharedSeed));
+        }
+
         // Physics world
         this.world = new CANNON.World();
         this.world.gravity.set(0, -9.82, 0);
@@ -42,21 +72,104 @@ class Game {
         this.scene.add(ambientLight, directionalLight);
 
         // Terrain
-        this.terrain = new TerrainSystem(this.scene, this.world);
+        this.terrain = new TerrainSystem(this.scene, this.world, {
+            seed: this.gameState.gameData.worldSeed,
+            renderer: this.renderer,
+            camera: this.camera
+        });
+
+        // Biome map read by texturing, vegetation, vehicle surfaces and ambience
+        this.biomes = new TerrainBiomeSystem(this.terrain);
+        this.blending = new TerrainBlendingSystem(this.terrain);
+        this.texturing = new TerrainTexturingSystem();
+        this.texturing.setBiomeMap(this.biomes);
+
+        // Edits reclassify the biomes under them; a level's own splat map stays as authored
+        this.terrain.addListener('heightsChanged', () => {
+            if (!this.texturing.getSplatMap()) this.texturing.setBiomeMap(this.biomes);
+        });
 
-        // Vehicle physics
-        this.vehiclePhysics = new VehiclePhysics(this.world);
+        // One looping bed per biome ambience, crossfaded around the jeep
+        this.audio = new AudioSystem(this.camera);
+        this.audio.loadBiomeAmbience([...new Set(Object.values(this.biomes.settings.biomes).map(biome => biome.ambience))]);
+
+        // Stream ground chunks around the jeep
+        this.terrainOptimization = new TerrainOptimizationSystem(this.terrain);
+        this.terrainOptimization.loadChunksAround(new THREE.Vector3(0, 0, 0));
+
+        // Rivers, lakes and puddles; levels add their water bodies here
+        this.water = new TerrainWaterSystem(this.terrain);
+
+        // Weather, and the ground it soaks, dries, buries and freezes
+        this.weather = new WeatherSystem(this.scene, this.camera);
+        this.wetness = new TerrainWetnessSystem(this.terrain, this.weather);
+        this.texturing.setWetnessMap(this.wetness);
+        this.snow = new TerrainSnowSystem(this.terrain, this.weather);
+        this.texturing.setSnowMap(this.snow);
+
+        // Ruts and tracks carried over from earlier sessions on this world
+        this.wear = new TerrainWearSystem(this.terrain, this.weather);
+        const savedWear = this.gameState.getTrailWear();
+        if (savedWear) {
+            this.wear.restore(savedWear);
+        }
+        window.addEventListener('beforeunload', () => this.gameState.setTrailWear(this.wear.getData()));
+
+        // Topo map for the minimap, briefings and printing
+        this.map = new TerrainMapSystem(this.terrain);
+
+        // One vehicle simulation; the drivetrain, driver aids and ground all feed it
+        this.vehicle = new VehicleSimulation(this.world, { seed: this.gameState.gameData.worldSeed });
+        this.spawnVehicle(0, 0);
+        this.performance = new VehiclePerformanceSystem(this.vehicle);
+        this.performance.setTransmissionType('automatic');
+        this.performance.startEngine();
+        this.handling = new VehicleHandlingSystem(this.vehicle);
+        this.vehicleTerrain = new VehicleTerrainSystem(this.vehicle, this.terrain);
+
+        // Rocks grip like rock ground, so they wait for the vehicle's surface table
+        this.decoration = new TerrainDecorationSystem(this.terrain, { surfaces: this.vehicleTerrain.settings.surfaces });
+        this.wear.setDecorations(this.decoration);
+        this.paths = new TerrainPathSystem(this.terrain, this.decoration);
+        this.map.setPathSystem(this.paths);
+        this.vegetation = new VegetationSystem(this.scene, null, this.terrain);
+
+        // Course editor, toggled with E; saves and loads everything placed on the course
+        this.terrainEditor = new TerrainEditorSystem(this.terrain, {
+            decorationSystem: this.decoration,
+            camera: this.camera,
+            domElement: this.renderer.domElement,
+            levelSystems: { texturing: this.texturing, paths: this.paths, vegetation: this.vegetation }
+        });
+
+        // Every run is recorded from the start, transfer case shifts included
+        this.replay = new VehicleReplaySystem(this.vehicle);
+        this.replay.startRecording();
+
+        // HUD with the minimap drawn from the topo map
+        this.ui = new UISystem();
+        this.ui.setMapSystem(this.map);
 
         // Load Jeep model
         this.loadJeep();
 
-        // Animation loop
-        this.animate();
+        // Animation loop; the loop also times each frame and keeps the terrain culling counters
+        this.loop = new GameLoop();
+        this.terrainOptimization.setGameLoop(this.loop);
+        this.loop.addSystem('game', { update: (deltaTime) => this.animate(deltaTime) });
+        this.loop.start();
 
       // Handle window resize
         window.addEventListener('resize', () => this.onResize());
     }
 
+    // Sit the jeep on its springs over whichever ground is highest under it, heading +z
+    spawnVehicle(x, z) {
+        const offsets = [new THREE.Vector3(), ...this.vehicle.settings.wheels.positions];
+        const ground = Math.max(...offsets.map(offset => this.terrain.query.getHeight(x + offset.x, z + offset.z)));
+        this.vehicle.reset(new THREE.Vector3(x, ground + this.vehicle.getRideHeight(), z));
+    }
+
     loadJeep() {
         const loader = new GLTFLoader();
         loader.load(
@@ -85,15 +198,65 @@ class Game {
         );
     }
 
+    // Up drives and down brakes; in reverse the pedals swap so down backs up
+    updateControls() {
+        const controls = this.vehicleControls.update();
+        const reversing = this.performance.state.transmission.gear < 0;
+        const forward = controls.acceleration ? 1 : 0;
+        const back = controls.braking ? 1 : 0;
+
+        this.vehicle.setControls({
+            throttle: reversing ? back : forward,
+            brake: reversing ? forward : back,
+            steering: controls.steering,
+            handbrake: controls.brake
+        });
+
+        // R toward 4L, F back toward 2H
+        if (controls.rangeUp) this.performance.stepTransferCase(1);
+        if (controls.rangeDown) this.performance.stepTransferCase(-1);
+        if (controls.lockers) this.performance.cycleLockers();
+        if (controls.swayBar) this.vehicle.setSwayBarDisconnect(!this.vehicle.swayBarDisconnected);
+    }
+
+    updateHUD() {
+        const { engine, transmission } = this.performance.state;
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.vehicle.quaternion);
+
+        this.ui.updateHUD({
+            speed: Math.abs(this.vehicle.speed) * 3.6,
+            gear: transmission.gear < 0 ? 'R' : transmission.gear === 0 ? 'N' : transmission.gear,
+            transferCase: this.vehicle.transferCase,
+            damage: engine.damage,
+            fuel: engine.fuelLevel / 100,
+            position: this.vehicle.position,
+            heading: Math.atan2(-forward.x, -forward.z)
+        });
+    }
+
+    // Biome beds crossfade over the same transition bands the ground blends across
+    updateAmbience() {
+        const { x, z } = this.vehicle.position;
+        const biomes = this.biomes.settings.biomes;
+        const source = biomes[this.biomes.getBiome(x, z)].ambience;
+        const mix = { [source]: 1 };
+
+        // Half and half right on the boundary
+        const edge = this.blending.getBiomeBlend(this.vehicle.position);
+        if (edge) {
+            const target = biomes[edge.target].ambience;
+            mix[source] -= edge.blend / 2;
+            mix[target] = (mix[target] ?? 0) + edge.blend / 2;
+        }
+
+        this.audio.updateBiomeAmbience(mix);
+    }
+
     updateVehicle() {
         if (this.jeepModel) {
-            // Get physics body position and rotation
-            const position = this.vehiclePhysics.getChassisWorldPosition();
-            const quaternion = this.vehiclePhysics.getChassisWorldQuaternion();
-
             // Update model position and rotation
-            this.jeepModel.position.copy(position);
-            this.jeepModel.quaternion.copy(quaternion);
+            this.jeepModel.position.copy(this.vehicle.position);
+            this.jeepModel.quaternion.copy(this.vehicle.quaternion);
 
             // Update camera to follow vehicle
             const cameraOffset = new THREE.Vector3(0, 3, -7);
@@ -103,21 +266,38 @@ class Game {
         }
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    animate(deltaTime) {
+        // Sculpting and orbiting share the mouse
+        this.controls.enabled = !this.terrainEditor.state.enabled;
+        this.terrainEditor.update(deltaTime);
 
-        // Update physics
-        const deltaTime = 1/60;
-        this.world.step(deltaTime);
+        // Stream terrain and push edited heights before stepping so the ground exists under the jeep
+        this.terrainOptimization.update(this.camera, this.vehicle.position);
+        this.terrain.update(deltaTime);
+        this.water.update(deltaTime);
+        this.weather.update(deltaTime);
+        this.wetness.update(deltaTime);
+        this.snow.update(deltaTime);
+        this.wear.update(deltaTime);
+        this.map.update(deltaTime);
+        this.decoration.update(deltaTime);
+        this.vegetation.update(deltaTime, this.vehicle.position);
 
-        // Update vehicle controls and physics
-        const controlsState = this.vehicleControls.update();
-        this.vehiclePhysics.update(controlsState);
+        // Driver input, then everything feeding the vehicle, then the physics step
+        this.updateControls();
+        this.handling.update(deltaTime);
+        this.performance.update(deltaTime);
+        this.vehicle.update(deltaTime);
+        this.world.step(deltaTime);
 
         // Update vehicle model
         this.updateVehicle();
+        this.updateHUD();
+        this.ui.update(deltaTime);
+        this.updateAmbience();
 
         // Render
+        this.water.render(this.renderer, this.scene, this.camera);
         this.renderer.render(this.scene, this.camera);
     }
 
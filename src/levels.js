@@ -1,3 +1,495 @@
-export function loadLevel() {
-  // TODO: Implement level loading and management
-}
\ No newline at end of file
+// Level files are JSON; typed arrays travel as base64 so a 129x129 course stays small.
+// A level holds everything needed to rebuild a course: terrain, surfaces, water,
+// rocks, vegetation, trails, trail wear, spawn points and mission markers. Bump LEVEL_VERSION
+// when the layout changes and teach migrateLevel to upgrade the old one.
+
+export const LEVEL_FORMAT = 'offroad-level';
+export const LEVEL_VERSION = 1;
+
+const VEC2 = { type: 'array', items: { type: 'number' }, minItems: 2, maxItems: 2 };
+const VEC3 = { type: 'array', items: { type: 'number' }, minItems: 3, maxItems: 3 };
+
+const ROCK_CLUSTER = {
+  type: 'object',
+  required: ['position', 'rocks'],
+  properties: {
+    position: VEC3,
+    rocks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['position', 'size', 'rotation'],
+        properties: {
+          position: VEC3,
+          size: { type: 'number', exclusiveMinimum: 0 },
+          rotation: { type: 'number' }
+        }
+      }
+    }
+  }
+};
+
+// Subset of JSON Schema: type, enum, required, properties, items, min/max, minItems/maxItems.
+// Typed arrays are types of their own.
+export const LEVEL_SCHEMA = {
+  type: 'object',
+  required: ['format', 'version', 'terrain', 'surfaces', 'water', 'rocks', 'paths', 'spawns', 'markers'],
+  properties: {
+    format: { type: 'string', enum: [LEVEL_FORMAT] },
+    version: { type: 'integer', minimum: 1, maximum: LEVEL_VERSION },
+    name: { type: 'string' },
+    seed: { type: ['number', 'string'] },
+    terrain: {
+      type: 'object',
+      required: ['size', 'resolution', 'heightScale', 'heights'],
+      properties: {
+        size: { type: 'number', exclusiveMinimum: 0 },
+        resolution: { type: 'integer', minimum: 2 },
+        heightScale: { type: 'number', exclusiveMinimum: 0 },
+        heights: { type: 'Float32Array' },
+        geoOrigin: {
+          type: ['object', 'null'],
+          required: ['lat', 'lon'],
+          properties: {
+            lat: { type: 'number', minimum: -90, maximum: 90 },
+            lon: { type: 'number', minimum: -180, maximum: 180 },
+            baseElevation: { type: 'number' }
+          }
+        }
+      }
+    },
+    surfaces: {
+      type: 'object',
+      required: ['materials'],
+      properties: {
+        materials: { type: 'Uint8Array' },
+        splat: {
+          type: ['object', 'null'],
+          required: ['resolution', 'data'],
+          properties: {
+            resolution: { type: 'integer', minimum: 2 },
+            data: { type: 'Uint8Array' },
+            influence: { type: 'number', minimum: 0, maximum: 1 }
+          }
+        }
+      }
+    },
+    water: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { type: 'string', enum: ['lake', 'river', 'puddle'] },
+          outline: { type: 'array', items: VEC2, minItems: 3 },
+          points: { type: 'array', items: VEC3, minItems: 2 },
+          center: VEC2,
+          radius: { type: 'number', exclusiveMinimum: 0 },
+          level: { type: 'number' },
+          width: { type: 'number', exclusiveMinimum: 0 },
+          flowSpeed: { type: 'number' }
+        }
+      }
+    },
+    rocks: { type: 'array', items: ROCK_CLUSTER },
+    vegetation: {
+      type: ['object', 'null'],
+      properties: {
+        densities: {
+          type: 'object',
+          properties: {
+            grass: { type: 'integer', minimum: 0 },
+            trees: { type: 'integer', minimum: 0 },
+            bushes: { type: 'integer', minimum: 0 }
+          }
+        },
+        placements: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['type', 'variant', 'position'],
+            properties: {
+              type: { type: 'string', enum: ['grass', 'trees', 'bushes'] },
+              variant: { type: 'string' },
+              position: VEC2,
+              rotation: { type: 'number' },
+              scale: { type: 'number', exclusiveMinimum: 0 }
+            }
+          }
+        }
+      }
+    },
+    paths: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'points', 'width', 'depth'],
+        properties: {
+          id: { type: 'string' },
+          points: { type: 'array', items: VEC3, minItems: 2 },
+          width: { type: 'number', exclusiveMinimum: 0 },
+          depth: { type: 'number' },
+          rockDensity: { type: 'number', minimum: 0 },
+          rocks: { ...ROCK_CLUSTER, type: ['object', 'null'] }
+        }
+      }
+    },
+    wear: {
+      type: ['object', 'null'],
+      required: ['cellSize', 'chunks'],
+      properties: {
+        cellSize: { type: 'number', exclusiveMinimum: 0 },
+        chunks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['key', 'cells'],
+            properties: {
+              key: { type: 'string' },
+              // [x, z, depth, packing, tracks, heading]
+              cells: { type: 'array', items: { type: 'array', items: { type: 'number' }, minItems: 6, maxItems: 6 } }
+            }
+          }
+        }
+      }
+    },
+    spawns: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['position'],
+        properties: {
+          name: { type: 'string' },
+          position: VEC3,
+          heading: { type: 'number' }
+        }
+      }
+    },
+    markers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'position'],
+        properties: {
+          type: { type: 'string', enum: ['mission', 'checkpoint', 'discovery'] },
+          position: VEC3,
+          label: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Problems with a level as 'path: message' strings, empty when it is valid
+export function validateLevel(level) {
+  const errors = [];
+  checkSchema(level, LEVEL_SCHEMA, 'level', errors);
+  if (!matchesType(level, 'object')) return errors;
+  // Sizes the schema can't express, checked wherever the shape is already right
+  const failed = section => errors.some(error => error.startsWith(`level.${section}`) || error === `level: missing '${section}'`);
+  const { terrain, surfaces, water } = level;
+
+  if (!failed('terrain') && !failed('surfaces')) {
+    const samples = terrain.resolution * terrain.resolution;
+    if (terrain.heights.length !== samples) {
+      errors.push(`level.terrain.heights: expected ${samples} samples, got ${terrain.heights.length}`);
+    }
+    if (surfaces.materials.length !== samples) {
+      errors.push(`level.surfaces.materials: expected ${samples} samples, got ${surfaces.materials.length}`);
+    }
+    if (surfaces.splat && surfaces.splat.data.length !== surfaces.splat.resolution ** 2 * 4) {
+      errors.push(`level.surfaces.splat.data: expected ${surfaces.splat.resolution ** 2 * 4} bytes, got ${surfaces.splat.data.length}`);
+    }
+  }
+
+  if (!failed('water')) {
+    const bodyFields = { lake: ['outline', 'level'], river: ['points', 'width'], puddle: ['center', 'radius', 'level'] };
+    water.forEach((body, i) => {
+      bodyFields[body.type].forEach(field => {
+        if (body[field] === undefined) {
+          errors.push(`level.water[${i}]: ${body.type} is missing '${field}'`);
+        }
+      });
+    });
+  }
+
+  return errors;
+}
+
+function checkSchema(value, schema, path, errors) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const type = types.find(candidate => matchesType(value, candidate));
+  if (!type) {
+    errors.push(`${path}: expected ${types.join(' or ')}`);
+    return;
+  }
+  if (type === 'null') return;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be at most ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be greater than ${schema.exclusiveMinimum}`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: allows at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => checkSchema(item, schema.items, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (type === 'object') {
+    (schema.required ?? []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}: missing '${key}'`);
+    });
+    Object.entries(schema.properties ?? {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        checkSchema(value[key], propertySchema, `${path}.${key}`, errors);
+      }
+    });
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value) && !ArrayBuffer.isView(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'string':
+      return typeof value === 'string';
+    default:
+      return TYPED_ARRAYS[type] !== undefined && value instanceof TYPED_ARRAYS[type];
+  }
+}
+
+// Bring an older level up to LEVEL_VERSION
+export function migrateLevel(level) {
+  if (level.version > LEVEL_VERSION) {
+    throw new Error(`Level version ${level.version} is newer than this game supports (${LEVEL_VERSION})`);
+  }
+
+  // Before versioning the editor saved terrain and rocks only, with materials under terrain
+  if (level.version === undefined) {
+    const { materials, ...terrain } = level.terrain ?? {};
+    level = {
+      format: LEVEL_FORMAT,
+      version: 1,
+      name: level.name,
+      seed: level.seed,
+      terrain: { ...terrain, geoOrigin: null },
+      surfaces: { materials, splat: null },
+      water: [],
+      rocks: level.rocks ?? [],
+      vegetation: null,
+      paths: [],
+      wear: null,
+      spawns: [],
+      markers: []
+    };
+  }
+
+  return level;
+}
+
+// Gather a level from live systems: { terrain, texturing, water, wear, decoration, vegetation, paths, missions }.
+// Only terrain is required; water and wear default to the ones registered on the terrain.
+export function createLevel(systems, { name = 'Untitled course', spawns = [], markers } = {}) {
+  const { terrain, texturing, water = terrain.water, wear = terrain.wear, decoration, vegetation, paths, missions } = systems;
+  const { size, resolution, heightScale } = terrain.settings;
+
+  // Trail rocks are saved with their trail
+  const trailClusters = new Set();
+  paths?.paths.forEach(path => path.rockClusterId && trailClusters.add(path.rockClusterId));
+
+  const rocks = [];
+  decoration?.decorations.rocks.forEach((cluster, clusterId) => {
+    if (!trailClusters.has(clusterId)) {
+      rocks.push(decoration.getRockClusterData(clusterId));
+    }
+  });
+
+  return {
+    format: LEVEL_FORMAT,
+    version: LEVEL_VERSION,
+    name,
+    seed: terrain.seed,
+    terrain: {
+      size,
+      resolution,
+      heightScale,
+      heights: Float32Array.from(terrain.heightField),
+      geoOrigin: terrain.geoOrigin ? { ...terrain.geoOrigin } : null
+    },
+    surfaces: {
+      materials: Uint8Array.from(terrain.materialField),
+      splat: texturing?.getSplatMap() ?? null
+    },
+    water: water ? Array.from(water.state.bodies.keys()).map(id => water.getBodyData(id)) : [],
+    rocks,
+    vegetation: vegetation?.getLevelData() ?? null,
+    paths: paths ? Array.from(paths.paths.keys()).map(id => paths.getPathData(id)) : [],
+    wear: wear?.getData() ?? null,
+    spawns: spawns.map(spawn => ({ ...spawn, position: [...spawn.position] })),
+    markers: markers ?? missions?.getLevelMarkers() ?? []
+  };
+}
+
+// Rebuild every given system from a validated level. Systems left out keep what they have.
+export function applyLevel(level, systems) {
+  const { terrain, texturing, water = terrain.water, wear = terrain.wear, decoration, vegetation, paths, missions } = systems;
+  const { terrain: grid, surfaces } = level;
+
+  // Seed first: streamed ground and moisture come from it, and setHeightField reclassifies biomes
+  if (level.seed !== undefined) {
+    terrain.setSeed(level.seed);
+  }
+  terrain.geoOrigin = grid.geoOrigin ? { ...grid.geoOrigin } : null;
+  if (grid.geoOrigin && terrain.biomes) {
+    terrain.biomes.settings.latitude.origin = grid.geoOrigin.lat;
+  }
+
+  terrain.setHeightField(grid.heights, {
+    resolution: grid.resolution,
+    cellSize: grid.size / (grid.resolution - 1),
+    heightScale: grid.heightScale,
+    materials: surfaces.materials
+  });
+
+  if (surfaces.splat) {
+    texturing?.setSplatMap(surfaces.splat);
+  }
+
+  if (water) {
+    water.clearBodies();
+    level.water.forEach(body => water.restoreBody(body));
+  }
+
+  // Clearing trails takes their rocks with them; the rest go before the saved ones come back
+  paths?.clearPaths();
+  if (decoration) {
+    Array.from(decoration.decorations.rocks.keys()).forEach(clusterId => decoration.removeRockCluster(clusterId));
+    level.rocks.forEach(cluster => decoration.restoreRockCluster(cluster));
+  }
+  level.paths.forEach(path => paths?.restorePath(path));
+
+  // Saved heights already carry the ruts
+  if (level.wear) {
+    wear?.restore(level.wear, { carved: true });
+  } else {
+    wear?.reset();
+  }
+
+  if (level.vegetation) {
+    vegetation?.applyLevelData(level.vegetation);
+  }
+  missions?.setLevelMarkers(level.markers);
+
+  return level;
+}
+
+export function serializeLevel(level) {
+  return JSON.stringify(level, (key, value) => {
+    if (ArrayBuffer.isView(value)) {
+      return {
+        type: value.constructor.name,
+        data: encodeBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength))
+      };
+    }
+    return value;
+  });
+}
+
+export function parseLevel(text) {
+  return JSON.parse(text, (key, value) => {
+    if (value && typeof value === 'object' && typeof value.type === 'string' && typeof value.data === 'string') {
+      const ArrayType = TYPED_ARRAYS[value.type];
+      if (!ArrayType) {
+        throw new Error(`Unknown array type '${value.type}' in level file`);
+      }
+      const bytes = decodeBase64(value.data);
+      return new ArrayType(bytes.buffer, 0, bytes.byteLength / ArrayType.BYTES_PER_ELEMENT);
+    }
+    return value;
+  });
+}
+
+// Upgrade and check a level; throws with every problem found
+export function prepareLevel(level) {
+  level = migrateLevel(level);
+  const errors = validateLevel(level);
+  if (errors.length > 0) {
+    throw new Error(`Invalid level file:\n  ${errors.join('\n  ')}`);
+  }
+  return level;
+}
+
+// Check a level before it is written; throws with every problem found
+export function writeLevel(level) {
+  const errors = validateLevel(level);
+  if (errors.length > 0) {
+    throw new Error(`Refusing to save an invalid level:\n  ${errors.join('\n  ')}`);
+  }
+  return serializeLevel(level);
+}
+
+// Fetch a level from a URL, or read one already loaded from disk
+export async function loadLevel(source) {
+  if (typeof source !== 'string' || !source.trimStart().startsWith('{')) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to load level ${source}: ${response.status}`);
+    }
+    return prepareLevel(parseLevel(await response.text()));
+  }
+  return prepareLevel(parseLevel(source));
+}
+
+// Offer the level as a file download
+export function downloadLevel(level, filename = 'level.json') {
+  const blob = new Blob([writeLevel(level)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+const TYPED_ARRAYS = {
+  Float32Array,
+  Uint8Array,
+  Uint16Array,
+  Int16Array
+};
+
+function encodeBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+function decodeBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
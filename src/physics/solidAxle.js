@@ -0,0 +1,119 @@
+import * as THREE from 'three';
+
+// One beam axle under the jeep. The two wheels of an axle are bolted to a rigid
+// tube, so they don't move on their own springs: the beam heaves and rolls under
+// the chassis, located by its links and track bar. Lengths below are wheel
+// suspension lengths as cannon measures them, from the chassis mount down the
+// ray to the wheel centre.
+//
+// The springs sit inboard of the wheels, so the beam is firm in heave and soft in
+// roll, which is what lets a solid axle flex one wheel up and the other down.
+export class SolidAxle {
+    constructor(name, wheelIndices, connectionPoints, options = {}) {
+        this.name = name;
+        this.wheels = wheelIndices;     // [left, right]
+
+        const [left, right] = connectionPoints;
+        this.settings = {
+            track: Math.abs(left.x - right.x),
+            springBase: 1.0,        // Metres between the coil springs
+            // Lower links run from the axle to frame mounts toward the middle of the
+            // jeep; angle is how far the frame end sits above the axle end, in radians
+            links: {
+                angle: 0.1,
+                towardRear: left.z > 0
+            },
+            rollCenter: 0.45,       // Track bar height above the ground, metres
+            bumpStop: 0.08,         // Wheel length where the bump stops start to bite
+            bumpStopRate: 600,      // Per kg of chassis per metre squared, progressive
+            maxArticulation: 0.35,  // Radians the beam can roll before the links bind
+            ...options
+        };
+
+        this.state = {
+            articulation: 0,        // Radians, positive with the left wheel tucked up
+            steer: 0,               // Roll steer from the links, radians, + steers left
+            lengths: [0, 0]
+        };
+    }
+
+    // Replaces cannon's per-wheel springs for this axle. Runs after the rays are
+    // cast, before the suspension impulses and tire friction are applied.
+    // restLength: unloaded spring, as a wheel length; the rays reach to the limit straps.
+    solve(infos, restLength, chassisMass) {
+        const { track, springBase, bumpStop, bumpStopRate, maxArticulation, rollCenter } = this.settings;
+        const [left, right] = this.wheels.map(i => infos[i]);
+
+        // The beam can only roll so far, so a wheel whose ground falls away faster than
+        // that hangs off the ground even though its ray reaches it
+        const reach = track * Math.tan(maxArticulation);
+        if (left.isInContact && right.isInContact) {
+            if (left.suspensionLength - right.suspensionLength > reach) {
+                this.hang(left, right.suspensionLength + reach);
+            } else if (right.suspensionLength - left.suspensionLength > reach) {
+                this.hang(right, left.suspensionLength + reach);
+            }
+        } else if (left.isInContact) {
+            this.hang(right, left.suspensionLength + reach);
+        } else if (right.isInContact) {
+            this.hang(left, right.suspensionLength + reach);
+        }
+
+        // Beam heave and roll, then each wheel's share of the two springs: roll
+        // compresses the springs by springBase / track of the wheel travel and the
+        // beam multiplies their force back out by the same ratio. With one wheel
+        // hanging, its spring pushes against the strap and the other carries its own.
+        const both = left.isInContact && right.isInContact;
+        const heave = (left.suspensionLength + right.suspensionLength) / 2;
+        const roll = (left.suspensionLength - right.suspensionLength) / 2;
+        const heaveRate = (left.suspensionRelativeVelocity + right.suspensionRelativeVelocity) / 2;
+        const rollRate = (left.suspensionRelativeVelocity - right.suspensionRelativeVelocity) / 2;
+        const leverage = both ? (springBase / track) ** 2 : 1;
+
+        [[left, 1], [right, -1]].forEach(([info, side]) => {
+            if (!info.isInContact) {
+                info.suspensionForce = 0;
+                return;
+            }
+
+            const length = heave + side * roll * leverage;
+            const velocity = heaveRate + side * rollRate * leverage;
+            let force = info.suspensionStiffness * (restLength - length) * info.clippedInvContactDotSuspension;
+            force -= (velocity < 0 ? info.dampingCompression : info.dampingRelaxation) * velocity;
+
+            if (info.suspensionLength < bumpStop) {
+                force += bumpStopRate * (bumpStop - info.suspensionLength) ** 2 * info.clippedInvContactDotSuspension;
+            }
+            info.suspensionForce = Math.max(0, force * chassisMass);
+
+            // Cornering force goes into the chassis at the track bar, not the tire
+            const contactHeight = info.chassisConnectionPointLocal.y - info.suspensionLength - info.radius;
+            info.rollInfluence = contactHeight < 0 ? Math.max(0, 1 + rollCenter / contactHeight) : 0;
+        });
+
+        this.state.lengths[0] = left.suspensionLength;
+        this.state.lengths[1] = right.suspensionLength;
+        this.state.articulation = Math.atan2(right.suspensionLength - left.suspensionLength, track);
+
+        // Tucking one side up swings that end of the beam away from its link mounts
+        const { angle, towardRear } = this.settings.links;
+        this.state.steer = Math.tan(angle) * this.state.articulation * (towardRear ? -1 : 1);
+    }
+
+    // Off the ground and held by the beam, or by its limit strap when that comes first
+    hang(info, length) {
+        info.suspensionLength = THREE.MathUtils.clamp(length, 0, info.suspensionRestLength);
+        if (!info.isInContact) return;
+
+        info.isInContact = false;
+        info.raycastResult.reset();
+        info.directionWorld.scale(-1, info.raycastResult.hitNormalWorld);
+        info.suspensionRelativeVelocity = 0;
+        info.clippedInvContactDotSuspension = 1;
+    }
+
+    // Wheel travel in metres from the unloaded spring length, + compressed
+    getTravel(restLength) {
+        return this.state.lengths.map(length => restLength - length);
+    }
+}
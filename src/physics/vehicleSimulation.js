@@ -0,0 +1,724 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { EventEmitter } from 'events';
+import { SolidAxle } from './solidAxle.js';
+import { createRandom, deriveSeed, generateSeed } from '../utils.js';
+
+// The one simulation of the jeep. A cannon RaycastVehicle does the rigid body and
+// tire contact work, with its per-wheel springs swapped for two SolidAxle beams;
+// everything else feeds it through the calls below and reads back from it. This
+// object is the `vehicle` the systems in src/vehicles take.
+//
+// Driver:
+//   setControls({ throttle, brake, steering, handbrake })
+// Every step, cleared after the step:
+//   setDriveTorques(torques, engine)       performance: N·m at each wheel, + drives forward;
+//                                          engine { rpm, gear, transferCase } is only reported back
+//   setSteeringAngles(angles)              handling: radians per wheel, + steers left
+//   setWheelAssist(index, { torqueScale, brakeScale, brakeTorque, gripScale })
+//                                          handling: TCS, ABS, ESC and the water film under the tire
+//   applyForce(force, point)               terrain water, handling aero: world N at a world point
+// Until changed:
+//   setWheelFriction(index, friction)      terrain: surface friction coefficient under the tire
+//   setWheelResistance(index, resistance)  terrain: rolling resistance coefficient
+//   setTirePressure(index, psi)            inventory compressor, or airing down; see getContactPatch
+//   configure(patch)                       tuning: suspension, brakes, tires, steering; other
+//                                          sections are passed on in a 'configured' event.
+//                                          upgrades: suspension.swayBarDisconnect fits the disconnect
+//   setSwayBarDisconnect(disconnected)     driver: front anti-roll bar off for articulation
+//   setWaterDepthLimit(depth)              attachments: snorkel wading depth in metres, 0 for the
+//                                          stock intake; terrain floods the engine past it
+//   setModifier(source, modifiers)         weather, resources: fractional offsets, see getModifier
+export class VehicleSimulation extends EventEmitter {
+    constructor(world, options = {}) {
+        super();
+        this.world = world;
+
+        // Pass the world seed so a run with the same inputs loses the same beads
+        this.random = createRandom(deriveSeed(options.seed ?? generateSeed(), 'vehicle:bead'));
+
+        this.settings = {
+            chassis: {
+                mass: 1500,
+                halfExtents: new THREE.Vector3(1, 0.5, 2),
+                startPosition: options.position ?? new THREE.Vector3(0, 2, 0)
+            },
+            wheels: {
+                radius: 0.4,
+                // Front left, front right, rear left, rear right; the jeep faces +z, so left is +x
+                positions: [
+                    new THREE.Vector3(0.9, 0, 1.3),
+                    new THREE.Vector3(-0.9, 0, 1.3),
+                    new THREE.Vector3(0.9, 0, -1.25),
+                    new THREE.Vector3(-0.9, 0, -1.25)
+                ],
+                steered: [true, true, false, false]
+            },
+            suspension: {
+                stiffness: 30,          // Per kg of chassis, as cannon takes it
+                restLength: 0.3,        // Wheel length with the springs unloaded
+                limitStrap: 0.5,        // Wheel length at full droop
+                compression: 4.4,
+                relaxation: 2.3,
+                maxForce: 100000,
+                // Beam axles; see SolidAxle for what each figure means
+                axles: {
+                    front: {
+                        wheels: [0, 1],
+                        springBase: 1.0,
+                        links: { angle: 0.08 },
+                        rollCenter: 0.45,
+                        maxArticulation: 0.2
+                    },
+                    rear: {
+                        wheels: [2, 3],
+                        springBase: 1.1,
+                        links: { angle: -0.1 },
+                        rollCenter: 0.5,
+                        maxArticulation: 0.2
+                    }
+                },
+                antiRoll: { front: 0, rear: 0 },  // N per metre of left-right travel difference
+                // Electronic front sway bar disconnect: with the bar off the front axle
+                // rolls freely and droops further on its straps. It reconnects itself above maxSpeed.
+                disconnect: {
+                    installed: false,
+                    extraTravel: 0.1,
+                    maxSpeed: 8
+                }
+            },
+            tires: {
+                grip: 1.75,             // cannon frictionSlip on ground with a friction of 1
+                pressure: 35,           // psi all four are set to by tuning
+                ratedPressure: 35,      // psi the rest of these figures are measured at
+                maxPressure: 50,
+                compound: 'medium',
+                camber: 0,
+                compounds: { soft: 1.1, medium: 1.0, hard: 0.9, offroad: 1.05 },
+                patchExponent: 0.7,     // The carcass carries some load, so the patch grows slower than 1 / pressure
+                maxPatch: 3,
+                // The sidewall bulges as air comes out: the tire rides lower and adds its
+                // own give to the spring, most of it in the last few psi
+                sidewall: {
+                    flex: 0.08,         // Share of the radius lost with no air in it
+                    rate: 130,          // Tire spring per kg of chassis at rated pressure
+                    carcass: 0.3        // Share of that rate the rubber keeps with no air
+                },
+                // Below seatPressure, hard side load can roll the bead off the rim
+                bead: {
+                    seatPressure: 12,
+                    sideLoad: 0.5,      // Side force over tire load before it starts to matter
+                    rate: 4,            // Chance per second with a flat tire at double the side load
+                    flatGrip: 0.5,
+                    flatResistance: 3
+                }
+            },
+            steering: {
+                maxAngle: 0.5           // Radians at full lock when nothing sets the angles
+            },
+            brakes: {
+                maxTorque: 3000,        // N·m per wheel at full pedal
+                bias: 0.6,              // Front share
+                pressure: 1.0,
+                handbrakeTorque: 4000
+            },
+            // Surface resistance is a relative figure; this turns it into a rolling resistance coefficient
+            resistanceScale: 0.1,
+            // Tire load times ground rolled or spun past, in N·m, per unit of contact force
+            // reported to the terrain, so parked wheels don't dig
+            contactWork: 200000
+        };
+
+        this.state = {
+            controls: { throttle: 0, brake: 0, steering: 0, handbrake: false },
+            wheels: this.settings.wheels.positions.map(() => ({
+                driveTorque: 0,
+                steeringAngle: null,
+                assist: null,
+                friction: 1,
+                resistance: 0,
+                braking: false,
+                angularVelocity: 0,
+                rotation: 0,
+                slipRatio: 0,
+                steer: 0,
+                pressure: this.settings.tires.pressure,
+                debeaded: false,
+                load: 0,
+                inContact: false
+            })),
+            forces: [],
+            modifiers: new Map(),
+            engine: { rpm: 0, gear: 0, transferCase: '2H' },
+            swayBarDisconnected: false,
+            waterDepthLimit: 0,
+            speed: 0,                   // m/s along the heading, negative in reverse
+            config: {}
+        };
+
+        // Three.js views of the chassis, refreshed after every physics step
+        this.position = new THREE.Vector3();
+        this.quaternion = new THREE.Quaternion();
+        this.input = this.state.controls;
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.setupChassis();
+        this.setupWheels();
+
+        this.onPostStep = () => this.readBack(this.world.dt || 1 / 60);
+        this.world.addEventListener('postStep', this.onPostStep);
+        this.readBack(0);
+    }
+
+    setupChassis() {
+        const { mass, halfExtents, startPosition } = this.settings.chassis;
+        this.chassisMaterial = new CANNON.Material('chassis');
+        this.chassisBody = new CANNON.Body({
+            mass,
+            material: this.chassisMaterial,
+            position: new CANNON.Vec3(startPosition.x, startPosition.y, startPosition.z),
+            shape: new CANNON.Box(new CANNON.Vec3(halfExtents.x, halfExtents.y, halfExtents.z))
+        });
+
+        this.onCollide = (event) => {
+            const impact = Math.abs(event.contact.getImpactVelocityAlongNormal());
+            const normal = event.contact.ni;
+            const point = event.contact.bi === this.chassisBody
+                ? event.contact.ri.vadd(this.chassisBody.position)
+                : event.contact.rj.vadd(event.contact.bj.position);
+            this.emit('collision', {
+                position: new THREE.Vector3(point.x, point.y, point.z),
+                normal: new THREE.Vector3(normal.x, normal.y, normal.z),
+                force: impact,
+                body: event.body
+            });
+        };
+        this.chassisBody.addEventListener('collide', this.onCollide);
+    }
+
+    setupWheels() {
+        const { wheels, suspension, tires } = this.settings;
+        this.raycastVehicle = new CANNON.RaycastVehicle({
+            chassisBody: this.chassisBody,
+            indexRightAxis: 0,
+            indexUpAxis: 1,
+            indexForwardAxis: 2
+        });
+
+        // cannon's rest length is how far its ray reaches, so it is set to the limit
+        // straps and the spring rest length only lives in the axle solve
+        wheels.positions.forEach(position => {
+            this.raycastVehicle.addWheel({
+                radius: wheels.radius,
+                directionLocal: new CANNON.Vec3(0, -1, 0),
+                suspensionStiffness: suspension.stiffness,
+                suspensionRestLength: suspension.limitStrap,
+                frictionSlip: tires.grip,
+                dampingRelaxation: suspension.relaxation,
+                dampingCompression: suspension.compression,
+                maxSuspensionForce: suspension.maxForce,
+                rollInfluence: 0,
+                axleLocal: new CANNON.Vec3(1, 0, 0),
+                chassisConnectionPointLocal: new CANNON.Vec3(position.x, position.y, position.z),
+                maxSuspensionTravel: suspension.limitStrap,
+                customSlidingRotationalSpeed: 30,
+                useCustomSlidingRotationalSpeed: true
+            });
+        });
+
+        this.axles = Object.entries(suspension.axles).map(([name, { wheels: indices, ...options }]) =>
+            new SolidAxle(name, indices, indices.map(i => wheels.positions[i]), options)
+        );
+        this.raycastVehicle.updateSuspension = () => this.solveAxles();
+
+        this.raycastVehicle.addToWorld(this.world);
+    }
+
+    // Stands in for cannon's updateSuspension, between the ray casts and the impulses
+    solveAxles() {
+        const infos = this.raycastVehicle.wheelInfos;
+        this.axles.forEach(axle => {
+            axle.solve(infos, this.settings.suspension.restLength, this.chassisBody.mass);
+            axle.wheels.forEach(i => {
+                infos[i].steering = this.state.wheels[i].steer + axle.state.steer;
+            });
+        });
+    }
+
+    // Driver input: throttle and brake 0-1, steering -1 (right) to 1 (left)
+    setControls({ throttle = 0, brake = 0, steering = 0, handbrake = false }) {
+        const controls = this.state.controls;
+        controls.throttle = THREE.MathUtils.clamp(Number(throttle), 0, 1);
+        controls.brake = THREE.MathUtils.clamp(Number(brake), 0, 1);
+        controls.steering = THREE.MathUtils.clamp(steering, -1, 1);
+        controls.handbrake = Boolean(handbrake);
+    }
+
+    get throttle() {
+        return this.state.controls.throttle;
+    }
+
+    set throttle(value) {
+        this.setControls({ ...this.state.controls, throttle: value });
+    }
+
+    get brake() {
+        return this.state.controls.brake;
+    }
+
+    set brake(value) {
+        this.setControls({ ...this.state.controls, brake: value });
+    }
+
+    // Transfer case mode as the drivetrain last reported it; replays set it directly
+    get transferCase() {
+        return this.state.engine.transferCase;
+    }
+
+    set transferCase(mode) {
+        const previous = this.state.engine.transferCase;
+        if (mode === previous) return;
+        this.state.engine.transferCase = mode;
+        this.emit('stateChange', { type: 'transferCase', mode, previous });
+    }
+
+    get speed() {
+        return this.state.speed;
+    }
+
+    setDriveTorques(torques, engine = null) {
+        torques.forEach((torque, i) => {
+            if (this.state.wheels[i]) this.state.wheels[i].driveTorque = torque;
+        });
+        if (!engine) return;
+        const { transferCase, ...rest } = engine;
+        Object.assign(this.state.engine, rest);
+        if (transferCase !== undefined) this.transferCase = transferCase;
+    }
+
+    setSteeringAngles(angles) {
+        angles.forEach((angle, i) => {
+            if (this.state.wheels[i]) this.state.wheels[i].steeringAngle = angle;
+        });
+    }
+
+    setWheelAssist(index, assist) {
+        this.state.wheels[index].assist = assist;
+    }
+
+    setWheelFriction(index, friction) {
+        this.state.wheels[index].friction = friction;
+    }
+
+    setWheelResistance(index, resistance) {
+        this.state.wheels[index].resistance = resistance;
+    }
+
+    // Airing a tire back up past the bead seat pressure pops the bead back on the rim
+    setTirePressure(index, psi) {
+        const { maxPressure, bead } = this.settings.tires;
+        const wheel = this.state.wheels[index];
+        wheel.pressure = THREE.MathUtils.clamp(psi, 0, maxPressure);
+
+        if (wheel.debeaded && wheel.pressure >= bead.seatPressure) {
+            wheel.debeaded = false;
+            this.emit('tireReseated', { wheelIndex: index, pressure: wheel.pressure });
+        }
+    }
+
+    getTirePressure(index) {
+        return this.state.wheels[index].pressure;
+    }
+
+    // Contact patch area against the same tire at rated pressure. Terrain turns it into
+    // grip and rolling resistance per surface.
+    getContactPatch(index) {
+        const { ratedPressure, patchExponent, maxPatch } = this.settings.tires;
+        const wheel = this.state.wheels[index];
+        if (wheel.debeaded) return maxPatch;
+        return Math.min(maxPatch, (ratedPressure / Math.max(wheel.pressure, 1)) ** patchExponent);
+    }
+
+    // 0 at rated pressure or above, 1 with no air holding the sidewall up
+    getSidewallDeflection(index) {
+        const wheel = this.state.wheels[index];
+        if (wheel.debeaded) return 1;
+        return THREE.MathUtils.clamp(1 - wheel.pressure / this.settings.tires.ratedPressure, 0, 1);
+    }
+
+    applyForce(force, point) {
+        this.state.forces.push({ force: force.clone(), point: point.clone() });
+    }
+
+    // Offsets add up across sources: traction -0.3 from rain and -0.2 from worn tires is 0.5x grip.
+    // Setting a source again replaces its offsets; null removes it.
+    setModifier(source, modifiers) {
+        if (modifiers) {
+            this.state.modifiers.set(source, { ...modifiers });
+        } else {
+            this.state.modifiers.delete(source);
+        }
+    }
+
+    // traction, handling, stability, performance, suspension, steering, weight, or anything a
+    // feeder reads back; 1 when nothing modifies it, never below 0
+    getModifier(name) {
+        let offset = 0;
+        this.state.modifiers.forEach(modifiers => {
+            offset += modifiers[name] ?? 0;
+        });
+        return Math.max(0, 1 + offset);
+    }
+
+    configure(patch) {
+        const { suspension, brakes, tires, steering } = this.settings;
+
+        if (patch.suspension) {
+            const { springs, dampers, antiRollBars } = patch.suspension;
+            const mass = this.settings.chassis.mass;
+            // Tuning works in N/m and N·s/m; cannon scales its rates by the chassis mass
+            if (springs?.stiffness !== undefined) suspension.stiffness = springs.stiffness / mass;
+            if (springs?.height !== undefined) suspension.restLength = springs.height;
+            if (dampers?.compression !== undefined) suspension.compression = dampers.compression / mass;
+            if (dampers?.rebound !== undefined) suspension.relaxation = dampers.rebound / mass;
+            if (antiRollBars) Object.assign(suspension.antiRoll, antiRollBars);
+            if (patch.suspension.swayBarDisconnect !== undefined) {
+                suspension.disconnect.installed = patch.suspension.swayBarDisconnect;
+                if (!suspension.disconnect.installed) this.setSwayBarDisconnect(false);
+            }
+        }
+        if (patch.brakes) Object.assign(brakes, patch.brakes);
+        // Tuning sends the whole tire section; only a new pressure setting airs the tires to it
+        const pressure = patch.tires?.pressure;
+        if (pressure !== undefined && pressure !== tires.pressure) {
+            this.state.wheels.forEach((wheel, i) => this.setTirePressure(i, pressure));
+        }
+        if (patch.tires) Object.assign(tires, patch.tires);
+        if (patch.steering) Object.assign(steering, patch.steering);
+
+        Object.entries(patch).forEach(([section, values]) => {
+            this.state.config[section] = { ...this.state.config[section], ...values };
+        });
+        this.emit('configured', patch);
+    }
+
+    getConfig(section) {
+        return this.state.config[section] ?? null;
+    }
+
+    get swayBarDisconnected() {
+        return this.state.swayBarDisconnected;
+    }
+
+    // Returns whether the bar ended up as asked; it won't disconnect at speed
+    setSwayBarDisconnect(disconnected) {
+        const { installed, maxSpeed } = this.settings.suspension.disconnect;
+        if (disconnected && (!installed || Math.abs(this.state.speed) > maxSpeed)) return false;
+        if (disconnected === this.state.swayBarDisconnected) return true;
+
+        this.state.swayBarDisconnected = disconnected;
+        this.emit('stateChange', { type: 'swayBar', disconnected });
+        return true;
+    }
+
+    get waterDepthLimit() {
+        return this.state.waterDepthLimit;
+    }
+
+    setWaterDepthLimit(depth) {
+        this.state.waterDepthLimit = Math.max(0, depth);
+    }
+
+    // Push this step's inputs into the raycast vehicle; call once before world.step
+    update(deltaTime) {
+        this.emit('update', deltaTime);
+
+        const { wheels, suspension, tires, brakes, steering } = this.settings;
+        const { controls } = this.state;
+        const traction = this.getModifier('traction');
+        const power = this.getModifier('performance');
+        const steeringScale = this.getModifier('steering') * this.getModifier('handling');
+        const springScale = this.getModifier('suspension');
+
+        this.chassisBody.mass = this.settings.chassis.mass * this.getModifier('weight');
+        this.chassisBody.updateMassProperties();
+
+        if (this.state.swayBarDisconnected && Math.abs(this.state.speed) > suspension.disconnect.maxSpeed) {
+            this.setSwayBarDisconnect(false);
+        }
+        const freed = this.state.swayBarDisconnected;
+
+        this.raycastVehicle.wheelInfos.forEach((info, i) => {
+            const wheel = this.state.wheels[i];
+            const assist = wheel.assist ?? {};
+            const front = wheels.positions[i].z > 0;
+
+            // Spring and sidewall in series, scaled so a tire at rated pressure changes nothing
+            const { sidewall, bead } = tires;
+            const deflection = this.getSidewallDeflection(i);
+            const tireRate = sidewall.rate * (1 - (1 - sidewall.carcass) * deflection);
+            const series = (rate) => rate / (suspension.stiffness + rate);
+            info.suspensionStiffness = suspension.stiffness * springScale * series(tireRate) / series(sidewall.rate);
+            info.radius = wheels.radius * (1 - sidewall.flex * deflection);
+
+            info.suspensionRestLength = suspension.limitStrap + (front && freed ? suspension.disconnect.extraTravel : 0);
+            info.maxSuspensionTravel = info.suspensionRestLength;
+            info.dampingCompression = suspension.compression;
+            info.dampingRelaxation = suspension.relaxation;
+            const compound = tires.compounds[tires.compound] ?? 1;
+            const flatGrip = wheel.debeaded ? bead.flatGrip : 1;
+            info.frictionSlip = tires.grip * compound * wheel.friction * flatGrip * (assist.gripScale ?? 1) * traction;
+
+            const angle = wheel.steeringAngle ?? (wheels.steered[i] ? controls.steering * steering.maxAngle : 0);
+            wheel.steer = angle * steeringScale;
+            info.steering = wheel.steer;
+
+            // cannon drives a wheel backwards for positive engine force
+            const torque = wheel.driveTorque * power * (assist.torqueScale ?? 1);
+            info.engineForce = -torque / info.radius;
+
+            // Brakes and rolling resistance both become the impulse cannon may use to stop the wheel
+            const bias = front ? brakes.bias : 1 - brakes.bias;
+            let brakeTorque = controls.brake * brakes.maxTorque * brakes.pressure * bias * 2 * (assist.brakeScale ?? 1);
+            brakeTorque += assist.brakeTorque ?? 0;
+            if (controls.handbrake && !front) brakeTorque += brakes.handbrakeTorque;
+            wheel.braking = brakeTorque > 0;
+            const resistance = wheel.resistance + (wheel.debeaded ? bead.flatResistance : 0);
+            const resistanceForce = resistance * this.settings.resistanceScale * wheel.load;
+            info.brake = (brakeTorque / info.radius + resistanceForce) * deltaTime;
+        });
+
+        this.applyAntiRoll();
+
+        this.state.forces.forEach(({ force, point }) => {
+            this.chassisBody.applyForce(
+                new CANNON.Vec3(force.x, force.y, force.z),
+                new CANNON.Vec3(point.x - this.chassisBody.position.x, point.y - this.chassisBody.position.y, point.z - this.chassisBody.position.z)
+            );
+        });
+        this.state.forces.length = 0;
+    }
+
+    // Anti-roll bars push the chassis down on the extended side and up on the compressed one
+    applyAntiRoll() {
+        const { antiRoll } = this.settings.suspension;
+        const stability = this.getModifier('stability');
+        const infos = this.raycastVehicle.wheelInfos;
+
+        const frontStiffness = this.state.swayBarDisconnected ? 0 : antiRoll.front;
+
+        [[0, 1, frontStiffness], [2, 3, antiRoll.rear]].forEach(([left, right, stiffness]) => {
+            if (!stiffness) return;
+            const a = infos[left];
+            const b = infos[right];
+            if (!a.isInContact && !b.isInContact) return;
+
+            const force = (b.suspensionLength - a.suspensionLength) * stiffness * stability;
+            const up = new CANNON.Vec3();
+            this.chassisBody.vectorToWorldFrame(new CANNON.Vec3(0, 1, 0), up);
+            [[a, force], [b, -force]].forEach(([info, amount]) => {
+                const point = info.chassisConnectionPointWorld.vsub(this.chassisBody.position);
+                this.chassisBody.applyForce(up.scale(amount), point);
+            });
+        });
+    }
+
+    // Mirror the stepped body and wheels into the state the rest of the game reads
+    readBack(deltaTime) {
+        const body = this.chassisBody;
+        this.position.set(body.position.x, body.position.y, body.position.z);
+        this.quaternion.set(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w);
+
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.quaternion);
+        const velocity = this.getVelocity();
+        this.state.speed = velocity.dot(forward);
+
+        const { contactWork } = this.settings;
+        this.raycastVehicle.wheelInfos.forEach((info, i) => {
+            const wheel = this.state.wheels[i];
+            const wasInContact = wheel.inContact;
+            wheel.inContact = info.isInContact;
+            wheel.load = info.isInContact ? info.suspensionForce : 0;
+            wheel.angularVelocity = this.getWheelSpin(info, wheel, deltaTime);
+            wheel.rotation += wheel.angularVelocity * deltaTime;
+
+            // cannon only reports how far a tire is over its grip; sign it by what the wheel is doing
+            const slip = 1 - (info.skidInfo ?? 1);
+            wheel.slipRatio = wheel.braking ? -slip : slip;
+
+            this.checkBead(i, info, deltaTime);
+
+            if (info.isInContact) {
+                const hit = info.raycastResult.hitPointWorld;
+                const position = new THREE.Vector3(hit.x, hit.y, hit.z);
+                const velocity = this.getVelocityAtPoint(position);
+                const rolled = Math.max(velocity.length(), Math.abs(wheel.angularVelocity * info.radius)) * deltaTime;
+                this.emit('wheelContact', {
+                    wheelIndex: i,
+                    position,
+                    force: wheel.load * rolled / contactWork,
+                    velocity,
+                    body: info.raycastResult.body
+                });
+            } else if (wasInContact) {
+                this.emit('wheelLift', { wheelIndex: i });
+            }
+
+            // Per-step feeds have to be sent again next step
+            wheel.driveTorque = 0;
+            wheel.steeringAngle = null;
+            wheel.assist = null;
+        });
+    }
+
+    // A soft tire pushed sideways hard enough can peel its bead off the rim and go flat
+    checkBead(index, info, deltaTime) {
+        const wheel = this.state.wheels[index];
+        const { seatPressure, sideLoad, rate } = this.settings.tires.bead;
+        if (wheel.debeaded || !wheel.inContact || wheel.load <= 0 || deltaTime <= 0) return;
+        if (wheel.pressure >= seatPressure) return;
+
+        const sideRatio = Math.abs(info.sideImpulse ?? 0) / deltaTime / wheel.load;
+        const risk = rate * (1 - wheel.pressure / seatPressure) * Math.max(0, sideRatio / sideLoad - 1);
+        if (this.random() < risk * deltaTime) {
+            wheel.debeaded = true;
+            wheel.pressure = 0;
+            this.emit('tireDebeaded', { wheelIndex: index, sideRatio });
+        }
+    }
+
+    // cannon stops counting wheel rotation whenever its brake impulse, which carries the rolling
+    // resistance too, outweighs the engine; so spin comes from the ground under the tire instead
+    getWheelSpin(info, wheel, deltaTime) {
+        if (deltaTime <= 0) return 0;
+
+        // cannon spins a wheel rolling forward negative
+        const cannonSpin = -info.deltaRotation / deltaTime;
+        if (info.engineForce !== 0 && (info.sliding || !info.isInContact)) {
+            return Math.sign(cannonSpin) * Math.max(Math.abs(cannonSpin), Math.abs(wheel.angularVelocity));
+        }
+        if (!info.isInContact) return wheel.angularVelocity * 0.99;
+        if (info.sliding && wheel.braking) return 0;
+
+        const hit = info.raycastResult.hitPointWorld;
+        const heading = new THREE.Vector3(Math.sin(info.steering), 0, Math.cos(info.steering)).applyQuaternion(this.quaternion);
+        return this.getVelocityAtPoint(hit).dot(heading) / info.radius;
+    }
+
+    getVelocity(target = new THREE.Vector3()) {
+        const v = this.chassisBody.velocity;
+        return target.set(v.x, v.y, v.z);
+    }
+
+    getAngularVelocity(target = new THREE.Vector3()) {
+        const w = this.chassisBody.angularVelocity;
+        return target.set(w.x, w.y, w.z);
+    }
+
+    getVelocityAtPoint(point, target = new THREE.Vector3()) {
+        const result = new CANNON.Vec3();
+        this.chassisBody.getVelocityAtWorldPoint(new CANNON.Vec3(point.x, point.y, point.z), result);
+        return target.set(result.x, result.y, result.z);
+    }
+
+    // Wheel spin in rad/s, positive rolling forward
+    getWheelSpeeds() {
+        return this.state.wheels.map(wheel => wheel.angularVelocity);
+    }
+
+    getWheelStates() {
+        return this.raycastVehicle.wheelInfos.map((info, i) => {
+            const wheel = this.state.wheels[i];
+            const hit = info.raycastResult.hitPointWorld;
+            return {
+                index: i,
+                radius: info.radius,
+                steeringAngle: info.steering,
+                angularVelocity: wheel.angularVelocity,
+                slipRatio: wheel.slipRatio,
+                pressure: wheel.pressure,
+                contactPatch: this.getContactPatch(i),
+                debeaded: wheel.debeaded,
+                load: wheel.load,
+                inContact: wheel.inContact,
+                contactPoint: wheel.inContact ? new THREE.Vector3(hit.x, hit.y, hit.z) : null,
+                suspensionLength: info.suspensionLength
+            };
+        });
+    }
+
+    // Leans with its axle, so a flexed axle shows both wheels tilted the same way
+    getWheelTransform(index) {
+        this.raycastVehicle.wheelInfos[index].rotation = -this.state.wheels[index].rotation;
+        this.raycastVehicle.updateWheelTransform(index);
+        const transform = this.raycastVehicle.wheelInfos[index].worldTransform;
+
+        const axle = this.axles.find(({ wheels }) => wheels.includes(index));
+        const lean = new CANNON.Quaternion().setFromAxisAngle(new CANNON.Vec3(0, 0, 1), axle.state.articulation);
+        const chassis = this.chassisBody.quaternion;
+        chassis.mult(lean).mult(chassis.inverse()).mult(transform.quaternion, transform.quaternion);
+        return transform;
+    }
+
+    // Per axle: articulation in radians (+ with the left wheel tucked up), roll steer
+    // in radians and wheel travel in metres from the unloaded springs, + compressed
+    getAxleStates() {
+        const { restLength } = this.settings.suspension;
+        return this.axles.map(axle => ({
+            name: axle.name,
+            articulation: axle.state.articulation,
+            steer: axle.state.steer,
+            travel: axle.getTravel(restLength)
+        }));
+    }
+
+    getEngineLoad() {
+        return this.state.controls.throttle;
+    }
+
+    getState() {
+        const { engine } = this.state;
+        return {
+            position: this.position.clone(),
+            quaternion: this.quaternion.clone(),
+            speed: this.state.speed,
+            throttle: this.state.controls.throttle,
+            brake: this.state.controls.brake,
+            steering: this.state.controls.steering,
+            rpm: engine.rpm,
+            gear: engine.gear,
+            transferCase: engine.transferCase,
+            swayBarDisconnected: this.state.swayBarDisconnected,
+            suspensionCompression: this.raycastVehicle.wheelInfos.map(info =>
+                1 - (info.suspensionLength ?? info.suspensionRestLength) / info.suspensionRestLength
+            ),
+            axles: this.getAxleStates(),
+            wheels: this.getWheelStates()
+        };
+    }
+
+    // Chassis centre above level ground with the springs unloaded
+    getRideHeight() {
+        const { wheels, suspension } = this.settings;
+        return suspension.restLength + wheels.radius;
+    }
+
+    reset(position = this.settings.chassis.startPosition) {
+        const body = this.chassisBody;
+        body.position.set(position.x, position.y, position.z);
+        body.quaternion.set(0, 0, 0, 1);
+        body.velocity.set(0, 0, 0);
+        body.angularVelocity.set(0, 0, 0);
+        this.readBack(0);
+    }
+
+    dispose() {
+        this.world.removeEventListener('postStep', this.onPostStep);
+        this.chassisBody.removeEventListener('collide', this.onCollide);
+        this.raycastVehicle.removeFromWorld(this.world);
+        this.removeAllListeners();
+    }
+}
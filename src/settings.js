@@ -29,6 +29,10 @@ export class SettingsManager {
                     right: 'KeyD',
                     brake: 'Space',
                     winch: 'KeyE',
+                    rangeUp: 'KeyR',
+                    rangeDown: 'KeyF',
+                    lockers: 'KeyL',
+                    swayBar: 'KeyB',
                     camera1: 'Digit1',
                     camera2: 'Digit2',
                     camera3: 'Digit3',
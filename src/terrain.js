@@ -1,70 +1,586 @@
 import * as THREE from 'three';
 import { createNoise2D } from 'simplex-noise';
 import * as CANNON from 'cannon-es';
+import { createRandom, deriveSeed, generateSeed } from './utils.js';
+import { TerrainQuerySystem } from './terrain/terrainQuery.js';
+import {
+    encodePNG16,
+    decodePNG16,
+    encodeRawFloat32,
+    decodeRawFloat32,
+    encodeAsciiGrid,
+    decodeAsciiGrid
+} from './terrain/heightmapIO.js';
+import { decodeHGT, decodeGeoAsciiGrid, getMetresPerDegree, resampleDEM } from './terrain/demImport.js';
 
 export class TerrainSystem {
-    constructor(scene, world) {
+    constructor(scene, world, options = {}) {
         this.scene = scene;
         this.world = world;
-        this.noise2D = createNoise2D();
+        this.renderer = options.renderer ?? null;
+        this.camera = options.camera ?? null;
+        this.listeners = new Map();
+
+        this.settings = {
+            size: 100,        // World units across the terrain
+            resolution: 129,  // Height samples per side
+            noiseScale: 25,   // World units per noise unit
+            heightScale: 1.0, // Vertical units per stored height unit
+            moistureScale: 80, // World units per moisture noise unit
+            edgeBlend: 30,     // World units past the grid edge for imported or edited heights to fade into the noise
+            syncInterval: 0.1, // Seconds between pushes of edited heights to mesh and physics
+            // Ground tint per materialField index, in TerrainQuerySystem.settings.surfaceTypes order; 0 is unpainted
+            surfaceColors: [0x3b7d4e, 0x8a6a48, 0x4d3a29, 0xc8b27e, 0x7f7b75, 0x5a9a45]
+        };
+
+        // Grid rectangle edited since the last sync, null when clean
+        this.dirtyRegion = null;
+        this.syncTimer = 0;
+
+        // World seed drives height noise and every scatter/erosion pass
+        this.seed = options.seed ?? generateSeed();
+        this.noise2D = createNoise2D(this.createRandom('height'));
+        this.moistureNoise2D = createNoise2D(this.createRandom('moisture'));
+
+        // Set by TerrainOptimizationSystem while it streams chunks
+        this.streaming = null;
+
+        // Set by importDEM: the lat/lon at world (0, 0)
+        this.geoOrigin = null;
+
         this.init();
+
+        // Shared ground queries for every system that needs to sample the terrain
+        this.query = new TerrainQuerySystem(this);
+    }
+
+    // Seeded random stream for a named subsystem (decoration, vegetation, erosion...)
+    createRandom(label) {
+        return createRandom(deriveSeed(this.seed, label));
+    }
+
+    // Reseed the height and moisture noise, e.g. for a level saved from another world
+    setSeed(seed) {
+        this.seed = seed;
+        this.noise2D = createNoise2D(this.createRandom('height'));
+        this.moistureNoise2D = createNoise2D(this.createRandom('moisture'));
     }
 
     init() {
+        this.generateHeightField();
+        this.buildMesh();
+        this.buildPhysics();
+    }
+
+    generateHeightField() {
+        const { size, resolution, noiseScale } = this.settings;
+        const cellSize = this.getCellSize();
+        const halfSize = size / 2;
+
+        // Row-major, row 0 at the -z edge, column 0 at the -x edge
+        this.heightField = new Float32Array(resolution * resolution);
+        this.materialField = new Uint8Array(resolution * resolution);
+
+        for (let row = 0; row < resolution; row++) {
+            for (let col = 0; col < resolution; col++) {
+                const x = (col * cellSize - halfSize) / noiseScale;
+                const z = (row * cellSize - halfSize) / noiseScale;
+                this.heightField[row * resolution + col] = this.generateHeight(x, z);
+            }
+        }
+    }
+
+    buildMesh() {
+        const { size, resolution } = this.settings;
+
+        if (this.terrain) {
+            this.scene.remove(this.terrain);
+            this.terrain.geometry.dispose();
+        }
+
         // Create terrain geometry
-        const geometry = new THREE.PlaneGeometry(100, 100, 128, 128);
-        
-        // Generate height data
-        const vertices = geometry.attributes.position.array;
-        const heightData = [];
-        
-        for (let i = 0; i < vertices.length; i += 3) {
-            const x = vertices[i] / 25;
-            const z = vertices[i + 2] / 25;
-            const height = this.generateHeight(x, z);
-            vertices[i + 1] = height;
-            heightData.push(height);
-        }
-        
-        geometry.computeVertexNormals();
-
-        // Create material
-        const material = new THREE.MeshStandardMaterial({
-            color: 0x3b7d4e,
-            roughness: 0.8,
-            metalness: 0.2,
-        });
+        const geometry = new THREE.PlaneGeometry(size, size, resolution - 1, resolution - 1);
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(resolution * resolution * 3), 3));
+
+        // Create material; the colour comes from the painted surface under each vertex
+        if (!this.material) {
+            this.material = new THREE.MeshStandardMaterial({
+                vertexColors: true,
+                roughness: 0.8,
+                metalness: 0.2,
+            });
+        }
 
         // Create mesh
-        this.terrain = new THREE.Mesh(geometry, material);
+        this.terrain = new THREE.Mesh(geometry, this.material);
         this.terrain.rotation.x = -Math.PI / 2;
         this.terrain.receiveShadow = true;
-        
+
+        this.updateGeometry();
         this.scene.add(this.terrain);
+    }
+
+    updateGeometry() {
+        const { resolution } = this.settings;
+        this.updateGeometryRegion(0, 0, resolution - 1, resolution - 1);
+        this.terrain.geometry.computeBoundingSphere();
+
+        this.notifyListeners('heightsChanged', this.getBounds());
+    }
+
+    updateGeometryRegion(minCol, minRow, maxCol, maxRow) {
+        const attribute = this.terrain.geometry.attributes.position;
+        const normals = this.terrain.geometry.attributes.normal;
+        const colors = this.terrain.geometry.attributes.color;
+        const vertices = attribute.array;
+        const color = new THREE.Color();
+        const { resolution, heightScale } = this.settings;
+        const cellSize = this.getCellSize();
+        const fullUpdate = minCol === 0 && minRow === 0 &&
+            maxCol === resolution - 1 && maxRow === resolution - 1;
+
+        // Plane vertices run in the same row order as the height field once rotated flat
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const i = row * resolution + col;
+                vertices[i * 3 + 2] = this.heightField[i] * heightScale;
+                this.getSurfaceColor(this.materialField[i], color).toArray(colors.array, i * 3);
+            }
+            if (!fullUpdate) {
+                attribute.addUpdateRange((row * resolution + minCol) * 3, (maxCol - minCol + 1) * 3);
+                colors.addUpdateRange((row * resolution + minCol) * 3, (maxCol - minCol + 1) * 3);
+            }
+        }
+
+        // Normals one cell past the edit so shading blends into untouched ground
+        const nMinCol = Math.max(0, minCol - 1);
+        const nMaxCol = Math.min(resolution - 1, maxCol + 1);
+        const nMinRow = Math.max(0, minRow - 1);
+        const nMaxRow = Math.min(resolution - 1, maxRow + 1);
+
+        for (let row = nMinRow; row <= nMaxRow; row++) {
+            for (let col = nMinCol; col <= nMaxCol; col++) {
+                const i = row * resolution + col;
+                const left = this.getHeight(col - 1, row);
+                const right = this.getHeight(col + 1, row);
+                const up = this.getHeight(col, row - 1);
+                const down = this.getHeight(col, row + 1);
+
+                // World normal (left - right, 2 * cell, up - down) expressed in plane space
+                const nx = left - right;
+                const ny = down - up;
+                const nz = 2 * cellSize;
+                const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+
+                normals.array[i * 3] = nx / length;
+                normals.array[i * 3 + 1] = ny / length;
+                normals.array[i * 3 + 2] = nz / length;
+            }
+            if (!fullUpdate) {
+                normals.addUpdateRange((row * resolution + nMinCol) * 3, (nMaxCol - nMinCol + 1) * 3);
+            }
+        }
+
+        attribute.needsUpdate = true;
+        normals.needsUpdate = true;
+        colors.needsUpdate = true;
+    }
 
-        // Add physics
-        const groundShape = new CANNON.Heightfield(heightData, {
-            elementSize: 100 / 128
+    getSurfaceColor(materialIndex, target = new THREE.Color()) {
+        const { surfaceColors } = this.settings;
+        return target.setHex(surfaceColors[materialIndex] ?? surfaceColors[0]);
+    }
+
+    // Painted ground colour at a world position, for meshes that don't share the base grid
+    getGroundColor(x, z, target = new THREE.Color()) {
+        return this.getSurfaceColor(this.query.getMaterialIndex(x, z), target);
+    }
+
+    buildPhysics() {
+        const { size } = this.settings;
+
+        if (this.groundBody) {
+            this.world.removeBody(this.groundBody);
+        }
+
+        this.groundShape = new CANNON.Heightfield(this.getPhysicsData(), {
+            elementSize: this.getCellSize()
+        });
+
+        // Heightfields extend along local +x/+y, so lay it flat with +y pointing to -z
+        this.groundBody = new CANNON.Body({ mass: 0 });
+        this.groundBody.addShape(this.groundShape);
+        this.groundBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+        this.groundBody.position.set(-size / 2, 0, size / 2);
+        this.world.addBody(this.groundBody);
+    }
+
+    getPhysicsData() {
+        const { resolution, heightScale } = this.settings;
+        const data = [];
+
+        for (let col = 0; col < resolution; col++) {
+            const column = [];
+            for (let j = 0; j < resolution; j++) {
+                const row = resolution - 1 - j;
+                column.push(this.heightField[row * resolution + col] * heightScale);
+            }
+            data.push(column);
+        }
+
+        return data;
+    }
+
+    updatePhysics() {
+        const { resolution } = this.settings;
+        this.updatePhysicsRegion(0, 0, resolution - 1, resolution - 1);
+    }
+
+    updatePhysicsRegion(minCol, minRow, maxCol, maxRow) {
+        if (!this.groundShape) return;
+
+        const { resolution, heightScale } = this.settings;
+        const data = this.groundShape.data;
+
+        for (let col = minCol; col <= maxCol; col++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                data[col][resolution - 1 - row] = this.heightField[row * resolution + col] * heightScale;
+            }
+        }
+
+        this.groundShape.updateMinValue();
+        this.groundShape.updateMaxValue();
+        this.groundShape.updateBoundingSphereRadius();
+        this.groundShape.update();
+        this.groundBody.updateBoundingRadius();
+        this.groundBody.aabbNeedsUpdate = true;
+    }
+
+    // Flag grid cells as edited; mesh and physics catch up on the next sync
+    markDirty(minCol = 0, minRow = 0, maxCol = Infinity, maxRow = Infinity) {
+        const { resolution } = this.settings;
+        const region = {
+            minCol: Math.max(0, Math.floor(minCol)),
+            minRow: Math.max(0, Math.floor(minRow)),
+            maxCol: Math.min(resolution - 1, Math.ceil(maxCol)),
+            maxRow: Math.min(resolution - 1, Math.ceil(maxRow))
+        };
+        if (region.minCol > region.maxCol || region.minRow > region.maxRow) return;
+
+        if (!this.dirtyRegion) {
+            this.dirtyRegion = region;
+            return;
+        }
+
+        this.dirtyRegion.minCol = Math.min(this.dirtyRegion.minCol, region.minCol);
+        this.dirtyRegion.minRow = Math.min(this.dirtyRegion.minRow, region.minRow);
+        this.dirtyRegion.maxCol = Math.max(this.dirtyRegion.maxCol, region.maxCol);
+        this.dirtyRegion.maxRow = Math.max(this.dirtyRegion.maxRow, region.maxRow);
+    }
+
+    syncDirtyRegion() {
+        if (!this.dirtyRegion) return;
+
+        const { minCol, minRow, maxCol, maxRow } = this.dirtyRegion;
+        this.dirtyRegion = null;
+        this.syncTimer = 0;
+
+        this.updateGeometryRegion(minCol, minRow, maxCol, maxRow);
+        this.updatePhysicsRegion(minCol, minRow, maxCol, maxRow);
+
+        const { size } = this.settings;
+        const cellSize = this.getCellSize();
+        this.notifyListeners('heightsChanged', {
+            minX: minCol * cellSize - size / 2,
+            minZ: minRow * cellSize - size / 2,
+            maxX: maxCol * cellSize - size / 2,
+            maxZ: maxRow * cellSize - size / 2
         });
-        
-        const groundBody = new CANNON.Body({ mass: 0 });
-        groundBody.addShape(groundShape);
-        groundBody.position.set(0, -1, 0);
-        this.world.addBody(groundBody);
+    }
+
+    // Raise (positive) or dig (negative) the ground with a gaussian brush
+    adjustHeight(x, z, radius, amount) {
+        const { size, resolution, heightScale } = this.settings;
+        const cellSize = this.getCellSize();
+        const centerCol = (x + size / 2) / cellSize;
+        const centerRow = (z + size / 2) / cellSize;
+        const cellRadius = radius / cellSize;
+
+        const minCol = Math.max(0, Math.floor(centerCol - cellRadius));
+        const maxCol = Math.min(resolution - 1, Math.ceil(centerCol + cellRadius));
+        const minRow = Math.max(0, Math.floor(centerRow - cellRadius));
+        const maxRow = Math.min(resolution - 1, Math.ceil(centerRow + cellRadius));
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const distance = Math.hypot(col - centerCol, row - centerRow) / cellRadius;
+                if (distance > 1) continue;
+
+                const influence = Math.exp(-distance * distance * 4);
+                this.heightField[row * resolution + col] += amount * influence / heightScale;
+            }
+        }
+        this.markDirty(minCol, minRow, maxCol, maxRow);
+
+        // Ground past the base grid lives in streamed chunks
+        this.streaming?.adjustHeight(x, z, radius, amount);
+    }
+
+    // Streamed chunks take over rendering and collision, the base grid stays as edit source
+    setBaseSurfaceEnabled(enabled) {
+        this.terrain.visible = enabled;
+
+        const inWorld = this.world.bodies.includes(this.groundBody);
+        if (enabled && !inWorld) {
+            this.world.addBody(this.groundBody);
+        } else if (!enabled && inWorld) {
+            this.world.removeBody(this.groundBody);
+        }
+    }
+
+    getBounds() {
+        const halfSize = this.settings.size / 2;
+        return { minX: -halfSize, minZ: -halfSize, maxX: halfSize, maxZ: halfSize };
+    }
+
+    getCellSize() {
+        return this.settings.size / (this.settings.resolution - 1);
+    }
+
+    // Height at a grid sample, clamped to the terrain edge
+    getHeight(col, row) {
+        const { resolution, heightScale } = this.settings;
+        const x = Math.max(0, Math.min(resolution - 1, col));
+        const z = Math.max(0, Math.min(resolution - 1, row));
+        return this.heightField[z * resolution + x] * heightScale;
+    }
+
+    // Height at any world position: the base grid where it exists, seeded noise beyond it
+    sampleWorldHeight(x, z) {
+        const { size, resolution, noiseScale, heightScale, edgeBlend } = this.settings;
+        const cellSize = this.getCellSize();
+        const col = (x + size / 2) / cellSize;
+        const row = (z + size / 2) / cellSize;
+
+        if (col >= 0 && row >= 0 && col <= resolution - 1 && row <= resolution - 1) {
+            return this.sampleGridHeight(col, row);
+        }
+
+        // Carry the grid edge's difference from the noise out past the edge and fade it,
+        // so an imported heightmap doesn't end in a cliff. Generated grids match the noise.
+        const height = this.generateHeight(x / noiseScale, z / noiseScale) * heightScale;
+        const edgeCol = THREE.MathUtils.clamp(col, 0, resolution - 1);
+        const edgeRow = THREE.MathUtils.clamp(row, 0, resolution - 1);
+        const distance = Math.hypot(col - edgeCol, row - edgeRow) * cellSize;
+        if (distance >= edgeBlend) return height;
+
+        const edgeX = edgeCol * cellSize - size / 2;
+        const edgeZ = edgeRow * cellSize - size / 2;
+        const offset = this.sampleGridHeight(edgeCol, edgeRow) -
+            this.generateHeight(edgeX / noiseScale, edgeZ / noiseScale) * heightScale;
+        return height + offset * (1 - THREE.MathUtils.smoothstep(distance, 0, edgeBlend));
+    }
+
+    // Bilinear height between grid samples, at fractional column and row
+    sampleGridHeight(col, row) {
+        const { resolution } = this.settings;
+        const col0 = Math.min(Math.floor(col), resolution - 2);
+        const row0 = Math.min(Math.floor(row), resolution - 2);
+        const fx = col - col0;
+        const fz = row - row0;
+
+        const h00 = this.getHeight(col0, row0);
+        const h10 = this.getHeight(col0 + 1, row0);
+        const h01 = this.getHeight(col0, row0 + 1);
+        const h11 = this.getHeight(col0 + 1, row0 + 1);
+
+        return (h00 * (1 - fx) + h10 * fx) * (1 - fz) + (h01 * (1 - fx) + h11 * fx) * fz;
+    }
+
+    // Base soil moisture from 0 to 1: a seeded field that collects in low ground
+    sampleMoisture(x, z) {
+        const { moistureScale } = this.settings;
+        const field = this.moistureNoise2D(x / moistureScale, z / moistureScale) * 0.5 + 0.5;
+        const lowGround = THREE.MathUtils.clamp(-this.sampleWorldHeight(x, z) / 8, 0, 1);
+        return THREE.MathUtils.clamp(field * 0.7 + lowGround * 0.3, 0, 1);
     }
 
     generateHeight(x, z) {
         let height = 0;
-        
+
         // Layer multiple noise frequencies
         height += this.noise2D(x * 1.0, z * 1.0) * 5.0;
         height += this.noise2D(x * 2.0, z * 2.0) * 2.5;
         height += this.noise2D(x * 4.0, z * 4.0) * 1.25;
-        
+
         return height;
     }
 
-    update() {
-        // Add any terrain update logic here
+    // Replace the whole height grid and rebuild mesh and physics around it
+    setHeightField(heights, options = {}) {
+        const resolution = options.resolution ?? Math.round(Math.sqrt(heights.length));
+        if (resolution * resolution !== heights.length) {
+            throw new Error(`Height grid must be square, got ${heights.length} samples`);
+        }
+
+        const cellSize = options.cellSize ?? this.getCellSize();
+        this.settings.resolution = resolution;
+        this.settings.size = cellSize * (resolution - 1);
+        this.settings.heightScale = options.heightScale ?? 1.0;
+
+        this.heightField = Float32Array.from(heights);
+        if (options.materials) {
+            this.materialField = Uint8Array.from(options.materials);
+        } else if (!this.materialField || this.materialField.length !== heights.length) {
+            this.materialField = new Uint8Array(heights.length);
+        }
+
+        this.buildMesh();
+        this.buildPhysics();
+    }
+
+    getHeightmap() {
+        const { resolution, heightScale } = this.settings;
+        const heights = new Float32Array(this.heightField.length);
+        for (let i = 0; i < heights.length; i++) {
+            heights[i] = this.heightField[i] * heightScale;
+        }
+
+        return {
+            width: resolution,
+            height: resolution,
+            cellSize: this.getCellSize(),
+            heightScale,
+            heights
+        };
+    }
+
+    // format: 'png16' | 'raw32' | 'ascii'
+    async exportHeightmap(format) {
+        const heightmap = this.getHeightmap();
+
+        switch (format) {
+            case 'png16':
+                return encodePNG16(heightmap);
+            case 'raw32':
+                return encodeRawFloat32(heightmap);
+            case 'ascii':
+                return encodeAsciiGrid(heightmap);
+            default:
+                throw new Error(`Unknown heightmap format '${format}'`);
+        }
+    }
+
+    async importHeightmap(data, format, options = {}) {
+        let heightmap;
+
+        switch (format) {
+            case 'png16':
+                heightmap = await decodePNG16(data, options);
+                break;
+            case 'raw32':
+                heightmap = decodeRawFloat32(data, options);
+                break;
+            case 'ascii':
+                heightmap = decodeAsciiGrid(data, options);
+                break;
+            default:
+                throw new Error(`Unknown heightmap format '${format}'`);
+        }
+
+        if (heightmap.width !== heightmap.height) {
+            throw new Error(`Heightmap must be square, got ${heightmap.width}x${heightmap.height}`);
+        }
+
+        // Decoded heights are already in world units
+        this.setHeightField(heightmap.heights, {
+            resolution: heightmap.width,
+            cellSize: heightmap.cellSize
+        });
+
+        return heightmap;
+    }
+
+    // Real terrain from SRTM .hgt tiles or geographic ASCII grids, given as { name, data }.
+    // options: bounds { south, west, north, east } in degrees, origin { lat, lon } at world
+    // (0, 0), resolution, baseElevation (metres at y = 0) and verticalScale.
+    async importDEM(files, options = {}) {
+        const rasters = files.map(({ name, data }) => {
+            if (/\.hgt$/i.test(name)) {
+                return decodeHGT(data, { name });
+            }
+            if (/\.(asc|txt)$/i.test(name)) {
+                return decodeGeoAsciiGrid(data);
+            }
+            throw new Error(`Unknown DEM file type '${name}'`);
+        });
+
+        const heightmap = resampleDEM(rasters, {
+            ...options,
+            resolution: options.resolution ?? this.settings.resolution
+        });
+
+        this.geoOrigin = { ...heightmap.origin, baseElevation: heightmap.baseElevation };
+        if (this.biomes) {
+            this.biomes.settings.latitude.origin = heightmap.origin.lat;
+        }
+
+        this.setHeightField(heightmap.heights, {
+            resolution: heightmap.width,
+            cellSize: heightmap.cellSize
+        });
+
+        return heightmap;
+    }
+
+    // Lat/lon of a world position on imported DEM terrain, or null for generated terrain
+    worldToGeo(x, z) {
+        if (!this.geoOrigin) return null;
+
+        const metres = getMetresPerDegree(this.geoOrigin.lat);
+        return {
+            lat: this.geoOrigin.lat - z / metres.lat,
+            lon: this.geoOrigin.lon + x / metres.lon
+        };
+    }
+
+    geoToWorld(lat, lon) {
+        if (!this.geoOrigin) return null;
+
+        const metres = getMetresPerDegree(this.geoOrigin.lat);
+        return {
+            x: (lon - this.geoOrigin.lon) * metres.lon,
+            z: (this.geoOrigin.lat - lat) * metres.lat
+        };
+    }
+
+    addListener(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+    }
+
+    removeListener(event, callback) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).delete(callback);
+        }
+    }
+
+    notifyListeners(event, data) {
+        if (this.listeners.has(event)) {
+            this.listeners.get(event).forEach(callback => callback(data));
+        }
+    }
+
+    update(deltaTime = 0) {
+        this.syncTimer += deltaTime;
+        this.streaming?.updateDirtyChunks(deltaTime);
+
+        if (this.dirtyRegion && this.syncTimer >= this.settings.syncInterval) {
+            this.syncDirtyRegion();
+        }
+
+        this.notifyListeners('update', deltaTime);
     }
 }
@@ -0,0 +1,231 @@
+import { decodeAsciiGrid } from './heightmapIO.js';
+
+// Real-world elevation data for TerrainSystem. SRTM .hgt tiles and geographic
+// ASCII grids decode to DEM rasters, and resampleDEM projects a lat/lon bounding
+// box onto a square game grid at true scale.
+// A DEM raster is { width, height, west, north, cellWidth, cellHeight, heights }
+// with positions in degrees, heights in metres and row 0 at the north edge. west
+// and north are the position of the first sample, not the edge of its cell.
+
+const METRES_PER_DEGREE = 111320;
+const HGT_VOID = -32768;
+
+// SRTM tiles are named after their south-west corner, e.g. N35W083.hgt
+export function parseTileName(name) {
+    const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(name);
+    if (!match) return null;
+
+    return {
+        lat: parseInt(match[2], 10) * (match[1].toUpperCase() === 'S' ? -1 : 1),
+        lon: parseInt(match[4], 10) * (match[3].toUpperCase() === 'W' ? -1 : 1)
+    };
+}
+
+// Big-endian signed 16-bit metres on a one-degree tile, 1201 (3") or 3601 (1") samples a side
+export function decodeHGT(data, options = {}) {
+    const bytes = toBytes(data);
+    const size = Math.round(Math.sqrt(bytes.byteLength / 2));
+    if (size * size * 2 !== bytes.byteLength) {
+        throw new Error(`HGT tile must be square, got ${bytes.byteLength} bytes`);
+    }
+
+    const corner = options.lat !== undefined && options.lon !== undefined
+        ? { lat: options.lat, lon: options.lon }
+        : parseTileName(options.name ?? '');
+    if (!corner) {
+        throw new Error(`Can't tell where HGT tile '${options.name ?? ''}' is; pass its lat and lon`);
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const heights = new Float32Array(size * size);
+    for (let i = 0; i < heights.length; i++) {
+        const value = view.getInt16(i * 2, false);
+        heights[i] = value === HGT_VOID ? NaN : value;
+    }
+    fillVoids(heights, size, size);
+
+    // Edge samples sit on the whole-degree lines and repeat in the next tile
+    const spacing = 1 / (size - 1);
+    return {
+        width: size,
+        height: size,
+        west: corner.lon,
+        north: corner.lat + 1,
+        cellWidth: spacing,
+        cellHeight: spacing,
+        heights
+    };
+}
+
+// ESRI/USGS ASCII grid in geographic coordinates, e.g. a USGS 3DEP ArcGrid export
+export function decodeGeoAsciiGrid(text, options = {}) {
+    const grid = decodeAsciiGrid(text, options);
+    const { width, height, cellSize, xllcorner, yllcorner } = grid;
+
+    if (cellSize > 1 || Math.abs(xllcorner) > 180 || Math.abs(yllcorner) > 90) {
+        throw new Error('ASCII grid is not in degrees; export it in geographic coordinates');
+    }
+
+    // Corner-registered grids hold cell averages, so each sample sits mid-cell
+    const offset = grid.cellCentered ? 0 : cellSize / 2;
+    return {
+        width,
+        height,
+        west: xllcorner + offset,
+        north: yllcorner + offset + (height - 1) * cellSize,
+        cellWidth: cellSize,
+        cellHeight: cellSize,
+        heights: grid.heights
+    };
+}
+
+export function getMetresPerDegree(lat) {
+    return {
+        lat: METRES_PER_DEGREE,
+        lon: METRES_PER_DEGREE * Math.cos(lat * Math.PI / 180)
+    };
+}
+
+// Bilinear elevation at a lat/lon from whichever raster covers it, or null
+export function sampleDEM(rasters, lat, lon) {
+    for (const raster of rasters) {
+        const col = (lon - raster.west) / raster.cellWidth;
+        const row = (raster.north - lat) / raster.cellHeight;
+        if (col < 0 || row < 0 || col > raster.width - 1 || row > raster.height - 1) continue;
+
+        const col0 = Math.min(Math.floor(col), raster.width - 2);
+        const row0 = Math.min(Math.floor(row), raster.height - 2);
+        const fx = col - col0;
+        const fz = row - row0;
+        const i = row0 * raster.width + col0;
+        const h = raster.heights;
+
+        return (h[i] * (1 - fx) + h[i + 1] * fx) * (1 - fz) +
+            (h[i + raster.width] * (1 - fx) + h[i + raster.width + 1] * fx) * fz;
+    }
+    return null;
+}
+
+// Project the bounding box onto a square grid centred on the origin. North is -z and
+// a metre on the ground is a metre in the world; the grid grows past the shorter side
+// of the box and clamps to its edge where the rasters run out.
+export function resampleDEM(rasters, options) {
+    const { bounds } = options;
+    if (!bounds || !(bounds.north > bounds.south) || !(bounds.east > bounds.west)) {
+        throw new Error('DEM import needs bounds with north > south and east > west');
+    }
+
+    const origin = options.origin ?? {
+        lat: (bounds.north + bounds.south) / 2,
+        lon: (bounds.east + bounds.west) / 2
+    };
+    const resolution = options.resolution ?? 129;
+    const verticalScale = options.verticalScale ?? 1;
+    const metres = getMetresPerDegree(origin.lat);
+
+    const halfWidth = Math.max(origin.lon - bounds.west, bounds.east - origin.lon) * metres.lon;
+    const halfDepth = Math.max(origin.lat - bounds.south, bounds.north - origin.lat) * metres.lat;
+    const size = Math.max(halfWidth, halfDepth) * 2;
+    const cellSize = size / (resolution - 1);
+
+    const heights = new Float32Array(resolution * resolution);
+    let minHeight = Infinity;
+
+    for (let row = 0; row < resolution; row++) {
+        for (let col = 0; col < resolution; col++) {
+            const lat = origin.lat - (row * cellSize - size / 2) / metres.lat;
+            const lon = origin.lon + (col * cellSize - size / 2) / metres.lon;
+
+            let height = sampleDEM(rasters, lat, lon);
+            if (height === null) {
+                height = sampleDEM(
+                    rasters,
+                    Math.min(Math.max(lat, bounds.south), bounds.north),
+                    Math.min(Math.max(lon, bounds.west), bounds.east)
+                );
+            }
+            if (height === null) {
+                throw new Error(`DEM files don't cover ${lat.toFixed(4)}, ${lon.toFixed(4)}`);
+            }
+
+            heights[row * resolution + col] = height;
+            minHeight = Math.min(minHeight, height);
+        }
+    }
+
+    // Sea level is a long way down in the mountains; drop the lowest point to zero by default
+    const baseElevation = options.baseElevation ?? minHeight;
+    for (let i = 0; i < heights.length; i++) {
+        heights[i] = (heights[i] - baseElevation) * verticalScale;
+    }
+
+    return {
+        width: resolution,
+        height: resolution,
+        cellSize,
+        heightScale: 1,
+        minHeight: (minHeight - baseElevation) * verticalScale,
+        heights,
+        origin: { lat: origin.lat, lon: origin.lon },
+        bounds: { ...bounds },
+        baseElevation,
+        verticalScale
+    };
+}
+
+// Voids become a blend of the straight lines across them along their row and column
+function fillVoids(heights, width, height) {
+    const rowFill = new Float32Array(heights.length).fill(NaN);
+    const colFill = new Float32Array(heights.length).fill(NaN);
+    let voids = 0;
+
+    for (let row = 0; row < height; row++) {
+        voids += fillLine(heights, rowFill, row * width, 1, width);
+    }
+    if (voids === 0) return;
+
+    for (let col = 0; col < width; col++) {
+        fillLine(heights, colFill, col, width, height);
+    }
+
+    for (let i = 0; i < heights.length; i++) {
+        if (!Number.isNaN(heights[i])) continue;
+
+        const a = rowFill[i];
+        const b = colFill[i];
+        if (Number.isNaN(a)) heights[i] = Number.isNaN(b) ? 0 : b;
+        else heights[i] = Number.isNaN(b) ? a : (a + b) / 2;
+    }
+}
+
+function fillLine(heights, target, start, stride, count) {
+    let previous = -1;
+    let voids = 0;
+
+    for (let n = 0; n <= count; n++) {
+        const valid = n < count && !Number.isNaN(heights[start + n * stride]);
+        if (n < count && !valid) {
+            voids++;
+            continue;
+        }
+
+        // Interpolate across the run of voids since the last valid sample
+        if (n - previous > 1 && (previous >= 0 || n < count)) {
+            const from = previous >= 0 ? heights[start + previous * stride] : heights[start + n * stride];
+            const to = n < count ? heights[start + n * stride] : from;
+            for (let k = previous + 1; k < n; k++) {
+                const t = (k - previous) / (n - previous);
+                target[start + k * stride] = previous >= 0 ? from + (to - from) * t : to;
+            }
+        }
+        previous = n;
+    }
+
+    return voids;
+}
+
+function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return new Uint8Array(data);
+}
@@ -0,0 +1,178 @@
+import { createRandom } from '../utils.js';
+
+// Erosion passes over a plain Float32Array height grid. No Three.js here so the
+// same code runs on the main thread in frame slices and inside erosionWorker.js.
+// Each pass is a generator that yields its progress (0-1) between small batches.
+
+const NEIGHBORS = [
+    [1, 0],
+    [0, 1],
+    [-1, 0],
+    [0, -1]
+];
+
+function* hydraulicErosion(heights, resolution, settings, random) {
+    const { droplets, iterations, minSlope, capacity, deposition, erosion, evaporation, radius } = settings;
+    const batchSize = 250;
+
+    for (let d = 0; d < droplets; d++) {
+        // Initialize water droplet
+        let posX = random() * (resolution - 1);
+        let posY = random() * (resolution - 1);
+        let dirX = 0;
+        let dirY = 0;
+        let speed = 1;
+        let water = 1;
+        let sediment = 0;
+
+        for (let i = 0; i < iterations; i++) {
+            const x = Math.floor(posX);
+            const y = Math.floor(posY);
+
+            if (x < 1 || x >= resolution - 1 || y < 1 || y >= resolution - 1) break;
+
+            // Water runs downhill, keeping a little of its previous direction
+            const idx = y * resolution + x;
+            const gradX = (heights[idx + 1] - heights[idx - 1]) * 0.5;
+            const gradY = (heights[idx + resolution] - heights[idx - resolution]) * 0.5;
+            dirX = dirX * 0.1 - gradX * 0.9;
+            dirY = dirY * 0.1 - gradY * 0.9;
+
+            const slope = Math.sqrt(dirX * dirX + dirY * dirY);
+            if (slope < minSlope) break;
+
+            dirX /= slope;
+            dirY /= slope;
+            posX += dirX;
+            posY += dirY;
+
+            const nextX = Math.floor(posX);
+            const nextY = Math.floor(posY);
+            if (nextX < 0 || nextX >= resolution || nextY < 0 || nextY >= resolution) break;
+
+            // Height lost by moving; negative when the droplet climbs out of a pit
+            const drop = heights[idx] - heights[nextY * resolution + nextX];
+
+            // Calculate sediment capacity and update erosion/deposition
+            const maxSediment = Math.max(slope * speed * water * capacity, minSlope);
+
+            if (drop < 0 || sediment > maxSediment) {
+                // Fill the pit it is climbing out of, or drop what it can't carry
+                const depositAmount = drop < 0
+                    ? Math.min(sediment, -drop)
+                    : (sediment - maxSediment) * deposition;
+                sediment -= depositAmount;
+                applyBrush(heights, resolution, x, y, depositAmount, radius);
+            } else {
+                // Never dig deeper than the drop, or the droplet digs its own hole
+                const erodeAmount = Math.min((maxSediment - sediment) * erosion, drop);
+                sediment += erodeAmount;
+                applyBrush(heights, resolution, x, y, -erodeAmount, radius);
+            }
+
+            // Update water and speed
+            water *= (1 - evaporation);
+            if (water < 0.01) break;
+
+            speed = Math.sqrt(Math.max(0, speed * speed + drop));
+        }
+
+        if ((d + 1) % batchSize === 0) {
+            yield (d + 1) / droplets;
+        }
+    }
+
+    yield 1;
+}
+
+function* thermalErosion(heights, resolution, settings) {
+    const { iterations, talus, rate } = settings;
+    const maxAngle = Math.tan(talus * Math.PI / 180);
+    const changes = new Float32Array(resolution * resolution);
+
+    for (let iter = 0; iter < iterations; iter++) {
+        changes.fill(0);
+
+        for (let y = 0; y < resolution; y++) {
+            for (let x = 0; x < resolution; x++) {
+                const idx = y * resolution + x;
+                const height = heights[idx];
+
+                for (const [dx, dy] of NEIGHBORS) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= resolution || ny < 0 || ny >= resolution) continue;
+
+                    const nIdx = ny * resolution + nx;
+                    const slope = height - heights[nIdx];
+
+                    // Material slides off anything steeper than the talus angle,
+                    // split across the four neighbours so a cell can't overshoot
+                    if (slope > maxAngle) {
+                        const delta = (slope - maxAngle) * rate * 0.25;
+                        changes[idx] -= delta;
+                        changes[nIdx] += delta;
+                    }
+                }
+            }
+        }
+
+        for (let i = 0; i < heights.length; i++) {
+            heights[i] += changes[i];
+        }
+
+        yield (iter + 1) / iterations;
+    }
+}
+
+function applyBrush(heights, resolution, x, y, amount, radius) {
+    // Normalise so the brush moves exactly `amount` of material in total
+    let weightSum = 0;
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist <= radius) weightSum += 1 - dist / (radius + 1);
+        }
+    }
+
+    for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || nx >= resolution || ny < 0 || ny >= resolution) continue;
+
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist > radius) continue;
+
+            heights[ny * resolution + nx] += amount * (1 - dist / (radius + 1)) / weightSum;
+        }
+    }
+}
+
+const PASSES = {
+    hydraulic: hydraulicErosion,
+    thermal: thermalErosion
+};
+
+// Run the named passes in order, yielding overall progress. Same input, settings
+// and seed always give the same heights.
+export function* erodeHeightField(heights, resolution, passes, settings, seed) {
+    const random = createRandom(seed);
+
+    for (let p = 0; p < passes.length; p++) {
+        const pass = PASSES[passes[p]];
+        if (!pass) {
+            throw new Error(`Unknown erosion pass '${passes[p]}'`);
+        }
+
+        for (const progress of pass(heights, resolution, settings[passes[p]], random)) {
+            yield (p + progress) / passes.length;
+        }
+    }
+}
+
+export function erodeHeightFieldSync(heights, resolution, passes, settings, seed) {
+    const job = erodeHeightField(heights, resolution, passes, settings, seed);
+    while (!job.next().done);
+    return heights;
+}
@@ -0,0 +1,20 @@
+import { erodeHeightField } from './erosionKernels.js';
+
+// Runs an erosion job off the main thread. Cancelling is done by terminating the worker.
+self.onmessage = (event) => {
+    const { heights, resolution, passes, settings, seed } = event.data;
+    let lastReported = 0;
+
+    try {
+        for (const progress of erodeHeightField(heights, resolution, passes, settings, seed)) {
+            if (progress - lastReported >= 0.01 || progress === 1) {
+                lastReported = progress;
+                self.postMessage({ type: 'progress', progress });
+            }
+        }
+
+        self.postMessage({ type: 'complete', heights }, [heights.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
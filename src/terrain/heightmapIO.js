@@ -0,0 +1,372 @@
+// Heightmap codecs for TerrainSystem height grids.
+// A heightmap is { width, height, cellSize, heightScale, minHeight, heights: Float32Array }
+// with heights stored row-major, row 0 at the north (-z) edge of the terrain.
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const RAW_MAGIC = 'OJHM';
+const RAW_HEADER_SIZE = 24;
+
+let crcTable = null;
+
+function getCrcTable() {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    return crcTable;
+}
+
+function crc32(bytes) {
+    const table = getCrcTable();
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+async function transformBytes(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+function deflate(bytes) {
+    return transformBytes(bytes, new CompressionStream('deflate'));
+}
+
+function inflate(bytes) {
+    return transformBytes(bytes, new DecompressionStream('deflate'));
+}
+
+function toBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    return new Uint8Array(data);
+}
+
+function getHeightRange(heights) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < heights.length; i++) {
+        min = Math.min(min, heights[i]);
+        max = Math.max(max, heights[i]);
+    }
+    return { min, max };
+}
+
+function createChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+function createTextChunk(keyword, value) {
+    const text = `${keyword}\0${value}`;
+    const data = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        data[i] = text.charCodeAt(i) & 0xFF;
+    }
+    return createChunk('tEXt', data);
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+function unfilterScanlines(data, width, height, bytesPerPixel) {
+    const stride = width * bytesPerPixel;
+    const pixels = new Uint8Array(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = data[y * (stride + 1)];
+        const source = y * (stride + 1) + 1;
+        const row = y * stride;
+        const previous = row - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const raw = data[source + x];
+            const left = x >= bytesPerPixel ? pixels[row + x - bytesPerPixel] : 0;
+            const up = y > 0 ? pixels[previous + x] : 0;
+            const upLeft = y > 0 && x >= bytesPerPixel ? pixels[previous + x - bytesPerPixel] : 0;
+
+            let value;
+            switch (filter) {
+                case 0: value = raw; break;
+                case 1: value = raw + left; break;
+                case 2: value = raw + up; break;
+                case 3: value = raw + ((left + up) >> 1); break;
+                case 4: value = raw + paeth(left, up, upLeft); break;
+                default:
+                    throw new Error(`Unsupported PNG filter type ${filter}`);
+            }
+            pixels[row + x] = value & 0xFF;
+        }
+    }
+
+    return pixels;
+}
+
+// 16-bit grayscale PNG. Cell size, vertical scale and base height are kept in tEXt chunks.
+export async function encodePNG16(heightmap) {
+    const { width, height, heights, cellSize } = heightmap;
+    const range = getHeightRange(heights);
+    const minHeight = range.min;
+    const heightScale = range.max > range.min ? (range.max - range.min) / 65535 : 1;
+
+    const stride = width * 2 + 1;
+    const scanlines = new Uint8Array(stride * height);
+    for (let y = 0; y < height; y++) {
+        scanlines[y * stride] = 0;
+        for (let x = 0; x < width; x++) {
+            const value = Math.round((heights[y * width + x] - minHeight) / heightScale);
+            const clamped = Math.max(0, Math.min(65535, value));
+            const offset = y * stride + 1 + x * 2;
+            scanlines[offset] = clamped >> 8;
+            scanlines[offset + 1] = clamped & 0xFF;
+        }
+    }
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 16; // bit depth
+    header[9] = 0;  // grayscale
+
+    const chunks = [
+        Uint8Array.from(PNG_SIGNATURE),
+        createChunk('IHDR', header),
+        createTextChunk('cellSize', cellSize),
+        createTextChunk('heightScale', heightScale),
+        createTextChunk('minHeight', minHeight),
+        createChunk('IDAT', await deflate(scanlines)),
+        createChunk('IEND', new Uint8Array(0))
+    ];
+
+    const size = chunks.reduce((total, chunk) => total + chunk.length, 0);
+    const png = new Uint8Array(size);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        png.set(chunk, offset);
+        offset += chunk.length;
+    });
+
+    return png;
+}
+
+export async function decodePNG16(data, options = {}) {
+    const bytes = toBytes(data);
+    for (let i = 0; i < PNG_SIGNATURE.length; i++) {
+        if (bytes[i] !== PNG_SIGNATURE[i]) {
+            throw new Error('Heightmap is not a PNG file');
+        }
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const text = {};
+    const compressed = [];
+    let width = 0;
+    let height = 0;
+    let bitDepth = 0;
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset < bytes.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+
+        if (type === 'IHDR') {
+            width = view.getUint32(offset + 8);
+            height = view.getUint32(offset + 12);
+            bitDepth = chunk[8];
+            const colorType = chunk[9];
+            if (colorType !== 0 || (bitDepth !== 16 && bitDepth !== 8) || chunk[12] !== 0) {
+                throw new Error('Heightmap PNG must be non-interlaced 8 or 16-bit grayscale');
+            }
+        } else if (type === 'tEXt') {
+            const separator = chunk.indexOf(0);
+            const keyword = String.fromCharCode(...chunk.subarray(0, separator));
+            text[keyword] = String.fromCharCode(...chunk.subarray(separator + 1));
+        } else if (type === 'IDAT') {
+            compressed.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+
+        offset += length + 12;
+    }
+
+    const compressedSize = compressed.reduce((total, chunk) => total + chunk.length, 0);
+    const joined = new Uint8Array(compressedSize);
+    let position = 0;
+    compressed.forEach(chunk => {
+        joined.set(chunk, position);
+        position += chunk.length;
+    });
+
+    const bytesPerPixel = bitDepth / 8;
+    const pixels = unfilterScanlines(await inflate(joined), width, height, bytesPerPixel);
+
+    const cellSize = text.cellSize !== undefined ? parseFloat(text.cellSize) : (options.cellSize ?? 1);
+    const heightScale = text.heightScale !== undefined ? parseFloat(text.heightScale) : (options.heightScale ?? 1);
+    const minHeight = text.minHeight !== undefined ? parseFloat(text.minHeight) : (options.minHeight ?? 0);
+
+    const heights = new Float32Array(width * height);
+    for (let i = 0; i < heights.length; i++) {
+        const value = bytesPerPixel === 2
+            ? (pixels[i * 2] << 8) | pixels[i * 2 + 1]
+            : pixels[i];
+        heights[i] = minHeight + value * heightScale;
+    }
+
+    return { width, height, cellSize, heightScale, minHeight, heights };
+}
+
+// Raw little-endian float32 with a small header:
+// 'OJHM', version (uint32), width, height (uint32), cellSize, heightScale (float32)
+export function encodeRawFloat32(heightmap) {
+    const { width, height, heights, cellSize, heightScale = 1 } = heightmap;
+    const buffer = new ArrayBuffer(RAW_HEADER_SIZE + width * height * 4);
+    const view = new DataView(buffer);
+
+    for (let i = 0; i < 4; i++) {
+        view.setUint8(i, RAW_MAGIC.charCodeAt(i));
+    }
+    view.setUint32(4, 1, true);
+    view.setUint32(8, width, true);
+    view.setUint32(12, height, true);
+    view.setFloat32(16, cellSize, true);
+    view.setFloat32(20, heightScale, true);
+
+    for (let i = 0; i < width * height; i++) {
+        view.setFloat32(RAW_HEADER_SIZE + i * 4, heights[i] / heightScale, true);
+    }
+
+    return new Uint8Array(buffer);
+}
+
+export function decodeRawFloat32(data, options = {}) {
+    const bytes = toBytes(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = String.fromCharCode(...bytes.subarray(0, 4));
+
+    let width;
+    let height;
+    let cellSize;
+    let heightScale;
+    let offset;
+
+    if (magic === RAW_MAGIC) {
+        width = view.getUint32(8, true);
+        height = view.getUint32(12, true);
+        cellSize = view.getFloat32(16, true);
+        heightScale = view.getFloat32(20, true);
+        offset = RAW_HEADER_SIZE;
+    } else {
+        // Headerless dumps from other tools need the grid size passed in
+        const count = Math.floor(bytes.byteLength / 4);
+        width = options.width ?? Math.round(Math.sqrt(count));
+        height = options.height ?? Math.floor(count / width);
+        cellSize = options.cellSize ?? 1;
+        heightScale = options.heightScale ?? 1;
+        offset = 0;
+    }
+
+    if (offset + width * height * 4 > bytes.byteLength) {
+        throw new Error('Raw heightmap is shorter than its declared size');
+    }
+
+    const heights = new Float32Array(width * height);
+    for (let i = 0; i < heights.length; i++) {
+        heights[i] = view.getFloat32(offset + i * 4, true) * heightScale;
+    }
+
+    return { width, height, cellSize, heightScale, minHeight: 0, heights };
+}
+
+// ESRI ASCII grid. Values are written in world units, so the vertical scale is 1.
+export function encodeAsciiGrid(heightmap) {
+    const { width, height, heights, cellSize, xllcorner = 0, yllcorner = 0 } = heightmap;
+    const lines = [
+        `ncols ${width}`,
+        `nrows ${height}`,
+        `xllcorner ${xllcorner}`,
+        `yllcorner ${yllcorner}`,
+        `cellsize ${cellSize}`,
+        'NODATA_value -9999'
+    ];
+
+    for (let y = 0; y < height; y++) {
+        const row = [];
+        for (let x = 0; x < width; x++) {
+            row.push(+heights[y * width + x].toFixed(4));
+        }
+        lines.push(row.join(' '));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+export function decodeAsciiGrid(text, options = {}) {
+    const source = typeof text === 'string' ? text : new TextDecoder().decode(toBytes(text));
+    const tokens = source.trim().split(/\s+/);
+    const header = {};
+    let index = 0;
+
+    while (index < tokens.length && /^[a-z_]+$/i.test(tokens[index])) {
+        header[tokens[index].toLowerCase()] = parseFloat(tokens[index + 1]);
+        index += 2;
+    }
+
+    const width = header.ncols;
+    const height = header.nrows;
+    if (!width || !height || header.cellsize === undefined) {
+        throw new Error('ASCII grid is missing ncols, nrows or cellsize');
+    }
+
+    const noData = header.nodata_value ?? -9999;
+    const heightScale = options.heightScale ?? 1;
+    const heights = new Float32Array(width * height);
+    let lastValid = 0;
+
+    for (let i = 0; i < heights.length; i++) {
+        const value = parseFloat(tokens[index + i]);
+        if (Number.isNaN(value)) {
+            throw new Error('ASCII grid has fewer values than ncols * nrows');
+        }
+        // Fill voids with the previous sample so holes don't become pits
+        if (value !== noData) {
+            lastValid = value * heightScale;
+        }
+        heights[i] = lastValid;
+    }
+
+    return {
+        width,
+        height,
+        cellSize: header.cellsize,
+        heightScale,
+        minHeight: 0,
+        xllcorner: header.xllcorner ?? header.xllcenter ?? 0,
+        yllcorner: header.yllcorner ?? header.yllcenter ?? 0,
+        cellCentered: header.xllcorner === undefined && header.xllcenter !== undefined,
+        heights
+    };
+}
@@ -0,0 +1,302 @@
+import * as THREE from 'three';
+
+// One biome map for the whole world. Texturing, vegetation, vehicle surfaces and
+// ambient audio all read it, so they can never disagree about where a creek is.
+export class TerrainBiomeSystem {
+    constructor(terrainSystem) {
+        this.terrainSystem = terrainSystem;
+
+        this.settings = {
+            // Ranges are [min, max]; elevation is 0 (valley floor) to 1 (highest ridge),
+            // slope is in radians and moisture 0-1. Order sets the index in biomeField.
+            biomes: {
+                hardwoodForest: {
+                    elevation: [0.2, 0.8],
+                    slope: [0, 0.5],
+                    moisture: [0.3, 0.65],
+                    surface: 'dirt',
+                    textures: { grass: 0.4, mud: 0.3, rock: 0.1, sand: 0 },
+                    vegetation: {
+                        grass: 0.3, trees: 1.0, bushes: 0.4,
+                        variants: { oak: 1.0, birch: 0.7, pine: 0.2 }
+                    },
+                    ambience: 'forest'
+                },
+                rhododendronHollow: {
+                    elevation: [0.15, 0.6],
+                    slope: [0.1, 0.6],
+                    moisture: [0.5, 1],
+                    surface: 'dirt',
+                    textures: { grass: 0.2, mud: 0.6, rock: 0.1, sand: 0 },
+                    vegetation: {
+                        grass: 0.2, trees: 0.6, bushes: 1.0,
+                        variants: { flowering: 1.0, round: 0.8, dead: 0.1, pine: 0.3 }
+                    },
+                    ambience: 'hollow'
+                },
+                rockyRidge: {
+                    elevation: [0.75, 1],
+                    slope: [0, Math.PI / 2],
+                    moisture: [0, 1],
+                    surface: 'rock',
+                    textures: { grass: 0.2, mud: 0, rock: 0.8, sand: 0.1 },
+                    vegetation: {
+                        grass: 0.2, trees: 0.15, bushes: 0.2,
+                        variants: { pine: 1.0, oak: 0.1, birch: 0.2, dead: 1.0 }
+                    },
+                    ambience: 'ridge'
+                },
+                creekBottom: {
+                    elevation: [0, 0.3],
+                    slope: [0, 0.2],
+                    moisture: [0.55, 1],
+                    surface: 'mud',
+                    textures: { grass: 0.3, mud: 0.5, rock: 0.1, sand: 0.3 },
+                    vegetation: {
+                        grass: 0.6, trees: 0.3, bushes: 0.5,
+                        variants: { birch: 1.0, oak: 0.3, pine: 0, flowering: 0.3 }
+                    },
+                    ambience: 'creek'
+                },
+                meadow: {
+                    elevation: [0.2, 0.7],
+                    slope: [0, 0.2],
+                    moisture: [0.15, 0.5],
+                    surface: 'grass',
+                    textures: { grass: 1.0, mud: 0, rock: 0, sand: 0.1 },
+                    vegetation: {
+                        grass: 1.0, trees: 0.05, bushes: 0.2,
+                        variants: { wheat: 1.0, tall: 1.0, short: 0.6 }
+                    },
+                    ambience: 'meadow'
+                }
+            },
+            fallback: 'hardwoodForest',
+            edgeSoftness: 0.08,       // Width of the fuzzy band at each range edge
+            latitude: {
+                origin: 35.6,         // Degrees north at world z = 0
+                metresPerDegree: 111320,
+                reference: 35.6,      // Latitude the elevation ranges were tuned for
+                elevationShift: 0.1   // Per degree north; cooler ground reads as higher
+            }
+        };
+
+        this.biomeNames = Object.keys(this.settings.biomes);
+        this.biomeField = null;
+        this.elevationRange = { min: 0, max: 1 };
+        this.tempWeights = {};
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.generate();
+
+        this.onHeightsChanged = (bounds) => this.updateRegion(bounds);
+        this.terrainSystem.addListener('heightsChanged', this.onHeightsChanged);
+        this.terrainSystem.biomes = this;
+    }
+
+    // Classify every base grid sample
+    generate() {
+        const { resolution } = this.terrainSystem.settings;
+        const heights = this.terrainSystem.heightField;
+        const { heightScale } = this.terrainSystem.settings;
+
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < heights.length; i++) {
+            min = Math.min(min, heights[i] * heightScale);
+            max = Math.max(max, heights[i] * heightScale);
+        }
+        this.elevationRange = { min, max: Math.max(max, min + 1e-6) };
+
+        this.biomeField = new Uint8Array(resolution * resolution);
+        this.classifyRegion(0, 0, resolution - 1, resolution - 1);
+    }
+
+    // Reclassify after edits; elevation range stays fixed so a dug rut doesn't shift every biome
+    updateRegion(bounds) {
+        if (!this.biomeField) return;
+
+        const { size, resolution } = this.terrainSystem.settings;
+        const cellSize = this.terrainSystem.getCellSize();
+
+        // A whole new heightmap gets a new elevation range too
+        if (bounds.minX <= -size / 2 && bounds.minZ <= -size / 2 && bounds.maxX >= size / 2 && bounds.maxZ >= size / 2) {
+            this.generate();
+            return;
+        }
+
+        // Slope reaches one cell past the edited samples
+        const toIndex = (value) => THREE.MathUtils.clamp(Math.round((value + size / 2) / cellSize), 0, resolution - 1);
+        this.classifyRegion(
+            toIndex(bounds.minX - cellSize), toIndex(bounds.minZ - cellSize),
+            toIndex(bounds.maxX + cellSize), toIndex(bounds.maxZ + cellSize)
+        );
+    }
+
+    classifyRegion(minCol, minRow, maxCol, maxRow) {
+        const { size, resolution } = this.terrainSystem.settings;
+        const cellSize = this.terrainSystem.getCellSize();
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const x = col * cellSize - size / 2;
+                const z = row * cellSize - size / 2;
+                this.biomeField[row * resolution + col] = this.biomeNames.indexOf(this.classify(x, z));
+            }
+        }
+    }
+
+    classify(x, z) {
+        const weights = this.computeMemberships(x, z, this.tempWeights);
+
+        let best = this.settings.fallback;
+        let bestWeight = 0;
+        for (const name of this.biomeNames) {
+            if (weights[name] > bestWeight) {
+                bestWeight = weights[name];
+                best = name;
+            }
+        }
+        return best;
+    }
+
+    computeMemberships(x, z, target = {}) {
+        const query = this.terrainSystem.query;
+        const elevation = this.getElevation(x, z);
+        const slope = query.getSlope(x, z);
+        const moisture = query.getMoisture(x, z);
+
+        for (const name of this.biomeNames) {
+            const biome = this.settings.biomes[name];
+            target[name] =
+                this.membership(elevation, biome.elevation) *
+                this.membership(slope, biome.slope) *
+                this.membership(moisture, biome.moisture);
+        }
+        return target;
+    }
+
+    // Ranges reaching 0 or 1 are open-ended, so a ridge still counts past the top
+    membership(value, [min, max]) {
+        const soft = this.settings.edgeSoftness;
+        const lower = min <= 0 ? 1 : THREE.MathUtils.smoothstep(value, min - soft, min + soft);
+        const upper = max >= 1 ? 1 : 1 - THREE.MathUtils.smoothstep(value, max - soft, max + soft);
+        return lower * upper;
+    }
+
+    // Normalised elevation, nudged up the further north the point is
+    getElevation(x, z) {
+        const { min, max } = this.elevationRange;
+        const height = this.terrainSystem.query.getHeight(x, z);
+        const { elevationShift, reference } = this.settings.latitude;
+        return (height - min) / (max - min) + (this.getLatitude(z) - reference) * elevationShift;
+    }
+
+    // World -z is north
+    getLatitude(z) {
+        const { origin, metresPerDegree } = this.settings.latitude;
+        return origin - z / metresPerDegree;
+    }
+
+    getBiome(x, z) {
+        const { size, resolution } = this.terrainSystem.settings;
+        const cellSize = this.terrainSystem.getCellSize();
+        const col = Math.round((x + size / 2) / cellSize);
+        const row = Math.round((z + size / 2) / cellSize);
+
+        if (this.biomeField && col >= 0 && row >= 0 && col < resolution && row < resolution) {
+            return this.biomeNames[this.biomeField[row * resolution + col]];
+        }
+
+        // Streamed ground outside the base grid is classified on demand
+        return this.classify(x, z);
+    }
+
+    getBiomeSettings(x, z) {
+        return this.settings.biomes[this.getBiome(x, z)];
+    }
+
+    // Normalised blend weights per biome for soft transitions
+    getBiomeWeights(x, z, target = {}) {
+        this.computeMemberships(x, z, target);
+
+        let total = 0;
+        for (const name of this.biomeNames) total += target[name];
+
+        if (total === 0) {
+            for (const name of this.biomeNames) target[name] = 0;
+            target[this.getBiome(x, z)] = 1;
+            return target;
+        }
+
+        for (const name of this.biomeNames) target[name] /= total;
+        return target;
+    }
+
+    getSurfaceType(x, z) {
+        return this.getBiomeSettings(x, z).surface;
+    }
+
+    // Scatter density multiplier (0-1) for a VegetationSystem type and variant
+    getVegetationDensity(x, z, type, variant) {
+        const { vegetation } = this.getBiomeSettings(x, z);
+        return (vegetation[type] ?? 0) * (vegetation.variants[variant] ?? 1);
+    }
+
+    // Ambience id -> volume weight around a listener position
+    getAmbienceMix(x, z) {
+        const weights = this.getBiomeWeights(x, z, this.tempWeights);
+        const mix = {};
+        for (const name of this.biomeNames) {
+            const { ambience } = this.settings.biomes[name];
+            mix[ambience] = (mix[ambience] ?? 0) + weights[name];
+        }
+        return mix;
+    }
+
+    // Distance to the nearest sample of another biome, searched out to maxDistance
+    getBoundaryDistance(x, z, maxDistance = 20) {
+        const biome = this.getBiome(x, z);
+        const step = this.terrainSystem.getCellSize();
+
+        for (let radius = step; radius <= maxDistance; radius += step) {
+            const samples = Math.max(8, Math.ceil(2 * Math.PI * radius / step));
+            for (let i = 0; i < samples; i++) {
+                const angle = (i / samples) * Math.PI * 2;
+                if (this.getBiome(x + Math.cos(angle) * radius, z + Math.sin(angle) * radius) !== biome) {
+                    return radius;
+                }
+            }
+        }
+
+        return maxDistance;
+    }
+
+    // RGBA texture over the base grid with the biome texture weights for four materials
+    createMaterialWeightTexture(materials = ['grass', 'rock', 'sand', 'mud']) {
+        const { resolution } = this.terrainSystem.settings;
+        const data = new Uint8Array(resolution * resolution * 4);
+
+        for (let i = 0; i < resolution * resolution; i++) {
+            const { textures } = this.settings.biomes[this.biomeNames[this.biomeField[i]]];
+            materials.forEach((material, channel) => {
+                data[i * 4 + channel] = Math.round((textures[material] ?? 0) * 255);
+            });
+        }
+
+        const texture = new THREE.DataTexture(data, resolution, resolution, THREE.RGBAFormat);
+        texture.magFilter = THREE.LinearFilter;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    dispose() {
+        this.terrainSystem.removeListener('heightsChanged', this.onHeightsChanged);
+        if (this.terrainSystem.biomes === this) {
+            this.terrainSystem.biomes = null;
+        }
+    }
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { createNoise2D } from 'simplex-noise';
 
 export class TerrainBlendingSystem {
     constructor(terrainSystem) {
@@ -16,14 +17,29 @@ export class TerrainBlendingSystem {
                 scale: 0.5,
                 strength: 0.3
             },
+            // Keyed by TerrainBiomeSystem biome names
             biomeTransitions: {
-                desert: {
-                    grass: { width: 15, noise: 0.4 },
-                    rock: { width: 8, noise: 0.6 }
+                hardwoodForest: {
+                    meadow: { width: 8, noise: 0.5 },
+                    rhododendronHollow: { width: 12, noise: 0.4 },
+                    rockyRidge: { width: 10, noise: 0.6 },
+                    creekBottom: { width: 6, noise: 0.3 }
                 },
-                grass: {
-                    mountain: { width: 12, noise: 0.5 },
-                    snow: { width: 20, noise: 0.3 }
+                rhododendronHollow: {
+                    creekBottom: { width: 5, noise: 0.4 },
+                    hardwoodForest: { width: 12, noise: 0.4 }
+                },
+                meadow: {
+                    hardwoodForest: { width: 8, noise: 0.5 },
+                    creekBottom: { width: 6, noise: 0.3 }
+                },
+                rockyRidge: {
+                    hardwoodForest: { width: 10, noise: 0.6 }
+                },
+                creekBottom: {
+                    meadow: { width: 6, noise: 0.3 },
+                    hardwoodForest: { width: 6, noise: 0.3 },
+                    rhododendronHollow: { width: 5, noise: 0.4 }
                 }
             }
         };
@@ -46,12 +62,12 @@ export class TerrainBlendingSystem {
 
     generateNoiseTexture(size) {
         const data = new Uint8Array(size * size * 4);
-        const simplex = new SimplexNoise();
+        const noise2D = createNoise2D(this.terrainSystem.createRandom('blending'));
         
         for (let y = 0; y < size; y++) {
             for (let x = 0; x < size; x++) {
                 const idx = (y * size + x) * 4;
-                const noise = simplex.noise2D(x / 64, y / 64) * 0.5 + 0.5;
+                const noise = noise2D(x / 64, y / 64) * 0.5 + 0.5;
                 
                 data[idx] = noise * 255;
                 data[idx + 1] = noise * 255;
@@ -238,10 +254,11 @@ export class TerrainBlendingSystem {
         const transition = this.settings.biomeTransitions[sourceBiome]?.[targetBiome];
         if (!transition) return 0;
 
-        const noise = this.blendingTextures.noise.image.data[
-            Math.floor(position.x * this.settings.textureScale) +
-            Math.floor(position.z * this.settings.textureScale) * 1024
-        ] / 255;
+        // The noise tiles, so wrap world positions on both sides of the origin
+        const { width, data } = this.blendingTextures.noise.image;
+        const u = THREE.MathUtils.euclideanModulo(Math.floor(position.x * this.settings.textureScale), width);
+        const v = THREE.MathUtils.euclideanModulo(Math.floor(position.z * this.settings.textureScale), width);
+        const noise = data[(v * width + u) * 4] / 255;
 
         const distance = this.calculateTransitionDistance(position);
         const baseBlend = Math.max(0, Math.min(1,
@@ -252,9 +269,31 @@ export class TerrainBlendingSystem {
     }
 
     calculateTransitionDistance(position) {
-        // Calculate distance to biome boundary
-        // This would need to be implemented based on your biome system
-        return 0;
+        const biomes = this.terrainSystem.biomes;
+        if (!biomes) return 0;
+
+        const maxDistance = Math.max(...Object.values(this.settings.biomeTransitions)
+            .flatMap(targets => Object.values(targets).map(transition => transition.width)));
+        return biomes.getBoundaryDistance(position.x, position.z, maxDistance);
+    }
+
+    // Blend towards whichever neighbouring biome is nearest, as the biome map sees it
+    getBiomeBlend(position) {
+        const biomes = this.terrainSystem.biomes;
+        if (!biomes) return null;
+
+        const weights = biomes.getBiomeWeights(position.x, position.z);
+        const source = biomes.getBiome(position.x, position.z);
+        let target = null;
+        let targetWeight = 0;
+        Object.entries(weights).forEach(([name, weight]) => {
+            if (name !== source && weight > targetWeight) {
+                target = name;
+                targetWeight = weight;
+            }
+        });
+
+        return target ? { source, target, blend: this.applyBiomeTransition(source, target, position) } : null;
     }
 
     applyDetailBlending(material) {
@@ -1,8 +1,13 @@
 import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { ConvexHull } from 'three/examples/jsm/math/ConvexHull.js';
 
 export class TerrainDecorationSystem {
-    constructor(terrainSystem) {
+    // surfaces: VehicleTerrainSystem.settings.surfaces, so rock colliders grip like rock ground
+    constructor(terrainSystem, { surfaces = null } = {}) {
         this.terrainSystem = terrainSystem;
+        this.surfaces = surfaces;
+        this.random = terrainSystem.createRandom('decoration');
         
         this.settings = {
             rocks: {
@@ -11,7 +16,15 @@ export class TerrainDecorationSystem {
                 heightRange: { min: 0.3, max: 0.8 },
                 slopeRange: { min: 0.2, max: 0.7 },
                 clusterRadius: 5,
-                clusterDensity: 0.6
+                clusterDensity: 0.6,
+                colliders: true,
+                friction: 0.9,        // Used when no surface settings are given
+                restitution: 0.1
+            },
+            trailRocks: {
+                density: 0.03,        // Rocks per square metre of trail, 0 for a clean track
+                sizeRange: { min: 0.3, max: 0.9 },
+                burial: 0.35          // Fraction of each rock sunk into the ground
             },
             debris: {
                 density: 0.03,
@@ -37,11 +50,13 @@ export class TerrainDecorationSystem {
             debris: new Map(),
             decals: new Map()
         };
+        this.nextId = 1;
 
         this.initialize();
     }
 
     async initialize() {
+        this.setupRockPhysics();
         await this.loadDecorationAssets();
         this.createDetailTextures();
         this.setupDecalSystem();
@@ -194,18 +209,58 @@ export class TerrainDecorationSystem {
         this.terrainSystem.scene.add(this.decalParent);
     }
 
+    setupRockPhysics() {
+        const rockSurface = this.surfaces?.rock;
+        this.rockMaterial = new CANNON.Material('rock');
+        this.rockMaterial.friction = rockSurface?.friction ?? this.settings.rocks.friction;
+        this.rockMaterial.restitution = this.settings.rocks.restitution;
+    }
+
+    // Scatter loose rocks over a trail corridor; the higher the density the harder the crawl
+    addTrailRocks(points, halfWidth, density = this.settings.trailRocks.density) {
+        const { sizeRange, burial } = this.settings.trailRocks;
+        const clusterId = this.createId('rocks');
+        const cluster = {
+            position: points[0].clone(),
+            rocks: []
+        };
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const start = points[i];
+            const direction = points[i + 1].clone().sub(start).setY(0);
+            const length = direction.length();
+            if (length === 0) continue;
+            direction.divideScalar(length);
+            const side = new THREE.Vector3(-direction.z, 0, direction.x);
+
+            const count = Math.round(length * halfWidth * 2 * density);
+            for (let r = 0; r < count; r++) {
+                const position = start.clone()
+                    .addScaledVector(direction, this.random() * length)
+                    .addScaledVector(side, (this.random() * 2 - 1) * halfWidth);
+                const size = THREE.MathUtils.lerp(sizeRange.min, sizeRange.max, this.random());
+                position.y = this.terrainSystem.query.getHeight(position.x, position.z) + size * (1 - burial * 2);
+
+                cluster.rocks.push(this.createRock(position, size));
+            }
+        }
+
+        this.decorations.rocks.set(clusterId, cluster);
+        return clusterId;
+    }
+
     addRockCluster(position) {
         const { rocks } = this.settings;
-        const clusterId = Date.now().toString();
+        const clusterId = this.createId('rocks');
         const cluster = {
             position: position.clone(),
             rocks: []
         };
 
-        const count = Math.floor(Math.random() * 10 + 5);
+        const count = Math.floor(this.random() * 10 + 5);
         for (let i = 0; i < count; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const radius = Math.random() * rocks.clusterRadius;
+            const angle = this.random() * Math.PI * 2;
+            const radius = this.random() * rocks.clusterRadius;
             const rockPosition = position.clone().add(
                 new THREE.Vector3(
                     Math.cos(angle) * radius,
@@ -214,11 +269,14 @@ export class TerrainDecorationSystem {
                 )
             );
 
-            if (Math.random() < rocks.clusterDensity) {
+            if (this.random() < rocks.clusterDensity) {
+                // Sit each rock on the ground rather than at the cluster centre's height
+                rockPosition.y = this.terrainSystem.query.getHeight(rockPosition.x, rockPosition.z);
+
                 const size = THREE.MathUtils.lerp(
                     rocks.sizeRange.min,
                     rocks.sizeRange.max,
-                    Math.random()
+                    this.random()
                 );
 
                 const rock = this.createRock(rockPosition, size);
@@ -230,31 +288,131 @@ export class TerrainDecorationSystem {
         return clusterId;
     }
 
+    // Rebuild a saved cluster; rock shapes are re-rolled but sizes and placement match
+    restoreRockCluster(data) {
+        const clusterId = this.createId('rocks');
+        const cluster = {
+            position: new THREE.Vector3().fromArray(data.position),
+            rocks: data.rocks.map(rockData => {
+                const rock = this.createRock(new THREE.Vector3().fromArray(rockData.position), rockData.size);
+                rock.rotation.y = rockData.rotation;
+                const body = rock.userData.body;
+                if (body) {
+                    // Static bodies keep their old bounds until told, and rays test those first
+                    body.quaternion.setFromEuler(0, rockData.rotation, 0);
+                    body.aabbNeedsUpdate = true;
+                }
+                return rock;
+            })
+        };
+
+        this.decorations.rocks.set(clusterId, cluster);
+        return clusterId;
+    }
+
+    getRockClusterData(clusterId) {
+        const cluster = this.decorations.rocks.get(clusterId);
+        if (!cluster) return null;
+
+        return {
+            position: cluster.position.toArray(),
+            rocks: cluster.rocks.map(rock => ({
+                position: rock.position.toArray(),
+                size: rock.geometry.parameters.radius,
+                rotation: rock.rotation.y
+            }))
+        };
+    }
+
+    createId(type) {
+        return `${type}_${this.nextId++}`;
+    }
+
     createRock(position, size) {
         const geometry = new THREE.DodecahedronGeometry(size, 1);
-        geometry.vertices.forEach(vertex => {
-            vertex.x += (Math.random() - 0.5) * 0.2 * size;
-            vertex.y += (Math.random() - 0.5) * 0.2 * size;
-            vertex.z += (Math.random() - 0.5) * 0.2 * size;
-        });
+        const positions = geometry.attributes.position.array;
+
+        // Jitter shared corners by the same offset so faces stay closed
+        const offsets = new Map();
+        for (let i = 0; i < positions.length; i += 3) {
+            const key = `${positions[i].toFixed(4)},${positions[i + 1].toFixed(4)},${positions[i + 2].toFixed(4)}`;
+            if (!offsets.has(key)) {
+                offsets.set(key, [
+                    (this.random() - 0.5) * 0.2 * size,
+                    (this.random() - 0.5) * 0.2 * size,
+                    (this.random() - 0.5) * 0.2 * size
+                ]);
+            }
+            const offset = offsets.get(key);
+            positions[i] += offset[0];
+            positions[i + 1] += offset[1];
+            positions[i + 2] += offset[2];
+        }
         geometry.computeVertexNormals();
 
-        const rock = new THREE.Mesh(geometry, this.materials.rocks);
+        const rock = new THREE.Mesh(geometry, this.materials?.rocks);
         rock.position.copy(position);
-        rock.rotation.y = Math.random() * Math.PI * 2;
+        rock.rotation.y = this.random() * Math.PI * 2;
         
         this.terrainSystem.scene.add(rock);
+
+        if (this.settings.rocks.colliders) {
+            rock.userData.body = this.createRockBody(rock);
+        }
         return rock;
     }
 
+    // Static convex hull of the jittered mesh, so what you see is what you hit
+    createRockBody(rock) {
+        const hull = new ConvexHull().setFromObject(new THREE.Mesh(rock.geometry));
+        const vertices = [];
+        const indices = new Map();
+        const faces = hull.faces.map(face => {
+            const indicesOfFace = [];
+            let edge = face.edge;
+            do {
+                const point = edge.head().point;
+                const key = `${point.x},${point.y},${point.z}`;
+                if (!indices.has(key)) {
+                    indices.set(key, vertices.length);
+                    vertices.push(new CANNON.Vec3(point.x, point.y, point.z));
+                }
+                indicesOfFace.push(indices.get(key));
+                edge = edge.next;
+            } while (edge !== face.edge);
+            return indicesOfFace;
+        });
+
+        const body = new CANNON.Body({
+            mass: 0,
+            material: this.rockMaterial,
+            shape: new CANNON.ConvexPolyhedron({ vertices, faces }),
+            position: new CANNON.Vec3(rock.position.x, rock.position.y, rock.position.z),
+            quaternion: new CANNON.Quaternion(rock.quaternion.x, rock.quaternion.y, rock.quaternion.z, rock.quaternion.w)
+        });
+        body.userData = { surface: 'rock' };
+
+        this.terrainSystem.world.addBody(body);
+        return body;
+    }
+
+    removeRock(rock) {
+        rock.geometry.dispose();
+        this.terrainSystem.scene.remove(rock);
+        if (rock.userData.body) {
+            this.terrainSystem.world.removeBody(rock.userData.body);
+            rock.userData.body = null;
+        }
+    }
+
     addDebris(position, type) {
         const { debris } = this.settings;
-        const debrisId = Date.now().toString();
+        const debrisId = this.createId('debris');
         
         const size = THREE.MathUtils.lerp(
             debris.sizeRange.min,
             debris.sizeRange.max,
-            Math.random()
+            this.random()
         );
 
         const geometry = new THREE.PlaneGeometry(size, size);
@@ -263,7 +421,7 @@ export class TerrainDecorationSystem {
         const mesh = new THREE.Mesh(geometry, material);
         mesh.position.copy(position);
         mesh.rotation.x = -Math.PI / 2;
-        mesh.rotation.z = Math.random() * Math.PI * 2;
+        mesh.rotation.z = this.random() * Math.PI * 2;
 
         this.terrainSystem.scene.add(mesh);
         this.decorations.debris.set(debrisId, {
@@ -275,18 +433,19 @@ export class TerrainDecorationSystem {
         return debrisId;
     }
 
-    addDecal(position, type, size) {
+    addDecal(position, type, size, rotation = this.random() * Math.PI * 2) {
         if (this.decorations.decals.size >= this.settings.decals.maxCount) {
             return null;
         }
 
-        const decalId = Date.now().toString();
+        const decalId = this.createId('decal');
         const material = this.materials.decals[type];
         
         const mesh = new THREE.Mesh(this.decalGeometry, material);
         mesh.position.copy(position);
         mesh.scale.setScalar(size);
-        mesh.rotation.z = Math.random() * Math.PI * 2;
+        // The geometry already lies flat, so the heading turns it about the world up axis
+        mesh.rotation.y = rotation;
 
         this.decalParent.add(mesh);
         this.decorations.decals.set(decalId, {
@@ -330,10 +489,7 @@ export class TerrainDecorationSystem {
     removeRockCluster(clusterId) {
         const cluster = this.decorations.rocks.get(clusterId);
         if (cluster) {
-            cluster.rocks.forEach(rock => {
-                rock.geometry.dispose();
-                this.terrainSystem.scene.remove(rock);
-            });
+            cluster.rocks.forEach(rock => this.removeRock(rock));
             this.decorations.rocks.delete(clusterId);
         }
     }
@@ -2,11 +2,13 @@ import * as THREE from 'three';
 
 export class TerrainDetailSystem {
     constructor() {
+        // Resolutions are 2^n + 1 so every coarser grid is a subset of the finer one
+        // and neighbouring levels share their edge vertices
         this.detailLevels = [
-            { distance: 0, resolution: 256 },
-            { distance: 100, resolution: 128 },
-            { distance: 200, resolution: 64 },
-            { distance: 400, resolution: 32 }
+            { distance: 0, resolution: 257 },
+            { distance: 100, resolution: 129 },
+            { distance: 200, resolution: 65 },
+            { distance: 400, resolution: 33 }
         ];
 
         this.detailMeshes = new Map();
@@ -56,26 +58,45 @@ export class TerrainDetailSystem {
         });
     }
 
+    // Morph every high-res vertex onto the low-res surface: vertices the grids share
+    // don't move, the rest slide onto the low-res triangle they sit in. Edge vertices
+    // land on the low-res edge line, so a morphed chunk meets a low-res neighbour exactly.
     createMorphTargets(highRes, lowRes) {
         const highVertices = highRes.attributes.position.array;
         const lowVertices = lowRes.attributes.position.array;
+        const highRow = highRes.parameters.widthSegments + 1;
+        const lowRow = lowRes.parameters.widthSegments + 1;
+        const ratio = highRes.parameters.widthSegments / lowRes.parameters.widthSegments;
         const morphTarget = new Float32Array(highVertices.length);
 
-        for (let i = 0; i < highVertices.length; i += 3) {
-            const x = Math.floor(i / 3) % highRes.parameters.widthSegments;
-            const y = Math.floor(i / (3 * highRes.parameters.widthSegments));
-            
-            const lowX = Math.floor(x * lowRes.parameters.widthSegments / highRes.parameters.widthSegments);
-            const lowY = Math.floor(y * lowRes.parameters.heightSegments / highRes.parameters.heightSegments);
-            
-            const lowIndex = (lowY * lowRes.parameters.widthSegments + lowX) * 3;
-            
-            morphTarget[i] = lowVertices[lowIndex] - highVertices[i];
-            morphTarget[i + 1] = lowVertices[lowIndex + 1] - highVertices[i + 1];
-            morphTarget[i + 2] = lowVertices[lowIndex + 2] - highVertices[i + 2];
+        for (let v = 0; v < highVertices.length / 3; v++) {
+            const x = v % highRow;
+            const y = Math.floor(v / highRow);
+
+            const lowX = Math.min(Math.floor(x / ratio), lowRow - 2);
+            const lowY = Math.min(Math.floor(y / ratio), lowRow - 2);
+            const fx = x / ratio - lowX;
+            const fy = y / ratio - lowY;
+
+            // PlaneGeometry splits each cell along the b-d diagonal
+            const a = (lowY * lowRow + lowX) * 3;
+            const b = a + lowRow * 3;
+            const c = b + 3;
+            const d = a + 3;
+
+            for (let k = 0; k < 3; k++) {
+                let value;
+                if (fx + fy <= 1) {
+                    value = lowVertices[a + k] + (lowVertices[d + k] - lowVertices[a + k]) * fx + (lowVertices[b + k] - lowVertices[a + k]) * fy;
+                } else {
+                    value = lowVertices[c + k] + (lowVertices[b + k] - lowVertices[c + k]) * (1 - fx) + (lowVertices[d + k] - lowVertices[c + k]) * (1 - fy);
+                }
+                morphTarget[v * 3 + k] = value - highVertices[v * 3 + k];
+            }
         }
 
         highRes.morphAttributes.position = [new THREE.BufferAttribute(morphTarget, 3)];
+        highRes.morphTargetsRelative = true;
     }
 
     update(camera) {
@@ -143,6 +164,7 @@ export class TerrainDetailSystem {
         const mesh = new THREE.Mesh(geometry, material);
         mesh.position.copy(chunk.position);
         mesh.updateMatrix();
+        mesh.userData.level = 0;
 
         this.detailMeshes.set(chunk.id, mesh);
         this.activeChunks.add(chunk.id);
@@ -160,6 +182,7 @@ export class TerrainDetailSystem {
     updateLOD(cameraPosition) {
         this.detailMeshes.forEach(mesh => {
             const distance = mesh.position.distanceTo(cameraPosition);
+            let level = this.detailLevels.length - 1;
             let morphInfluence = 0;
 
             for (let i = 0; i < this.detailLevels.length - 1; i++) {
@@ -167,15 +190,24 @@ export class TerrainDetailSystem {
                 const nextLevel = this.detailLevels[i + 1];
 
                 if (distance >= currentLevel.distance && distance < nextLevel.distance) {
+                    level = i;
                     morphInfluence = (distance - currentLevel.distance) / 
                         (nextLevel.distance - currentLevel.distance);
-                    
-                    if (this.settings.morphTargets) {
-                        mesh.morphTargetInfluences[i] = morphInfluence;
-                    }
                     break;
                 }
             }
+
+            // Each level morphs fully into the next before the swap, so the swap doesn't pop
+            if (mesh.userData.level !== level) {
+                mesh.geometry.dispose();
+                mesh.geometry = this.geometryPool.get(this.detailLevels[level].resolution).clone();
+                mesh.updateMorphTargets();
+                mesh.userData.level = level;
+            }
+
+            if (this.settings.morphTargets && mesh.morphTargetInfluences) {
+                mesh.morphTargetInfluences[0] = morphInfluence;
+            }
         });
     }
 
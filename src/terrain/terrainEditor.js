@@ -0,0 +1,512 @@
+import * as THREE from 'three';
+import { createNoise2D } from 'simplex-noise';
+import { applyLevel, createLevel, downloadLevel, loadLevel, prepareLevel } from '../levels.js';
+
+// Sculpt and paint brushes for building test courses in game. Edits go straight
+// into the base height and material grids and sync through markDirty.
+export class TerrainEditorSystem {
+    constructor(terrainSystem, { decorationSystem = null, camera = terrainSystem.camera, domElement = null, levelSystems = {} } = {}) {
+        this.terrainSystem = terrainSystem;
+        this.decorationSystem = decorationSystem;
+        // Texturing, water, vegetation, paths and missions to save and restore with the course
+        this.levelSystems = levelSystems;
+        this.camera = camera;
+        this.domElement = domElement;
+
+        this.settings = {
+            tools: ['raise', 'lower', 'flatten', 'smooth', 'noise', 'ramp', 'paint', 'rocks'],
+            brush: {
+                radius: 5,
+                minRadius: 1,
+                maxRadius: 30,
+                strength: 1.0,     // Metres per second at the brush centre
+                falloff: 0.5       // 0 = hard edge, 1 = soft all the way in
+            },
+            noiseScale: 0.15,
+            maxUndo: 50,
+            keys: {
+                toggle: 'KeyE',
+                radiusDown: 'BracketLeft',
+                radiusUp: 'BracketRight'
+            },
+            brushColor: 0xffcc00
+        };
+
+        this.state = {
+            enabled: false,
+            tool: 'raise',
+            surface: 'dirt',
+            painting: false,
+            pointer: new THREE.Vector2(),
+            hit: null,
+            stroke: null,
+            undoStack: [],
+            redoStack: []
+        };
+
+        this.raycaster = new THREE.Raycaster();
+        this.noise2D = createNoise2D(terrainSystem.createRandom('editor'));
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.createBrushCursor();
+
+        if (this.domElement) {
+            this.setupListeners();
+        }
+    }
+
+    createBrushCursor() {
+        const geometry = new THREE.RingGeometry(0.95, 1, 48);
+        geometry.rotateX(-Math.PI / 2);
+
+        this.brushCursor = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color: this.settings.brushColor,
+            transparent: true,
+            opacity: 0.8,
+            depthTest: false
+        }));
+        this.brushCursor.visible = false;
+        this.brushCursor.renderOrder = 2;
+        this.terrainSystem.scene.add(this.brushCursor);
+    }
+
+    setupListeners() {
+        this.onPointerMove = (event) => this.handlePointerMove(event);
+        this.onPointerDown = (event) => this.handlePointerDown(event);
+        this.onPointerUp = () => this.endStroke();
+        this.onKeyDown = (event) => this.handleKeyDown(event);
+
+        this.domElement.addEventListener('pointermove', this.onPointerMove);
+        this.domElement.addEventListener('pointerdown', this.onPointerDown);
+        this.domElement.addEventListener('pointerup', this.onPointerUp);
+        document.addEventListener('keydown', this.onKeyDown);
+    }
+
+    setEnabled(enabled) {
+        this.state.enabled = enabled;
+        this.brushCursor.visible = enabled && this.state.hit !== null;
+        if (!enabled) this.endStroke();
+    }
+
+    setTool(tool) {
+        if (!this.settings.tools.includes(tool)) {
+            throw new Error(`Unknown editor tool '${tool}'`);
+        }
+        this.endStroke();
+        this.state.tool = tool;
+    }
+
+    // Surface names come from VehicleTerrainSystem.settings.surfaces
+    setSurface(surface) {
+        if (this.terrainSystem.query.getSurfaceIndex(surface) < 0) {
+            throw new Error(`Surface '${surface}' can't be painted`);
+        }
+        this.state.surface = surface;
+    }
+
+    setBrushRadius(radius) {
+        const { minRadius, maxRadius } = this.settings.brush;
+        this.settings.brush.radius = THREE.MathUtils.clamp(radius, minRadius, maxRadius);
+        this.brushCursor.scale.setScalar(this.settings.brush.radius);
+    }
+
+    setBrushStrength(strength) {
+        this.settings.brush.strength = Math.max(0, strength);
+    }
+
+    handleKeyDown(event) {
+        const { keys, tools } = this.settings;
+
+        if (event.code === keys.toggle) {
+            this.setEnabled(!this.state.enabled);
+            return;
+        }
+        if (!this.state.enabled) return;
+
+        if ((event.ctrlKey || event.metaKey) && event.code === 'KeyZ') {
+            event.preventDefault();
+            if (event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        } else if ((event.ctrlKey || event.metaKey) && event.code === 'KeyY') {
+            event.preventDefault();
+            this.redo();
+        } else if (event.code === keys.radiusDown) {
+            this.setBrushRadius(this.settings.brush.radius - 1);
+        } else if (event.code === keys.radiusUp) {
+            this.setBrushRadius(this.settings.brush.radius + 1);
+        } else if (event.code.startsWith('Digit')) {
+            // 1-8 pick a tool in settings order
+            const tool = tools[Number(event.code.slice(5)) - 1];
+            if (tool) this.setTool(tool);
+        }
+    }
+
+    handlePointerMove(event) {
+        this.updatePointer(event);
+    }
+
+    handlePointerDown(event) {
+        if (!this.state.enabled || event.button !== 0) return;
+
+        this.updatePointer(event);
+        if (this.state.hit) {
+            this.beginStroke(this.state.hit.point);
+        }
+    }
+
+    updatePointer(event) {
+        const rect = this.domElement.getBoundingClientRect();
+        this.state.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+
+        this.raycaster.setFromCamera(this.state.pointer, this.camera);
+        const { origin, direction } = this.raycaster.ray;
+        this.state.hit = this.terrainSystem.query.raycast(origin, direction);
+
+        this.brushCursor.visible = this.state.enabled && this.state.hit !== null;
+        if (this.state.hit) {
+            this.brushCursor.position.copy(this.state.hit.point);
+            this.brushCursor.position.y += 0.05;
+            this.brushCursor.scale.setScalar(this.settings.brush.radius);
+        }
+    }
+
+    beginStroke(point) {
+        this.state.stroke = {
+            tool: this.state.tool,
+            start: point.clone(),
+            heights: Float32Array.from(this.terrainSystem.heightField),
+            materials: Uint8Array.from(this.terrainSystem.materialField)
+        };
+
+        if (this.state.tool === 'rocks') {
+            this.placeRocks(point);
+            this.state.stroke = null;
+        }
+    }
+
+    // Record the stroke as one undo step, clipped to the samples it touched
+    endStroke() {
+        const stroke = this.state.stroke;
+        if (!stroke) return;
+        this.state.stroke = null;
+
+        if (stroke.tool === 'ramp' && this.state.hit) {
+            this.applyRamp(stroke.start, this.state.hit.point);
+        }
+
+        const change = this.diffGrids(stroke.heights, stroke.materials);
+        if (change) {
+            this.pushUndo(change);
+        }
+    }
+
+    update(deltaTime) {
+        const stroke = this.state.stroke;
+        if (!this.state.enabled || !stroke || !this.state.hit || stroke.tool === 'ramp') return;
+
+        this.applyBrush(stroke.tool, this.state.hit.point, deltaTime);
+    }
+
+    // Apply a sculpt or paint tool at a world point for one frame
+    applyBrush(tool, point, deltaTime) {
+        const { heightField, materialField } = this.terrainSystem;
+        const { resolution, heightScale } = this.terrainSystem.settings;
+        const { strength } = this.settings.brush;
+        const amount = strength * deltaTime / heightScale;
+        const region = this.getBrushRegion(point);
+        if (!region) return;
+
+        const flattenTarget = this.state.stroke
+            ? this.state.stroke.start.y / heightScale
+            : point.y / heightScale;
+        const surfaceIndex = this.terrainSystem.query.getSurfaceIndex(this.state.surface);
+        const source = tool === 'smooth' ? Float32Array.from(heightField) : heightField;
+
+        this.forEachBrushSample(point, region, (index, col, row, x, z, weight) => {
+            switch (tool) {
+                case 'raise':
+                    heightField[index] += amount * weight;
+                    break;
+                case 'lower':
+                    heightField[index] -= amount * weight;
+                    break;
+                case 'flatten':
+                    heightField[index] += (flattenTarget - heightField[index]) * Math.min(1, amount * weight * 4);
+                    break;
+                case 'smooth': {
+                    const left = source[row * resolution + Math.max(col - 1, 0)];
+                    const right = source[row * resolution + Math.min(col + 1, resolution - 1)];
+                    const up = source[Math.max(row - 1, 0) * resolution + col];
+                    const down = source[Math.min(row + 1, resolution - 1) * resolution + col];
+                    const average = (left + right + up + down) / 4;
+                    heightField[index] += (average - source[index]) * Math.min(1, amount * weight * 4);
+                    break;
+                }
+                case 'noise': {
+                    const { noiseScale } = this.settings;
+                    heightField[index] += this.noise2D(x * noiseScale, z * noiseScale) * amount * weight;
+                    break;
+                }
+                case 'paint':
+                    if (weight > 0.5) materialField[index] = surfaceIndex;
+                    break;
+            }
+        });
+
+        // Paint changes no heights, but the sync redraws the ground colour too
+        this.terrainSystem.markDirty(region.minCol, region.minRow, region.maxCol, region.maxRow);
+    }
+
+    // Straight ramp from the stroke start to the release point, brush radius wide
+    applyRamp(start, end) {
+        const { heightField } = this.terrainSystem;
+        const { size, heightScale } = this.terrainSystem.settings;
+        const { radius } = this.settings.brush;
+        const cellSize = this.terrainSystem.getCellSize();
+
+        const segment = new THREE.Line3(
+            new THREE.Vector3(start.x, 0, start.z),
+            new THREE.Vector3(end.x, 0, end.z)
+        );
+        const point = new THREE.Vector3();
+        const closest = new THREE.Vector3();
+
+        const region = this.clampRegion(
+            Math.floor((Math.min(start.x, end.x) - radius + size / 2) / cellSize),
+            Math.floor((Math.min(start.z, end.z) - radius + size / 2) / cellSize),
+            Math.ceil((Math.max(start.x, end.x) + radius + size / 2) / cellSize),
+            Math.ceil((Math.max(start.z, end.z) + radius + size / 2) / cellSize)
+        );
+        if (!region) return;
+
+        const { resolution } = this.terrainSystem.settings;
+        for (let row = region.minRow; row <= region.maxRow; row++) {
+            for (let col = region.minCol; col <= region.maxCol; col++) {
+                point.set(col * cellSize - size / 2, 0, row * cellSize - size / 2);
+                const t = segment.closestPointToPointParameter(point, true);
+                segment.at(t, closest);
+
+                const weight = this.getFalloff(closest.distanceTo(point) / radius);
+                if (weight <= 0) continue;
+
+                const index = row * resolution + col;
+                const target = THREE.MathUtils.lerp(start.y, end.y, t) / heightScale;
+                heightField[index] += (target - heightField[index]) * weight;
+            }
+        }
+
+        this.terrainSystem.markDirty(region.minCol, region.minRow, region.maxCol, region.maxRow);
+    }
+
+    placeRocks(point) {
+        if (!this.decorationSystem) return;
+
+        const clusterId = this.decorationSystem.addRockCluster(point);
+        this.pushUndo({
+            type: 'rocks',
+            clusterId,
+            data: this.decorationSystem.getRockClusterData(clusterId)
+        });
+    }
+
+    getBrushRegion(point) {
+        const { size } = this.terrainSystem.settings;
+        const cellSize = this.terrainSystem.getCellSize();
+        const { radius } = this.settings.brush;
+
+        return this.clampRegion(
+            Math.floor((point.x - radius + size / 2) / cellSize),
+            Math.floor((point.z - radius + size / 2) / cellSize),
+            Math.ceil((point.x + radius + size / 2) / cellSize),
+            Math.ceil((point.z + radius + size / 2) / cellSize)
+        );
+    }
+
+    clampRegion(minCol, minRow, maxCol, maxRow) {
+        const last = this.terrainSystem.settings.resolution - 1;
+        const region = {
+            minCol: Math.max(minCol, 0),
+            minRow: Math.max(minRow, 0),
+            maxCol: Math.min(maxCol, last),
+            maxRow: Math.min(maxRow, last)
+        };
+        return region.minCol <= region.maxCol && region.minRow <= region.maxRow ? region : null;
+    }
+
+    forEachBrushSample(point, region, callback) {
+        const { size, resolution } = this.terrainSystem.settings;
+        const cellSize = this.terrainSystem.getCellSize();
+        const { radius } = this.settings.brush;
+
+        for (let row = region.minRow; row <= region.maxRow; row++) {
+            for (let col = region.minCol; col <= region.maxCol; col++) {
+                const x = col * cellSize - size / 2;
+                const z = row * cellSize - size / 2;
+                const distance = Math.hypot(x - point.x, z - point.z) / radius;
+                const weight = this.getFalloff(distance);
+                if (weight > 0) {
+                    callback(row * resolution + col, col, row, x, z, weight);
+                }
+            }
+        }
+    }
+
+    // 1 inside the hard core, easing to 0 at the rim
+    getFalloff(distance) {
+        if (distance >= 1) return 0;
+
+        const core = 1 - this.settings.brush.falloff;
+        if (distance <= core) return 1;
+
+        const t = (distance - core) / (1 - core);
+        return 1 - t * t * (3 - 2 * t);
+    }
+
+    diffGrids(heights, materials) {
+        const { heightField, materialField } = this.terrainSystem;
+        const { resolution } = this.terrainSystem.settings;
+
+        let minCol = Infinity, minRow = Infinity, maxCol = -Infinity, maxRow = -Infinity;
+        for (let i = 0; i < heights.length; i++) {
+            if (heights[i] !== heightField[i] || materials[i] !== materialField[i]) {
+                const col = i % resolution;
+                const row = Math.floor(i / resolution);
+                minCol = Math.min(minCol, col);
+                maxCol = Math.max(maxCol, col);
+                minRow = Math.min(minRow, row);
+                maxRow = Math.max(maxRow, row);
+            }
+        }
+        if (minCol === Infinity) return null;
+
+        const region = { minCol, minRow, maxCol, maxRow };
+        return {
+            type: 'grid',
+            region,
+            before: this.copyRegion(region, heights, materials),
+            after: this.copyRegion(region, heightField, materialField)
+        };
+    }
+
+    copyRegion({ minCol, minRow, maxCol, maxRow }, heights, materials) {
+        const { resolution } = this.terrainSystem.settings;
+        const width = maxCol - minCol + 1;
+        const count = width * (maxRow - minRow + 1);
+        const copy = { heights: new Float32Array(count), materials: new Uint8Array(count) };
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const i = (row - minRow) * width + (col - minCol);
+                copy.heights[i] = heights[row * resolution + col];
+                copy.materials[i] = materials[row * resolution + col];
+            }
+        }
+        return copy;
+    }
+
+    writeRegion({ minCol, minRow, maxCol, maxRow }, copy) {
+        const { heightField, materialField } = this.terrainSystem;
+        const { resolution } = this.terrainSystem.settings;
+        const width = maxCol - minCol + 1;
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const i = (row - minRow) * width + (col - minCol);
+                heightField[row * resolution + col] = copy.heights[i];
+                materialField[row * resolution + col] = copy.materials[i];
+            }
+        }
+
+        this.terrainSystem.markDirty(minCol, minRow, maxCol, maxRow);
+    }
+
+    pushUndo(change) {
+        this.state.undoStack.push(change);
+        if (this.state.undoStack.length > this.settings.maxUndo) {
+            this.state.undoStack.shift();
+        }
+        this.state.redoStack = [];
+    }
+
+    undo() {
+        const change = this.state.undoStack.pop();
+        if (!change) return false;
+
+        if (change.type === 'grid') {
+            this.writeRegion(change.region, change.before);
+        } else if (change.type === 'rocks') {
+            this.decorationSystem.removeRockCluster(change.clusterId);
+        }
+
+        this.state.redoStack.push(change);
+        return true;
+    }
+
+    redo() {
+        const change = this.state.redoStack.pop();
+        if (!change) return false;
+
+        if (change.type === 'grid') {
+            this.writeRegion(change.region, change.after);
+        } else if (change.type === 'rocks') {
+            change.clusterId = this.decorationSystem.restoreRockCluster(change.data);
+        }
+
+        this.state.undoStack.push(change);
+        return true;
+    }
+
+    // The whole course, ready for the level file
+    exportLevel(name = 'Untitled course', options = {}) {
+        return createLevel(this.getLevelSystems(), { ...options, name });
+    }
+
+    getLevelSystems() {
+        return {
+            ...this.levelSystems,
+            terrain: this.terrainSystem,
+            decoration: this.decorationSystem
+        };
+    }
+
+    saveLevel(filename = 'course.json', name) {
+        downloadLevel(this.exportLevel(name), filename);
+    }
+
+    async openLevel(source) {
+        const level = await loadLevel(source);
+        this.importLevel(level);
+        return level;
+    }
+
+    importLevel(level) {
+        this.endStroke();
+        applyLevel(prepareLevel(level), this.getLevelSystems());
+
+        // Old undo steps point at the previous grid
+        this.state.undoStack = [];
+        this.state.redoStack = [];
+    }
+
+    dispose() {
+        if (this.domElement) {
+            this.domElement.removeEventListener('pointermove', this.onPointerMove);
+            this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+            this.domElement.removeEventListener('pointerup', this.onPointerUp);
+            document.removeEventListener('keydown', this.onKeyDown);
+        }
+
+        this.terrainSystem.scene.remove(this.brushCursor);
+        this.brushCursor.geometry.dispose();
+        this.brushCursor.material.dispose();
+    }
+}
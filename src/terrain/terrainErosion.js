@@ -1,5 +1,7 @@
 import * as THREE from 'three';
-import SimplexNoise from 'simplex-noise';
+import { createNoise2D, createNoise3D } from 'simplex-noise';
+import { deriveSeed } from '../utils.js';
+import { erodeHeightField, erodeHeightFieldSync } from './erosionKernels.js';
 
 export class TerrainErosionSystem {
     constructor(terrainSystem) {
@@ -31,6 +33,12 @@ export class TerrainErosionSystem {
                 rate: 0.1,
                 detail: 0.5,
                 frequency: 0.02
+            },
+            jobs: {
+                mode: 'worker',      // 'worker' or 'sliced' (main thread, within frameBudget)
+                frameBudget: 4,      // Milliseconds per frame for sliced jobs
+                interval: 1,         // Seconds between automatic hydraulic + thermal runs
+                auto: true
             }
         };
 
@@ -38,7 +46,9 @@ export class TerrainErosionSystem {
             erosionMap: null,
             weatheringMap: null,
             windParticles: [],
-            lastUpdate: Date.now()
+            lastUpdate: Date.now(),
+            activeJob: null,
+            jobCount: 0
         };
 
         this.initialize();
@@ -51,10 +61,16 @@ export class TerrainErosionSystem {
         this.state.erosionMap = new Float32Array(resolution * resolution);
         this.state.weatheringMap = new Float32Array(resolution * resolution);
         
-        // Create noise generators
+        // Seeded streams so erosion passes replay identically for a world seed
+        this.random = this.terrainSystem.createRandom('erosion');
         this.noise = {
-            weathering: new SimplexNoise(),
-            wind: new SimplexNoise()
+            weathering: {
+                noise2D: createNoise2D(this.terrainSystem.createRandom('erosion:weathering')),
+                noise3D: createNoise3D(this.terrainSystem.createRandom('erosion:weathering3d'))
+            },
+            wind: {
+                noise2D: createNoise2D(this.terrainSystem.createRandom('erosion:wind'))
+            }
         };
 
         // Initialize wind particle system
@@ -113,115 +129,163 @@ export class TerrainErosionSystem {
         this.terrainSystem.scene.add(this.windParticleSystem);
     }
 
-    applyHydraulicErosion() {
+    // Blocking versions, handy for tools and tests; gameplay goes through startErosionJob
+    applyHydraulicErosion(seed = this.nextJobSeed()) {
         const { resolution } = this.terrainSystem.settings;
-        const { droplets, iterations, minSlope, capacity, deposition, erosion, evaporation, radius } = this.settings.hydraulic;
-        
-        for (let d = 0; d < droplets; d++) {
-            // Initialize water droplet
-            let pos = new THREE.Vector2(
-                Math.random() * resolution,
-                Math.random() * resolution
-            );
-            let dir = new THREE.Vector2();
-            let speed = 1;
-            let water = 1;
-            let sediment = 0;
-
-            for (let i = 0; i < iterations; i++) {
-                const x = Math.floor(pos.x);
-                const y = Math.floor(pos.y);
-                
-                if (x < 0 || x >= resolution - 1 || y < 0 || y >= resolution - 1) break;
+        erodeHeightFieldSync(this.terrainSystem.heightField, resolution, ['hydraulic'], this.getJobSettings(), seed);
+        this.terrainSystem.markDirty();
+    }
 
-                // Calculate height gradient
-                const heights = this.getHeightsAround(x, y);
-                const gradient = this.calculateGradient(heights);
-                
-                // Update droplet direction and position
-                dir.x = dir.x * 0.1 + gradient.x * 0.9;
-                dir.y = dir.y * 0.1 + gradient.y * 0.9;
-                
-                const len = Math.sqrt(dir.x * dir.x + dir.y * dir.y);
-                if (len < minSlope) break;
-                
-                dir.divideScalar(len);
-                pos.add(dir);
+    applyThermalErosion(seed = this.nextJobSeed()) {
+        const { resolution } = this.terrainSystem.settings;
+        erodeHeightFieldSync(this.terrainSystem.heightField, resolution, ['thermal'], this.getJobSettings(), seed);
+        this.terrainSystem.markDirty();
+    }
 
-                // Calculate sediment capacity and update erosion/deposition
-                const slope = len;
-                const maxSediment = Math.max(slope * speed * water * capacity, 0);
-                
-                if (sediment > maxSediment) {
-                    // Deposit sediment
-                    const depositAmount = (sediment - maxSediment) * deposition;
-                    sediment -= depositAmount;
-                    this.deposit(x, y, depositAmount, radius);
-                } else {
-                    // Erode terrain
-                    const erodeAmount = Math.min((maxSediment - sediment) * erosion, -heights.center);
-                    sediment += erodeAmount;
-                    this.erode(x, y, erodeAmount, radius);
-                }
+    // Erode a snapshot of the height grid in a worker or in frame slices.
+    // Returns { progress, cancel(), promise }; the promise resolves to the eroded
+    // heights once they are published, or null when cancelled.
+    startErosionJob(options = {}) {
+        if (this.state.activeJob) {
+            this.state.activeJob.cancel();
+        }
 
-                // Update water and speed
-                water *= (1 - evaporation);
-                if (water < 0.01) break;
-                
-                speed = Math.sqrt(speed * speed + slope);
+        const { resolution } = this.terrainSystem.settings;
+        const passes = options.passes ?? ['hydraulic', 'thermal'];
+        const mode = options.mode ?? this.settings.jobs.mode;
+        const seed = options.seed ?? this.nextJobSeed();
+        const snapshot = Float32Array.from(this.terrainSystem.heightField);
+
+        const job = {
+            passes,
+            seed,
+            progress: 0,
+            cancelled: false,
+            snapshot,
+            onProgress: options.onProgress ?? null
+        };
+
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+
+        job.cancel = () => {
+            if (job.cancelled || job.finished) return;
+            job.cancelled = true;
+            if (job.worker) {
+                job.worker.terminate();
             }
+            this.finishJob(job, null);
+        };
+
+        if (mode === 'worker' && typeof Worker !== 'undefined') {
+            this.runWorkerJob(job, resolution);
+        } else {
+            job.heights = Float32Array.from(snapshot);
+            job.generator = erodeHeightField(job.heights, resolution, passes, this.getJobSettings(), seed);
         }
 
-        this.terrainSystem.updateGeometry();
+        this.state.activeJob = job;
+        return job;
     }
 
-    applyThermalErosion() {
-        const { resolution } = this.terrainSystem.settings;
-        const { iterations, talus, rate } = this.settings.thermal;
-        const maxAngle = Math.tan(talus * Math.PI / 180);
-
-        for (let iter = 0; iter < iterations; iter++) {
-            const changes = new Float32Array(resolution * resolution);
-
-            for (let y = 0; y < resolution - 1; y++) {
-                for (let x = 0; x < resolution - 1; x++) {
-                    const idx = y * resolution + x;
-                    const height = this.terrainSystem.heightField[idx];
-
-                    // Check neighbors
-                    const neighbors = [
-                        { dx: 1, dy: 0 },
-                        { dx: 0, dy: 1 },
-                        { dx: -1, dy: 0 },
-                        { dx: 0, dy: -1 }
-                    ];
-
-                    for (const n of neighbors) {
-                        const nx = x + n.dx;
-                        const ny = y + n.dy;
-                        
-                        if (nx < 0 || nx >= resolution || ny < 0 || ny >= resolution) continue;
-
-                        const nIdx = ny * resolution + nx;
-                        const nHeight = this.terrainSystem.heightField[nIdx];
-                        const slope = (height - nHeight);
-                        
-                        if (slope > maxAngle) {
-                            const delta = (slope - maxAngle) * rate;
-                            changes[idx] -= delta;
-                            changes[nIdx] += delta;
-                        }
-                    }
-                }
+    runWorkerJob(job, resolution) {
+        job.worker = new Worker(new URL('./erosionWorker.js', import.meta.url), { type: 'module' });
+
+        job.worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                this.reportProgress(job, message.progress);
+            } else if (message.type === 'complete') {
+                job.worker.terminate();
+                this.publishJob(job, message.heights);
+            } else if (message.type === 'error') {
+                job.worker.terminate();
+                this.failJob(job, new Error(message.message));
+            }
+        };
+
+        job.worker.onerror = (error) => {
+            job.worker.terminate();
+            this.failJob(job, error);
+        };
+
+        job.worker.postMessage({
+            heights: Float32Array.from(job.snapshot),
+            resolution,
+            passes: job.passes,
+            settings: this.getJobSettings(),
+            seed: job.seed
+        });
+    }
+
+    // Advance a sliced job until the frame budget is spent
+    stepSlicedJob(job) {
+        const { frameBudget } = this.settings.jobs;
+        const start = performance.now();
+
+        while (performance.now() - start < frameBudget) {
+            const step = job.generator.next();
+            if (step.done) {
+                this.publishJob(job, job.heights);
+                return;
             }
+            this.reportProgress(job, step.value);
+        }
+    }
+
+    reportProgress(job, progress) {
+        job.progress = progress;
+        if (job.onProgress) {
+            job.onProgress(progress, job);
+        }
+    }
 
-            // Apply changes
-            for (let i = 0; i < resolution * resolution; i++) {
-                this.terrainSystem.heightField[i] += changes[i];
+    // Apply the job as a difference against its snapshot, so ruts and paths made
+    // while it ran are kept
+    publishJob(job, heights) {
+        if (job.cancelled) return;
+
+        const heightField = this.terrainSystem.heightField;
+        if (heightField.length === heights.length) {
+            for (let i = 0; i < heightField.length; i++) {
+                heightField[i] += heights[i] - job.snapshot[i];
             }
+            this.terrainSystem.markDirty();
+            this.terrainSystem.syncDirtyRegion();
+        }
+
+        this.reportProgress(job, 1);
+        this.finishJob(job, heights);
+    }
+
+    failJob(job, error) {
+        console.error('Erosion job failed:', error);
+        job.finished = true;
+        if (this.state.activeJob === job) {
+            this.state.activeJob = null;
+        }
+        job.reject(error);
+    }
+
+    finishJob(job, result) {
+        job.finished = true;
+        if (this.state.activeJob === job) {
+            this.state.activeJob = null;
         }
+        job.resolve(result);
+    }
+
+    nextJobSeed() {
+        return deriveSeed(this.terrainSystem.seed, `erosion:job:${this.state.jobCount++}`);
+    }
 
-        this.terrainSystem.updateGeometry();
+    getJobSettings() {
+        return {
+            hydraulic: { ...this.settings.hydraulic },
+            thermal: { ...this.settings.thermal }
+        };
     }
 
     applyWindErosion(deltaTime) {
@@ -264,7 +328,7 @@ export class TerrainErosionSystem {
             }
         }
 
-        this.terrainSystem.updateGeometry();
+        this.terrainSystem.markDirty();
     }
 
     applyWeathering(deltaTime) {
@@ -309,7 +373,7 @@ export class TerrainErosionSystem {
             }
         }
 
-        this.terrainSystem.updateGeometry();
+        this.terrainSystem.markDirty();
     }
 
     updateWindParticles(deltaTime, windDirection) {
@@ -318,7 +382,7 @@ export class TerrainErosionSystem {
         const velocities = geometry.attributes.velocity.array;
         const ages = geometry.attributes.age.array;
         
-        const { resolution, size } = this.terrainSystem.settings;
+        const { size } = this.terrainSystem.settings;
         const terrainSize = size;
         const particleCount = positions.length / 3;
 
@@ -336,15 +400,11 @@ export class TerrainErosionSystem {
                 positions[idx + 2] += velocities[idx + 2] * deltaTime;
 
                 // Check terrain collision
-                const x = Math.floor((positions[idx] / terrainSize + 0.5) * resolution);
-                const z = Math.floor((positions[idx + 2] / terrainSize + 0.5) * resolution);
-
-                if (x >= 0 && x < resolution && z >= 0 && z < resolution) {
-                    const height = this.terrainSystem.heightField[z * resolution + x];
-                    if (positions[idx + 1] < height) {
-                        this.initializeWindParticle(positions, velocities, ages, i, terrainSize);
-                    }
-                } else {
+                const halfSize = terrainSize * 0.5;
+                const outside = Math.abs(positions[idx]) > halfSize || Math.abs(positions[idx + 2]) > halfSize;
+                const height = this.getTerrainHeightAt(positions[idx], positions[idx + 2]);
+
+                if (outside || positions[idx + 1] < height) {
                     this.initializeWindParticle(positions, velocities, ages, i, terrainSize);
                 }
             }
@@ -366,12 +426,12 @@ export class TerrainErosionSystem {
         
         positions[idx] = Math.cos(spawnAngle) * spawnRadius;
         positions[idx + 2] = Math.sin(spawnAngle) * spawnRadius;
-        positions[idx + 1] = this.getTerrainHeightAt(positions[idx], positions[idx + 2]) + Math.random() * 5;
+        positions[idx + 1] = this.getTerrainHeightAt(positions[idx], positions[idx + 2]) + this.random() * 5;
 
         // Set velocity based on wind direction with some variation
-        const speed = 10 + Math.random() * 5;
+        const speed = 10 + this.random() * 5;
         velocities[idx] = this.settings.wind.direction.x * speed;
-        velocities[idx + 1] = Math.random() * 2 - 1;
+        velocities[idx + 1] = this.random() * 2 - 1;
         velocities[idx + 2] = this.settings.wind.direction.y * speed;
 
         ages[index] = 0;
@@ -416,6 +476,8 @@ export class TerrainErosionSystem {
                 this.terrainSystem.heightField[idx] += amount * influence;
             }
         }
+
+        this.terrainSystem.markDirty(x - radius, y - radius, x + radius, y + radius);
     }
 
     erode(x, y, amount, radius) {
@@ -447,26 +509,22 @@ export class TerrainErosionSystem {
     }
 
     getTerrainHeightAt(x, z) {
-        const { resolution, size } = this.terrainSystem.settings;
-        const halfSize = size * 0.5;
-        
-        const tx = Math.floor((x / size + 0.5) * resolution);
-        const tz = Math.floor((z / size + 0.5) * resolution);
-        
-        if (tx < 0 || tx >= resolution || tz < 0 || tz >= resolution) {
-            return 0;
-        }
-
-        return this.terrainSystem.heightField[tz * resolution + tx];
+        return this.terrainSystem.query.getHeight(x, z);
     }
 
     update(deltaTime) {
+        const job = this.state.activeJob;
+        if (job && job.generator) {
+            this.stepSlicedJob(job);
+        }
+
         const now = Date.now();
         const timeSinceLastUpdate = (now - this.state.lastUpdate) / 1000;
 
-        if (timeSinceLastUpdate > 1) {
-            this.applyHydraulicErosion();
-            this.applyThermalErosion();
+        if (this.settings.jobs.auto && !this.state.activeJob &&
+            timeSinceLastUpdate > this.settings.jobs.interval) {
+            // failJob already logs the error; nobody else awaits this job
+            this.startErosionJob().promise.catch(() => {});
             this.state.lastUpdate = now;
         }
 
@@ -475,6 +533,10 @@ export class TerrainErosionSystem {
     }
 
     dispose() {
+        if (this.state.activeJob) {
+            this.state.activeJob.cancel();
+        }
+
         // Dispose wind particle system
         this.windParticleSystem.geometry.dispose();
         this.windParticleSystem.material.dispose();
@@ -485,5 +547,4 @@ export class TerrainErosionSystem {
         this.state.weatheringMap = null;
         this.state.windParticles = [];
     }
-} 
 } 
\ No newline at end of file
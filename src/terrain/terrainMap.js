@@ -0,0 +1,556 @@
+import * as THREE from 'three';
+
+// Topographic map of the base grid: hillshaded relief, water, contour lines and
+// trails. The HUD minimap crops a cached full-map canvas; briefings and printed
+// maps draw fresh at their own size, to a canvas or as SVG.
+export class TerrainMapSystem {
+    constructor(terrainSystem, pathSystem = null) {
+        this.terrainSystem = terrainSystem;
+        this.pathSystem = pathSystem;
+
+        this.settings = {
+            contourInterval: 2,     // Metres between contour lines
+            indexEvery: 5,          // Every nth contour is drawn heavier and labelled
+            pixelsPerCell: 4,       // Cached map canvas resolution
+            redrawInterval: 0.5,    // Seconds between cached map rebuilds while the ground changes
+            hillshade: {
+                azimuth: 315,       // Degrees clockwise from north the light comes from
+                altitude: 45,       // Degrees above the horizon
+                ambient: 0.35
+            },
+            colors: {
+                background: '#f4efe2', // Beyond the base grid
+                low: [200, 217, 176],
+                high: [239, 230, 207],
+                water: [158, 201, 232],
+                contour: 'rgba(140, 90, 40, 0.55)',
+                indexContour: 'rgba(120, 70, 25, 0.9)',
+                label: '#784619',
+                trail: '#b3261e',
+                marker: '#1b1b1b'
+            },
+            lineWidths: {
+                contour: 0.6,       // Pixels on a map drawn at one pixel per cell
+                indexContour: 1.2,
+                trail: 1.5
+            },
+            minimap: {
+                range: 60,          // Metres from the centre to the edge
+                rotate: true        // Heading up rather than north up
+            }
+        };
+
+        this.state = {
+            dirty: true,
+            canvasDirty: true,
+            sinceRedraw: 0,
+            version: 0              // Bumped on every rebuild so cached copies know to redraw
+        };
+
+        this.contours = null;
+        this.reliefImage = null;
+        this.reliefCanvas = null;
+        this.mapCanvas = null;
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.onHeightsChanged = () => this.markDirty();
+        this.terrainSystem.addListener('heightsChanged', this.onHeightsChanged);
+        this.terrainSystem.map = this;
+    }
+
+    setPathSystem(pathSystem) {
+        this.pathSystem = pathSystem;
+        this.state.canvasDirty = true;
+    }
+
+    // Trails and water don't fire heightsChanged on their own edits; call this after them
+    markDirty() {
+        this.state.dirty = true;
+        this.state.canvasDirty = true;
+    }
+
+    update(deltaTime) {
+        this.state.sinceRedraw += deltaTime;
+        if (!this.state.canvasDirty || this.state.sinceRedraw < this.settings.redrawInterval) return;
+
+        this.state.sinceRedraw = 0;
+        this.getMapCanvas();
+    }
+
+    refresh() {
+        if (!this.state.dirty) return;
+
+        this.contours = this.computeContours(this.settings.contourInterval);
+        this.reliefImage = this.createReliefImage();
+        this.reliefCanvas = null;
+        this.state.dirty = false;
+        this.state.version++;
+    }
+
+    getContours() {
+        this.refresh();
+        return this.contours;
+    }
+
+    // Marching squares over the base grid. Returns [{ level, index, lines }] where each
+    // line is a flat [x0, z0, x1, z1, ...] array in world units.
+    computeContours(interval) {
+        const { size, resolution, heightScale } = this.terrainSystem.settings;
+        const cellSize = this.terrainSystem.getCellSize();
+        const heights = this.terrainSystem.heightField;
+        const levels = new Map();
+
+        // Grid edges are numbered so neighbouring cells agree on the shared crossing
+        const horizontal = (col, row) => (row * resolution + col) * 2;
+        const vertical = (col, row) => (row * resolution + col) * 2 + 1;
+
+        const crossing = (edge, level) => {
+            const cell = edge >> 1;
+            const col = cell % resolution;
+            const row = Math.floor(cell / resolution);
+            const a = heights[cell] * heightScale;
+            const b = (edge & 1 ? heights[cell + resolution] : heights[cell + 1]) * heightScale;
+            const t = (level - a) / (b - a);
+            return edge & 1
+                ? [col * cellSize - size / 2, (row + t) * cellSize - size / 2]
+                : [(col + t) * cellSize - size / 2, row * cellSize - size / 2];
+        };
+
+        const link = (entry, a, b) => {
+            for (const [from, to] of [[a, b], [b, a]]) {
+                const links = entry.links.get(from);
+                if (links) links.push(to);
+                else entry.links.set(from, [to]);
+            }
+        };
+
+        for (let row = 0; row < resolution - 1; row++) {
+            for (let col = 0; col < resolution - 1; col++) {
+                const i = row * resolution + col;
+                const h00 = heights[i] * heightScale;
+                const h10 = heights[i + 1] * heightScale;
+                const h01 = heights[i + resolution] * heightScale;
+                const h11 = heights[i + resolution + 1] * heightScale;
+                const min = Math.min(h00, h10, h01, h11);
+                const max = Math.max(h00, h10, h01, h11);
+
+                // Levels in (min, max] cross this cell; a corner on the level counts as above
+                for (let k = Math.floor(min / interval) + 1; k * interval <= max; k++) {
+                    const level = k * interval;
+                    let entry = levels.get(k);
+                    if (!entry) {
+                        entry = { links: new Map() };
+                        levels.set(k, entry);
+                    }
+
+                    const above = [h00 >= level, h10 >= level, h11 >= level, h01 >= level];
+                    const edges = {
+                        top: above[0] !== above[1] ? horizontal(col, row) : -1,
+                        right: above[1] !== above[2] ? vertical(col + 1, row) : -1,
+                        bottom: above[3] !== above[2] ? horizontal(col, row + 1) : -1,
+                        left: above[0] !== above[3] ? vertical(col, row) : -1
+                    };
+                    const crossed = Object.values(edges).filter(edge => edge >= 0);
+
+                    if (crossed.length === 2) {
+                        link(entry, crossed[0], crossed[1]);
+                        continue;
+                    }
+
+                    // Saddle: cut off the two corners that disagree with the cell centre
+                    const center = (h00 + h10 + h01 + h11) / 4 >= level;
+                    if (above[0] !== center) link(entry, edges.top, edges.left);
+                    if (above[1] !== center) link(entry, edges.top, edges.right);
+                    if (above[2] !== center) link(entry, edges.right, edges.bottom);
+                    if (above[3] !== center) link(entry, edges.left, edges.bottom);
+                }
+            }
+        }
+
+        const contours = [];
+        for (const [k, entry] of [...levels].sort((a, b) => a[0] - b[0])) {
+            const level = k * interval;
+            contours.push({
+                level,
+                index: k % this.settings.indexEvery === 0,
+                lines: this.traceLines(entry.links, (edge) => crossing(edge, level))
+            });
+        }
+        return contours;
+    }
+
+    // Walk the edge links into polylines, open ends first so lines aren't split midway
+    traceLines(links, getPoint) {
+        const lines = [];
+        const visited = new Set();
+
+        const walk = (start) => {
+            const line = [...getPoint(start)];
+            visited.add(start);
+            let current = start;
+
+            while (true) {
+                const next = links.get(current).find(edge => !visited.has(edge));
+                if (next === undefined) {
+                    // Closed loops end back at their first crossing
+                    if (links.get(current).includes(start) && current !== start && line.length > 4) {
+                        line.push(line[0], line[1]);
+                    }
+                    break;
+                }
+                visited.add(next);
+                line.push(...getPoint(next));
+                current = next;
+            }
+            lines.push(line);
+        };
+
+        for (const [edge, neighbours] of links) {
+            if (neighbours.length === 1 && !visited.has(edge)) walk(edge);
+        }
+        for (const edge of links.keys()) {
+            if (!visited.has(edge)) walk(edge);
+        }
+        return lines;
+    }
+
+    // One RGBA pixel per base grid sample: elevation tint, hillshade and standing water
+    createReliefImage() {
+        const { size, resolution, heightScale } = this.terrainSystem.settings;
+        const { hillshade, colors } = this.settings;
+        const cellSize = this.terrainSystem.getCellSize();
+        const heights = this.terrainSystem.heightField;
+        const water = this.terrainSystem.water;
+        const data = new Uint8ClampedArray(resolution * resolution * 4);
+
+        // Light direction with north at -z
+        const azimuth = THREE.MathUtils.degToRad(hillshade.azimuth);
+        const altitude = THREE.MathUtils.degToRad(hillshade.altitude);
+        const light = new THREE.Vector3(
+            Math.cos(altitude) * Math.sin(azimuth),
+            Math.sin(altitude),
+            -Math.cos(altitude) * Math.cos(azimuth)
+        );
+        const flat = light.y;
+        const normal = new THREE.Vector3();
+
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < heights.length; i++) {
+            min = Math.min(min, heights[i]);
+            max = Math.max(max, heights[i]);
+        }
+        const range = Math.max(max - min, 1e-6);
+
+        for (let row = 0; row < resolution; row++) {
+            for (let col = 0; col < resolution; col++) {
+                const i = row * resolution + col;
+                const left = heights[row * resolution + Math.max(0, col - 1)];
+                const right = heights[row * resolution + Math.min(resolution - 1, col + 1)];
+                const up = heights[Math.max(0, row - 1) * resolution + col];
+                const down = heights[Math.min(resolution - 1, row + 1) * resolution + col];
+
+                normal.set((left - right) * heightScale, 2 * cellSize, (up - down) * heightScale).normalize();
+                const shade = hillshade.ambient + (1 - hillshade.ambient) * Math.max(0, normal.dot(light)) / flat;
+
+                let color;
+                if (water && water.getWaterDepth(col * cellSize - size / 2, row * cellSize - size / 2) > 0) {
+                    color = colors.water;
+                } else {
+                    const t = (heights[i] - min) / range;
+                    color = [0, 1, 2].map(c => THREE.MathUtils.lerp(colors.low[c], colors.high[c], t) * shade);
+                }
+
+                data[i * 4] = color[0];
+                data[i * 4 + 1] = color[1];
+                data[i * 4 + 2] = color[2];
+                data[i * 4 + 3] = 255;
+            }
+        }
+
+        return { data, width: resolution, height: resolution };
+    }
+
+    getReliefCanvas() {
+        this.refresh();
+        if (!this.reliefCanvas) {
+            const { data, width, height } = this.reliefImage;
+            this.reliefCanvas = createCanvas(width, height);
+            this.reliefCanvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+        }
+        return this.reliefCanvas;
+    }
+
+    // World rectangle covered by the base grid, out to the edge of the outer samples
+    getBounds() {
+        const { size } = this.terrainSystem.settings;
+        const half = size / 2 + this.terrainSystem.getCellSize() / 2;
+        return { minX: -half, minZ: -half, maxX: half, maxZ: half };
+    }
+
+    // Draw the map for a world rectangle (north up) onto a 2D context.
+    // options: bounds, width, height, markers [{ x, z, label, color }], labels
+    drawMap(context, options = {}) {
+        const bounds = options.bounds ?? this.getBounds();
+        const width = options.width ?? context.canvas.width;
+        const height = options.height ?? context.canvas.height;
+        const scaleX = width / (bounds.maxX - bounds.minX);
+        const scaleZ = height / (bounds.maxZ - bounds.minZ);
+        const toX = (x) => (x - bounds.minX) * scaleX;
+        const toY = (z) => (z - bounds.minZ) * scaleZ;
+        // Line widths grow with the map so a printed sheet doesn't come out hairline
+        const lineScale = Math.max(1, scaleX * this.terrainSystem.getCellSize() / 2);
+        const { colors, lineWidths } = this.settings;
+
+        const grid = this.getBounds();
+        context.fillStyle = colors.background;
+        context.fillRect(0, 0, width, height);
+        context.imageSmoothingEnabled = true;
+        context.drawImage(
+            this.getReliefCanvas(),
+            toX(grid.minX), toY(grid.minZ),
+            (grid.maxX - grid.minX) * scaleX, (grid.maxZ - grid.minZ) * scaleZ
+        );
+
+        context.lineJoin = 'round';
+        for (const contour of this.getContours()) {
+            context.strokeStyle = contour.index ? colors.indexContour : colors.contour;
+            context.lineWidth = (contour.index ? lineWidths.indexContour : lineWidths.contour) * lineScale;
+            context.beginPath();
+            for (const line of contour.lines) {
+                context.moveTo(toX(line[0]), toY(line[1]));
+                for (let i = 2; i < line.length; i += 2) {
+                    context.lineTo(toX(line[i]), toY(line[i + 1]));
+                }
+            }
+            context.stroke();
+        }
+
+        if (options.labels) {
+            context.fillStyle = colors.label;
+            context.font = `${Math.round(9 * lineScale)}px sans-serif`;
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            for (const { level, point } of this.getContourLabels()) {
+                context.fillText(`${level}`, toX(point.x), toY(point.z));
+            }
+        }
+
+        context.strokeStyle = colors.trail;
+        context.lineWidth = lineWidths.trail * lineScale;
+        context.setLineDash([4 * lineScale, 3 * lineScale]);
+        for (const points of this.getTrails()) {
+            context.beginPath();
+            points.forEach((point, i) => {
+                if (i === 0) context.moveTo(toX(point.x), toY(point.z));
+                else context.lineTo(toX(point.x), toY(point.z));
+            });
+            context.stroke();
+        }
+        context.setLineDash([]);
+
+        for (const marker of options.markers ?? []) {
+            context.fillStyle = marker.color ?? colors.marker;
+            context.beginPath();
+            context.arc(toX(marker.x), toY(marker.z), 3 * lineScale, 0, Math.PI * 2);
+            context.fill();
+            if (marker.label) {
+                context.font = `${Math.round(10 * lineScale)}px sans-serif`;
+                context.textAlign = 'left';
+                context.textBaseline = 'middle';
+                context.fillText(marker.label, toX(marker.x) + 5 * lineScale, toY(marker.z));
+            }
+        }
+    }
+
+    getTrails() {
+        if (!this.pathSystem) return [];
+        return [...this.pathSystem.paths.values()].map(path => path.points);
+    }
+
+    // Index contour labels at the middle of lines long enough to carry one
+    getContourLabels(minLength = 10) {
+        const labels = [];
+        for (const contour of this.getContours()) {
+            if (!contour.index) continue;
+            for (const line of contour.lines) {
+                if (line.length / 2 < minLength) continue;
+                const mid = Math.floor(line.length / 4) * 2;
+                labels.push({ level: +contour.level.toFixed(2), point: { x: line[mid], z: line[mid + 1] } });
+            }
+        }
+        return labels;
+    }
+
+    // Whole map at settings.pixelsPerCell, rebuilt at most every redrawInterval
+    getMapCanvas() {
+        if (this.mapCanvas && !this.state.canvasDirty) return this.mapCanvas;
+
+        const { resolution } = this.terrainSystem.settings;
+        const pixels = resolution * this.settings.pixelsPerCell;
+        if (!this.mapCanvas) {
+            this.mapCanvas = createCanvas(pixels, pixels);
+        } else {
+            this.mapCanvas.width = pixels;
+            this.mapCanvas.height = pixels;
+        }
+
+        this.drawMap(this.mapCanvas.getContext('2d'), { width: pixels, height: pixels });
+        this.state.canvasDirty = false;
+        return this.mapCanvas;
+    }
+
+    // HUD minimap around a position, heading up when settings.minimap.rotate is set.
+    // heading is the yaw in radians, 0 facing -z.
+    renderMinimap(canvas, position, heading = 0) {
+        const { range, rotate } = this.settings.minimap;
+        const context = canvas.getContext('2d');
+        const map = this.mapCanvas ?? this.getMapCanvas();
+        const bounds = this.getBounds();
+        const pixelsPerMetre = map.width / (bounds.maxX - bounds.minX);
+        const scale = canvas.width / (range * 2 * pixelsPerMetre);
+
+        context.save();
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.beginPath();
+        context.arc(canvas.width / 2, canvas.height / 2, canvas.width / 2, 0, Math.PI * 2);
+        context.clip();
+
+        context.translate(canvas.width / 2, canvas.height / 2);
+        if (rotate) context.rotate(heading);
+        context.scale(scale, scale);
+        context.drawImage(
+            map,
+            -(position.x - bounds.minX) * pixelsPerMetre,
+            -(position.z - bounds.minZ) * pixelsPerMetre
+        );
+        context.restore();
+
+        // Player arrow
+        context.save();
+        context.translate(canvas.width / 2, canvas.height / 2);
+        if (!rotate) context.rotate(-heading);
+        context.fillStyle = this.settings.colors.marker;
+        context.beginPath();
+        context.moveTo(0, -7);
+        context.lineTo(5, 6);
+        context.lineTo(0, 3);
+        context.lineTo(-5, 6);
+        context.closePath();
+        context.fill();
+        context.restore();
+    }
+
+    // Briefing or print map on a canvas of its own. options as for drawMap
+    renderMap(canvas, options = {}) {
+        this.drawMap(canvas.getContext('2d'), { labels: true, ...options });
+        return canvas;
+    }
+
+    // Printable SVG: relief as an embedded image when a canvas is available, vectors for the rest
+    toSVG(options = {}) {
+        const bounds = options.bounds ?? this.getBounds();
+        const width = options.width ?? 1024;
+        const height = options.height ?? Math.round(width * (bounds.maxZ - bounds.minZ) / (bounds.maxX - bounds.minX));
+        const scale = width / (bounds.maxX - bounds.minX);
+        const lineScale = Math.max(1, scale * this.terrainSystem.getCellSize() / 2);
+        const { colors, lineWidths } = this.settings;
+        const toX = (x) => +((x - bounds.minX) * scale).toFixed(2);
+        const toY = (z) => +((z - bounds.minZ) * height / (bounds.maxZ - bounds.minZ)).toFixed(2);
+
+        const parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            `<rect width="${width}" height="${height}" fill="${colors.background}"/>`
+        ];
+
+        // OffscreenCanvas can't make a data URL synchronously, so workers get vectors only
+        if (typeof document !== 'undefined') {
+            const relief = this.getReliefCanvas();
+            const grid = this.getBounds();
+            parts.push(
+                `<image href="${relief.toDataURL('image/png')}" x="${toX(grid.minX)}" y="${toY(grid.minZ)}" ` +
+                `width="${toX(grid.maxX) - toX(grid.minX)}" height="${toY(grid.maxZ) - toY(grid.minZ)}" preserveAspectRatio="none"/>`
+            );
+        }
+
+        for (const contour of this.getContours()) {
+            const d = contour.lines.map(line => {
+                let path = `M${toX(line[0])} ${toY(line[1])}`;
+                for (let i = 2; i < line.length; i += 2) path += `L${toX(line[i])} ${toY(line[i + 1])}`;
+                return path;
+            }).join('');
+            const stroke = contour.index ? colors.indexContour : colors.contour;
+            const strokeWidth = (contour.index ? lineWidths.indexContour : lineWidths.contour) * lineScale;
+            parts.push(`<path d="${d}" fill="none" stroke="${stroke}" stroke-width="${strokeWidth}" data-level="${contour.level}"/>`);
+        }
+
+        for (const { level, point } of this.getContourLabels()) {
+            parts.push(
+                `<text x="${toX(point.x)}" y="${toY(point.z)}" fill="${colors.label}" font-size="${9 * lineScale}" ` +
+                `font-family="sans-serif" text-anchor="middle" dominant-baseline="middle">${level}</text>`
+            );
+        }
+
+        for (const points of this.getTrails()) {
+            const d = points.map((point, i) => `${i === 0 ? 'M' : 'L'}${toX(point.x)} ${toY(point.z)}`).join('');
+            parts.push(
+                `<path d="${d}" fill="none" stroke="${colors.trail}" stroke-width="${lineWidths.trail * lineScale}" ` +
+                `stroke-dasharray="${4 * lineScale} ${3 * lineScale}"/>`
+            );
+        }
+
+        for (const marker of options.markers ?? []) {
+            parts.push(`<circle cx="${toX(marker.x)}" cy="${toY(marker.z)}" r="${3 * lineScale}" fill="${marker.color ?? colors.marker}"/>`);
+            if (marker.label) {
+                parts.push(
+                    `<text x="${toX(marker.x) + 5 * lineScale}" y="${toY(marker.z)}" font-size="${10 * lineScale}" ` +
+                    `font-family="sans-serif" dominant-baseline="middle">${escapeXML(marker.label)}</text>`
+                );
+            }
+        }
+
+        parts.push('</svg>');
+        return parts.join('\n');
+    }
+
+    // Offer the map as an SVG download for printing
+    downloadSVG(filename = 'map.svg', options = {}) {
+        const blob = new Blob([this.toSVG(options)], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    dispose() {
+        this.terrainSystem.removeListener('heightsChanged', this.onHeightsChanged);
+        this.reliefCanvas = null;
+        this.mapCanvas = null;
+        if (this.terrainSystem.map === this) {
+            this.terrainSystem.map = null;
+        }
+    }
+}
+
+// DOM canvas where there is a document, OffscreenCanvas in workers, null elsewhere
+function createCanvas(width, height) {
+    if (typeof document !== 'undefined') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    return null;
+}
+
+function escapeXML(text) {
+    return String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
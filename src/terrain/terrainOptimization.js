@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
 
 export class TerrainOptimizationSystem {
     constructor(terrainSystem) {
@@ -6,26 +7,37 @@ export class TerrainOptimizationSystem {
         
         this.settings = {
             lod: {
+                // Resolutions must subsample the chunk grid (2^n + 1)
                 levels: [
-                    { distance: 100, resolution: 256 },
-                    { distance: 200, resolution: 128 },
-                    { distance: 400, resolution: 64 },
-                    { distance: 800, resolution: 32 }
+                    { distance: 100, resolution: 65 },
+                    { distance: 200, resolution: 33 },
+                    { distance: 400, resolution: 17 },
+                    { distance: 800, resolution: 9 }
                 ],
-                morphingRange: 0.3,
+                morphingRange: 0.3, // Share of each level's distance band spent geomorphing towards the next level
                 bias: 0.5
             },
             chunking: {
                 size: 64,
+                resolution: 65, // Height samples per chunk side, edges shared with neighbours
                 loadingRange: 3,
                 unloadingRange: 4,
-                fadeRange: 0.2
+                fadeRange: 0.2,
+                maxLoadsPerFrame: 2,
+                syncInterval: 0.1, // Seconds between pushes of edited chunk heights to mesh and physics
+                streaming: true
             },
             culling: {
                 frustumCulling: true,
                 occlusionCulling: true,
                 distanceCulling: true,
-                maxVisibleDistance: 1000
+                maxVisibleDistance: 1000,
+                horizon: {
+                    sectors: 256,         // Rays cast around the camera
+                    step: 4,              // Metres between height samples along a ray
+                    margin: 0.01,         // Slope a chunk must sit below the horizon by to be hidden
+                    rebuildDistance: 0.5  // Metres the camera moves before the horizon is recast
+                }
             },
             geometry: {
                 vertexCompression: true,
@@ -45,9 +57,26 @@ export class TerrainOptimizationSystem {
             geometryCache: new Map(),
             textureCache: new Map(),
             visibleChunks: new Set(),
-            lodTransitions: new Map()
+            lodTransitions: new Map(),
+            chunkData: new Map(), // Heights of edited or imported chunks, kept across unloads
+            dirtyChunks: new Set(),
+            syncTimer: 0,
+            horizon: null,          // Running max slope per ray and distance step, see buildHorizon
+            horizonOrigin: new THREE.Vector3(Infinity, 0, 0),
+            horizonDirty: true,
+            cullingStats: {
+                chunks: 0,
+                frustumCulled: 0,
+                occluded: 0,
+                drawn: 0,
+                horizonRebuilt: false,
+                time: 0             // Milliseconds
+            }
         };
 
+        // GameLoop that receives per-frame culling stats for its debug info
+        this.gameLoop = null;
+
         this.initialize();
     }
 
@@ -55,6 +84,13 @@ export class TerrainOptimizationSystem {
         this.setupGeometryPool();
         this.setupOcclusionCulling();
         this.createChunkManager();
+
+        if (this.settings.chunking.streaming) {
+            this.terrainSystem.streaming = this;
+            this.terrainSystem.setBaseSurfaceEnabled(false);
+            this.onHeightsChanged = (bounds) => this.invalidateRegion(bounds);
+            this.terrainSystem.addListener('heightsChanged', this.onHeightsChanged);
+        }
     }
 
     setupGeometryPool() {
@@ -147,12 +183,15 @@ export class TerrainOptimizationSystem {
         }
     }
 
+    // Horizon occlusion runs on the CPU against the height data, so it needs no renderer
     setupOcclusionCulling() {
-        if (!this.settings.culling.occlusionCulling) return;
+        this.frustum = new THREE.Frustum();
+        this.projectionMatrix = new THREE.Matrix4();
+        this.chunkBox = new THREE.Box3();
+    }
 
-        this.occlusionCamera = new THREE.PerspectiveCamera(90, 1, 0.1, 1000);
-        this.occlusionRenderTarget = new THREE.WebGLRenderTarget(32, 32);
-        this.occlusionMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+    setGameLoop(gameLoop) {
+        this.gameLoop = gameLoop;
     }
 
     createChunkManager() {
@@ -163,8 +202,8 @@ export class TerrainOptimizationSystem {
         };
     }
 
-    update(camera) {
-        this.updateChunks(camera);
+    update(camera, focusPosition = camera.position) {
+        this.updateChunks(camera, focusPosition);
         this.updateLOD(camera);
         if (this.settings.culling.occlusionCulling) {
             this.updateOcclusionCulling(camera);
@@ -172,21 +211,41 @@ export class TerrainOptimizationSystem {
         this.cleanupCache();
     }
 
-    updateChunks(camera) {
-        const cameraPosition = camera.position;
-        const visibleChunks = this.getVisibleChunks(cameraPosition);
+    updateChunks(camera, focusPosition = camera.position) {
+        const visibleChunks = this.getVisibleChunks(focusPosition);
+        const { size, unloadingRange, maxLoadsPerFrame } = this.settings.chunking;
+        const { loadQueue, unloadQueue } = this.chunkManager;
+
+        // Queue missing chunks, nearest first
+        visibleChunks.forEach(chunkId => {
+            if (!this.state.activeChunks.has(chunkId) && !loadQueue.includes(chunkId)) {
+                loadQueue.push(chunkId);
+            }
+        });
+        loadQueue.sort((a, b) =>
+            this.getChunkIdDistance(a, focusPosition) - this.getChunkIdDistance(b, focusPosition)
+        );
 
-        // Process load queue
-        while (this.chunkManager.loadQueue.length > 0) {
-            const chunkId = this.chunkManager.loadQueue.shift();
+        // Queue chunks that fell outside the unloading range
+        this.state.activeChunks.forEach((chunk, chunkId) => {
+            if (this.getChunkDistance(chunk.x, chunk.z, focusPosition) > size * unloadingRange) {
+                unloadQueue.push(chunkId);
+            }
+        });
+
+        // Process load queue, a few chunks per frame to avoid hitches
+        let loaded = 0;
+        while (loadQueue.length > 0 && loaded < maxLoadsPerFrame) {
+            const chunkId = loadQueue.shift();
             if (visibleChunks.has(chunkId) && !this.state.activeChunks.has(chunkId)) {
                 this.loadChunk(chunkId);
+                loaded++;
             }
         }
 
         // Process unload queue
-        while (this.chunkManager.unloadQueue.length > 0) {
-            const chunkId = this.chunkManager.unloadQueue.shift();
+        while (unloadQueue.length > 0) {
+            const chunkId = unloadQueue.shift();
             if (!visibleChunks.has(chunkId) && this.state.activeChunks.has(chunkId)) {
                 this.unloadChunk(chunkId);
             }
@@ -196,6 +255,413 @@ export class TerrainOptimizationSystem {
         this.state.visibleChunks = visibleChunks;
     }
 
+    // Synchronously load everything in range, e.g. before spawning the vehicle
+    loadChunksAround(position) {
+        this.getVisibleChunks(position).forEach(chunkId => {
+            if (!this.state.activeChunks.has(chunkId)) {
+                this.loadChunk(chunkId);
+            }
+        });
+    }
+
+    loadChunk(chunkId) {
+        const [x, z] = chunkId.split(',').map(Number);
+        const { size } = this.settings.chunking;
+
+        const chunk = {
+            id: chunkId,
+            x,
+            z,
+            heights: this.getChunkHeights(x, z),
+            modified: this.state.chunkData.has(chunkId),
+            currentLOD: 0,
+            edgeSteps: null,
+            morphFactor: 0,
+            minHeight: 0,
+            maxHeight: 0
+        };
+        this.updateChunkHeightRange(chunk);
+        chunk.edgeSteps = this.getEdgeSteps(chunk, chunk.currentLOD);
+
+        chunk.mesh = new THREE.Mesh(
+            this.createChunkGeometry(chunk, chunk.currentLOD),
+            this.terrainSystem.material
+        );
+        chunk.mesh.position.set(x * size, 0, z * size);
+        chunk.mesh.receiveShadow = true;
+        chunk.mesh.updateMorphTargets();
+        this.terrainSystem.scene.add(chunk.mesh);
+
+        this.createChunkBody(chunk);
+
+        this.state.activeChunks.set(chunkId, chunk);
+        return chunk;
+    }
+
+    unloadChunk(chunkId) {
+        const chunk = this.state.activeChunks.get(chunkId);
+        if (!chunk) return;
+
+        // Edited ground has to survive the round trip, generated ground can be rebuilt
+        if (chunk.modified) {
+            this.state.chunkData.set(chunkId, chunk.heights);
+        }
+
+        this.terrainSystem.scene.remove(chunk.mesh);
+        chunk.mesh.geometry.dispose();
+        this.terrainSystem.world.removeBody(chunk.body);
+
+        this.state.activeChunks.delete(chunkId);
+        this.state.visibleChunks.delete(chunkId);
+    }
+
+    getChunkHeights(chunkX, chunkZ) {
+        const chunkId = `${chunkX},${chunkZ}`;
+        const { size, resolution } = this.settings.chunking;
+        const cellSize = size / (resolution - 1);
+        const stored = this.state.chunkData.get(chunkId);
+        const heights = stored ? Float32Array.from(stored) : new Float32Array(resolution * resolution);
+        const base = this.terrainSystem.getBounds();
+
+        // Sample on the global grid so neighbouring chunks share identical edge heights
+        for (let row = 0; row < resolution; row++) {
+            for (let col = 0; col < resolution; col++) {
+                const worldX = (chunkX * (resolution - 1) + col) * cellSize;
+                const worldZ = (chunkZ * (resolution - 1) + row) * cellSize;
+                const inBase = worldX >= base.minX && worldX <= base.maxX &&
+                    worldZ >= base.minZ && worldZ <= base.maxZ;
+
+                if (!stored || inBase) {
+                    heights[row * resolution + col] = this.terrainSystem.sampleWorldHeight(worldX, worldZ);
+                }
+            }
+        }
+
+        return heights;
+    }
+
+    setChunkHeights(chunkId, heights) {
+        const stored = Float32Array.from(heights);
+        this.state.chunkData.set(chunkId, stored);
+
+        const chunk = this.state.activeChunks.get(chunkId);
+        if (chunk) {
+            chunk.heights = Float32Array.from(stored);
+            chunk.modified = true;
+            this.refreshChunk(chunk);
+        }
+    }
+
+    // Grid step, in chunk samples, of a LOD level
+    getLevelStep(lod) {
+        const { resolution } = this.settings.chunking;
+        const levelResolution = Math.min(this.settings.lod.levels[lod].resolution, resolution);
+        return (resolution - 1) / (levelResolution - 1);
+    }
+
+    // Step along each edge (north, south, west, east): the coarser of this chunk's
+    // and the loaded neighbour's, so both sides lay the same vertices on the seam
+    getEdgeSteps(chunk, lod) {
+        const step = this.getLevelStep(lod);
+
+        return EDGES.map(({ dx, dz }) => {
+            const neighbour = this.state.activeChunks.get(`${chunk.x + dx},${chunk.z + dz}`);
+            return neighbour ? Math.max(step, this.getLevelStep(neighbour.currentLOD)) : step;
+        });
+    }
+
+    createChunkGeometry(chunk, lod) {
+        const { size, resolution } = this.settings.chunking;
+        const levelResolution = Math.min(this.settings.lod.levels[lod].resolution, resolution);
+        const step = (resolution - 1) / (levelResolution - 1);
+        const cellSize = size / (levelResolution - 1);
+        const sampleSize = size / (resolution - 1);
+        const edgeSteps = chunk.edgeSteps ?? this.getEdgeSteps(chunk, lod);
+
+        // Geomorph towards the next level down; the last level has nowhere to go
+        const morphStep = lod < this.settings.lod.levels.length - 1 ? this.getLevelStep(lod + 1) : step;
+
+        const positions = new Float32Array(levelResolution * levelResolution * 3);
+        const normals = new Float32Array(levelResolution * levelResolution * 3);
+        const uvs = new Float32Array(levelResolution * levelResolution * 2);
+        const colors = new Float32Array(levelResolution * levelResolution * 3);
+        const morphDeltas = new Float32Array(levelResolution * levelResolution * 3);
+        const normal = new THREE.Vector3();
+        const color = new THREE.Color();
+
+        for (let row = 0; row < levelResolution; row++) {
+            for (let col = 0; col < levelResolution; col++) {
+                const i = row * levelResolution + col;
+                const sourceCol = col * step;
+                const sourceRow = row * step;
+                const edgeStep = this.getVertexEdgeStep(col, row, levelResolution, edgeSteps);
+
+                positions[i * 3] = col * cellSize;
+                positions[i * 3 + 2] = row * cellSize;
+
+                if (edgeStep > step) {
+                    // Seam against a coarser neighbour: lie on its edge line
+                    positions[i * 3 + 1] = this.getCoarseSample(chunk, sourceCol, sourceRow, edgeStep);
+                } else {
+                    positions[i * 3 + 1] = this.getChunkSample(chunk, sourceCol, sourceRow);
+
+                    // Seam vertices stay put so neighbours morphing at other rates can't open a gap
+                    if (edgeStep === 0) {
+                        morphDeltas[i * 3 + 1] = this.getCoarseSample(chunk, sourceCol, sourceRow, morphStep) - positions[i * 3 + 1];
+                    }
+                }
+
+                // Central differences that reach into neighbours, so lighting matches across seams
+                const left = this.getChunkSample(chunk, sourceCol - step, sourceRow);
+                const right = this.getChunkSample(chunk, sourceCol + step, sourceRow);
+                const up = this.getChunkSample(chunk, sourceCol, sourceRow - step);
+                const down = this.getChunkSample(chunk, sourceCol, sourceRow + step);
+                normal.set(left - right, 2 * step * sampleSize, up - down).normalize();
+                normals[i * 3] = normal.x;
+                normals[i * 3 + 1] = normal.y;
+                normals[i * 3 + 2] = normal.z;
+
+                uvs[i * 2] = col / (levelResolution - 1);
+                uvs[i * 2 + 1] = 1 - row / (levelResolution - 1);
+
+                this.terrainSystem.getGroundColor(chunk.x * size + col * cellSize, chunk.z * size + row * cellSize, color)
+                    .toArray(colors, i * 3);
+            }
+        }
+
+        const indices = [];
+        for (let row = 0; row < levelResolution - 1; row++) {
+            for (let col = 0; col < levelResolution - 1; col++) {
+                const a = row * levelResolution + col;
+                const b = a + 1;
+                const c = a + levelResolution;
+                const d = c + 1;
+                indices.push(a, c, b, b, c, d);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setIndex(indices);
+        geometry.morphAttributes.position = [new THREE.BufferAttribute(morphDeltas, 3)];
+        geometry.morphTargetsRelative = true;
+        geometry.computeBoundingSphere();
+
+        return geometry;
+    }
+
+    // Step of the seam a vertex sits on, 0 for interior vertices. Corners are shared
+    // by every level, so any edge's step works there.
+    getVertexEdgeStep(col, row, levelResolution, [north, south, west, east]) {
+        const last = levelResolution - 1;
+        if (row === 0) return north;
+        if (row === last) return south;
+        if (col === 0) return west;
+        if (col === last) return east;
+        return 0;
+    }
+
+    // Height of a coarser grid with the given step at a sample position, split into
+    // triangles the same way createChunkGeometry splits its cells
+    getCoarseSample(chunk, col, row, step) {
+        const col0 = Math.floor(col / step) * step;
+        const row0 = Math.floor(row / step) * step;
+        const fx = (col - col0) / step;
+        const fz = (row - row0) / step;
+
+        if (fx === 0 && fz === 0) {
+            return this.getChunkSample(chunk, col0, row0);
+        }
+
+        const b = this.getChunkSample(chunk, col0 + step, row0);
+        const c = this.getChunkSample(chunk, col0, row0 + step);
+        if (fx + fz <= 1) {
+            const a = this.getChunkSample(chunk, col0, row0);
+            return a + (b - a) * fx + (c - a) * fz;
+        }
+        const d = this.getChunkSample(chunk, col0 + step, row0 + step);
+        return d + (c - d) * (1 - fx) + (b - d) * (1 - fz);
+    }
+
+    // Chunk height by sample index, falling back to the world sampler past the edges
+    getChunkSample(chunk, col, row) {
+        const { size, resolution } = this.settings.chunking;
+
+        if (col >= 0 && col < resolution && row >= 0 && row < resolution) {
+            return chunk.heights[row * resolution + col];
+        }
+
+        const cellSize = size / (resolution - 1);
+        return this.terrainSystem.sampleWorldHeight(
+            (chunk.x * (resolution - 1) + col) * cellSize,
+            (chunk.z * (resolution - 1) + row) * cellSize
+        );
+    }
+
+    createChunkBody(chunk) {
+        const { size, resolution } = this.settings.chunking;
+        const data = [];
+
+        for (let col = 0; col < resolution; col++) {
+            const column = [];
+            for (let j = 0; j < resolution; j++) {
+                column.push(chunk.heights[(resolution - 1 - j) * resolution + col]);
+            }
+            data.push(column);
+        }
+
+        chunk.shape = new CANNON.Heightfield(data, {
+            elementSize: size / (resolution - 1)
+        });
+
+        // Same orientation as the base terrain body: local +y runs towards -z
+        chunk.body = new CANNON.Body({ mass: 0 });
+        chunk.body.addShape(chunk.shape);
+        chunk.body.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+        chunk.body.position.set(chunk.x * size, 0, (chunk.z + 1) * size);
+        this.terrainSystem.world.addBody(chunk.body);
+    }
+
+    refreshChunk(chunk) {
+        const { resolution } = this.settings.chunking;
+
+        chunk.mesh.geometry.dispose();
+        chunk.mesh.geometry = this.createChunkGeometry(chunk, chunk.currentLOD);
+        chunk.mesh.updateMorphTargets();
+        chunk.mesh.morphTargetInfluences[0] = chunk.morphFactor;
+        this.updateChunkHeightRange(chunk);
+
+        for (let col = 0; col < resolution; col++) {
+            for (let j = 0; j < resolution; j++) {
+                chunk.shape.data[col][j] = chunk.heights[(resolution - 1 - j) * resolution + col];
+            }
+        }
+        chunk.shape.updateMinValue();
+        chunk.shape.updateMaxValue();
+        chunk.shape.updateBoundingSphereRadius();
+        chunk.shape.update();
+        chunk.body.updateBoundingRadius();
+        chunk.body.aabbNeedsUpdate = true;
+    }
+
+    // Resample loaded chunks where the base terrain changed underneath them.
+    // Inside its bounds the base grid is authoritative, even for edited chunks.
+    invalidateRegion(bounds) {
+        const { size, resolution } = this.settings.chunking;
+        const cellSize = size / (resolution - 1);
+
+        this.state.activeChunks.forEach(chunk => {
+            const originX = chunk.x * size;
+            const originZ = chunk.z * size;
+            const minCol = Math.max(0, Math.floor((bounds.minX - originX) / cellSize) - 1);
+            const maxCol = Math.min(resolution - 1, Math.ceil((bounds.maxX - originX) / cellSize) + 1);
+            const minRow = Math.max(0, Math.floor((bounds.minZ - originZ) / cellSize) - 1);
+            const maxRow = Math.min(resolution - 1, Math.ceil((bounds.maxZ - originZ) / cellSize) + 1);
+            if (minCol > maxCol || minRow > maxRow) return;
+
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let col = minCol; col <= maxCol; col++) {
+                    chunk.heights[row * resolution + col] = this.terrainSystem.sampleWorldHeight(
+                        (chunk.x * (resolution - 1) + col) * cellSize,
+                        (chunk.z * (resolution - 1) + row) * cellSize
+                    );
+                }
+            }
+            this.refreshChunk(chunk);
+        });
+    }
+
+    // Dig or raise streamed ground outside the base grid, which edits itself
+    adjustHeight(x, z, radius, amount) {
+        const { size, resolution } = this.settings.chunking;
+        const cellSize = size / (resolution - 1);
+        const base = this.terrainSystem.getBounds();
+
+        this.state.activeChunks.forEach(chunk => {
+            const originX = chunk.x * size;
+            const originZ = chunk.z * size;
+            if (x + radius < originX || x - radius > originX + size ||
+                z + radius < originZ || z - radius > originZ + size) {
+                return;
+            }
+
+            let changed = false;
+            for (let row = 0; row < resolution; row++) {
+                const worldZ = originZ + row * cellSize;
+                if (Math.abs(worldZ - z) > radius) continue;
+
+                for (let col = 0; col < resolution; col++) {
+                    const worldX = originX + col * cellSize;
+                    const inBase = worldX >= base.minX && worldX <= base.maxX &&
+                        worldZ >= base.minZ && worldZ <= base.maxZ;
+                    const distance = Math.hypot(worldX - x, worldZ - z) / radius;
+                    if (inBase || distance > 1) continue;
+
+                    chunk.heights[row * resolution + col] += amount * Math.exp(-distance * distance * 4);
+                    changed = true;
+                }
+            }
+
+            if (changed) {
+                chunk.modified = true;
+                this.state.dirtyChunks.add(chunk.id);
+            }
+        });
+    }
+
+    updateDirtyChunks(deltaTime) {
+        this.state.syncTimer += deltaTime;
+        if (this.state.dirtyChunks.size === 0 ||
+            this.state.syncTimer < this.settings.chunking.syncInterval) {
+            return;
+        }
+
+        this.state.dirtyChunks.forEach(chunkId => {
+            const chunk = this.state.activeChunks.get(chunkId);
+            if (chunk) {
+                this.refreshChunk(chunk);
+            }
+        });
+        this.state.dirtyChunks.clear();
+        this.state.syncTimer = 0;
+    }
+
+    // Interpolated height from loaded chunk data, null where nothing is loaded
+    getHeightAt(x, z) {
+        const { size, resolution } = this.settings.chunking;
+        const chunkX = Math.floor(x / size);
+        const chunkZ = Math.floor(z / size);
+        const chunk = this.state.activeChunks.get(`${chunkX},${chunkZ}`);
+        if (!chunk) return null;
+
+        const cellSize = size / (resolution - 1);
+        const col = (x - chunkX * size) / cellSize;
+        const row = (z - chunkZ * size) / cellSize;
+        const col0 = Math.min(Math.floor(col), resolution - 2);
+        const row0 = Math.min(Math.floor(row), resolution - 2);
+        const fx = col - col0;
+        const fz = row - row0;
+
+        const h00 = chunk.heights[row0 * resolution + col0];
+        const h10 = chunk.heights[row0 * resolution + col0 + 1];
+        const h01 = chunk.heights[(row0 + 1) * resolution + col0];
+        const h11 = chunk.heights[(row0 + 1) * resolution + col0 + 1];
+
+        // Match the heightfield's triangle split so queries agree with collision
+        if (fx + (1 - fz) < 1) {
+            return h01 + (h00 - h01) * (1 - fz) + (h11 - h01) * fx;
+        }
+        return h10 + (h11 - h10) * fz + (h00 - h10) * (1 - fx);
+    }
+
+    getChunkIdDistance(chunkId, position) {
+        const [x, z] = chunkId.split(',').map(Number);
+        return this.getChunkDistance(x, z, position);
+    }
+
     getVisibleChunks(cameraPosition) {
         const chunks = new Set();
         const { size, loadingRange } = this.settings.chunking;
@@ -233,33 +699,33 @@ export class TerrainOptimizationSystem {
 
     updateLOD(camera) {
         const cameraPosition = camera.position;
+        const changed = new Set();
 
-        this.state.activeChunks.forEach((chunk, chunkId) => {
-            const distance = this.getChunkDistance(
-                chunk.x,
-                chunk.z,
-                cameraPosition
-            );
-
+        this.state.activeChunks.forEach(chunk => {
+            const distance = this.getChunkDistance(chunk.x, chunk.z, cameraPosition);
             const targetLOD = this.getTargetLOD(distance);
-            const currentLOD = chunk.currentLOD;
 
-            if (targetLOD !== currentLOD) {
-                this.updateChunkLOD(chunk, targetLOD);
+            if (targetLOD !== chunk.currentLOD) {
+                chunk.currentLOD = targetLOD;
+                changed.add(chunk);
             }
+            chunk.morphFactor = this.getMorphFactor(distance, chunk.currentLOD);
+        });
 
-            // Update LOD transition
-            if (chunk.transitioning) {
-                const progress = Math.min(1, chunk.transitionTime / 200);
-                chunk.mesh.material.uniforms.morphFactor.value = progress;
-
-                if (progress === 1) {
-                    chunk.transitioning = false;
-                } else {
-                    chunk.transitionTime += 16; // Assuming 60fps
-                }
+        // Seams follow whichever side is coarser, so a switch can reshape the neighbours too
+        this.state.activeChunks.forEach(chunk => {
+            const edgeSteps = this.getEdgeSteps(chunk, chunk.currentLOD);
+            if (!chunk.edgeSteps || edgeSteps.some((step, i) => step !== chunk.edgeSteps[i])) {
+                chunk.edgeSteps = edgeSteps;
+                changed.add(chunk);
             }
         });
+
+        changed.forEach(chunk => this.updateChunkLOD(chunk, chunk.currentLOD));
+
+        this.state.activeChunks.forEach(chunk => {
+            chunk.mesh.morphTargetInfluences[0] = chunk.morphFactor;
+        });
     }
 
     getTargetLOD(distance) {
@@ -272,52 +738,163 @@ export class TerrainOptimizationSystem {
         return levels.length - 1;
     }
 
-    updateChunkLOD(chunk, targetLOD) {
-        const currentGeometry = this.geometryPool.get(
-            this.settings.lod.levels[chunk.currentLOD].resolution
-        );
-        const targetGeometry = this.geometryPool.get(
-            this.settings.lod.levels[targetLOD].resolution
-        );
+    // 0 inside a level's band, easing to 1 at its far edge where the next level takes
+    // over. Fully morphed interiors match the next level, so the switch doesn't pop.
+    getMorphFactor(distance, lod) {
+        const { levels, morphingRange } = this.settings.lod;
+        if (lod >= levels.length - 1) return 0;
+
+        const near = lod > 0 ? levels[lod - 1].distance : 0;
+        const far = levels[lod].distance;
+        const start = far - (far - near) * morphingRange;
+        return THREE.MathUtils.clamp((distance - start) / (far - start), 0, 1);
+    }
 
-        chunk.mesh.geometry = targetGeometry;
+    updateChunkLOD(chunk, targetLOD) {
         chunk.currentLOD = targetLOD;
-        chunk.transitioning = true;
-        chunk.transitionTime = 0;
+        chunk.edgeSteps = this.getEdgeSteps(chunk, targetLOD);
+
+        chunk.mesh.geometry.dispose();
+        chunk.mesh.geometry = this.createChunkGeometry(chunk, targetLOD);
+        chunk.mesh.updateMorphTargets();
     }
 
     updateOcclusionCulling(camera) {
-        this.occlusionCamera.position.copy(camera.position);
-        this.occlusionCamera.rotation.copy(camera.rotation);
-
-        const renderer = this.terrainSystem.renderer;
-        const currentRenderTarget = renderer.getRenderTarget();
-
-        renderer.setRenderTarget(this.occlusionRenderTarget);
-        renderer.render(this.terrainSystem.scene, this.occlusionCamera);
-        renderer.setRenderTarget(currentRenderTarget);
-
-        // Read pixels and update chunk visibility
-        const pixels = new Uint8Array(32 * 32 * 4);
-        renderer.readRenderTargetPixels(
-            this.occlusionRenderTarget,
-            0, 0, 32, 32,
-            pixels
-        );
+        const start = performance.now();
+        const stats = this.state.cullingStats;
+        const { size } = this.settings.chunking;
+        const { rebuildDistance } = this.settings.culling.horizon;
 
-        this.updateChunkVisibility(pixels);
-    }
+        stats.horizonRebuilt = false;
+        if (this.state.horizonDirty || this.state.horizonOrigin.distanceTo(camera.position) > rebuildDistance) {
+            this.buildHorizon(camera.position);
+            stats.horizonRebuilt = true;
+        }
+
+        camera.updateMatrixWorld();
+        this.projectionMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        this.frustum.setFromProjectionMatrix(this.projectionMatrix);
+
+        stats.chunks = this.state.activeChunks.size;
+        stats.frustumCulled = 0;
+        stats.occluded = 0;
 
-    updateChunkVisibility(occlusionData) {
-        this.state.activeChunks.forEach((chunk) => {
-            const visible = this.isChunkVisible(chunk, occlusionData);
-            chunk.mesh.visible = visible;
+        this.state.activeChunks.forEach(chunk => {
+            // Three culls the frustum itself; counted here so the stats add up
+            this.chunkBox.min.set(chunk.x * size, chunk.minHeight, chunk.z * size);
+            this.chunkBox.max.set((chunk.x + 1) * size, chunk.maxHeight, (chunk.z + 1) * size);
+            if (this.settings.culling.frustumCulling && !this.frustum.intersectsBox(this.chunkBox)) {
+                stats.frustumCulled++;
+                chunk.mesh.visible = true;
+                return;
+            }
+
+            chunk.mesh.visible = this.isChunkVisible(chunk, camera.position);
+            if (!chunk.mesh.visible) stats.occluded++;
         });
+
+        stats.drawn = stats.chunks - stats.frustumCulled - stats.occluded;
+        stats.time = performance.now() - start;
+        this.gameLoop?.reportStats('terrainCulling', stats);
+    }
+
+    // Cast rays out from the eye over the height data and keep, per ray and distance
+    // step, the steepest slope up to the ground seen so far. Anything nearer the eye
+    // than a chunk and above its top slope hides it along that ray.
+    buildHorizon(eye) {
+        const { sectors, step } = this.settings.culling.horizon;
+        const { size, unloadingRange } = this.settings.chunking;
+        const steps = Math.ceil(size * (unloadingRange + 1) / step);
+
+        if (!this.state.horizon || this.state.horizon.length !== sectors * steps) {
+            this.state.horizon = new Float32Array(sectors * steps);
+        }
+        const horizon = this.state.horizon;
+
+        for (let ray = 0; ray < sectors; ray++) {
+            const angle = (ray / sectors) * Math.PI * 2;
+            const dirX = Math.cos(angle);
+            const dirZ = Math.sin(angle);
+            let steepest = -Infinity;
+
+            for (let i = 0; i < steps; i++) {
+                const distance = (i + 1) * step;
+                const x = eye.x + dirX * distance;
+                const z = eye.z + dirZ * distance;
+                const height = this.getHeightAt(x, z) ?? this.terrainSystem.sampleWorldHeight(x, z);
+                steepest = Math.max(steepest, (height - eye.y) / distance);
+                horizon[ray * steps + i] = steepest;
+            }
+        }
+
+        this.state.horizonOrigin.copy(eye);
+        this.state.horizonDirty = false;
+    }
+
+    // A chunk is hidden when, in every sector it spans, the ground nearer than it
+    // rises above the steepest slope any of its points could have
+    isChunkVisible(chunk, eye) {
+        const { sectors, step, margin } = this.settings.culling.horizon;
+        const { size } = this.settings.chunking;
+        const horizon = this.state.horizon;
+        const steps = horizon.length / sectors;
+
+        const minX = chunk.x * size - eye.x;
+        const maxX = minX + size;
+        const minZ = chunk.z * size - eye.z;
+        const maxZ = minZ + size;
+
+        // Chunks around the eye, or past the last ray step, are always drawn
+        const near = Math.hypot(Math.max(minX, 0, -maxX), Math.max(minZ, 0, -maxZ));
+        const index = Math.floor(near / step) - 1;
+        if (index < 0 || index >= steps) return true;
+
+        const far = Math.hypot(Math.max(Math.abs(minX), Math.abs(maxX)), Math.max(Math.abs(minZ), Math.abs(maxZ)));
+        const rise = chunk.maxHeight - eye.y;
+        const chunkSlope = rise >= 0 ? rise / near : rise / far;
+
+        // Angular extent of the footprint, measured from its first corner
+        const reference = Math.atan2(minZ, minX);
+        let from = 0;
+        let to = 0;
+        for (const [x, z] of [[maxX, minZ], [minX, maxZ], [maxX, maxZ]]) {
+            let delta = Math.atan2(z, x) - reference;
+            if (delta > Math.PI) delta -= Math.PI * 2;
+            if (delta < -Math.PI) delta += Math.PI * 2;
+            from = Math.min(from, delta);
+            to = Math.max(to, delta);
+        }
+
+        const sectorAngle = (Math.PI * 2) / sectors;
+        const first = Math.floor((reference + from) / sectorAngle);
+        const last = Math.floor((reference + to) / sectorAngle);
+
+        for (let sector = first; sector <= last; sector++) {
+            // Rays sit on sector edges; the lower of the two bounds the ridge between them
+            const ray = ((sector % sectors) + sectors) % sectors;
+            const nextRay = (ray + 1) % sectors;
+            const sectorHorizon = Math.min(horizon[ray * steps + index], horizon[nextRay * steps + index]);
+            if (chunkSlope + margin >= sectorHorizon) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    getCullingStats() {
+        return this.state.cullingStats;
     }
 
-    isChunkVisible(chunk, occlusionData) {
-        // Implement chunk visibility test using occlusion data
-        return true;
+    updateChunkHeightRange(chunk) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < chunk.heights.length; i++) {
+            min = Math.min(min, chunk.heights[i]);
+            max = Math.max(max, chunk.heights[i]);
+        }
+        chunk.minHeight = min;
+        chunk.maxHeight = max;
+        this.state.horizonDirty = true;
     }
 
     cleanupCache() {
@@ -415,12 +992,15 @@ export class TerrainOptimizationSystem {
         this.geometryPool.forEach(geometry => geometry.dispose());
         this.geometryPool.clear();
 
-        // Dispose chunks
-        this.state.activeChunks.forEach(chunk => {
-            chunk.mesh.geometry.dispose();
-            chunk.mesh.material.dispose();
-        });
-        this.state.activeChunks.clear();
+        // Dispose chunks, the material belongs to the terrain system
+        Array.from(this.state.activeChunks.keys()).forEach(chunkId => this.unloadChunk(chunkId));
+        this.state.chunkData.clear();
+
+        if (this.onHeightsChanged) {
+            this.terrainSystem.removeListener('heightsChanged', this.onHeightsChanged);
+            this.terrainSystem.setBaseSurfaceEnabled(true);
+            this.terrainSystem.streaming = null;
+        }
 
         // Dispose caches
         this.state.geometryCache.forEach(geometry => geometry.dispose());
@@ -428,12 +1008,14 @@ export class TerrainOptimizationSystem {
         this.state.geometryCache.clear();
         this.state.textureCache.clear();
 
-        // Dispose occlusion culling resources
-        if (this.occlusionRenderTarget) {
-            this.occlusionRenderTarget.dispose();
-        }
-        if (this.occlusionMaterial) {
-            this.occlusionMaterial.dispose();
-        }
+        this.gameLoop = null;
     }
-} 
\ No newline at end of file
+} 
+
+// Neighbour offsets for getEdgeSteps, in the order north (-z), south, west (-x), east
+const EDGES = [
+    { dx: 0, dz: -1 },
+    { dx: 0, dz: 1 },
+    { dx: -1, dz: 0 },
+    { dx: 1, dz: 0 }
+];
@@ -1,8 +1,9 @@
 import * as THREE from 'three';
 
 export class TerrainPathSystem {
-    constructor(terrainSystem) {
+    constructor(terrainSystem, decorationSystem = null) {
         this.terrainSystem = terrainSystem;
+        this.decorationSystem = decorationSystem;
         
         this.settings = {
             pathWidth: 5,
@@ -10,10 +11,49 @@ export class TerrainPathSystem {
             smoothingPasses: 3,
             materialIndex: 1, // Index for path material
             edgeHardness: 0.8,
-            compressionFactor: 0.2
+            compressionFactor: 0.2,
+            rockDensity: 0, // Rocks per square metre scattered on new paths, see TerrainDecorationSystem.settings.trailRocks
+            routing: {
+                cellSize: 2,          // World units between route planner samples
+                margin: 30,           // Extra search area around the start/end box
+                maxNodes: 40000,      // Cell size grows if the search box would exceed this
+                maxGrade: 0.6,        // Rise over run a jeep can climb (about 31 degrees)
+                maxSideSlope: 0.45,   // Off-camber limit before rollover risk
+                gradeWeight: 4,
+                sideSlopeWeight: 6,
+                wetMoisture: 0.75,    // Moisture above this counts as standing water
+                waterPenalty: 8,
+                maxWaterDepth: 0.5,   // Deeper crossings need a snorkel, route around them
+                overLimitWeight: 200, // Per unit past a limit, when no route keeps within them
+                surfaceCosts: {
+                    dirt: 0.8,
+                    grass: 1.0,
+                    sand: 1.5,
+                    rock: 1.8,
+                    mud: 2.5
+                },
+                simplifyTolerance: 0.75
+            },
+            rating: {
+                segmentLength: 10,    // Metres of trail per profile entry
+                sampleSpacing: 0.5,
+                // Each metric maps linearly from its easy value (score 1) to extreme (score 10)
+                grade: { easy: 0.08, extreme: 0.55 },
+                sideSlope: { easy: 0.05, extreme: 0.4 },
+                rockDensity: { easy: 0, extreme: 0.15 },     // Rocks per square metre of trail
+                wetCrossing: { easy: 0, extreme: 0.6 },      // Fraction of the segment in mud or water
+                stepHeight: { easy: 0.1, extreme: 1.0 },     // Metres
+                categories: [
+                    { name: 'easy', maxScore: 3 },
+                    { name: 'moderate', maxScore: 5 },
+                    { name: 'difficult', maxScore: 7.5 },
+                    { name: 'extreme', maxScore: Infinity }
+                ]
+            }
         };
 
         this.paths = new Map();
+        this.nextId = 1;
         this.initialize();
     }
 
@@ -25,38 +65,132 @@ export class TerrainPathSystem {
         });
     }
 
-    createPath(points) {
-        const pathId = Date.now().toString();
+    createPath(points, { rockDensity = this.settings.rockDensity } = {}) {
+        const pathId = this.createId();
         const path = {
             points: points,
             width: this.settings.pathWidth,
             depth: this.settings.pathDepth,
+            rockDensity,
+            rockClusterId: null,
             modified: true
         };
 
         this.paths.set(pathId, path);
         this.applyPath(path);
+        this.placeTrailRocks(path);
+        path.difficulty = this.ratePath(path);
+        this.terrainSystem.map?.markDirty();
         
         return pathId;
     }
 
+    // Restored trails keep their saved ids, so skip any that are taken
+    createId() {
+        let pathId;
+        do {
+            pathId = `path_${this.nextId++}`;
+        } while (this.paths.has(pathId));
+        return pathId;
+    }
+
     updatePath(pathId, points) {
         const path = this.paths.get(pathId);
         if (path) {
             path.points = points;
             path.modified = true;
             this.applyPath(path);
+            this.placeTrailRocks(path);
+            path.difficulty = this.ratePath(path);
+            this.terrainSystem.map?.markDirty();
+        }
+    }
+
+    // Change how rocky a trail is, re-scattering its rocks and re-rating it
+    setPathRockDensity(pathId, rockDensity) {
+        const path = this.paths.get(pathId);
+        if (path) {
+            path.rockDensity = rockDensity;
+            this.placeTrailRocks(path);
+            path.difficulty = this.ratePath(path);
+        }
+    }
+
+    placeTrailRocks(path) {
+        if (!this.decorationSystem) return;
+
+        if (path.rockClusterId) {
+            this.decorationSystem.removeRockCluster(path.rockClusterId);
+            path.rockClusterId = null;
+        }
+
+        if (path.rockDensity > 0) {
+            path.rockClusterId = this.decorationSystem.addTrailRocks(path.points, path.width, path.rockDensity);
+        }
+    }
+
+    getPathDifficulty(pathId) {
+        const path = this.paths.get(pathId);
+        if (!path) return null;
+
+        if (!path.difficulty) {
+            path.difficulty = this.ratePath(path);
         }
+        return path.difficulty;
     }
 
     deletePath(pathId) {
         const path = this.paths.get(pathId);
         if (path) {
             this.removePath(path);
+            if (path.rockClusterId) {
+                this.decorationSystem?.removeRockCluster(path.rockClusterId);
+            }
             this.paths.delete(pathId);
+            this.terrainSystem.map?.markDirty();
         }
     }
 
+    // Plain data for a level file, trail rocks included
+    getPathData(pathId) {
+        const path = this.paths.get(pathId);
+        if (!path) return null;
+
+        return {
+            id: pathId,
+            points: path.points.map(point => [point.x, point.y ?? 0, point.z]),
+            width: path.width,
+            depth: path.depth,
+            rockDensity: path.rockDensity,
+            rocks: path.rockClusterId ? this.decorationSystem?.getRockClusterData(path.rockClusterId) ?? null : null
+        };
+    }
+
+    // Re-register a saved trail. Its cut is already in the saved heights, so the ground is left alone.
+    restorePath(data) {
+        const path = {
+            points: data.points.map(point => new THREE.Vector3().fromArray(point)),
+            width: data.width,
+            depth: data.depth,
+            rockDensity: data.rockDensity,
+            rockClusterId: null,
+            modified: false
+        };
+
+        if (data.rocks && this.decorationSystem) {
+            path.rockClusterId = this.decorationSystem.restoreRockCluster(data.rocks);
+        }
+
+        this.paths.set(data.id, path);
+        path.difficulty = this.ratePath(path);
+        this.terrainSystem.map?.markDirty();
+        return data.id;
+    }
+
+    clearPaths() {
+        Array.from(this.paths.keys()).forEach(pathId => this.deletePath(pathId));
+    }
+
     applyPath(path) {
         const { resolution } = this.terrainSystem.settings;
         const heightField = this.terrainSystem.heightField;
@@ -84,8 +218,7 @@ export class TerrainPathSystem {
                     );
 
                     // Convert to heightfield coordinates
-                    const x = Math.floor(pathPosition.x * resolution / this.terrainSystem.settings.size);
-                    const z = Math.floor(pathPosition.z * resolution / this.terrainSystem.settings.size);
+                    const { x, z } = this.worldToGrid(pathPosition);
 
                     if (x >= 0 && x < resolution && z >= 0 && z < resolution) {
                         const index = z * resolution + x;
@@ -113,6 +246,380 @@ export class TerrainPathSystem {
         this.terrainSystem.updatePhysics();
     }
 
+    worldToGrid(position) {
+        const { size } = this.terrainSystem.settings;
+        const cellSize = this.terrainSystem.getCellSize();
+        return {
+            x: Math.round((position.x + size / 2) / cellSize),
+            z: Math.round((position.z + size / 2) / cellSize)
+        };
+    }
+
+    // Plan a drivable route between two world positions and carve it as a path
+    createRoute(start, end, options = {}) {
+        return this.createPath(this.planRoute(start, end, options), options);
+    }
+
+    // Simplified Vector3 points from start to end. When nothing within the grade,
+    // side-slope and water limits connects them, the least-steep route instead.
+    planRoute(start, end, options = {}) {
+        const routing = { ...this.settings.routing, ...options };
+        return this.searchRoute(start, end, routing) ??
+            this.searchRoute(start, end, { ...routing, softLimits: true });
+    }
+
+    // A* over terrain samples, null when the limits cut start off from end
+    searchRoute(start, end, routing) {
+        const query = this.terrainSystem.query;
+
+        // Search grid over the start/end box plus margin
+        const minX = Math.min(start.x, end.x) - routing.margin;
+        const minZ = Math.min(start.z, end.z) - routing.margin;
+        const spanX = Math.abs(end.x - start.x) + routing.margin * 2;
+        const spanZ = Math.abs(end.z - start.z) + routing.margin * 2;
+        const cellSize = Math.max(routing.cellSize, Math.sqrt(spanX * spanZ / routing.maxNodes));
+        const cols = Math.ceil(spanX / cellSize) + 1;
+        const rows = Math.ceil(spanZ / cellSize) + 1;
+
+        const samples = new Array(cols * rows);
+        const sample = (index) => {
+            if (!samples[index]) {
+                const x = minX + (index % cols) * cellSize;
+                const z = minZ + Math.floor(index / cols) * cellSize;
+                samples[index] = query.query(x, z);
+                samples[index].x = x;
+                samples[index].z = z;
+            }
+            return samples[index];
+        };
+
+        const toIndex = (position) => {
+            const col = THREE.MathUtils.clamp(Math.round((position.x - minX) / cellSize), 0, cols - 1);
+            const row = THREE.MathUtils.clamp(Math.round((position.z - minZ) / cellSize), 0, rows - 1);
+            return row * cols + col;
+        };
+
+        const startIndex = toIndex(start);
+        const endIndex = toIndex(end);
+        const cheapest = Math.min(...Object.values(routing.surfaceCosts));
+        const heuristic = (index) => {
+            const dx = (index % cols - endIndex % cols) * cellSize;
+            const dz = (Math.floor(index / cols) - Math.floor(endIndex / cols)) * cellSize;
+            return Math.sqrt(dx * dx + dz * dz) * cheapest;
+        };
+
+        const costs = new Float64Array(cols * rows).fill(Infinity);
+        const parents = new Int32Array(cols * rows).fill(-1);
+        const closed = new Uint8Array(cols * rows);
+        const open = new RouteQueue();
+
+        costs[startIndex] = 0;
+        open.push(startIndex, heuristic(startIndex));
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === endIndex) break;
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const col = current % cols;
+            const row = Math.floor(current / cols);
+
+            for (let dz = -1; dz <= 1; dz++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dz === 0) continue;
+
+                    const nCol = col + dx;
+                    const nRow = row + dz;
+                    if (nCol < 0 || nCol >= cols || nRow < 0 || nRow >= rows) continue;
+
+                    const next = nRow * cols + nCol;
+                    if (closed[next]) continue;
+
+                    const stepCost = this.getRouteStepCost(sample(current), sample(next), routing);
+                    if (stepCost === Infinity) continue;
+
+                    const cost = costs[current] + stepCost;
+                    if (cost < costs[next]) {
+                        costs[next] = cost;
+                        parents[next] = current;
+                        open.push(next, cost + heuristic(next));
+                    }
+                }
+            }
+        }
+
+        if (startIndex !== endIndex && parents[endIndex] === -1) {
+            return null;
+        }
+
+        const route = [];
+        for (let index = endIndex; index !== -1; index = parents[index]) {
+            const point = sample(index);
+            route.push(new THREE.Vector3(point.x, point.height, point.z));
+            if (index === startIndex) break;
+        }
+        route.reverse();
+
+        // Keep the exact endpoints the caller asked for
+        route[0].set(start.x, query.getHeight(start.x, start.z), start.z);
+        route[route.length - 1].set(end.x, query.getHeight(end.x, end.z), end.z);
+
+        return this.simplifyRoute(route, routing.simplifyTolerance);
+    }
+
+    // Cost of driving from one sample to a neighbour. Past a limit that is Infinity,
+    // or with routing.softLimits a steep charge for how far past it the step goes.
+    getRouteStepCost(from, to, routing) {
+        const dx = to.x - from.x;
+        const dz = to.z - from.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        const grade = Math.abs(to.height - from.height) / distance;
+
+        // Off-camber: terrain gradient across the direction of travel
+        const sideSlope = Math.max(
+            this.getSideSlope(from.normal, dx / distance, dz / distance),
+            this.getSideSlope(to.normal, dx / distance, dz / distance)
+        );
+
+        const overLimit = Math.max(0, grade - routing.maxGrade) +
+            Math.max(0, sideSlope - routing.maxSideSlope) +
+            Math.max(0, to.waterDepth - routing.maxWaterDepth);
+        if (overLimit > 0 && !routing.softLimits) return Infinity;
+
+        const surfaceCost = routing.surfaceCosts[to.surface] ?? 1;
+        const waterCost = to.waterDepth > 0 || to.moisture > routing.wetMoisture ? routing.waterPenalty : 0;
+
+        return distance * (
+            (1 + routing.gradeWeight * grade * grade + routing.sideSlopeWeight * sideSlope * sideSlope) *
+            surfaceCost + waterCost + routing.overLimitWeight * overLimit
+        );
+    }
+
+    getSideSlope(normal, dirX, dirZ) {
+        // Slope vector of the ground is (-nx / ny, -nz / ny); project onto the perpendicular
+        const ny = Math.max(normal.y, 0.01);
+        return Math.abs((-normal.x / ny) * -dirZ + (-normal.z / ny) * dirX);
+    }
+
+    // Ramer-Douglas-Peucker, so the carved path follows long straight-ish segments
+    simplifyRoute(points, tolerance) {
+        if (points.length < 3) return points;
+
+        const keep = new Uint8Array(points.length);
+        keep[0] = 1;
+        keep[points.length - 1] = 1;
+
+        const stack = [[0, points.length - 1]];
+        const segment = new THREE.Line3();
+        const closest = new THREE.Vector3();
+
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            segment.set(points[first], points[last]);
+
+            let maxDistance = 0;
+            let index = -1;
+            for (let i = first + 1; i < last; i++) {
+                segment.closestPointToPoint(points[i], true, closest);
+                const distance = closest.distanceTo(points[i]);
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    index = i;
+                }
+            }
+
+            if (index !== -1 && maxDistance > tolerance) {
+                keep[index] = 1;
+                stack.push([first, index], [index, last]);
+            }
+        }
+
+        return points.filter((point, i) => keep[i]);
+    }
+
+    // Rate a path on a 1-10 scale with a per-segment profile. Measures the ground
+    // as it is now, so rate after carving and again after the terrain changes.
+    ratePath(path) {
+        const rating = this.settings.rating;
+        const query = this.terrainSystem.query;
+        const wetMoisture = this.settings.routing.wetMoisture;
+        const halfWidth = path.width ?? this.settings.pathWidth;
+        const rocks = this.getRocks();
+
+        const samples = this.samplePath(path.points, rating.sampleSpacing);
+        const segments = [];
+        let segment = null;
+
+        for (let i = 0; i < samples.length; i++) {
+            const sample = samples[i];
+            if (!segment || sample.distance - segment.start >= rating.segmentLength) {
+                if (segment) segments.push(this.finishSegment(segment, halfWidth, rocks));
+                segment = {
+                    start: sample.distance,
+                    end: sample.distance,
+                    points: [],
+                    grade: 0,
+                    sideSlope: 0,
+                    wetSamples: 0,
+                    stepHeight: 0
+                };
+            }
+
+            const ground = query.query(sample.position.x, sample.position.z);
+            sample.position.y = ground.height;
+            segment.points.push(sample.position);
+            segment.end = sample.distance;
+
+            const previous = samples[i - 1];
+            if (previous && sample.distance > previous.distance) {
+                const rise = Math.abs(ground.height - previous.position.y);
+                segment.grade = Math.max(segment.grade, rise / (sample.distance - previous.distance));
+                segment.stepHeight = Math.max(segment.stepHeight, rise - rating.grade.extreme * rating.sampleSpacing);
+            }
+
+            segment.sideSlope = Math.max(
+                segment.sideSlope,
+                this.getSideSlope(ground.normal, sample.direction.x, sample.direction.z)
+            );
+
+            if (ground.surface === 'mud' || ground.waterDepth > 0 || ground.moisture > wetMoisture) {
+                segment.wetSamples++;
+            }
+        }
+        if (segment) segments.push(this.finishSegment(segment, halfWidth, rocks));
+
+        // The hardest obstacle defines a trail; the rest of it only nudges the score
+        let maxScore = 1;
+        let totalScore = 0;
+        let totalLength = 0;
+        segments.forEach(entry => {
+            const length = Math.max(entry.end - entry.start, rating.sampleSpacing);
+            maxScore = Math.max(maxScore, entry.score);
+            totalScore += entry.score * length;
+            totalLength += length;
+        });
+
+        const average = totalLength > 0 ? totalScore / totalLength : 1;
+        const score = Math.round((maxScore * 0.7 + average * 0.3) * 10) / 10;
+
+        return {
+            score,
+            category: this.getDifficultyCategory(score),
+            length: samples.length > 0 ? samples[samples.length - 1].distance : 0,
+            segments
+        };
+    }
+
+    finishSegment(segment, halfWidth, rocks) {
+        const rating = this.settings.rating;
+        const length = Math.max(segment.end - segment.start, rating.sampleSpacing);
+
+        // Rocks whose footprint reaches into the driven corridor
+        let rockCount = 0;
+        const line = new THREE.Line3();
+        const closest = new THREE.Vector3();
+        rocks.forEach(rock => {
+            for (let i = 0; i < segment.points.length; i++) {
+                line.set(segment.points[i], segment.points[Math.min(i + 1, segment.points.length - 1)]);
+                line.closestPointToPoint(rock.position, true, closest);
+                const dx = closest.x - rock.position.x;
+                const dz = closest.z - rock.position.z;
+                if (Math.sqrt(dx * dx + dz * dz) <= halfWidth + rock.radius) {
+                    rockCount++;
+                    segment.stepHeight = Math.max(segment.stepHeight, rock.height);
+                    break;
+                }
+            }
+        });
+
+        const metrics = {
+            grade: segment.grade,
+            sideSlope: segment.sideSlope,
+            rockDensity: rockCount / (length * halfWidth * 2),
+            wetCrossing: segment.wetSamples / segment.points.length,
+            stepHeight: Math.max(0, segment.stepHeight)
+        };
+
+        // Worst metric dominates, the others add up a little
+        let worst = 0;
+        let sum = 0;
+        Object.entries(metrics).forEach(([name, value]) => {
+            const { easy, extreme } = rating[name];
+            const severity = THREE.MathUtils.clamp((value - easy) / (extreme - easy), 0, 1);
+            worst = Math.max(worst, severity);
+            sum += severity;
+        });
+        const severity = Math.min(1, worst * 0.8 + (sum - worst) * 0.1);
+        const score = Math.round((1 + severity * 9) * 10) / 10;
+
+        return {
+            start: segment.start,
+            end: segment.end,
+            from: segment.points[0].clone(),
+            to: segment.points[segment.points.length - 1].clone(),
+            rockCount,
+            ...metrics,
+            score,
+            category: this.getDifficultyCategory(score)
+        };
+    }
+
+    getDifficultyCategory(score) {
+        return this.settings.rating.categories.find(category => score <= category.maxScore).name;
+    }
+
+    // Evenly spaced points along a polyline with distance and travel direction
+    samplePath(points, spacing) {
+        const samples = [];
+        let distance = 0;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const start = points[i];
+            const direction = points[i + 1].clone().sub(start).setY(0);
+            const length = direction.length();
+            if (length === 0) continue;
+            direction.divideScalar(length);
+
+            for (let t = 0; t < length; t += spacing) {
+                samples.push({
+                    position: start.clone().addScaledVector(direction, t),
+                    direction,
+                    distance: distance + t
+                });
+            }
+            distance += length;
+        }
+
+        if (points.length > 0) {
+            const last = points[points.length - 1];
+            const direction = samples.length > 0 ? samples[samples.length - 1].direction : new THREE.Vector3(1, 0, 0);
+            samples.push({ position: last.clone(), direction, distance });
+        }
+
+        return samples;
+    }
+
+    getRocks() {
+        const rocks = [];
+        const clusters = this.decorationSystem?.decorations.rocks;
+        if (!clusters) return rocks;
+
+        clusters.forEach(cluster => {
+            cluster.rocks.forEach(mesh => {
+                const size = mesh.geometry.parameters?.radius ?? 1;
+                const ground = this.terrainSystem.query.getHeight(mesh.position.x, mesh.position.z);
+                rocks.push({
+                    position: mesh.position,
+                    radius: size * Math.max(mesh.scale.x, mesh.scale.z),
+                    height: Math.max(0, mesh.position.y + size * mesh.scale.y - ground)
+                });
+            });
+        });
+
+        return rocks;
+    }
+
     applyCompression(centerX, centerZ, influence) {
         const { resolution } = this.terrainSystem.settings;
         const radius = Math.ceil(this.settings.pathWidth * 0.5);
@@ -162,8 +669,7 @@ export class TerrainPathSystem {
                             perpendicular.clone().multiplyScalar(w)
                         );
 
-                        const x = Math.floor(pathPosition.x * resolution / this.terrainSystem.settings.size);
-                        const z = Math.floor(pathPosition.z * resolution / this.terrainSystem.settings.size);
+                        const { x, z } = this.worldToGrid(pathPosition);
 
                         if (x >= 0 && x < resolution && z >= 0 && z < resolution) {
                             const index = z * resolution + x;
@@ -206,4 +712,59 @@ export class TerrainPathSystem {
         this.pathMaterial.dispose();
         this.paths.clear();
     }
-} 
\ No newline at end of file
+}
+
+// Binary min-heap of grid indices for the route planner
+class RouteQueue {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        this.items.push(item);
+        this.priorities.push(priority);
+
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[i]) break;
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastPriority = this.priorities.pop();
+
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.items.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < this.items.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === i) break;
+                this.swap(i, smallest);
+                i = smallest;
+            }
+        }
+
+        return top;
+    }
+
+    swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
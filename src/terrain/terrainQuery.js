@@ -0,0 +1,197 @@
+import * as THREE from 'three';
+
+export class TerrainQuerySystem {
+    constructor(terrainSystem) {
+        this.terrainSystem = terrainSystem;
+
+        this.settings = {
+            // materialField index -> surface key in VehicleTerrainSystem.settings.surfaces.
+            // Index 0 is unpainted ground, which takes its surface from slope and biome.
+            surfaceTypes: [null, 'dirt', 'mud', 'sand', 'rock', 'grass'],
+            defaultSurface: 'grass',
+            rockSlope: 0.7,        // Radians, bare slopes steeper than this read as rock
+            normalSampleDistance: 0.5,
+            raycast: {
+                step: 0.5,
+                maxDistance: 500,
+                refinement: 8
+            }
+        };
+
+        this.tempVector = new THREE.Vector3();
+        this.rayDirection = new THREE.Vector3();
+    }
+
+    // Interpolated ground height; streamed chunks win over the base grid
+    getHeight(x, z) {
+        const streamed = this.terrainSystem.streaming?.getHeightAt(x, z);
+        if (streamed !== null && streamed !== undefined) {
+            return streamed;
+        }
+        return this.terrainSystem.sampleWorldHeight(x, z);
+    }
+
+    getNormal(x, z, target = new THREE.Vector3()) {
+        const d = this.settings.normalSampleDistance;
+        const left = this.getHeight(x - d, z);
+        const right = this.getHeight(x + d, z);
+        const up = this.getHeight(x, z - d);
+        const down = this.getHeight(x, z + d);
+
+        return target.set(left - right, 2 * d, up - down).normalize();
+    }
+
+    // Slope angle in radians, 0 on flat ground
+    getSlope(x, z) {
+        const normal = this.getNormal(x, z, this.tempVector);
+        return Math.acos(THREE.MathUtils.clamp(normal.y, -1, 1));
+    }
+
+    // Snow and ice cover everything; rain can turn soil to mud for a while, rock stays rock
+    getSurfaceType(x, z) {
+        const cover = this.terrainSystem.snow?.getSurfaceType(x, z);
+        if (cover) {
+            return cover;
+        }
+
+        const surface = this.getBaseSurfaceType(x, z);
+        if (surface !== 'rock' && this.terrainSystem.wetness?.isMuddy(x, z)) {
+            return 'mud';
+        }
+        return surface;
+    }
+
+    // Surface as painted or generated, ignoring the weather
+    getBaseSurfaceType(x, z) {
+        const index = this.getMaterialIndex(x, z);
+        if (index > 0) {
+            return this.settings.surfaceTypes[index] ?? this.settings.defaultSurface;
+        }
+
+        // Unpainted ground: steep faces are bare rock, the rest follows the biome
+        if (this.getSlope(x, z) > this.settings.rockSlope) {
+            return 'rock';
+        }
+        return this.terrainSystem.biomes?.getSurfaceType(x, z) ?? this.settings.defaultSurface;
+    }
+
+    // materialField index that paints a surface, -1 if the surface can't be painted
+    getSurfaceIndex(surface) {
+        return this.settings.surfaceTypes.indexOf(surface);
+    }
+
+    getMaterialIndex(x, z) {
+        const { size, resolution } = this.terrainSystem.settings;
+        const materialField = this.terrainSystem.materialField;
+        if (!materialField) return 0;
+
+        const cellSize = this.terrainSystem.getCellSize();
+        const col = Math.round((x + size / 2) / cellSize);
+        const row = Math.round((z + size / 2) / cellSize);
+
+        if (col < 0 || row < 0 || col >= resolution || row >= resolution) {
+            return 0;
+        }
+
+        return materialField[row * resolution + col];
+    }
+
+    // 0 (dry) to 1 (saturated)
+    getMoisture(x, z) {
+        return this.terrainSystem.sampleMoisture(x, z);
+    }
+
+    // Depth of standing or running water over the ground, 0 when dry
+    getWaterDepth(x, z) {
+        return this.terrainSystem.water?.getWaterDepth(x, z) ?? 0;
+    }
+
+    // 0 (dry) to 1 (soaked) after rain; unlike moisture this changes with the weather
+    getWetness(x, z) {
+        return this.terrainSystem.wetness?.getWetness(x, z) ?? 0;
+    }
+
+    getPuddleDepth(x, z) {
+        return this.terrainSystem.wetness?.getPuddleDepth(x, z) ?? 0;
+    }
+
+    getSnowDepth(x, z) {
+        return this.terrainSystem.snow?.getSnowDepth(x, z) ?? 0;
+    }
+
+    getBiome(x, z) {
+        return this.terrainSystem.biomes?.getBiome(x, z) ?? null;
+    }
+
+    query(x, z, target = {}) {
+        target.height = this.getHeight(x, z);
+        target.normal = this.getNormal(x, z, target.normal);
+        target.slope = Math.acos(THREE.MathUtils.clamp(target.normal.y, -1, 1));
+        target.surface = this.getSurfaceType(x, z);
+        target.moisture = this.getMoisture(x, z);
+        target.waterDepth = this.getWaterDepth(x, z);
+        target.wetness = this.getWetness(x, z);
+        target.snowDepth = this.getSnowDepth(x, z);
+        target.biome = this.getBiome(x, z);
+        return target;
+    }
+
+    // points: array of { x, z } (Vector3 works too)
+    queryBatch(points, targets = []) {
+        for (let i = 0; i < points.length; i++) {
+            targets[i] = this.query(points[i].x, points[i].z, targets[i]);
+        }
+        targets.length = points.length;
+        return targets;
+    }
+
+    // First ground hit along a ray, or null. Marches the ray then bisects the crossing.
+    raycast(origin, direction, maxDistance = this.settings.raycast.maxDistance) {
+        const { step, refinement } = this.settings.raycast;
+        const dir = this.rayDirection.copy(direction).normalize();
+
+        const above = (distance) => {
+            const y = origin.y + dir.y * distance;
+            return y - this.getHeight(origin.x + dir.x * distance, origin.z + dir.z * distance);
+        };
+
+        if (above(0) <= 0) {
+            return this.createHit(origin, dir, 0);
+        }
+
+        let previous = 0;
+        for (let distance = step; distance <= maxDistance + step; distance += step) {
+            const current = Math.min(distance, maxDistance);
+            if (above(current) <= 0) {
+                let low = previous;
+                let high = current;
+                for (let i = 0; i < refinement; i++) {
+                    const mid = (low + high) / 2;
+                    if (above(mid) > 0) {
+                        low = mid;
+                    } else {
+                        high = mid;
+                    }
+                }
+                return this.createHit(origin, dir, high);
+            }
+            previous = current;
+            if (current === maxDistance) break;
+        }
+
+        return null;
+    }
+
+    createHit(origin, direction, distance) {
+        const point = new THREE.Vector3(
+            origin.x + direction.x * distance,
+            0,
+            origin.z + direction.z * distance
+        );
+        const hit = this.query(point.x, point.z);
+        point.y = hit.height;
+        hit.point = point;
+        hit.distance = distance;
+        return hit;
+    }
+}
@@ -0,0 +1,312 @@
+import * as THREE from 'three';
+
+// Snow cover and ice over the base terrain. Snow piles up while WeatherSystem is
+// snowing, tires pack it into tracks, and wet ground freezes over below zero.
+// Runs on its own finer grid so tracks come out about a tire wide.
+export class TerrainSnowSystem {
+    constructor(terrainSystem, weatherSystem = null) {
+        this.terrainSystem = terrainSystem;
+        this.weatherSystem = weatherSystem;
+
+        this.settings = {
+            cellSize: 0.25,         // Metres
+            maxResolution: 1025,    // Samples per side; large imported maps get coarser cells
+            updateInterval: 0.5,    // Seconds between field steps
+            snowfallRate: 0.0005,   // Metres per second in full snowfall
+            maxDepth: 0.6,
+            slideSlope: [0.6, 1.0], // Radians; snow starts sliding off, then won't stay at all
+            melting: {
+                rate: 0.00005,      // Metres per second per degree above freezing
+                sun: 0.0002,        // Metres per second extra in full sun when above freezing
+                wetness: 4          // Ground wetness gained per metre of snow melted
+            },
+            packing: {
+                ratio: 0.35,        // Packed depth as a share of fresh depth
+                radius: 0.2,        // Metres around a contact that a tire presses
+                freshCover: 0.03    // Fresh snow on a track before it reads as unpacked again
+            },
+            ice: {
+                minWetness: 0.5,    // Drier ground than this doesn't ice over
+                freezeRate: 0.002,  // Per second per degree below freezing at full wetness
+                meltRate: 0.02,     // Per second per degree above freezing
+                threshold: 0.5      // Ice coverage that makes the surface read as ice
+            },
+            minSnowDepth: 0.02      // Thinner snow than this doesn't change the surface
+        };
+
+        this.state = {
+            elapsed: 0,
+            hasSnow: false,
+            hasIce: false,
+            conditions: { snow: 0, sun: 0, temperature: 15 }
+        };
+
+        this.resolution = 0;
+        this.cellSize = this.settings.cellSize;
+        this.size = 0;
+        this.depthField = null;     // Metres of snow
+        this.packedField = null;    // 0 fresh to 1 packed
+        this.iceField = null;       // 0-1 coverage
+        this.coverField = null;     // How much falling snow stays, from slope
+        this.texture = null;
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.allocate();
+
+        this.onHeightsChanged = (bounds) => this.updateRegion(bounds);
+        this.terrainSystem.addListener('heightsChanged', this.onHeightsChanged);
+        this.terrainSystem.snow = this;
+    }
+
+    allocate() {
+        const { size } = this.terrainSystem.settings;
+        const { cellSize, maxResolution } = this.settings;
+        this.size = size;
+        this.resolution = Math.min(maxResolution, Math.ceil(size / cellSize) + 1);
+        this.cellSize = size / (this.resolution - 1);
+        const count = this.resolution * this.resolution;
+
+        this.depthField = new Float32Array(count);
+        this.packedField = new Float32Array(count);
+        this.iceField = new Float32Array(count);
+        this.coverField = new Float32Array(count);
+        this.state.hasSnow = false;
+        this.state.hasIce = false;
+
+        // Materials hold on to this texture, so resize it in place
+        const data = new Uint8Array(count * 4);
+        if (this.texture) {
+            this.texture.image = { data, width: this.resolution, height: this.resolution };
+            this.texture.dispose();
+        } else {
+            this.texture = new THREE.DataTexture(data, this.resolution, this.resolution, THREE.RGBAFormat);
+            this.texture.magFilter = THREE.LinearFilter;
+        }
+
+        this.updateCoverRegion(0, 0, this.resolution - 1, this.resolution - 1);
+        this.updateTexture();
+    }
+
+    setWeather(weatherSystem) {
+        this.weatherSystem = weatherSystem;
+    }
+
+    updateRegion(bounds) {
+        // Snow doesn't survive a whole new map of a different size
+        if (this.terrainSystem.settings.size !== this.size) {
+            this.allocate();
+            return;
+        }
+
+        const { cellSize } = this;
+        const pad = this.terrainSystem.getCellSize();
+        const toIndex = (value) => THREE.MathUtils.clamp(
+            Math.round((value + this.terrainSystem.settings.size / 2) / cellSize), 0, this.resolution - 1
+        );
+        this.updateCoverRegion(
+            toIndex(bounds.minX - pad), toIndex(bounds.minZ - pad),
+            toIndex(bounds.maxX + pad), toIndex(bounds.maxZ + pad)
+        );
+    }
+
+    updateCoverRegion(minCol, minRow, maxCol, maxRow) {
+        const { size } = this.terrainSystem.settings;
+        const { slideSlope } = this.settings;
+        const { cellSize } = this;
+        const query = this.terrainSystem.query;
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const slope = query.getSlope(col * cellSize - size / 2, row * cellSize - size / 2);
+                this.coverField[row * this.resolution + col] = 1 - THREE.MathUtils.smoothstep(slope, slideSlope[0], slideSlope[1]);
+            }
+        }
+    }
+
+    update(deltaTime) {
+        this.state.elapsed += deltaTime;
+        if (this.state.elapsed < this.settings.updateInterval) return;
+
+        const step = this.state.elapsed;
+        this.state.elapsed = 0;
+
+        const conditions = this.weatherSystem
+            ? this.weatherSystem.getConditions(this.state.conditions)
+            : this.state.conditions;
+        if (this.step(step, conditions)) {
+            this.updateTexture();
+        }
+    }
+
+    // Returns false when there was nothing to fall, melt or freeze
+    step(deltaTime, { snow, sun, temperature }) {
+        const { size, resolution } = this.terrainSystem.settings;
+        const { snowfallRate, maxDepth, melting, packing, ice } = this.settings;
+        const { cellSize } = this;
+        const wetness = this.terrainSystem.wetness;
+
+        const fall = snow * snowfallRate * deltaTime;
+        const thaw = Math.max(0, temperature);
+        const frost = Math.max(0, -temperature);
+        const melt = thaw > 0 ? (thaw * melting.rate + sun * melting.sun) * deltaTime : 0;
+
+        if (fall === 0 && frost === 0 && !this.state.hasSnow && !this.state.hasIce) {
+            return false;
+        }
+
+        // Wetness lives on the terrain grid, so map each snow row or column onto it once
+        const wetnessField = wetness?.wetnessField.length === resolution * resolution ? wetness.wetnessField : null;
+        const wetnessCells = new Int32Array(this.resolution);
+        const wetnessStep = cellSize / this.terrainSystem.getCellSize();
+        for (let j = 0; j < this.resolution; j++) {
+            wetnessCells[j] = Math.min(resolution - 1, Math.round(j * wetnessStep));
+        }
+
+        let hasSnow = false;
+        let hasIce = false;
+
+        for (let row = 0; row < this.resolution; row++) {
+            for (let col = 0; col < this.resolution; col++) {
+                const i = row * this.resolution + col;
+
+                // Fresh snow piles up and slowly hides old tracks
+                if (fall > 0) {
+                    const added = fall * this.coverField[i];
+                    this.depthField[i] = Math.min(maxDepth, this.depthField[i] + added);
+                    this.packedField[i] = Math.max(0, this.packedField[i] - added / packing.freshCover);
+                }
+
+                if (melt > 0 && this.depthField[i] > 0) {
+                    const melted = Math.min(this.depthField[i], melt);
+                    this.depthField[i] -= melted;
+                    wetness?.addWater(col * cellSize - size / 2, row * cellSize - size / 2, melted * melting.wetness);
+                }
+
+                // Wet ground glazes over below freezing and thaws above it
+                if (frost > 0) {
+                    const wet = wetnessField ? wetnessField[wetnessCells[row] * resolution + wetnessCells[col]] : 0;
+                    if (wet >= ice.minWetness) {
+                        this.iceField[i] = Math.min(1, this.iceField[i] + frost * ice.freezeRate * wet * deltaTime);
+                    }
+                } else if (this.iceField[i] > 0) {
+                    this.iceField[i] = Math.max(0, this.iceField[i] - thaw * ice.meltRate * deltaTime);
+                }
+
+                if (this.depthField[i] > 0) hasSnow = true;
+                if (this.iceField[i] > 0) hasIce = true;
+            }
+        }
+
+        this.state.hasSnow = hasSnow;
+        this.state.hasIce = hasIce;
+        return true;
+    }
+
+    // Red is snow depth as a share of the deepest snow, green is ice, blue is how packed it is
+    updateTexture() {
+        const data = this.texture.image.data;
+        const { maxDepth } = this.settings;
+
+        for (let i = 0; i < this.depthField.length; i++) {
+            data[i * 4] = Math.round(this.depthField[i] / maxDepth * 255);
+            data[i * 4 + 1] = Math.round(this.iceField[i] * 255);
+            data[i * 4 + 2] = Math.round(this.packedField[i] * 255);
+        }
+        this.texture.needsUpdate = true;
+    }
+
+    // Tires press the snow under them down to a packed track
+    packSnow(position, radius = this.settings.packing.radius) {
+        const { size } = this.terrainSystem.settings;
+        const { packing } = this.settings;
+        const { cellSize } = this;
+        const reach = Math.ceil(radius / cellSize);
+        const centerCol = Math.round((position.x + size / 2) / cellSize);
+        const centerRow = Math.round((position.z + size / 2) / cellSize);
+        let changed = false;
+
+        for (let row = centerRow - reach; row <= centerRow + reach; row++) {
+            if (row < 0 || row >= this.resolution) continue;
+            for (let col = centerCol - reach; col <= centerCol + reach; col++) {
+                if (col < 0 || col >= this.resolution) continue;
+
+                const dx = col * cellSize - size / 2 - position.x;
+                const dz = row * cellSize - size / 2 - position.z;
+                if (dx * dx + dz * dz > radius * radius) continue;
+
+                const i = row * this.resolution + col;
+                if (this.depthField[i] <= 0 || this.packedField[i] >= 1) continue;
+
+                // Only the fresh share on top compresses
+                const fresh = 1 - this.packedField[i];
+                this.depthField[i] *= 1 - (1 - packing.ratio) * fresh;
+                this.packedField[i] = 1;
+                changed = true;
+            }
+        }
+
+        return changed;
+    }
+
+    getIndex(x, z) {
+        const { size } = this.terrainSystem.settings;
+        const col = Math.round((x + size / 2) / this.cellSize);
+        const row = Math.round((z + size / 2) / this.cellSize);
+
+        if (col < 0 || row < 0 || col >= this.resolution || row >= this.resolution) {
+            return -1;
+        }
+        return row * this.resolution + col;
+    }
+
+    getSnowDepth(x, z) {
+        const index = this.getIndex(x, z);
+        return index < 0 ? 0 : this.depthField[index];
+    }
+
+    // 0 fresh powder to 1 packed track
+    getPacking(x, z) {
+        const index = this.getIndex(x, z);
+        return index < 0 ? 0 : this.packedField[index];
+    }
+
+    getIce(x, z) {
+        const index = this.getIndex(x, z);
+        return index < 0 ? 0 : this.iceField[index];
+    }
+
+    // 'ice', 'snow' or null when the ground shows through
+    getSurfaceType(x, z) {
+        const index = this.getIndex(x, z);
+        if (index < 0) return null;
+
+        if (this.iceField[index] >= this.settings.ice.threshold && this.depthField[index] < this.settings.minSnowDepth) {
+            return 'ice';
+        }
+        if (this.depthField[index] >= this.settings.minSnowDepth) {
+            return 'snow';
+        }
+        return null;
+    }
+
+    // Start a level under snow, or clear it
+    setSnowDepth(depth) {
+        for (let i = 0; i < this.depthField.length; i++) {
+            this.depthField[i] = Math.min(depth, this.settings.maxDepth) * this.coverField[i];
+        }
+        this.packedField.fill(0);
+        this.state.hasSnow = depth > 0;
+        this.updateTexture();
+    }
+
+    dispose() {
+        this.terrainSystem.removeListener('heightsChanged', this.onHeightsChanged);
+        this.texture.dispose();
+        if (this.terrainSystem.snow === this) {
+            this.terrainSystem.snow = null;
+        }
+    }
+}
@@ -3,6 +3,7 @@ import * as THREE from 'three';
 export class TerrainTexturingSystem {
     constructor() {
         this.textureLoader = new THREE.TextureLoader();
+        this.splatMap = null;
         
         this.materials = {
             grass: {
@@ -59,6 +60,10 @@ export class TerrainTexturingSystem {
             heightMap: { value: null },
             slopeMap: { value: null },
             moistureMap: { value: null },
+            biomeMap: { value: null },
+            biomeInfluence: { value: 0 },
+            wetnessMap: { value: null },
+            snowMap: { value: null },
             materialTextures: { value: [] },
             materialNormals: { value: [] },
             materialRoughness: { value: [] },
@@ -183,6 +188,42 @@ export class TerrainTexturingSystem {
         renderer.setRenderTarget(null);
     }
 
+    // Biome texture weights for grass, rock, sand and mud; snow stays height driven
+    setBiomeMap(biomeSystem, influence = 0.7) {
+        this.splatMap = null;
+        this.shaderUniforms.biomeMap.value?.dispose();
+        this.shaderUniforms.biomeMap.value = biomeSystem.createMaterialWeightTexture(['grass', 'rock', 'sand', 'mud']);
+        this.shaderUniforms.biomeInfluence.value = influence;
+    }
+
+    // Hand-authored weights for grass, rock, sand and mud from a level file, in place of the biome map
+    setSplatMap({ resolution, data, influence = 1 }) {
+        this.splatMap = { resolution, data: Uint8Array.from(data), influence };
+
+        this.shaderUniforms.biomeMap.value?.dispose();
+        const texture = new THREE.DataTexture(this.splatMap.data, resolution, resolution, THREE.RGBAFormat);
+        texture.magFilter = THREE.LinearFilter;
+        texture.needsUpdate = true;
+        this.shaderUniforms.biomeMap.value = texture;
+        this.shaderUniforms.biomeInfluence.value = influence;
+    }
+
+    // Null while the biome map drives the weights; that one is rebuilt from the terrain
+    getSplatMap() {
+        if (!this.splatMap) return null;
+        return { ...this.splatMap, data: Uint8Array.from(this.splatMap.data) };
+    }
+
+    // Rain darkens the ground, makes it shine and turns hollows to mud; the texture stays owned by the wetness system
+    setWetnessMap(wetnessSystem) {
+        this.shaderUniforms.wetnessMap.value = wetnessSystem.texture;
+    }
+
+    // Snow cover and ice; the texture stays owned by the snow system
+    setSnowMap(snowSystem) {
+        this.shaderUniforms.snowMap.value = snowSystem.texture;
+    }
+
     createShaderMaterial() {
         return new THREE.ShaderMaterial({
             uniforms: this.shaderUniforms,
@@ -240,6 +281,10 @@ export class TerrainTexturingSystem {
             uniform sampler2D heightMap;
             uniform sampler2D slopeMap;
             uniform sampler2D moistureMap;
+            uniform sampler2D biomeMap;
+            uniform float biomeInfluence;
+            uniform sampler2D wetnessMap;
+            uniform sampler2D snowMap;
             uniform sampler2D materialTextures[5];
             uniform sampler2D materialNormals[5];
             uniform sampler2D materialRoughness[5];
@@ -263,15 +308,35 @@ export class TerrainTexturingSystem {
                 float slope = texture2D(slopeMap, vUv).r;
                 float moisture = texture2D(moistureMap, vUv).r;
 
-                // Calculate blend weights
-                vec4 weights = vec4(0.0);
-                weights.r = smoothstep(0.0, 0.2, height); // rock
-                weights.g = smoothstep(0.2, 0.4, height) * (1.0 - slope); // grass
-                weights.b = smoothstep(0.4, 0.7, height) * slope; // snow
-                weights.a = (1.0 - smoothstep(0.1, 0.2, height)) * (1.0 - slope); // sand
+                // Calculate blend weights, in material order: grass, rock, sand, snow, mud
+                float weights[5];
+                weights[0] = smoothstep(0.2, 0.4, height) * (1.0 - slope);
+                weights[1] = smoothstep(0.0, 0.2, height);
+                weights[2] = (1.0 - smoothstep(0.1, 0.2, height)) * (1.0 - slope);
+                weights[3] = smoothstep(0.4, 0.7, height) * slope;
+                weights[4] = moisture * (1.0 - slope);
+
+                // Pull towards the biome's own mix
+                vec4 biome = texture2D(biomeMap, vUv);
+                weights[0] = mix(weights[0], biome.r, biomeInfluence);
+                weights[1] = mix(weights[1], biome.g, biomeInfluence);
+                weights[2] = mix(weights[2], biome.b, biomeInfluence);
+                weights[4] = mix(weights[4], biome.a, biomeInfluence);
+
+                // Puddles show as mud
+                vec4 wet = texture2D(wetnessMap, vUv);
+                weights[4] += wet.g * 4.0;
+
+                // Lying snow buries everything else; packed tracks show a little ground
+                vec4 snowCover = texture2D(snowMap, vUv);
+                float snowAmount = smoothstep(0.0, 0.1, snowCover.r) * (1.0 - snowCover.b * 0.3);
+                weights[3] += snowAmount * 8.0;
 
                 // Normalize weights
-                weights /= (weights.r + weights.g + weights.b + weights.a);
+                float totalWeight = weights[0] + weights[1] + weights[2] + weights[3] + weights[4];
+                for(int i = 0; i < 5; i++) {
+                    weights[i] /= max(totalWeight, 0.0001);
+                }
 
                 // Sample and blend textures
                 for(int i = 0; i < 5; i++) {
@@ -290,6 +355,14 @@ export class TerrainTexturingSystem {
                     }
                 }
 
+                // Soaked ground is darker and glossier
+                finalColor *= mix(1.0, 0.55, wet.r);
+                finalRoughness = mix(finalRoughness, 0.05, max(wet.r * 0.6, wet.g));
+
+                // Ice is a pale, glassy glaze
+                finalColor = mix(finalColor, vec3(0.75, 0.85, 0.95), snowCover.g * 0.5);
+                finalRoughness = mix(finalRoughness, 0.02, snowCover.g);
+
                 // Calculate lighting
                 vec3 lightDir = normalize(vec3(1.0, 1.0, 1.0));
                 vec3 viewDir = normalize(vViewPosition);
@@ -381,6 +454,10 @@ export class TerrainTexturingSystem {
             });
         });
 
+        if (this.shaderUniforms.biomeMap.value) {
+            this.shaderUniforms.biomeMap.value.dispose();
+        }
+
         // Dispose render targets
         Object.values(this.splatMaps).forEach(renderTarget => {
             renderTarget.dispose();
@@ -1,37 +1,547 @@
-                // Continued from previous fragment shader
+import * as THREE from 'three';
+
+export class TerrainWaterSystem {
+    constructor(terrainSystem) {
+        this.terrainSystem = terrainSystem;
+
+        this.settings = {
+            waterColor: new THREE.Color(0x2a4d3e),
+            reflectivity: 0.4,
+            transparency: 0.8,
+            flowSpeed: 0.5,
+            causticScale: 8,
+            foamAmount: 0.2,
+            renderTargetSize: 512,
+            surfaceOffset: 0.02,   // Keeps the surface out of the ground on the banks
+            rivers: {
+                width: 6,
+                flowSpeed: 1.5,    // Metres per second along the channel
+                depth: 1.2         // Default depth below the banks when no level is given
+            },
+            puddles: {
+                depth: 0.15
+            }
+        };
+
+        this.state = {
+            bodies: new Map(),
+            nextId: 1,
+            time: 0
+        };
+
+        this.tempVector = new THREE.Vector3();
+        this.tempSegment = new THREE.Line3();
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.createRenderTargets();
+        this.createMaterial();
+
+        this.terrainSystem.water = this;
+    }
+
+    createRenderTargets() {
+        const size = this.settings.renderTargetSize;
+        this.reflectionRenderTarget = new THREE.WebGLRenderTarget(size, size);
+        this.refractionRenderTarget = new THREE.WebGLRenderTarget(size, size);
+
+        this.reflectionCamera = new THREE.PerspectiveCamera();
+    }
+
+    createMaterial() {
+        const loader = new THREE.TextureLoader();
+        const causticMap = loader.load('textures/water/caustics.jpg');
+        const normalMap = loader.load('textures/water/normal.jpg');
+        causticMap.wrapS = causticMap.wrapT = THREE.RepeatWrapping;
+        normalMap.wrapS = normalMap.wrapT = THREE.RepeatWrapping;
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                waterColor: { value: this.settings.waterColor },
+                reflectivity: { value: this.settings.reflectivity },
+                transparency: { value: this.settings.transparency },
+                flowSpeed: { value: this.settings.flowSpeed },
+                causticScale: { value: this.settings.causticScale },
+                foamAmount: { value: this.settings.foamAmount },
+                causticMap: { value: causticMap },
+                normalMap: { value: normalMap },
+                reflectionMap: { value: this.reflectionRenderTarget.texture },
+                refractionMap: { value: this.refractionRenderTarget.texture }
+            },
+            vertexShader: this.getVertexShader(),
+            fragmentShader: this.getFragmentShader(),
+            transparent: true,
+            depthWrite: false
+        });
+    }
+
+    getVertexShader() {
+        return `
+            attribute vec2 flowDirection;
+
+            varying vec2 vUv;
+            varying vec2 vFlow;
+            varying vec3 vPosition;
+            varying vec4 vScreenPosition;
+
+            void main() {
+                vUv = uv;
+                vFlow = flowDirection;
+                vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+                vPosition = worldPosition.xyz;
+                vScreenPosition = projectionMatrix * viewMatrix * worldPosition;
+                gl_Position = vScreenPosition;
+            }
+        `;
+    }
+
+    getFragmentShader() {
+        return `
+            uniform float time;
+            uniform vec3 waterColor;
+            uniform float reflectivity;
+            uniform float transparency;
+            uniform float flowSpeed;
+            uniform float causticScale;
+            uniform float foamAmount;
+            uniform sampler2D causticMap;
+            uniform sampler2D normalMap;
+            uniform sampler2D reflectionMap;
+            uniform sampler2D refractionMap;
+
+            varying vec2 vUv;
+            varying vec2 vFlow;
+            varying vec3 vPosition;
+            varying vec4 vScreenPosition;
+
+            void main() {
+                // Scroll the normal map along the current; still water just drifts
+                vec2 drift = vFlow * time * flowSpeed + vec2(time * 0.01);
+                vec2 flow = texture2D(normalMap, vPosition.xz * 0.1 + drift).rg;
+                vec3 normal = normalize(vec3(flow.x * 2.0 - 1.0, 1.0, flow.y * 2.0 - 1.0));
+
+                vec2 screenUv = vScreenPosition.xy / vScreenPosition.w * 0.5 + 0.5;
+                vec2 distortion = (flow - 0.5) * 0.02;
+                vec4 reflection = texture2D(reflectionMap, vec2(screenUv.x, 1.0 - screenUv.y) + distortion);
+                vec4 refraction = texture2D(refractionMap, screenUv + distortion);
+
                 float fresnel = pow(1.0 - max(0.0, dot(normal, normalize(cameraPosition - vPosition))), 5.0);
-                
+
                 // Sample caustics
                 vec3 caustics = texture2D(causticMap, vUv * causticScale).rgb;
-                
+
                 // Calculate foam
                 float foam = smoothstep(1.0 - foamAmount, 1.0, flow.x * flow.y);
-                
+
                 // Blend colors
                 vec3 finalColor = mix(
                     refraction.rgb,
                     reflection.rgb,
                     fresnel * reflectivity
                 );
-                
+
                 finalColor = mix(
                     finalColor,
                     waterColor,
                     0.3
                 );
-                
+
                 finalColor += caustics * 0.3;
                 finalColor += vec3(foam);
-                
+
                 gl_FragColor = vec4(finalColor, transparency);
             }
         `;
     }
 
+    // Flat lake at a fixed level, bounded by a circle or an outline of { x, z } points
+    addLake({ center, radius, outline, level }) {
+        const points = outline ?? this.createCircleOutline(center, radius);
+        const body = {
+            type: 'lake',
+            outline: points.map(point => new THREE.Vector2(point.x, point.z ?? point.y)),
+            level: level ?? this.getLowestBankHeight(points) - this.settings.surfaceOffset
+        };
+        return this.addBody(body);
+    }
+
+    // River along a centre line. Point y is the water surface there; when missing it
+    // sits `depth` below the banks and never runs uphill.
+    addRiver(points, { width = this.settings.rivers.width, flowSpeed = this.settings.rivers.flowSpeed, depth = this.settings.rivers.depth } = {}) {
+        const centerLine = points.map(point => new THREE.Vector3(point.x, point.y ?? NaN, point.z));
+
+        let previousLevel = Infinity;
+        centerLine.forEach(point => {
+            if (Number.isNaN(point.y)) {
+                const ground = this.terrainSystem.query.getHeight(point.x, point.z);
+                point.y = Math.min(previousLevel, ground + depth - this.settings.surfaceOffset);
+            }
+            previousLevel = point.y;
+        });
+
+        return this.addBody({
+            type: 'river',
+            points: centerLine,
+            width,
+            flowSpeed
+        });
+    }
+
+    // Shallow standing water filling a low spot
+    addPuddle(position, radius, depth = this.settings.puddles.depth) {
+        const ground = this.terrainSystem.query.getHeight(position.x, position.z);
+        return this.addBody({
+            type: 'puddle',
+            center: new THREE.Vector2(position.x, position.z),
+            radius,
+            level: ground + depth
+        });
+    }
+
+    addBody(body) {
+        const id = `water_${this.state.nextId++}`;
+        body.id = id;
+        body.bounds = this.computeBounds(body);
+        body.mesh = this.createBodyMesh(body);
+        this.terrainSystem.scene.add(body.mesh);
+
+        this.state.bodies.set(id, body);
+        this.terrainSystem.map?.markDirty();
+        return id;
+    }
+
+    removeWaterBody(id) {
+        const body = this.state.bodies.get(id);
+        if (body) {
+            this.terrainSystem.scene.remove(body.mesh);
+            body.mesh.geometry.dispose();
+            this.state.bodies.delete(id);
+            this.terrainSystem.map?.markDirty();
+        }
+    }
+
+    // Plain data for a level file; restoreBody rebuilds the body from it
+    getBodyData(id) {
+        const body = this.state.bodies.get(id);
+        if (!body) return null;
+
+        switch (body.type) {
+            case 'lake':
+                return { type: 'lake', outline: body.outline.map(point => [point.x, point.y]), level: body.level };
+            case 'river':
+                return { type: 'river', points: body.points.map(point => point.toArray()), width: body.width, flowSpeed: body.flowSpeed };
+            case 'puddle':
+                return { type: 'puddle', center: [body.center.x, body.center.y], radius: body.radius, level: body.level };
+            default:
+                return null;
+        }
+    }
+
+    restoreBody(data) {
+        switch (data.type) {
+            case 'lake':
+                return this.addLake({ outline: data.outline.map(([x, z]) => ({ x, z })), level: data.level });
+            case 'river':
+                return this.addRiver(data.points.map(([x, y, z]) => ({ x, y, z })), {
+                    width: data.width,
+                    flowSpeed: data.flowSpeed
+                });
+            case 'puddle':
+                return this.addBody({
+                    type: 'puddle',
+                    center: new THREE.Vector2(data.center[0], data.center[1]),
+                    radius: data.radius,
+                    level: data.level
+                });
+            default:
+                throw new Error(`Unknown water body type '${data.type}'`);
+        }
+    }
+
+    clearBodies() {
+        Array.from(this.state.bodies.keys()).forEach(id => this.removeWaterBody(id));
+    }
+
+    // Water surface height at a point, or null when dry
+    getWaterLevel(x, z) {
+        return this.sample(x, z).level;
+    }
+
+    // Depth from surface to ground, 0 when dry
+    getWaterDepth(x, z) {
+        return this.sample(x, z).depth;
+    }
+
+    // Surface current in m/s (Vector3, y = 0)
+    getFlow(x, z, target = new THREE.Vector3()) {
+        return target.copy(this.sample(x, z).flow);
+    }
+
+    sample(x, z, target = {}) {
+        target.level = null;
+        target.depth = 0;
+        target.flow = (target.flow ?? new THREE.Vector3()).set(0, 0, 0);
+        target.body = null;
+
+        let ground = null;
+        for (const body of this.state.bodies.values()) {
+            const { bounds } = body;
+            if (x < bounds.minX || x > bounds.maxX || z < bounds.minZ || z > bounds.maxZ) continue;
+
+            const level = this.getBodyLevel(body, x, z, target.flow);
+            if (level === null) continue;
+
+            ground ??= this.terrainSystem.query.getHeight(x, z);
+            const depth = level - ground;
+            if (depth > target.depth) {
+                target.level = level;
+                target.depth = depth;
+                target.body = body;
+            }
+        }
+
+        if (target.body?.type !== 'river') {
+            target.flow.set(0, 0, 0);
+        }
+
+        return target;
+    }
+
+    getBodyLevel(body, x, z, flow) {
+        switch (body.type) {
+            case 'lake':
+                return this.isInsideOutline(body.outline, x, z) ? body.level : null;
+            case 'puddle': {
+                const dx = x - body.center.x;
+                const dz = z - body.center.y;
+                return dx * dx + dz * dz <= body.radius * body.radius ? body.level : null;
+            }
+            case 'river':
+                return this.getRiverLevel(body, x, z, flow);
+        }
+        return null;
+    }
+
+    getRiverLevel(body, x, z, flow) {
+        const point = this.tempVector.set(x, 0, z);
+        const closest = new THREE.Vector3();
+        let bestDistance = Infinity;
+        let level = null;
+
+        for (let i = 0; i < body.points.length - 1; i++) {
+            const start = body.points[i];
+            const end = body.points[i + 1];
+            this.tempSegment.set(
+                new THREE.Vector3(start.x, 0, start.z),
+                new THREE.Vector3(end.x, 0, end.z)
+            );
+
+            const t = this.tempSegment.closestPointToPointParameter(point, true);
+            this.tempSegment.at(t, closest);
+            const distance = closest.distanceTo(point);
+
+            if (distance <= body.width / 2 && distance < bestDistance) {
+                bestDistance = distance;
+                level = THREE.MathUtils.lerp(start.y, end.y, t);
+                this.tempSegment.delta(flow).normalize().multiplyScalar(body.flowSpeed);
+            }
+        }
+
+        return level;
+    }
+
+    isInsideOutline(outline, x, z) {
+        let inside = false;
+        for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+            const a = outline[i];
+            const b = outline[j];
+            if ((a.y > z) !== (b.y > z) && x < (b.x - a.x) * (z - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    createCircleOutline(center, radius, segments = 32) {
+        const points = [];
+        for (let i = 0; i < segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            points.push({
+                x: center.x + Math.cos(angle) * radius,
+                z: center.z + Math.sin(angle) * radius
+            });
+        }
+        return points;
+    }
+
+    getLowestBankHeight(points) {
+        return Math.min(...points.map(point => this.terrainSystem.query.getHeight(point.x, point.z ?? point.y)));
+    }
+
+    computeBounds(body) {
+        const bounds = { minX: Infinity, minZ: Infinity, maxX: -Infinity, maxZ: -Infinity };
+        const expand = (x, z, margin = 0) => {
+            bounds.minX = Math.min(bounds.minX, x - margin);
+            bounds.minZ = Math.min(bounds.minZ, z - margin);
+            bounds.maxX = Math.max(bounds.maxX, x + margin);
+            bounds.maxZ = Math.max(bounds.maxZ, z + margin);
+        };
+
+        switch (body.type) {
+            case 'lake':
+                body.outline.forEach(point => expand(point.x, point.y));
+                break;
+            case 'puddle':
+                expand(body.center.x, body.center.y, body.radius);
+                break;
+            case 'river':
+                body.points.forEach(point => expand(point.x, point.z, body.width / 2));
+                break;
+        }
+
+        return bounds;
+    }
+
+    createBodyMesh(body) {
+        let geometry;
+
+        switch (body.type) {
+            case 'lake': {
+                // Shape is built in x/-z so rotating onto the ground keeps world z
+                const shape = new THREE.Shape(body.outline.map(point => new THREE.Vector2(point.x, -point.y)));
+                geometry = new THREE.ShapeGeometry(shape);
+                geometry.rotateX(-Math.PI / 2);
+                geometry.translate(0, body.level, 0);
+                break;
+            }
+            case 'puddle':
+                geometry = new THREE.CircleGeometry(body.radius, 24);
+                geometry.rotateX(-Math.PI / 2);
+                geometry.translate(body.center.x, body.level, body.center.y);
+                break;
+            case 'river':
+                geometry = this.createRiverGeometry(body);
+                break;
+        }
+
+        if (!geometry.attributes.flowDirection) {
+            const count = geometry.attributes.position.count;
+            geometry.setAttribute('flowDirection', new THREE.Float32BufferAttribute(new Float32Array(count * 2), 2));
+        }
+
+        const mesh = new THREE.Mesh(geometry, this.material);
+        mesh.renderOrder = 1;
+        return mesh;
+    }
+
+    // Ribbon along the centre line, following the surface level of each point
+    createRiverGeometry(body) {
+        const positions = [];
+        const uvs = [];
+        const flows = [];
+        const indices = [];
+        let distance = 0;
+
+        for (let i = 0; i < body.points.length; i++) {
+            const point = body.points[i];
+            const next = body.points[Math.min(i + 1, body.points.length - 1)];
+            const previous = body.points[Math.max(i - 1, 0)];
+            const direction = new THREE.Vector3(next.x - previous.x, 0, next.z - previous.z).normalize();
+            const side = new THREE.Vector3(-direction.z, 0, direction.x).multiplyScalar(body.width / 2);
+
+            if (i > 0) {
+                distance += point.distanceTo(body.points[i - 1]);
+            }
+
+            positions.push(
+                point.x - side.x, point.y, point.z - side.z,
+                point.x + side.x, point.y, point.z + side.z
+            );
+            uvs.push(0, distance / body.width, 1, distance / body.width);
+            flows.push(
+                direction.x * body.flowSpeed, direction.z * body.flowSpeed,
+                direction.x * body.flowSpeed, direction.z * body.flowSpeed
+            );
+
+            if (i > 0) {
+                const a = (i - 1) * 2;
+                indices.push(a, a + 2, a + 1, a + 1, a + 2, a + 3);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.setAttribute('flowDirection', new THREE.Float32BufferAttribute(flows, 2));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    // Render reflection and refraction for the water surface closest to the camera
+    render(renderer, scene, camera) {
+        const nearest = this.getNearestBody(camera.position);
+        if (!nearest) return;
+
+        const level = nearest.level ?? nearest.points[0].y;
+        const meshes = Array.from(this.state.bodies.values(), body => body.mesh);
+        meshes.forEach(mesh => { mesh.visible = false; });
+
+        // Mirror the camera below the surface for the reflection
+        const target = this.tempVector.set(0, 0, -1).applyQuaternion(camera.quaternion).add(camera.position);
+        target.y = 2 * level - target.y;
+
+        this.reflectionCamera.copy(camera);
+        this.reflectionCamera.position.y = 2 * level - camera.position.y;
+        this.reflectionCamera.lookAt(target);
+        this.reflectionCamera.updateMatrixWorld();
+
+        renderer.setRenderTarget(this.reflectionRenderTarget);
+        renderer.render(scene, this.reflectionCamera);
+
+        renderer.setRenderTarget(this.refractionRenderTarget);
+        renderer.render(scene, camera);
+
+        renderer.setRenderTarget(null);
+        meshes.forEach(mesh => { mesh.visible = true; });
+    }
+
+    getNearestBody(position) {
+        let nearest = null;
+        let bestDistance = Infinity;
+
+        this.state.bodies.forEach(body => {
+            const { bounds } = body;
+            const dx = Math.max(bounds.minX - position.x, 0, position.x - bounds.maxX);
+            const dz = Math.max(bounds.minZ - position.z, 0, position.z - bounds.maxZ);
+            const distance = dx * dx + dz * dz;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                nearest = body;
+            }
+        });
+
+        return nearest;
+    }
+
+    update(deltaTime) {
+        this.state.time += deltaTime;
+        this.material.uniforms.time.value = this.state.time;
+    }
+
     dispose() {
-        this.geometry.dispose();
+        this.state.bodies.forEach((body, id) => this.removeWaterBody(id));
+        this.material.uniforms.causticMap.value.dispose();
+        this.material.uniforms.normalMap.value.dispose();
         this.material.dispose();
         this.reflectionRenderTarget.dispose();
         this.refractionRenderTarget.dispose();
+
+        if (this.terrainSystem.water === this) {
+            this.terrainSystem.water = null;
+        }
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,236 @@
+import * as THREE from 'three';
+
+// Trail wear that outlasts a session. Every tire pass leaves a little rut depth,
+// flattens the grass and lays down track marks; all of it heals back over in-game
+// days. Cells are kept per chunk so a save only carries the ground that was driven.
+export class TerrainWearSystem {
+    constructor(terrainSystem, weatherSystem = null, decorationSystem = null) {
+        this.terrainSystem = terrainSystem;
+        this.weatherSystem = weatherSystem;
+        this.decorationSystem = decorationSystem;
+
+        this.settings = {
+            cellSize: 1,            // Metres, about a tire wide
+            chunkSize: 32,          // Metres per saved chunk
+            rutRadius: 0.6,         // Metres of ground a rut cell digs and heals
+            maxDepth: 0.2,          // Deepest a worn rut gets, in metres
+            passInterval: 0.5,      // Seconds before the same cell counts another pass
+            perPass: {
+                packing: 0.05,      // Grass flattened per pass
+                tracks: 0.1         // Track marks laid per pass
+            },
+            // Healed per in-game day
+            healing: {
+                depth: 0.02,        // Metres of rut
+                packing: 0.1,
+                tracks: 0.25
+            },
+            dayLength: 24 * 60,     // Seconds per in-game day when there's no weather clock
+            updateInterval: 1.0,    // Seconds between healing steps
+            decals: {
+                threshold: 0.3,     // Track marks before a cell shows a decal
+                size: 1.5,
+                lift: 0.02          // Metres above the ground
+            }
+        };
+
+        this.state = {
+            elapsed: 0,
+            clock: 0
+        };
+
+        // Chunk key -> cell key -> { x, z, depth, packing, tracks, heading, lastPass, decalId }
+        this.chunks = new Map();
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.terrainSystem.wear = this;
+    }
+
+    setWeather(weatherSystem) {
+        this.weatherSystem = weatherSystem;
+    }
+
+    setDecorations(decorationSystem) {
+        this.chunks.forEach(cells => cells.forEach(cell => this.removeCellDecal(cell)));
+        this.decorationSystem = decorationSystem;
+    }
+
+    // A tire rolling over the ground; depth is rut the caller wants kept as wear.
+    // Returns how much of it the cell took, the rest is the caller's to dig.
+    addPass(position, depth = 0, velocity = null) {
+        const cell = this.getCell(position.x, position.z, true);
+
+        const taken = THREE.MathUtils.clamp(depth, 0, this.settings.maxDepth - cell.depth);
+        if (taken > 0) {
+            cell.depth += taken;
+            this.terrainSystem.adjustHeight(cell.x, cell.z, this.settings.rutRadius, -taken);
+        }
+
+        // A wheel sits on a cell for several frames; count that as one pass
+        if (this.state.clock - cell.lastPass >= this.settings.passInterval) {
+            const { perPass } = this.settings;
+            cell.packing = Math.min(1, cell.packing + perPass.packing);
+            cell.tracks = Math.min(1, cell.tracks + perPass.tracks);
+            cell.lastPass = this.state.clock;
+        }
+        if (velocity && velocity.x * velocity.x + velocity.z * velocity.z > 0.01) {
+            cell.heading = Math.atan2(velocity.x, velocity.z);
+        }
+
+        return taken;
+    }
+
+    getChunkKey(x, z) {
+        const { chunkSize } = this.settings;
+        return `${Math.floor(x / chunkSize)},${Math.floor(z / chunkSize)}`;
+    }
+
+    getCell(x, z, create = false) {
+        const { cellSize } = this.settings;
+        const col = Math.floor(x / cellSize);
+        const row = Math.floor(z / cellSize);
+        const centerX = (col + 0.5) * cellSize;
+        const centerZ = (row + 0.5) * cellSize;
+
+        const chunkKey = this.getChunkKey(centerX, centerZ);
+        let cells = this.chunks.get(chunkKey);
+        const cellKey = `${col},${row}`;
+        if (!create) return cells?.get(cellKey) ?? null;
+
+        if (!cells) {
+            cells = new Map();
+            this.chunks.set(chunkKey, cells);
+        }
+        let cell = cells.get(cellKey);
+        if (!cell) {
+            cell = { x: centerX, z: centerZ, depth: 0, packing: 0, tracks: 0, heading: 0, lastPass: -Infinity, decalId: null };
+            cells.set(cellKey, cell);
+        }
+        return cell;
+    }
+
+    // 0 untouched to 1 flattened to bare track
+    getPacking(x, z) {
+        return this.getCell(x, z)?.packing ?? 0;
+    }
+
+    getRutDepth(x, z) {
+        return this.getCell(x, z)?.depth ?? 0;
+    }
+
+    update(deltaTime) {
+        this.state.clock += deltaTime;
+        this.state.elapsed += deltaTime;
+        if (this.state.elapsed < this.settings.updateInterval) return;
+
+        const step = this.state.elapsed;
+        this.state.elapsed = 0;
+        this.heal(this.getGameDays(step));
+        this.updateDecals();
+    }
+
+    // Follows the weather's day-night clock, so a sped-up day heals the trail faster
+    getGameDays(seconds) {
+        if (!this.weatherSystem) {
+            return seconds / this.settings.dayLength;
+        }
+        return seconds * this.weatherSystem.settings.timeScale / this.weatherSystem.time.dayLength;
+    }
+
+    heal(days) {
+        const { healing, rutRadius } = this.settings;
+
+        this.chunks.forEach((cells, chunkKey) => {
+            cells.forEach((cell, cellKey) => {
+                const filled = Math.min(cell.depth, healing.depth * days);
+                if (filled > 0) {
+                    cell.depth -= filled;
+                    this.terrainSystem.adjustHeight(cell.x, cell.z, rutRadius, filled);
+                }
+                cell.packing = Math.max(0, cell.packing - healing.packing * days);
+                cell.tracks = Math.max(0, cell.tracks - healing.tracks * days);
+
+                if (cell.depth <= 1e-4 && cell.packing === 0 && cell.tracks === 0) {
+                    // Put back the last sliver so healed ground ends where it started
+                    if (cell.depth > 0) {
+                        this.terrainSystem.adjustHeight(cell.x, cell.z, rutRadius, cell.depth);
+                    }
+                    this.removeCellDecal(cell);
+                    cells.delete(cellKey);
+                }
+            });
+            if (cells.size === 0) {
+                this.chunks.delete(chunkKey);
+            }
+        });
+    }
+
+    updateDecals() {
+        // Decal materials load asynchronously with the rest of the decoration assets
+        if (!this.decorationSystem?.decalParent) return;
+
+        const { threshold, size, lift } = this.settings.decals;
+        this.chunks.forEach(cells => cells.forEach(cell => {
+            if (cell.tracks >= threshold && cell.decalId === null) {
+                const position = new THREE.Vector3(cell.x, this.terrainSystem.query.getHeight(cell.x, cell.z) + lift, cell.z);
+                cell.decalId = this.decorationSystem.addDecal(position, 'tracks', size, cell.heading);
+            } else if (cell.tracks < threshold) {
+                this.removeCellDecal(cell);
+            }
+        }));
+    }
+
+    removeCellDecal(cell) {
+        if (cell.decalId !== null) {
+            this.decorationSystem?.removeDecal(cell.decalId);
+            cell.decalId = null;
+        }
+    }
+
+    // Plain data for a level or save file: cells as [x, z, depth, packing, tracks, heading]
+    getData() {
+        const chunks = [];
+        this.chunks.forEach((cells, key) => {
+            chunks.push({
+                key,
+                cells: Array.from(cells.values()).map(cell => [cell.x, cell.z, cell.depth, cell.packing, cell.tracks, cell.heading])
+            });
+        });
+        return { cellSize: this.settings.cellSize, chunks };
+    }
+
+    // carved: the saved heights already have the ruts in them, as in a level file.
+    // A save on a seeded world doesn't, so the ruts are dug again.
+    restore(data, { carved = false } = {}) {
+        this.reset();
+
+        data.chunks.forEach(chunk => chunk.cells.forEach(([x, z, depth, packing, tracks, heading]) => {
+            const cell = this.getCell(x, z, true);
+            cell.depth = Math.min(depth, this.settings.maxDepth);
+            cell.packing = packing;
+            cell.tracks = tracks;
+            cell.heading = heading;
+
+            if (!carved && cell.depth > 0) {
+                this.terrainSystem.adjustHeight(cell.x, cell.z, this.settings.rutRadius, -cell.depth);
+            }
+        }));
+        this.updateDecals();
+    }
+
+    // Forget all wear without touching the ground, for when the heights are replaced wholesale
+    reset() {
+        this.chunks.forEach(cells => cells.forEach(cell => this.removeCellDecal(cell)));
+        this.chunks.clear();
+    }
+
+    dispose() {
+        this.reset();
+        if (this.terrainSystem.wear === this) {
+            this.terrainSystem.wear = null;
+        }
+    }
+}
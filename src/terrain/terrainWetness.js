@@ -0,0 +1,348 @@
+import * as THREE from 'three';
+
+// How wet the ground is right now. Rain soaks the base grid, sun and wind dry it,
+// and hollows fill with muddy puddles once the soil around them is saturated.
+export class TerrainWetnessSystem {
+    constructor(terrainSystem, weatherSystem = null) {
+        this.terrainSystem = terrainSystem;
+        this.weatherSystem = weatherSystem;
+
+        this.settings = {
+            updateInterval: 0.5,    // Seconds between field steps
+            soakRate: 1 / 90,       // Wetness gained per second in full rain on soil that takes it all
+            runoff: 0.6,            // Share of rain lost per radian of slope
+            drying: {
+                base: 1 / 1200,     // Per second under cloud with no wind
+                sun: 1 / 480,       // Per second extra in full sun
+                wind: 1 / 3000      // Per second extra per m/s of wind
+            },
+            // How readily each surface takes water and gives it back
+            surfaces: {
+                dirt: { absorption: 0.8, drying: 1.0 },
+                mud: { absorption: 1.0, drying: 0.5 },
+                sand: { absorption: 0.5, drying: 1.6 },
+                rock: { absorption: 0.2, drying: 2.5 },
+                grass: { absorption: 0.7, drying: 0.8 }
+            },
+            puddles: {
+                maxDepth: 0.2,      // Metres
+                saturation: 0.9,    // Wetness before water starts to stand
+                fillRate: 0.004,    // Metres per second in full rain
+                drying: 0.07,       // Metres of standing water lost per unit of ground drying
+                mudDepth: 0.02      // Puddles deeper than this turn soil to mud
+            }
+        };
+
+        this.state = {
+            elapsed: 0,
+            ambient: 0,             // Wetness of flat ground outside the base grid
+            conditions: { rain: 0, wind: 0, sun: 0 }
+        };
+
+        this.wetnessField = null;
+        this.puddleField = null;
+        this.capacityField = null;
+        this.absorptionField = null;
+        this.dryingField = null;
+        this.texture = null;
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.allocate();
+
+        this.onHeightsChanged = (bounds) => this.updateRegion(bounds);
+        this.terrainSystem.addListener('heightsChanged', this.onHeightsChanged);
+        this.terrainSystem.wetness = this;
+    }
+
+    allocate() {
+        const { resolution } = this.terrainSystem.settings;
+        const count = resolution * resolution;
+
+        this.wetnessField = new Float32Array(count);
+        this.puddleField = new Float32Array(count);
+        this.capacityField = new Float32Array(count);
+        this.absorptionField = new Float32Array(count);
+        this.dryingField = new Float32Array(count);
+
+        // Keep the same texture object so materials already bound to it follow the resize
+        const data = new Uint8Array(count * 4);
+        if (this.texture) {
+            this.texture.image = { data, width: resolution, height: resolution };
+            this.texture.dispose();
+        } else {
+            this.texture = new THREE.DataTexture(data, resolution, resolution, THREE.RGBAFormat);
+            this.texture.magFilter = THREE.LinearFilter;
+        }
+
+        this.updateGroundRegion(0, 0, resolution - 1, resolution - 1);
+        this.updateHollows();
+        this.updateTexture();
+    }
+
+    setWeather(weatherSystem) {
+        this.weatherSystem = weatherSystem;
+    }
+
+    // Digging, painting or a new heightmap moves hollows and changes what the ground absorbs
+    updateRegion(bounds) {
+        const { size, resolution } = this.terrainSystem.settings;
+        const cellSize = this.terrainSystem.getCellSize();
+        const pad = cellSize;
+
+        // A new heightmap of another resolution starts the fields over
+        if (this.wetnessField.length !== resolution * resolution) {
+            this.allocate();
+            return;
+        }
+
+        const toIndex = (value) => THREE.MathUtils.clamp(Math.round((value + size / 2) / cellSize), 0, resolution - 1);
+        this.updateGroundRegion(
+            toIndex(bounds.minX - pad), toIndex(bounds.minZ - pad),
+            toIndex(bounds.maxX + pad), toIndex(bounds.maxZ + pad)
+        );
+
+        // A dug hole can drain or dam a hollow anywhere downhill of it
+        this.updateHollows();
+    }
+
+    updateGroundRegion(minCol, minRow, maxCol, maxRow) {
+        const { size, resolution } = this.terrainSystem.settings;
+        const { surfaces } = this.settings;
+        const cellSize = this.terrainSystem.getCellSize();
+        const query = this.terrainSystem.query;
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const index = row * resolution + col;
+                const x = col * cellSize - size / 2;
+                const z = row * cellSize - size / 2;
+
+                // Rain runs off slopes before it can soak in
+                const surface = surfaces[query.getBaseSurfaceType(x, z)] ?? surfaces.dirt;
+                const slope = query.getSlope(x, z);
+                this.absorptionField[index] = surface.absorption * Math.max(0, 1 - slope * this.settings.runoff);
+                this.dryingField[index] = surface.drying;
+            }
+        }
+    }
+
+    // Flood the grid inwards from its edges, lowest first. Wherever the water level
+    // ends up above the ground is a closed hollow that rain can fill.
+    updateHollows() {
+        const { resolution, heightScale } = this.terrainSystem.settings;
+        const { maxDepth } = this.settings.puddles;
+        const heights = this.terrainSystem.heightField;
+        const level = new Float32Array(heights.length);
+        const visited = new Uint8Array(heights.length);
+        const queue = new FloodQueue(heights.length);
+
+        for (let row = 0; row < resolution; row++) {
+            for (let col = 0; col < resolution; col++) {
+                if (row === 0 || col === 0 || row === resolution - 1 || col === resolution - 1) {
+                    const index = row * resolution + col;
+                    level[index] = heights[index];
+                    visited[index] = 1;
+                    queue.push(index, heights[index]);
+                }
+            }
+        }
+
+        while (queue.size > 0) {
+            const index = queue.pop();
+            const row = Math.floor(index / resolution);
+            const col = index % resolution;
+
+            for (const [dc, dr] of NEIGHBORS) {
+                const c = col + dc;
+                const r = row + dr;
+                if (c < 0 || r < 0 || c >= resolution || r >= resolution) continue;
+
+                const next = r * resolution + c;
+                if (visited[next]) continue;
+                visited[next] = 1;
+                level[next] = Math.max(heights[next], level[index]);
+                queue.push(next, level[next]);
+            }
+        }
+
+        // Every cell of one hollow shares its spill level; a puddle only covers the bottom
+        const bottoms = new Map();
+        for (let i = 0; i < heights.length; i++) {
+            if (level[i] > heights[i]) {
+                bottoms.set(level[i], Math.min(bottoms.get(level[i]) ?? Infinity, heights[i]));
+            }
+        }
+
+        for (let i = 0; i < heights.length; i++) {
+            const surface = level[i] > heights[i]
+                ? Math.min(level[i], bottoms.get(level[i]) + maxDepth / heightScale)
+                : heights[i];
+            this.capacityField[i] = Math.max(0, (surface - heights[i]) * heightScale);
+            this.puddleField[i] = Math.min(this.puddleField[i], this.capacityField[i]);
+        }
+    }
+
+    update(deltaTime) {
+        this.state.elapsed += deltaTime;
+        if (this.state.elapsed < this.settings.updateInterval) return;
+
+        const step = this.state.elapsed;
+        this.state.elapsed = 0;
+
+        const conditions = this.weatherSystem
+            ? this.weatherSystem.getConditions(this.state.conditions)
+            : this.state.conditions;
+        this.step(step, conditions);
+        this.updateTexture();
+    }
+
+    step(deltaTime, { rain, sun, wind }) {
+        const { soakRate, drying, puddles } = this.settings;
+        const soak = rain * soakRate * deltaTime;
+        // Nothing dries much while it is still raining
+        const dry = (drying.base + sun * drying.sun + wind * drying.wind) * (1 - rain) * deltaTime;
+        const fill = rain * puddles.fillRate * deltaTime;
+
+        const wetness = this.wetnessField;
+        const puddle = this.puddleField;
+
+        for (let i = 0; i < wetness.length; i++) {
+            const cellDry = dry * this.dryingField[i];
+
+            // Standing water keeps the ground around it soaked until it is gone
+            if (puddle[i] > 0) {
+                puddle[i] = Math.max(0, puddle[i] - cellDry * puddles.drying);
+            }
+            if (wetness[i] >= puddles.saturation && this.capacityField[i] > 0) {
+                puddle[i] = Math.min(this.capacityField[i], puddle[i] + fill);
+            }
+
+            wetness[i] = puddle[i] > 0
+                ? 1
+                : THREE.MathUtils.clamp(wetness[i] + soak * this.absorptionField[i] - cellDry, 0, 1);
+        }
+
+        this.state.ambient = THREE.MathUtils.clamp(
+            this.state.ambient + soak * this.settings.surfaces.dirt.absorption - dry,
+            0, 1
+        );
+    }
+
+    // Red is wetness, green is puddle depth as a share of the deepest puddle
+    updateTexture() {
+        const data = this.texture.image.data;
+        const maxDepth = this.settings.puddles.maxDepth;
+
+        for (let i = 0; i < this.wetnessField.length; i++) {
+            data[i * 4] = Math.round(this.wetnessField[i] * 255);
+            data[i * 4 + 1] = Math.round(this.puddleField[i] / maxDepth * 255);
+        }
+        this.texture.needsUpdate = true;
+    }
+
+    getIndex(x, z) {
+        const { size, resolution } = this.terrainSystem.settings;
+        const cellSize = this.terrainSystem.getCellSize();
+        const col = Math.round((x + size / 2) / cellSize);
+        const row = Math.round((z + size / 2) / cellSize);
+
+        if (col < 0 || row < 0 || col >= resolution || row >= resolution) {
+            return -1;
+        }
+        return row * resolution + col;
+    }
+
+    // 0 (dry) to 1 (soaked)
+    getWetness(x, z) {
+        const index = this.getIndex(x, z);
+        return index < 0 ? this.state.ambient : this.wetnessField[index];
+    }
+
+    // Metres of standing water in a hollow
+    getPuddleDepth(x, z) {
+        const index = this.getIndex(x, z);
+        return index < 0 ? 0 : this.puddleField[index];
+    }
+
+    isMuddy(x, z) {
+        return this.getPuddleDepth(x, z) > this.settings.puddles.mudDepth;
+    }
+
+    // Meltwater and the like, soaked straight into the ground
+    addWater(x, z, amount) {
+        const index = this.getIndex(x, z);
+        if (index >= 0) {
+            this.wetnessField[index] = Math.min(1, this.wetnessField[index] + amount);
+        }
+    }
+
+    // Start a level already soaked, or dry it out instantly
+    setWetness(value) {
+        this.wetnessField.fill(value);
+        this.state.ambient = value;
+        if (value < this.settings.puddles.saturation) {
+            this.puddleField.fill(0);
+        }
+        this.updateTexture();
+    }
+
+    dispose() {
+        this.terrainSystem.removeListener('heightsChanged', this.onHeightsChanged);
+        this.texture.dispose();
+        if (this.terrainSystem.wetness === this) {
+            this.terrainSystem.wetness = null;
+        }
+    }
+}
+
+const NEIGHBORS = [
+    [1, 0],
+    [0, 1],
+    [-1, 0],
+    [0, -1]
+];
+
+// Binary min-heap of grid indices keyed by water level
+class FloodQueue {
+    constructor(capacity) {
+        this.indices = new Int32Array(capacity);
+        this.keys = new Float32Array(capacity);
+        this.size = 0;
+    }
+
+    push(index, key) {
+        let i = this.size++;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.keys[parent] <= key) break;
+            this.indices[i] = this.indices[parent];
+            this.keys[i] = this.keys[parent];
+            i = parent;
+        }
+        this.indices[i] = index;
+        this.keys[i] = key;
+    }
+
+    pop() {
+        const top = this.indices[0];
+        const lastIndex = this.indices[--this.size];
+        const lastKey = this.keys[this.size];
+
+        let i = 0;
+        while (true) {
+            let child = i * 2 + 1;
+            if (child >= this.size) break;
+            if (child + 1 < this.size && this.keys[child + 1] < this.keys[child]) child++;
+            if (this.keys[child] >= lastKey) break;
+            this.indices[i] = this.indices[child];
+            this.keys[i] = this.keys[child];
+            i = child;
+        }
+        this.indices[i] = lastIndex;
+        this.keys[i] = lastKey;
+        return top;
+    }
+}
@@ -3,6 +3,7 @@ export class UISystem {
         this.elements = new Map();
         this.containers = new Map();
         this.activeOverlay = null;
+        this.mapSystem = null;
         
         // Initialize main UI containers
         this.initializeContainers();
@@ -18,7 +19,8 @@ export class UISystem {
             isMenuOpen: false,
             isPaused: false,
             currentScreen: 'game',
-            notifications: []
+            notifications: [],
+            mapPosition: null
         };
     }
 
@@ -84,6 +86,14 @@ export class UISystem {
             content: 'N'
         });
 
+        // Transfer case mode
+        this.createElement('transfer-case-indicator', {
+            type: 'div',
+            parent: 'hud-container',
+            className: 'hud-element transfer-case-indicator',
+            content: '2H'
+        });
+
         // Vehicle status
         this.createElement('vehicle-status', {
             type: 'div',
@@ -103,7 +113,8 @@ export class UISystem {
         this.createElement('minimap', {
             type: 'div',
             parent: 'hud-container',
-            className: 'hud-element minimap'
+            className: 'hud-element minimap',
+            content: '<canvas class="minimap-canvas" width="200" height="200"></canvas>'
         });
     }
 
@@ -171,6 +182,17 @@ export class UISystem {
                 </div>
             `
         });
+
+        // Full-screen topo map, toggled with Tab
+        this.createElement('map-overlay', {
+            type: 'div',
+            parent: 'overlay-container',
+            className: 'overlay map-overlay hidden',
+            content: `
+                <canvas class="map-canvas" width="800" height="800"></canvas>
+                <button class="menu-button" data-action="print-map">Print Map</button>
+            `
+        });
     }
 
     createNotificationSystem() {
@@ -237,6 +259,9 @@ export class UISystem {
             case 'back':
                 this.hideSettings();
                 break;
+            case 'print-map':
+                this.mapSystem?.downloadSVG('trail-map.svg', { width: 2048 });
+                break;
         }
     }
 
@@ -254,6 +279,13 @@ export class UISystem {
             gearElement.textContent = data.gear;
         }
 
+        // Update transfer case indicator
+        const transferCaseElement = this.elements.get('transfer-case-indicator');
+        if (transferCaseElement && data.transferCase) {
+            transferCaseElement.textContent = data.transferCase;
+            transferCaseElement.classList.toggle('low-range', data.transferCase === '4L');
+        }
+
         // Update vehicle status
         const statusElement = this.elements.get('vehicle-status');
         if (statusElement) {
@@ -263,6 +295,31 @@ export class UISystem {
             damageBar.style.width = `${(1 - data.damage) * 100}%`;
             fuelBar.style.width = `${data.fuel * 100}%`;
         }
+
+        // Update minimap around the vehicle
+        const minimapElement = this.elements.get('minimap');
+        if (minimapElement && this.mapSystem && data.position) {
+            this.mapSystem.renderMinimap(minimapElement.querySelector('.minimap-canvas'), data.position, data.heading ?? 0);
+            this.state.mapPosition = data.position;
+        }
+    }
+
+    // TerrainMapSystem drawing the minimap and the Tab map
+    setMapSystem(mapSystem) {
+        this.mapSystem = mapSystem;
+    }
+
+    toggleMap() {
+        const mapOverlay = this.elements.get('map-overlay');
+        if (!mapOverlay || !this.mapSystem) return;
+
+        const isHidden = mapOverlay.classList.toggle('hidden');
+        if (!isHidden) {
+            const position = this.state.mapPosition;
+            this.mapSystem.renderMap(mapOverlay.querySelector('.map-canvas'), {
+                markers: position ? [{ x: position.x, z: position.z, label: 'You' }] : []
+            });
+        }
     }
 
     showNotification(data) {
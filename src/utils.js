@@ -0,0 +1,36 @@
+// Hash a numeric or string seed down to an unsigned 32-bit integer
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Derive an independent seed for a named subsystem from the world seed
+export function deriveSeed(seed, label) {
+    return hashSeed(`${hashSeed(seed)}:${label}`);
+}
+
+// Mulberry32 generator, returns floats in [0, 1) like Math.random
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function generateSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
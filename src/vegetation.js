@@ -1,12 +1,15 @@
 import * as THREE from 'three';
 import { InstancedMesh } from 'three';
 import { SimplexNoise } from 'three/examples/jsm/math/SimplexNoise';
+import { createRandom, deriveSeed, generateSeed } from './utils.js';
 
 export class VegetationSystem {
-    constructor(scene, resourceManager) {
+    constructor(scene, resourceManager, terrainSystem = null) {
         // Core references
         this.scene = scene;
         this.resourceManager = resourceManager;
+        this.terrainSystem = terrainSystem;
+        this.seed = terrainSystem ? terrainSystem.seed : generateSeed();
 
         // Vegetation settings
         this.settings = {
@@ -19,7 +22,8 @@ export class VegetationSystem {
             windStrength: 0.2,
             windFrequency: 0.5,
             cullDistance: 150,
-            updateFrequency: 0.1
+            updateFrequency: 0.1,
+            flattenedGrass: 0.7     // Height lost by grass on a fully worn trail
         };
 
         // Vegetation types
@@ -41,6 +45,9 @@ export class VegetationSystem {
             }
         };
 
+        // Hand-placed plants from a level file: { type, variant, position: [x, z], rotation, scale }
+        this.placements = [];
+
         // State tracking
         this.state = {
             lastUpdate: 0,
@@ -50,11 +57,14 @@ export class VegetationSystem {
         };
 
         // Initialize systems
-        this.noise = new SimplexNoise();
+        this.noise = new SimplexNoise({ random: createRandom(deriveSeed(this.seed, 'vegetation:height')) });
         this.initialize();
     }
 
     async initialize() {
+        // Without a resource manager there is nothing to draw, but placements still load and save with a level
+        if (!this.resourceManager) return;
+
         await this.loadVegetationAssets();
         this.setupMaterials();
         this.createInstancedMeshes();
@@ -142,6 +152,14 @@ export class VegetationSystem {
                         instanceCount = this.settings.bushDensity;
                         break;
                 }
+                instanceCount += this.getPlacements(type, variant).length;
+
+                // Density changes rebuild the meshes, so drop the old ones first
+                const previous = data.instances.get(variant);
+                if (previous) {
+                    this.scene.remove(previous);
+                    previous.dispose();
+                }
 
                 const instancedMesh = new InstancedMesh(
                     geometry,
@@ -208,9 +226,29 @@ export class VegetationSystem {
             for (const [variant, instancedMesh] of data.instances) {
                 let instanceIndex = 0;
 
+                // Hand-placed plants first, so the scatter can't crowd them out
+                for (const placement of this.getPlacements(type, variant)) {
+                    const [x, z] = placement.position;
+                    const chunkSize = this.settings.grassPatchSize;
+                    if (!this.state.activeChunks.has(`${Math.floor(x / chunkSize)},${Math.floor(z / chunkSize)}`)) continue;
+
+                    this.position.set(x, this.getTerrainHeight(x, z), z);
+                    this.rotation.set(0, placement.rotation ?? 0, 0);
+                    this.quaternion.setFromEuler(this.rotation);
+                    this.scale.setScalar(placement.scale ?? 1);
+                    this.tempMatrix.compose(this.position, this.quaternion, this.scale);
+                    instancedMesh.setMatrixAt(instanceIndex, this.tempMatrix);
+                    instanceIndex++;
+                }
+
                 for (const chunk of this.state.activeChunks) {
                     const [chunkX, chunkZ] = chunk.split(',').map(Number);
                     const chunkSize = this.settings.grassPatchSize;
+
+                    // Same chunk always scatters the same way for a given seed
+                    const random = createRandom(
+                        deriveSeed(this.seed, `vegetation:${type}:${variant}:${chunk}`)
+                    );
                     
                     // Generate positions within chunk
                     const count = this.getInstanceCountForType(type);
@@ -218,8 +256,12 @@ export class VegetationSystem {
                         if (instanceIndex >= instancedMesh.count) break;
 
                         // Generate position
-                        const x = chunkX * chunkSize + Math.random() * chunkSize;
-                        const z = chunkZ * chunkSize + Math.random() * chunkSize;
+                        const x = chunkX * chunkSize + random() * chunkSize;
+                        const z = chunkZ * chunkSize + random() * chunkSize;
+
+                        // Thin out by the biome's density; always draw so the scatter stays stable
+                        const keep = random();
+                        if (keep >= this.getBiomeDensity(x, z, type, variant)) continue;
                         
                         // Get height from noise
                         const height = this.getTerrainHeight(x, z);
@@ -230,14 +272,17 @@ export class VegetationSystem {
                         // Random rotation
                         this.rotation.set(
                             0,
-                            Math.random() * Math.PI * 2,
+                            random() * Math.PI * 2,
                             0
                         );
                         this.quaternion.setFromEuler(this.rotation);
                         
-                        // Random scale variation
-                        const scale = 0.8 + Math.random() * 0.4;
+                        // Random scale variation; grass on a worn trail is pressed flat
+                        const scale = 0.8 + random() * 0.4;
                         this.scale.set(scale, scale, scale);
+                        if (type === 'grass') {
+                            this.scale.y *= 1 - (this.terrainSystem?.wear?.getPacking(x, z) ?? 0) * this.settings.flattenedGrass;
+                        }
                         
                         // Update matrix
                         this.tempMatrix.compose(
@@ -291,8 +336,17 @@ export class VegetationSystem {
         }
     }
 
+    getBiomeDensity(x, z, type, variant) {
+        const biomes = this.terrainSystem?.biomes;
+        return biomes ? biomes.getVegetationDensity(x, z, type, variant) : 1;
+    }
+
     getTerrainHeight(x, z) {
-        // Simple noise-based height generation
+        if (this.terrainSystem) {
+            return this.terrainSystem.query.getHeight(x, z);
+        }
+
+        // Standalone fallback when no terrain is attached
         const scale = 0.01;
         return this.noise.noise(x * scale, z * scale) * 5;
     }
@@ -304,6 +358,38 @@ export class VegetationSystem {
         }
     }
 
+    getPlacements(type, variant) {
+        return this.placements.filter(placement => placement.type === type && placement.variant === variant);
+    }
+
+    addPlacement(type, variant, x, z, rotation = 0, scale = 1) {
+        this.placements.push({ type, variant, position: [x, z], rotation, scale });
+    }
+
+    // Densities and hand placements for a level file
+    getLevelData() {
+        return {
+            densities: {
+                grass: this.settings.grassDensity,
+                trees: this.settings.treeDensity,
+                bushes: this.settings.bushDensity
+            },
+            placements: this.placements.map(placement => ({ ...placement, position: [...placement.position] }))
+        };
+    }
+
+    applyLevelData({ densities = {}, placements = [] }) {
+        this.settings.grassDensity = densities.grass ?? this.settings.grassDensity;
+        this.settings.treeDensity = densities.trees ?? this.settings.treeDensity;
+        this.settings.bushDensity = densities.bushes ?? this.settings.bushDensity;
+        this.placements = placements.map(placement => ({ ...placement, position: [...placement.position] }));
+
+        // Meshes only exist once the assets have loaded; until then initialize sizes them
+        if (Object.values(this.vegetationTypes).some(data => data.instances.size > 0)) {
+            this.createInstancedMeshes();
+        }
+    }
+
     setWindParameters(strength, frequency) {
         this.settings.windStrength = strength;
         this.settings.windFrequency = frequency;
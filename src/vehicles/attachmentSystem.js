@@ -180,7 +180,6 @@ export class VehicleAttachmentSystem extends EventEmitter {
 
     setupEventListeners() {
         this.vehicle.on('collision', this.handleCollision.bind(this));
-        this.vehicle.on('underwater', this.handleUnderwater.bind(this));
         this.vehicle.on('nighttime', this.handleNighttime.bind(this));
     }
 
@@ -543,20 +542,6 @@ export class VehicleAttachmentSystem extends EventEmitter {
         }
     }
 
-    handleUnderwater(depth) {
-        // Check snorkel
-        let maxDepth = 0;
-        for (const attachment of this.state.installedAttachments.values()) {
-            if (attachment.type === 'snorkel') {
-                maxDepth = Math.max(maxDepth, attachment.config.waterDepth);
-            }
-        }
-
-        if (depth > maxDepth) {
-            this.emit('engineFlooded');
-        }
-    }
-
     handleNighttime(isNight) {
         if (isNight) {
             // Auto-enable lights if installed
@@ -8,19 +8,12 @@ export class VehicleHandlingSystem extends EventEmitter {
 
         this.settings = {
             chassis: {
-                mass: 1500, // kg
                 dimensions: new THREE.Vector3(2.0, 1.5, 4.5), // meters
-                centerOfMass: new THREE.Vector3(0, -0.3, 0), // relative to model center
-                inertia: new THREE.Vector3(2200, 3000, 800), // kg*m^2
-                dragCoefficient: 0.35,
-                rollingResistance: 0.015
+                dragCoefficient: 0.35
             },
             wheels: {
                 front: {
-                    radius: 0.35,
-                    width: 0.25,
-                    mass: 20,
-                    offset: new THREE.Vector2(0.85, 1.4), // width, length from center
+                    offset: new THREE.Vector2(0.9, 1.3), // width, length from center
                     steering: {
                         maxAngle: 35, // degrees
                         speed: 2.0, // seconds full lock to lock
@@ -29,18 +22,10 @@ export class VehicleHandlingSystem extends EventEmitter {
                     }
                 },
                 rear: {
-                    radius: 0.35,
-                    width: 0.25,
-                    mass: 20,
-                    offset: new THREE.Vector2(0.85, -1.4)
+                    offset: new THREE.Vector2(0.9, -1.25)
                 }
             },
             tires: {
-                friction: {
-                    static: 1.2,
-                    dynamic: 1.0,
-                    rolling: 0.015
-                },
                 slipRatios: {
                     peak: 0.08,
                     optimal: {
@@ -48,15 +33,10 @@ export class VehicleHandlingSystem extends EventEmitter {
                         lateral: 0.14
                     }
                 },
-                combinedSlip: {
-                    coefficient: 0.8, // friction reduction in combined slip
-                    blendExponent: 2.0 // how quickly combined slip affects friction
-                },
-                temperature: {
-                    optimal: 80, // celsius
-                    range: 30, // +/- from optimal
-                    heatRate: 0.1, // degrees per second under load
-                    coolRate: 0.05 // degrees per second when not loaded
+                wet: {
+                    grip: 0.8, // friction multiplier on soaked ground, water film under the tread
+                    aquaplaneDepth: 0.1, // metres of standing water where grip bottoms out
+                    aquaplaneGrip: 0.5
                 }
             },
             aerodynamics: {
@@ -82,7 +62,8 @@ export class VehicleHandlingSystem extends EventEmitter {
                 stabilityControl: {
                     enabled: true,
                     yawCorrection: 0.3,
-                    brakingIntervention: 0.5
+                    brakingIntervention: 0.5,
+                    maxBrakeTorque: 1500 // N·m on the corrected wheel at full intervention
                 },
                 antiLockBrakes: {
                     enabled: true,
@@ -92,34 +73,34 @@ export class VehicleHandlingSystem extends EventEmitter {
             }
         };
 
+        // Tire forces, suspension and integration are the vehicle's; this system steers,
+        // adds aero and runs the driver aids on top of it
         this.state = {
             chassis: {
                 velocity: new THREE.Vector3(),
                 angularVelocity: new THREE.Vector3(),
-                acceleration: new THREE.Vector3(),
-                forces: new THREE.Vector3(),
-                torques: new THREE.Vector3()
+                acceleration: new THREE.Vector3()
             },
             wheels: {
                 front: {
-                    left: { rotation: 0, angularVelocity: 0, steeringAngle: 0, contact: null },
-                    right: { rotation: 0, angularVelocity: 0, steeringAngle: 0, contact: null }
+                    left: { steeringAngle: 0, contact: null },
+                    right: { steeringAngle: 0, contact: null }
                 },
                 rear: {
-                    left: { rotation: 0, angularVelocity: 0, contact: null },
-                    right: { rotation: 0, angularVelocity: 0, contact: null }
+                    left: { contact: null },
+                    right: { contact: null }
                 }
             },
             tires: {
-                temperatures: new Float32Array(4),
                 slipRatios: new Float32Array(4),
-                slipAngles: new Float32Array(4),
-                forces: Array(4).fill().map(() => new THREE.Vector3())
+                // Per-wheel aids for the next step: torque and brake scales, extra brake torque
+                assists: Array(4).fill().map(() => ({ torqueScale: 1, brakeScale: 1, brakeTorque: 0, gripScale: 1 }))
             },
             stability: {
                 tcsActive: false,
                 escActive: false,
                 absActive: false,
+                absReleased: [false, false, false, false],
                 yawRate: 0,
                 lateralG: 0
             }
@@ -129,43 +110,11 @@ export class VehicleHandlingSystem extends EventEmitter {
     }
 
     initialize() {
-        this.setupPhysicsBody();
-        this.setupWheels();
         this.setupStabilityControls();
-    }
-
-    setupPhysicsBody() {
-        const { chassis } = this.settings;
-        
-        // Create physics body representation
-        this.physicsBody = {
-            mass: chassis.mass,
-            inertia: chassis.inertia.clone(),
-            dimensions: chassis.dimensions.clone(),
-            centerOfMass: chassis.centerOfMass.clone()
-        };
-
-        // Initialize state
+        this.setupEventListeners();
         this.resetState();
     }
 
-    setupWheels() {
-        const { front, rear } = this.settings.wheels;
-
-        // Setup wheel physics properties
-        ['left', 'right'].forEach(side => {
-            // Front wheels
-            this.state.wheels.front[side].inertia = this.calculateWheelInertia(front);
-            this.state.wheels.front[side].radius = front.radius;
-            this.state.wheels.front[side].width = front.width;
-
-            // Rear wheels
-            this.state.wheels.rear[side].inertia = this.calculateWheelInertia(rear);
-            this.state.wheels.rear[side].radius = rear.radius;
-            this.state.wheels.rear[side].width = rear.width;
-        });
-    }
-
     setupStabilityControls() {
         const { stability } = this.settings;
 
@@ -175,35 +124,43 @@ export class VehicleHandlingSystem extends EventEmitter {
         }
     }
 
-    calculateWheelInertia(wheelConfig) {
-        // I = 1/2 * m * r^2 for a cylinder
-        return 0.5 * wheelConfig.mass * wheelConfig.radius * wheelConfig.radius;
+    setupEventListeners() {
+        this.onWheelContact = (contact) => {
+            this.getWheel(contact.wheelIndex).contact = contact;
+        };
+        this.onWheelLift = ({ wheelIndex }) => {
+            this.getWheel(wheelIndex).contact = null;
+        };
+        this.vehicle.on('wheelContact', this.onWheelContact);
+        this.vehicle.on('wheelLift', this.onWheelLift);
     }
 
     update(deltaTime) {
+        this.updateChassisState(deltaTime);
         this.updateForces(deltaTime);
         this.updateWheels(deltaTime);
         this.updateStabilityControls(deltaTime);
-        this.updatePhysics(deltaTime);
+        this.applyAssists();
         this.updateTelemetry();
     }
 
-    updateForces(deltaTime) {
-        const state = this.state;
-        const settings = this.settings;
-
-        // Reset forces and torques
-        state.chassis.forces.set(0, 0, 0);
-        state.chassis.torques.set(0, 0, 0);
+    updateChassisState(deltaTime) {
+        const chassis = this.state.chassis;
+        const previous = chassis.velocity.clone();
 
-        // Calculate aerodynamic forces
-        this.calculateAerodynamicForces();
+        this.vehicle.getVelocity(chassis.velocity);
+        this.vehicle.getAngularVelocity(chassis.angularVelocity);
+        if (deltaTime > 0) {
+            chassis.acceleration.copy(chassis.velocity).sub(previous).divideScalar(deltaTime);
+        }
 
-        // Calculate tire forces
-        this.calculateTireForces();
+        this.vehicle.getWheelStates().forEach((wheel, i) => {
+            this.state.tires.slipRatios[i] = wheel.slipRatio;
+        });
+    }
 
-        // Apply gravity
-        state.chassis.forces.y -= settings.chassis.mass * 9.81;
+    updateForces(deltaTime) {
+        this.calculateAerodynamicForces();
     }
 
     calculateAerodynamicForces() {
@@ -216,200 +173,80 @@ export class VehicleHandlingSystem extends EventEmitter {
         // Calculate dynamic pressure
         const airDensity = 1.225; // kg/m^3 at sea level
         const dynamicPressure = 0.5 * airDensity * speed * speed;
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this.vehicle.quaternion);
 
         // Calculate drag force
         const dragForce = velocity.clone()
             .normalize()
             .multiplyScalar(-dynamicPressure * this.settings.chassis.dragCoefficient);
-        this.state.chassis.forces.add(dragForce);
+        this.vehicle.applyForce(dragForce, this.vehicle.position);
 
-        // Calculate downforce
-        const downforce = -dynamicPressure * aerodynamics.downforce.coefficient;
-        this.state.chassis.forces.y += downforce;
+        // Downforce split between the axles
+        const downforce = dynamicPressure * aerodynamics.downforce.coefficient;
+        const { front, rear } = this.settings.wheels;
+        this.vehicle.applyForce(
+            up.clone().multiplyScalar(-downforce * aerodynamics.downforce.distribution),
+            this.toWorld(new THREE.Vector3(0, 0, front.offset.y))
+        );
+        this.vehicle.applyForce(
+            up.clone().multiplyScalar(-downforce * (1 - aerodynamics.downforce.distribution)),
+            this.toWorld(new THREE.Vector3(0, 0, rear.offset.y))
+        );
 
-        // Apply downforce distribution
-        const frontDownforce = downforce * aerodynamics.downforce.distribution;
-        const rearDownforce = downforce * (1 - aerodynamics.downforce.distribution);
-        
         // Calculate lift and side forces based on vehicle orientation
         this.calculateLiftAndSideForces(dynamicPressure);
     }
 
     calculateLiftAndSideForces(dynamicPressure) {
         const { lift, sideForce } = this.settings.aerodynamics;
-        const velocity = this.state.chassis.velocity;
+        const direction = this.state.chassis.velocity.clone().normalize();
         
         // Calculate angle of attack and side slip angle
         const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.vehicle.quaternion);
-        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.vehicle.quaternion);
+        const right = new THREE.Vector3(-1, 0, 0).applyQuaternion(this.vehicle.quaternion);
         
-        const angleOfAttack = Math.acos(forward.dot(velocity.normalize()));
-        const sideSlipAngle = Math.acos(right.dot(velocity.normalize()));
+        const angleOfAttack = Math.acos(THREE.MathUtils.clamp(forward.dot(direction), -1, 1));
+        const sideSlip = right.dot(direction);
 
         // Apply lift force
         const liftForce = dynamicPressure * lift.coefficient * Math.sin(angleOfAttack);
-        const liftVector = new THREE.Vector3(0, liftForce, 0);
-        this.state.chassis.forces.add(liftVector);
+        this.vehicle.applyForce(new THREE.Vector3(0, liftForce, 0), this.toWorld(lift.center));
 
-        // Apply side force
-        const sideForceValue = dynamicPressure * sideForce.coefficient * Math.sin(sideSlipAngle);
-        const sideForceVector = right.multiplyScalar(sideForceValue);
-        this.state.chassis.forces.add(sideForceVector);
+        // Side force pushes back against the slide
+        const sideForceValue = -dynamicPressure * sideForce.coefficient * sideSlip;
+        this.vehicle.applyForce(right.multiplyScalar(sideForceValue), this.toWorld(sideForce.center));
     }
 
-    calculateTireForces() {
-        const wheels = this.state.wheels;
-        
-        // Process each wheel
-        ['front', 'rear'].forEach(axle => {
-            ['left', 'right'].forEach(side => {
-                const wheel = wheels[axle][side];
-                const wheelIndex = this.getWheelIndex(axle, side);
-                
-                if (wheel.contact) {
-                    this.calculateWheelForces(wheel, wheelIndex);
-                }
-            });
-        });
+    toWorld(localPoint) {
+        return localPoint.clone().applyQuaternion(this.vehicle.quaternion).add(this.vehicle.position);
     }
 
-    calculateWheelForces(wheel, wheelIndex) {
-        const { tires } = this.settings;
-        
-        // Calculate slip ratio
-        const slipRatio = this.calculateSlipRatio(wheel);
-        this.state.tires.slipRatios[wheelIndex] = slipRatio;
-
-        // Calculate slip angle
-        const slipAngle = this.calculateSlipAngle(wheel);
-        this.state.tires.slipAngles[wheelIndex] = slipAngle;
-
-        // Calculate combined slip
-        const combinedSlip = this.calculateCombinedSlip(slipRatio, slipAngle);
+    // VehicleTerrainSystem tags contacts with the terrain wetness field under the tire
+    calculateWetGrip(contact) {
+        const { wet } = this.settings.tires;
+        const wetness = contact.wetness ?? 0;
+        const puddle = Math.min((contact.puddleDepth ?? 0) / wet.aquaplaneDepth, 1);
 
-        // Calculate tire force
-        const force = this.calculateTireForce(wheel, combinedSlip, wheelIndex);
-        this.state.tires.forces[wheelIndex].copy(force);
-
-        // Apply force to chassis
-        this.applyWheelForceToVehicle(force, wheel.contact.point);
-    }
-
-    calculateSlipRatio(wheel) {
-        const wheelSpeed = wheel.angularVelocity * wheel.radius;
-        const vehicleSpeed = this.state.chassis.velocity.length();
-        
-        if (vehicleSpeed < 0.1) return 0;
-        
-        return (wheelSpeed - vehicleSpeed) / Math.abs(vehicleSpeed);
-    }
-
-    calculateSlipAngle(wheel) {
-        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(this.vehicle.quaternion);
-        const velocity = this.state.chassis.velocity;
-        
-        if (velocity.length() < 0.1) return 0;
-        
-        const wheelVelocity = velocity.clone();
-        if (wheel.steeringAngle) {
-            wheelVelocity.applyAxisAngle(new THREE.Vector3(0, 1, 0), wheel.steeringAngle);
-        }
-        
-        return Math.atan2(wheelVelocity.x, wheelVelocity.z);
-    }
-
-    calculateCombinedSlip(slipRatio, slipAngle) {
-        const { combinedSlip } = this.settings.tires;
-        
-        const totalSlip = Math.sqrt(
-            slipRatio * slipRatio + 
-            Math.tan(slipAngle) * Math.tan(slipAngle)
-        );
-        
-        return Math.pow(totalSlip, combinedSlip.blendExponent);
-    }
-
-    calculateTireForce(wheel, combinedSlip, wheelIndex) {
-        const { tires } = this.settings;
-        const normalForce = wheel.contact.force;
-        
-        // Calculate friction coefficient based on slip and temperature
-        const frictionCoef = this.calculateFrictionCoefficient(
-            combinedSlip,
-            this.state.tires.temperatures[wheelIndex]
-        );
-        
-        // Calculate maximum force
-        const maxForce = normalForce * frictionCoef;
-        
-        // Calculate force direction
-        const forceDirection = this.calculateForceDirection(wheel, combinedSlip);
-        
-        return forceDirection.multiplyScalar(maxForce);
-    }
-
-    calculateFrictionCoefficient(slip, temperature) {
-        const { friction, temperature: tempSettings } = this.settings.tires;
-        
-        // Base friction
-        let coef = friction.static;
-        
-        // Slip effect
-        if (slip > this.settings.tires.slipRatios.peak) {
-            coef *= friction.dynamic / friction.static;
-        }
-        
-        // Temperature effect
-        const tempDiff = Math.abs(temperature - tempSettings.optimal);
-        if (tempDiff > tempSettings.range) {
-            coef *= 0.8; // Reduced grip outside optimal range
-        }
-        
-        return coef;
-    }
-
-    calculateForceDirection(wheel, combinedSlip) {
-        const forward = new THREE.Vector3(0, 0, 1);
-        if (wheel.steeringAngle) {
-            forward.applyAxisAngle(new THREE.Vector3(0, 1, 0), wheel.steeringAngle);
-        }
-        
-        const right = new THREE.Vector3(1, 0, 0);
-        if (wheel.steeringAngle) {
-            right.applyAxisAngle(new THREE.Vector3(0, 1, 0), wheel.steeringAngle);
-        }
-        
-        return forward.multiplyScalar(combinedSlip).add(
-            right.multiplyScalar(Math.tan(wheel.steeringAngle || 0))
-        ).normalize();
+        return THREE.MathUtils.lerp(1, wet.grip, wetness) *
+            THREE.MathUtils.lerp(1, wet.aquaplaneGrip, puddle);
     }
 
     updateWheels(deltaTime) {
-        ['front', 'rear'].forEach(axle => {
-            ['left', 'right'].forEach(side => {
-                const wheel = this.state.wheels[axle][side];
-                
-                // Update wheel rotation
-                wheel.rotation += wheel.angularVelocity * deltaTime;
-                wheel.rotation %= (2 * Math.PI);
-                
-                // Update steering for front wheels
-                if (axle === 'front') {
-                    this.updateWheelSteering(wheel, deltaTime);
-                }
-            });
+        ['left', 'right'].forEach(side => {
+            this.updateWheelSteering(this.state.wheels.front[side], side, deltaTime);
         });
     }
 
-    updateWheelSteering(wheel, deltaTime) {
+    updateWheelSteering(wheel, side, deltaTime) {
         const { steering } = this.settings.wheels.front;
-        const targetAngle = this.vehicle.input.steering * steering.maxAngle;
+        const targetAngle = this.vehicle.input.steering * THREE.MathUtils.degToRad(steering.maxAngle);
         
-        // Apply Ackermann steering
+        // Apply Ackermann steering: the inside wheel turns tighter
         if (targetAngle !== 0) {
-            const ackermanAngle = targetAngle * (1 + steering.ackermann);
+            const inside = (targetAngle > 0) === (side === 'left');
+            const ackermanAngle = targetAngle * (1 + (inside ? steering.ackermann : -steering.ackermann));
             wheel.steeringAngle += (ackermanAngle - wheel.steeringAngle) * 
-                                 steering.speed * deltaTime;
+                                 Math.min(1, steering.speed * deltaTime);
         } else {
             // Return to center
             wheel.steeringAngle *= Math.max(0, 1 - steering.returnSpeed * deltaTime);
@@ -417,6 +254,12 @@ export class VehicleHandlingSystem extends EventEmitter {
     }
 
     updateStabilityControls(deltaTime) {
+        this.state.tires.assists.forEach(assist => {
+            assist.torqueScale = 1;
+            assist.brakeScale = 1;
+            assist.brakeTorque = 0;
+        });
+
         if (this.settings.stability.tractionControl.enabled) {
             this.updateTractionControl();
         }
@@ -432,25 +275,23 @@ export class VehicleHandlingSystem extends EventEmitter {
 
     updateTractionControl() {
         const { tractionControl } = this.settings.stability;
+        const optimal = this.settings.tires.slipRatios.optimal.longitudinal;
         let tcsActive = false;
         
         // Check each driven wheel
         ['rear', 'front'].forEach(axle => {
             ['left', 'right'].forEach(side => {
-                const wheel = this.state.wheels[axle][side];
                 const wheelIndex = this.getWheelIndex(axle, side);
+                const slipRatio = this.state.tires.slipRatios[wheelIndex];
                 
-                if (this.state.tires.slipRatios[wheelIndex] > 
-                    this.settings.tires.slipRatios.optimal.longitudinal) {
+                if (slipRatio > optimal) {
                     // Reduce engine torque to this wheel
                     const reduction = Math.min(
                         tractionControl.maxIntervention,
-                        (this.state.tires.slipRatios[wheelIndex] - 
-                         this.settings.tires.slipRatios.optimal.longitudinal) * 
-                        tractionControl.sensitivity
+                        (slipRatio - optimal) * tractionControl.sensitivity
                     );
                     
-                    wheel.torque *= (1 - reduction);
+                    this.state.tires.assists[wheelIndex].torqueScale = 1 - reduction;
                     tcsActive = true;
                 }
             });
@@ -466,14 +307,19 @@ export class VehicleHandlingSystem extends EventEmitter {
         
         if (Math.abs(yawError) > 0.1) { // Threshold for intervention
             // Apply corrective braking
-            const brakingForce = yawError * stabilityControl.brakingIntervention;
+            const brakeTorque = Math.min(1, Math.abs(yawError) * stabilityControl.brakingIntervention) *
+                stabilityControl.maxBrakeTorque;
+            const turningLeft = targetYawRate > 0;
+            const oversteer = Math.abs(this.state.stability.yawRate) > Math.abs(targetYawRate);
             
-            if (yawError > 0) {
-                // Oversteer - brake outer front wheel
-                this.state.wheels.front.right.brakingForce += brakingForce;
+            if (oversteer) {
+                // Brake the outer front wheel
+                const side = turningLeft ? 'right' : 'left';
+                this.state.tires.assists[this.getWheelIndex('front', side)].brakeTorque += brakeTorque;
             } else {
-                // Understeer - brake inner rear wheel
-                this.state.wheels.rear.left.brakingForce += Math.abs(brakingForce);
+                // Understeer - brake the inner rear wheel
+                const side = turningLeft ? 'left' : 'right';
+                this.state.tires.assists[this.getWheelIndex('rear', side)].brakeTorque += brakeTorque;
             }
             
             this.state.stability.escActive = true;
@@ -483,9 +329,9 @@ export class VehicleHandlingSystem extends EventEmitter {
     }
 
     calculateTargetYawRate() {
-        const speed = this.state.chassis.velocity.length();
+        const speed = this.vehicle.speed;
         const steeringAngle = this.vehicle.input.steering * 
-                             this.settings.wheels.front.steering.maxAngle;
+                             THREE.MathUtils.degToRad(this.settings.wheels.front.steering.maxAngle);
         
         // Simple bicycle model
         const wheelbase = Math.abs(
@@ -493,91 +339,42 @@ export class VehicleHandlingSystem extends EventEmitter {
             this.settings.wheels.rear.offset.y
         );
         
-        return (speed * steeringAngle) / wheelbase;
+        return (speed * Math.tan(steeringAngle)) / wheelbase;
     }
 
     updateABS(deltaTime) {
         const { antiLockBrakes } = this.settings.stability;
-        let absActive = false;
+        const { absReleased } = this.state.stability;
         
+        // Locked wheels are checked at the pump frequency and held released until the next check
         this.absTimer += deltaTime;
         if (this.absTimer >= 1 / antiLockBrakes.frequency) {
             this.absTimer = 0;
-            
-            // Check each wheel
-            ['front', 'rear'].forEach(axle => {
-                ['left', 'right'].forEach(side => {
-                    const wheel = this.state.wheels[axle][side];
-                    const wheelIndex = this.getWheelIndex(axle, side);
-                    
-                    if (this.state.tires.slipRatios[wheelIndex] < 
-                        -antiLockBrakes.slipThreshold) {
-                        // Release brake pressure
-                        wheel.brakingForce = 0;
-                        absActive = true;
-                    }
-                });
+            this.state.tires.slipRatios.forEach((slipRatio, i) => {
+                absReleased[i] = this.vehicle.brake > 0 && slipRatio < -antiLockBrakes.slipThreshold;
             });
         }
-        
-        this.state.stability.absActive = absActive;
-    }
 
-    updatePhysics(deltaTime) {
-        // Update chassis physics
-        this.updateChassisPhysics(deltaTime);
-        
-        // Update wheel physics
-        this.updateWheelPhysics(deltaTime);
-    }
-
-    updateChassisPhysics(deltaTime) {
-        const state = this.state.chassis;
-        
-        // Update velocity
-        state.acceleration.copy(state.forces).divideScalar(this.settings.chassis.mass);
-        state.velocity.add(state.acceleration.multiplyScalar(deltaTime));
-        
-        // Update angular velocity
-        const angularAcceleration = new THREE.Vector3()
-            .copy(state.torques)
-            .divide(this.settings.chassis.inertia);
-        state.angularVelocity.add(angularAcceleration.multiplyScalar(deltaTime));
-        
-        // Apply to vehicle transform
-        this.vehicle.position.add(state.velocity.multiplyScalar(deltaTime));
-        this.vehicle.quaternion.multiply(
-            new THREE.Quaternion().setFromEuler(
-                new THREE.Euler(
-                    state.angularVelocity.x * deltaTime,
-                    state.angularVelocity.y * deltaTime,
-                    state.angularVelocity.z * deltaTime
-                )
-            )
-        );
+        absReleased.forEach((released, i) => {
+            if (released) this.state.tires.assists[i].brakeScale = 0;
+        });
+        this.state.stability.absActive = absReleased.some(Boolean);
     }
 
-    updateWheelPhysics(deltaTime) {
-        ['front', 'rear'].forEach(axle => {
-            ['left', 'right'].forEach(side => {
-                const wheel = this.state.wheels[axle][side];
-                
-                // Update angular velocity based on torque
-                const netTorque = wheel.torque - wheel.brakingForce;
-                wheel.angularVelocity += (netTorque / wheel.inertia) * deltaTime;
-                
-                // Apply rolling resistance
-                const rollingResistance = -Math.sign(wheel.angularVelocity) * 
-                                        this.settings.tires.friction.rolling * 
-                                        wheel.contact?.force || 0;
-                wheel.angularVelocity += (rollingResistance / wheel.inertia) * deltaTime;
-            });
+    applyAssists() {
+        this.state.tires.assists.forEach((assist, i) => {
+            const contact = this.getWheel(i).contact;
+            assist.gripScale = contact ? this.calculateWetGrip(contact) : 1;
+            this.vehicle.setWheelAssist(i, assist);
         });
+
+        const { front } = this.state.wheels;
+        this.vehicle.setSteeringAngles([front.left.steeringAngle, front.right.steeringAngle, 0, 0]);
     }
 
     updateTelemetry() {
         // Calculate lateral G-force
-        const rightVector = new THREE.Vector3(1, 0, 0)
+        const rightVector = new THREE.Vector3(-1, 0, 0)
             .applyQuaternion(this.vehicle.quaternion);
         this.state.stability.lateralG = 
             this.state.chassis.acceleration.dot(rightVector) / 9.81;
@@ -586,6 +383,12 @@ export class VehicleHandlingSystem extends EventEmitter {
         this.state.stability.yawRate = this.state.chassis.angularVelocity.y;
     }
 
+    getWheel(index) {
+        const axle = index < 2 ? 'front' : 'rear';
+        const side = index % 2 === 0 ? 'left' : 'right';
+        return this.state.wheels[axle][side];
+    }
+
     getWheelIndex(axle, side) {
         return (axle === 'front' ? 0 : 2) + (side === 'left' ? 0 : 1);
     }
@@ -597,22 +400,15 @@ export class VehicleHandlingSystem extends EventEmitter {
         state.chassis.velocity.set(0, 0, 0);
         state.chassis.angularVelocity.set(0, 0, 0);
         state.chassis.acceleration.set(0, 0, 0);
-        state.chassis.forces.set(0, 0, 0);
-        state.chassis.torques.set(0, 0, 0);
         
         // Reset wheel states
-        ['front', 'rear'].forEach(axle => {
-            ['left', 'right'].forEach(side => {
-                const wheel = state.wheels[axle][side];
-                wheel.rotation = 0;
-                wheel.angularVelocity = 0;
-                wheel.torque = 0;
-                wheel.brakingForce = 0;
-                if (axle === 'front') {
-                    wheel.steeringAngle = 0;
-                }
-            });
+        [0, 1, 2, 3].forEach(i => {
+            this.getWheel(i).contact = null;
+            state.tires.slipRatios[i] = 0;
+            state.stability.absReleased[i] = false;
         });
+        state.wheels.front.left.steeringAngle = 0;
+        state.wheels.front.right.steeringAngle = 0;
         
         // Reset stability control states
         state.stability.tcsActive = false;
@@ -623,6 +419,8 @@ export class VehicleHandlingSystem extends EventEmitter {
     }
 
     dispose() {
+        this.vehicle.off('wheelContact', this.onWheelContact);
+        this.vehicle.off('wheelLift', this.onWheelLift);
         this.removeAllListeners();
     }
 } 
\ No newline at end of file
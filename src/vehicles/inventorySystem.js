@@ -82,6 +82,17 @@ export class VehicleInventorySystem extends EventEmitter {
                         durability: 100,
                         uses: -1,
                         category: 'maintenance'
+                    },
+                    // Airs the tires back up after running them low off road
+                    airCompressor: {
+                        weight: 9,
+                        volume: 12,
+                        model: 'models/items/air_compressor.glb',
+                        durability: 100,
+                        uses: -1,
+                        category: 'maintenance',
+                        flowRate: 1.0,      // psi per second into one tire
+                        maxSpeed: 0.5       // m/s; the hose comes off if the jeep rolls away
                     }
                 },
                 supplies: {
@@ -111,6 +122,28 @@ export class VehicleInventorySystem extends EventEmitter {
                         uses: 5,
                         category: 'emergency'
                     }
+                },
+                traction: {
+                    tireChains: {
+                        weight: 12,
+                        volume: 8,
+                        model: 'models/items/tire_chains.glb',
+                        durability: 100,
+                        uses: -1,
+                        category: 'traction',
+                        equippable: true,
+                        wearRate: 0.5, // durability lost per kilometre driven while fitted
+                        // Friction multipliers per VehicleTerrainSystem surface while fitted
+                        grip: {
+                            snow: 1.6,
+                            ice: 3.5,
+                            mud: 1.3,
+                            dirt: 1.05,
+                            grass: 1.1,
+                            sand: 0.9,
+                            rock: 0.8
+                        }
+                    }
                 }
             }
         };
@@ -121,7 +154,8 @@ export class VehicleInventorySystem extends EventEmitter {
             loadedModels: new Map(),
             activeAnimations: new Set(),
             totalWeight: 0,
-            accessibleAreas: new Set()
+            accessibleAreas: new Set(),
+            compressor: null          // { storageArea, targetPressure, queue } while airing up
         };
 
         this.initialize();
@@ -343,6 +377,139 @@ export class VehicleInventorySystem extends EventEmitter {
         return true;
     }
 
+    // Fit an item to the vehicle, e.g. chains onto the tires. It leaves storage while fitted.
+    equipItem(itemType, storageArea) {
+        const storage = this.state.storage.get(storageArea);
+        const item = storage?.items.get(itemType);
+        if (!item) return false;
+
+        if (!item.config.equippable) {
+            this.emit('error', `Item can't be fitted: ${itemType}`);
+            return false;
+        }
+
+        if (this.state.equippedItems.has(itemType)) {
+            this.emit('error', `Already fitted: ${itemType}`);
+            return false;
+        }
+
+        if (item.durability <= 0) {
+            this.emit('error', 'Item worn out');
+            return false;
+        }
+
+        const { config, durability } = item;
+        if (!this.removeItem(itemType, storageArea, 1)) return false;
+
+        this.state.equippedItems.set(itemType, { config, durability, storageArea });
+
+        // Systems that react to fitted gear, such as VehicleTerrainSystem grip, listen on the vehicle
+        this.vehicle.emit('itemEquipped', { type: itemType, config });
+        this.emit('itemEquipped', { type: itemType, storageArea });
+
+        return true;
+    }
+
+    // Take a fitted item off and put it back in storage
+    unequipItem(itemType, storageArea) {
+        const equipped = this.state.equippedItems.get(itemType);
+        if (!equipped) return false;
+
+        const area = storageArea ?? equipped.storageArea;
+        const existing = this.state.storage.get(area)?.items.get(itemType);
+        if (!this.addItem(itemType, this.getItemCategory(itemType), area, 1)) return false;
+
+        // A fresh stack starts at full durability; keep the wear from use
+        if (!existing) {
+            this.state.storage.get(area).items.get(itemType).durability = equipped.durability;
+        }
+
+        this.state.equippedItems.delete(itemType);
+        this.vehicle.emit('itemUnequipped', { type: itemType, config: equipped.config });
+        this.emit('itemUnequipped', { type: itemType, storageArea: area });
+
+        return true;
+    }
+
+    isEquipped(itemType) {
+        return this.state.equippedItems.has(itemType);
+    }
+
+    // Fitted gear wears with distance; worn-out gear falls off
+    wearEquippedItems(distance) {
+        this.state.equippedItems.forEach((equipped, itemType) => {
+            if (!equipped.config.wearRate) return;
+
+            equipped.durability = Math.max(0, equipped.durability - equipped.config.wearRate * distance / 1000);
+            if (equipped.durability === 0) {
+                this.state.equippedItems.delete(itemType);
+                this.vehicle.emit('itemUnequipped', { type: itemType, config: equipped.config });
+                this.emit('itemDamaged', { type: itemType, equipped: true, destroyed: true });
+            }
+        });
+    }
+
+    // Air tires up to targetPressure one at a time, with the jeep stopped
+    airUp(storageArea, targetPressure, wheels = [0, 1, 2, 3]) {
+        const item = this.state.storage.get(storageArea)?.items.get('airCompressor');
+        if (!item) {
+            this.emit('error', 'No air compressor');
+            return false;
+        }
+
+        if (item.durability <= 0) {
+            this.emit('error', 'Item worn out');
+            return false;
+        }
+
+        if (Math.abs(this.vehicle.speed) > item.config.maxSpeed) {
+            this.emit('error', 'Stop the vehicle first');
+            return false;
+        }
+
+        const queue = wheels.filter(i => this.vehicle.getTirePressure(i) < targetPressure);
+        if (queue.length === 0) {
+            this.emit('compressorFinished', { targetPressure });
+            return true;
+        }
+
+        this.state.compressor = { storageArea, targetPressure, queue };
+        this.emit('compressorStarted', { storageArea, targetPressure, wheels: queue });
+        return true;
+    }
+
+    stopCompressor(reason = 'stopped') {
+        if (!this.state.compressor) return;
+        const { queue } = this.state.compressor;
+        this.state.compressor = null;
+        this.emit('compressorStopped', { reason, remaining: queue });
+    }
+
+    updateCompressor(deltaTime) {
+        const job = this.state.compressor;
+        const item = this.state.storage.get(job.storageArea)?.items.get('airCompressor');
+        if (!item) {
+            this.stopCompressor('removed');
+            return;
+        }
+        if (Math.abs(this.vehicle.speed) > item.config.maxSpeed) {
+            this.stopCompressor('moved');
+            return;
+        }
+
+        const wheel = job.queue[0];
+        const pressure = Math.min(job.targetPressure, this.vehicle.getTirePressure(wheel) + item.config.flowRate * deltaTime);
+        this.vehicle.setTirePressure(wheel, pressure);
+        if (pressure < job.targetPressure) return;
+
+        job.queue.shift();
+        this.emit('tireInflated', { wheelIndex: wheel, pressure });
+        if (job.queue.length === 0) {
+            this.state.compressor = null;
+            this.emit('compressorFinished', { targetPressure: job.targetPressure });
+        }
+    }
+
     transferItem(itemType, fromArea, toArea, quantity = 1) {
         // Check if both areas are accessible
         if (!this.state.accessibleAreas.has(fromArea) || 
@@ -457,6 +624,15 @@ export class VehicleInventorySystem extends EventEmitter {
             }
         });
 
+        // Fitted gear wears as the vehicle covers ground
+        if (this.state.equippedItems.size > 0) {
+            this.wearEquippedItems(this.vehicle.velocity.length() * deltaTime);
+        }
+
+        if (this.state.compressor) {
+            this.updateCompressor(deltaTime);
+        }
+
         // Update physics weight distribution
         this.updateWeightDistribution();
     }
@@ -144,6 +144,9 @@ export class VehicleMissionSystem extends EventEmitter {
             unlockedMissions: new Set(['delivery', 'exploration'])
         };
 
+        // Fixed markers placed by the level file
+        this.levelMarkers = [];
+
         this.initialize();
     }
 
@@ -418,6 +421,66 @@ export class VehicleMissionSystem extends EventEmitter {
         this.markers[type].add(marker);
     }
 
+    // Fixed markers from a level file: { type, position: [x, y, z], label }
+    setLevelMarkers(markers) {
+        this.levelMarkers = markers.map(marker => ({ ...marker, position: [...marker.position] }));
+        this.levelMarkers.forEach(marker => {
+            if (this.markers[marker.type]) {
+                this.addMarker(marker.type, new THREE.Vector3().fromArray(marker.position));
+            }
+        });
+    }
+
+    getLevelMarkers() {
+        return this.levelMarkers.map(marker => ({ ...marker, position: [...marker.position] }));
+    }
+
+    // Map markers for a mission's briefing, in the colours of the 3D markers
+    getBriefingMarkers(mission) {
+        const markers = [];
+        const add = (points, label, color) => points.forEach((point, i) => {
+            markers.push({ x: point.x, z: point.z, label: points.length > 1 ? `${label} ${i + 1}` : label, color });
+        });
+
+        if (mission.startLocation) add([mission.startLocation], 'Start', '#c9a800');
+        if (mission.endLocation) add([mission.endLocation], 'Drop-off', '#c9a800');
+        if (mission.vehicleLocation) add([mission.vehicleLocation], 'Stranded vehicle', '#c9a800');
+        if (mission.checkpoints) add(mission.checkpoints, 'CP', '#1e8a1e');
+        if (mission.discoveryPoints) add(mission.discoveryPoints, 'Discovery', '#1e3fbf');
+        if (mission.deliveryPoints) add(mission.deliveryPoints, 'Delivery', '#c9a800');
+        return markers;
+    }
+
+    // Topo map of the mission area from a TerrainMapSystem, framed around its markers
+    renderBriefingMap(canvas, mapSystem, mission = this.state.activeMission?.parameters, margin = 30) {
+        const markers = mission ? this.getBriefingMarkers(mission) : [];
+        if (markers.length === 0) {
+            return mapSystem.renderMap(canvas);
+        }
+
+        const xs = markers.map(marker => marker.x);
+        const zs = markers.map(marker => marker.z);
+        const centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const centerZ = (Math.min(...zs) + Math.max(...zs)) / 2;
+
+        // Keep the canvas aspect so the map isn't stretched
+        const aspect = canvas.width / canvas.height;
+        let halfWidth = (Math.max(...xs) - Math.min(...xs)) / 2 + margin;
+        let halfDepth = (Math.max(...zs) - Math.min(...zs)) / 2 + margin;
+        if (halfWidth / halfDepth > aspect) halfDepth = halfWidth / aspect;
+        else halfWidth = halfDepth * aspect;
+
+        return mapSystem.renderMap(canvas, {
+            bounds: {
+                minX: centerX - halfWidth,
+                minZ: centerZ - halfDepth,
+                maxX: centerX + halfWidth,
+                maxZ: centerZ + halfDepth
+            },
+            markers
+        });
+    }
+
     updateMission(deltaTime) {
         if (!this.state.activeMission) return;
 
@@ -47,7 +47,8 @@ export class VehiclePerformanceSystem extends EventEmitter {
                 damage: {
                     powerLoss: 0.2, // max power loss from damage
                     wearRate: 0.001 // per kilometer
-                }
+                },
+                rpmResponse: 2.0 // how quickly rpm follows the wheels
             },
             transmission: {
                 types: {
@@ -63,6 +64,12 @@ export class VehiclePerformanceSystem extends EventEmitter {
                     }
                 },
                 finalDrive: 3.73,
+                // Automatic shift points as fractions of the redline
+                shiftPoints: {
+                    up: 0.85,
+                    down: 0.4,
+                    standstill: 0.5 // m/s below which the brake selects reverse
+                },
                 clutchSlip: {
                     max: 1.0,
                     recovery: 0.5 // per second
@@ -85,11 +92,30 @@ export class VehiclePerformanceSystem extends EventEmitter {
                         rearBias: 0.6,
                         efficiency: 0.94,
                         centerDiffLock: false
+                    },
+                    // Part-time four-wheel drive; the transfer case picks the driven axles
+                    '4wd': {
+                        efficiency: 0.95
+                    }
+                },
+                transferCase: {
+                    modes: ['2H', '4H', 'N', '4L'],   // Lever order, for stepping through
+                    lowRatio: 2.72,
+                    // Front and rear outputs are locked together, so each axle takes half
+                    frontBias: 0.5,
+                    maxShiftSpeed: {
+                        high: 25,   // m/s for 2H <-> 4H on the move
+                        low: 1.5    // m/s for anything into or out of N and 4L
                     }
                 },
                 differential: {
                     slipRatio: 0.3,
                     lockRate: 0.5
+                },
+                // Selectable lockers, fitted through VehicleUpgradeSystem
+                lockers: {
+                    installed: { front: false, rear: false },
+                    requireLowRange: true   // As on a Rubicon, they only lock in 4L
                 }
             },
             turbo: {
@@ -111,6 +137,7 @@ export class VehiclePerformanceSystem extends EventEmitter {
                     'rpm',
                     'speed',
                     'gear',
+                    'transferCase',
                     'throttle',
                     'boost',
                     'temperature',
@@ -128,6 +155,7 @@ export class VehiclePerformanceSystem extends EventEmitter {
                 damage: 0,
                 running: false,
                 starter: false,
+                hydrolocked: false,     // Water in the cylinders; won't turn over until cleared
                 fuelLevel: 100, // percentage
                 consumption: 0
             },
@@ -140,7 +168,8 @@ export class VehiclePerformanceSystem extends EventEmitter {
             drivetrain: {
                 wheelSpeeds: [0, 0, 0, 0],
                 wheelTorques: [0, 0, 0, 0],
-                diffLock: false
+                lockers: { front: false, rear: false },
+                transferCase: '2H'
             },
             turbo: {
                 boost: 0,
@@ -162,6 +191,16 @@ export class VehiclePerformanceSystem extends EventEmitter {
         this.setupDrivetrain();
         this.setupTurbo();
         this.setupTelemetry();
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.onConfigured = (patch) => this.applyConfiguration(patch);
+        this.onHydrolocked = () => this.setHydrolocked(true);
+        this.onHydrolockCleared = () => this.setHydrolocked(false);
+        this.vehicle.on('configured', this.onConfigured);
+        this.vehicle.on('hydrolocked', this.onHydrolocked);
+        this.vehicle.on('hydrolockCleared', this.onHydrolockCleared);
     }
 
     setupEngine() {
@@ -219,7 +258,7 @@ export class VehiclePerformanceSystem extends EventEmitter {
 
     setupDrivetrain() {
         // Set initial drivetrain type
-        this.drivetrainType = 'rwd';
+        this.drivetrainType = '4wd';
         this.drivetrainConfig = this.settings.drivetrain.types[this.drivetrainType];
     }
 
@@ -240,11 +279,22 @@ export class VehiclePerformanceSystem extends EventEmitter {
     }
 
     update(deltaTime) {
+        this.updateWheelSpeeds();
         this.updateEngine(deltaTime);
         this.updateTransmission(deltaTime);
         this.updateDrivetrain(deltaTime);
         this.updateTurbo(deltaTime);
         this.updateTelemetry();
+
+        this.vehicle.setDriveTorques(this.state.drivetrain.wheelTorques, {
+            rpm: this.state.engine.rpm,
+            gear: this.state.transmission.gear,
+            transferCase: this.state.drivetrain.transferCase
+        });
+    }
+
+    updateWheelSpeeds() {
+        this.state.drivetrain.wheelSpeeds = this.vehicle.getWheelSpeeds();
     }
 
     updateEngine(deltaTime) {
@@ -257,7 +307,7 @@ export class VehiclePerformanceSystem extends EventEmitter {
 
         // Update RPM based on throttle and load
         const targetRpm = this.calculateTargetRpm();
-        const rpmChange = (targetRpm - this.state.engine.rpm) * deltaTime * 2;
+        const rpmChange = (targetRpm - this.state.engine.rpm) * deltaTime * this.settings.engine.rpmResponse;
         this.state.engine.rpm = Math.max(
             this.engineConfig.idleRpm,
             Math.min(this.engineConfig.redline, this.state.engine.rpm + rpmChange)
@@ -278,15 +328,15 @@ export class VehiclePerformanceSystem extends EventEmitter {
     }
 
     calculateTargetRpm() {
-        const throttle = this.vehicle.throttle;
-        const load = this.vehicle.getEngineLoad();
         const gear = this.state.transmission.gear;
-        const gearRatio = this.transmissionConfig.gearRatios[gear];
+        const gearRatio = this.getGearRatio(gear);
         const wheelSpeed = this.getAverageWheelSpeed();
 
-        if (gear === 0) return this.engineConfig.idleRpm;
+        // In neutral the engine is free of the wheels, either in the gearbox or the transfer case
+        if (gear === 0 || this.state.drivetrain.transferCase === 'N') return this.engineConfig.idleRpm;
 
-        return (wheelSpeed * gearRatio * this.settings.transmission.finalDrive * 60) / (2 * Math.PI);
+        const ratio = gearRatio * this.settings.transmission.finalDrive * this.getRangeRatio();
+        return (wheelSpeed * ratio * 60) / (2 * Math.PI);
     }
 
     calculateEnginePower() {
@@ -393,6 +443,8 @@ export class VehiclePerformanceSystem extends EventEmitter {
     updateTransmission(deltaTime) {
         if (this.state.transmission.shifting) {
             this.updateShifting(deltaTime);
+        } else if (this.transmissionType === 'automatic') {
+            this.updateAutomaticShift();
         }
 
         // Update clutch
@@ -412,6 +464,29 @@ export class VehiclePerformanceSystem extends EventEmitter {
         }
     }
 
+    updateAutomaticShift() {
+        const { gear } = this.state.transmission;
+        const { up, down, standstill } = this.settings.transmission.shiftPoints;
+        const rpm = this.state.engine.rpm / this.engineConfig.redline;
+        const forwardGears = this.transmissionConfig.gearRatios.length - 1;
+
+        // Holding the brake at a standstill picks the other direction, throttle pulls away
+        if (Math.abs(this.vehicle.speed) < standstill) {
+            if (this.vehicle.brake > 0 && this.vehicle.throttle === 0) {
+                this.shiftGear(gear >= 0 ? -1 : 1);
+            } else if (gear === 0 && this.vehicle.throttle > 0) {
+                this.shiftGear(1);
+            }
+            return;
+        }
+
+        if (gear > 0 && gear < forwardGears && rpm > up) {
+            this.shiftGear(gear + 1);
+        } else if (gear > 1 && rpm < down) {
+            this.shiftGear(gear - 1);
+        }
+    }
+
     updateClutch(deltaTime) {
         if (this.state.transmission.clutch < 1) {
             this.state.transmission.clutch = Math.min(
@@ -423,11 +498,11 @@ export class VehiclePerformanceSystem extends EventEmitter {
     }
 
     updateGearEfficiency() {
-        const gearRatio = this.transmissionConfig.gearRatios[this.state.transmission.gear];
+        const gearRatio = this.getGearRatio(this.state.transmission.gear);
         const finalRatio = this.settings.transmission.finalDrive;
         const efficiency = this.transmissionConfig.efficiency;
 
-        this.state.transmission.totalRatio = gearRatio * finalRatio;
+        this.state.transmission.totalRatio = gearRatio * finalRatio * this.getRangeRatio();
         this.state.transmission.efficiency = efficiency * 
             (1 - Math.abs(1 - this.state.transmission.clutch) * 0.3);
     }
@@ -448,58 +523,76 @@ export class VehiclePerformanceSystem extends EventEmitter {
             this.state.transmission.totalRatio * 
             this.state.transmission.efficiency;
 
-        const frontTorque = totalTorque * this.drivetrainConfig.frontBias;
-        const rearTorque = totalTorque * this.drivetrainConfig.rearBias;
-
-        // Distribute to wheels
-        if (this.drivetrainType === 'fwd' || this.drivetrainType === 'awd') {
-            this.state.drivetrain.wheelTorques[0] = frontTorque / 2;
-            this.state.drivetrain.wheelTorques[1] = frontTorque / 2;
+        const { frontBias, rearBias } = this.getAxleBiases();
+        const frontTorque = totalTorque * frontBias;
+        const rearTorque = totalTorque * rearBias;
+
+        // Distribute to wheels; an undriven axle gets nothing
+        this.state.drivetrain.wheelTorques[0] = frontTorque / 2;
+        this.state.drivetrain.wheelTorques[1] = frontTorque / 2;
+        this.state.drivetrain.wheelTorques[2] = rearTorque / 2;
+        this.state.drivetrain.wheelTorques[3] = rearTorque / 2;
+    }
+
+    // Front and rear shares of the gearbox torque
+    getAxleBiases() {
+        if (this.drivetrainType !== '4wd') return this.drivetrainConfig;
+
+        const { frontBias } = this.settings.drivetrain.transferCase;
+        switch (this.state.drivetrain.transferCase) {
+            case '4H':
+            case '4L':
+                return { frontBias, rearBias: 1 - frontBias };
+            case 'N':
+                return { frontBias: 0, rearBias: 0 };
+            default:
+                return { frontBias: 0, rearBias: 1 };
         }
+    }
 
-        if (this.drivetrainType === 'rwd' || this.drivetrainType === 'awd') {
-            this.state.drivetrain.wheelTorques[2] = rearTorque / 2;
-            this.state.drivetrain.wheelTorques[3] = rearTorque / 2;
-        }
+    getRangeRatio() {
+        if (this.drivetrainType !== '4wd' || this.state.drivetrain.transferCase !== '4L') return 1;
+        return this.settings.drivetrain.transferCase.lowRatio;
     }
 
     updateDifferential() {
-        const slipRatio = this.settings.drivetrain.differential.slipRatio;
-        const lockRate = this.settings.drivetrain.differential.lockRate;
+        const { frontBias, rearBias } = this.getAxleBiases();
+        const { lockers } = this.state.drivetrain;
 
         // Front differential
-        if (this.drivetrainType === 'fwd' || this.drivetrainType === 'awd') {
-            const frontSlip = Math.abs(
-                this.state.drivetrain.wheelSpeeds[0] - 
-                this.state.drivetrain.wheelSpeeds[1]
-            );
-
-            if (frontSlip > slipRatio) {
-                const lockFactor = Math.min(1, frontSlip * lockRate);
-                const avgTorque = (this.state.drivetrain.wheelTorques[0] + 
-                    this.state.drivetrain.wheelTorques[1]) / 2;
-
-                this.state.drivetrain.wheelTorques[0] = avgTorque;
-                this.state.drivetrain.wheelTorques[1] = avgTorque;
-            }
+        if (frontBias > 0) {
+            this.updateAxleDifferential(0, 1, lockers.front);
         }
 
         // Rear differential
-        if (this.drivetrainType === 'rwd' || this.drivetrainType === 'awd') {
-            const rearSlip = Math.abs(
-                this.state.drivetrain.wheelSpeeds[2] - 
-                this.state.drivetrain.wheelSpeeds[3]
-            );
+        if (rearBias > 0) {
+            this.updateAxleDifferential(2, 3, lockers.rear);
+        }
+    }
 
-            if (rearSlip > slipRatio) {
-                const lockFactor = Math.min(1, rearSlip * lockRate);
-                const avgTorque = (this.state.drivetrain.wheelTorques[2] + 
-                    this.state.drivetrain.wheelTorques[3]) / 2;
+    updateAxleDifferential(left, right, locked) {
+        const slipRatio = this.settings.drivetrain.differential.slipRatio;
+        const lockRate = this.settings.drivetrain.differential.lockRate;
+        const { wheelSpeeds, wheelTorques } = this.state.drivetrain;
 
-                this.state.drivetrain.wheelTorques[2] = avgTorque;
-                this.state.drivetrain.wheelTorques[3] = avgTorque;
-            }
+        const slip = Math.abs(wheelSpeeds[left] - wheelSpeeds[right]);
+        if (slip <= slipRatio) return;
+
+        const axleTorque = wheelTorques[left] + wheelTorques[right];
+        if (!locked) {
+            wheelTorques[left] = axleTorque / 2;
+            wheelTorques[right] = axleTorque / 2;
+            return;
         }
+
+        // A locked axle turns both wheels together, so the torque a spinning
+        // wheel can't hold goes to the one that still has grip
+        const lockFactor = Math.min(1, (slip - slipRatio) * lockRate);
+        const [slower, faster] = Math.abs(wheelSpeeds[left]) < Math.abs(wheelSpeeds[right])
+            ? [left, right]
+            : [right, left];
+        wheelTorques[slower] = axleTorque * (0.5 + lockFactor / 2);
+        wheelTorques[faster] = axleTorque * (0.5 - lockFactor / 2);
     }
 
     calculateDrivetrainLosses() {
@@ -568,6 +661,7 @@ export class VehiclePerformanceSystem extends EventEmitter {
                 rpm: this.state.engine.rpm,
                 speed: this.vehicle.speed,
                 gear: this.state.transmission.gear,
+                transferCase: this.state.drivetrain.transferCase,
                 throttle: this.vehicle.throttle,
                 boost: this.state.turbo.boost,
                 temperature: this.state.engine.temperature,
@@ -583,7 +677,8 @@ export class VehiclePerformanceSystem extends EventEmitter {
     }
 
     startEngine() {
-        if (this.state.engine.running || this.state.engine.fuelLevel === 0) return false;
+        const { engine } = this.state;
+        if (engine.running || engine.fuelLevel === 0 || engine.hydrolocked) return false;
 
         this.state.engine.rpm = this.engineConfig.idleRpm;
         this.state.engine.running = true;
@@ -605,11 +700,19 @@ export class VehiclePerformanceSystem extends EventEmitter {
         return true;
     }
 
+    // Water the terrain system let in through the intake stalls the engine on the spot
+    setHydrolocked(hydrolocked) {
+        this.state.engine.hydrolocked = hydrolocked;
+        if (hydrolocked && this.stopEngine()) {
+            this.emit('engineStall', { reason: 'hydrolock' });
+        }
+    }
+
     shiftGear(gear) {
         if (this.state.transmission.shifting) return false;
 
-        const gearCount = this.transmissionConfig.gearRatios.length;
-        if (gear < -1 || gear >= gearCount - 1) return false;
+        const forwardGears = this.transmissionConfig.gearRatios.length - 1;
+        if (gear < -1 || gear > forwardGears || gear === this.state.transmission.gear) return false;
 
         this.state.transmission.shifting = true;
         this.state.transmission.shiftTimer = 0;
@@ -620,6 +723,118 @@ export class VehiclePerformanceSystem extends EventEmitter {
         return true;
     }
 
+    // gearRatios holds reverse first, then the forward gears; gear 0 is neutral
+    getGearRatio(gear) {
+        if (gear === 0) return 0;
+        return this.transmissionConfig.gearRatios[gear < 0 ? 0 : gear];
+    }
+
+    // 2H and 4H swap on the move; N and 4L want the jeep stopped or barely rolling
+    // with the throttle released, as a real lever won't go in otherwise
+    shiftTransferCase(mode) {
+        const { modes, maxShiftSpeed } = this.settings.drivetrain.transferCase;
+        const current = this.state.drivetrain.transferCase;
+        if (this.drivetrainType !== '4wd' || !modes.includes(mode) || mode === current) return false;
+
+        const speed = Math.abs(this.vehicle.speed);
+        const high = ['2H', '4H'];
+        if (high.includes(mode) && high.includes(current)) {
+            if (speed > maxShiftSpeed.high) return false;
+        } else if (speed > maxShiftSpeed.low || this.vehicle.throttle > 0) {
+            return false;
+        }
+
+        this.state.drivetrain.transferCase = mode;
+        this.emit('transferCaseChange', { mode, previous: current });
+
+        if (mode !== '4L' && this.settings.drivetrain.lockers.requireLowRange) {
+            this.setLockers({ front: false, rear: false });
+        }
+        return true;
+    }
+
+    setLockers({ front = false, rear = false }) {
+        const { installed, requireLowRange } = this.settings.drivetrain.lockers;
+        if ((front && !installed.front) || (rear && !installed.rear)) return false;
+        if ((front || rear) && requireLowRange && this.state.drivetrain.transferCase !== '4L') return false;
+
+        const { lockers } = this.state.drivetrain;
+        if (lockers.front === front && lockers.rear === rear) return false;
+
+        lockers.front = front;
+        lockers.rear = rear;
+        this.emit('lockersChange', { front, rear });
+        return true;
+    }
+
+    // The dash switch: open, rear locked, then front and rear locked.
+    // Steps for lockers that aren't fitted are skipped.
+    cycleLockers() {
+        const { installed } = this.settings.drivetrain.lockers;
+        const steps = [[false, false], [false, true], [true, true]]
+            .map(([front, rear]) => ({ front: front && installed.front, rear: rear && installed.rear }))
+            .filter((step, i, all) => all.findIndex(other => other.front === step.front && other.rear === step.rear) === i);
+
+        const { lockers } = this.state.drivetrain;
+        const index = steps.findIndex(step => step.front === lockers.front && step.rear === lockers.rear);
+        return this.setLockers(steps[(index + 1) % steps.length]);
+    }
+
+    // Moves the lever one position along 2H, 4H, N, 4L
+    stepTransferCase(direction) {
+        const { modes } = this.settings.drivetrain.transferCase;
+        const next = modes[modes.indexOf(this.state.drivetrain.transferCase) + Math.sign(direction)];
+        return next ? this.shiftTransferCase(next) : false;
+    }
+
+    setTransmissionType(type) {
+        if (!this.settings.transmission.types[type]) {
+            throw new Error(`Invalid transmission type: ${type}`);
+        }
+        this.transmissionType = type;
+        this.transmissionConfig = this.settings.transmission.types[type];
+    }
+
+    // Tuning sections the vehicle passes on; see VehicleTuningSystem state
+    applyConfiguration({ engine, transmission, differentials }) {
+        if (engine?.revLimiter !== undefined) {
+            this.engineConfig = { ...this.engineConfig, redline: engine.revLimiter };
+        }
+        if (engine?.throttleResponse !== undefined) {
+            this.settings.engine.rpmResponse = engine.throttleResponse * 4;
+        }
+
+        if (transmission?.gearRatios) {
+            const reverse = this.transmissionConfig.gearRatios[0];
+            this.transmissionConfig = { ...this.transmissionConfig, gearRatios: [reverse, ...transmission.gearRatios] };
+        }
+        if (transmission?.shiftSpeed !== undefined) {
+            this.transmissionConfig = { ...this.transmissionConfig, shiftTime: transmission.shiftSpeed };
+        }
+        if (transmission?.finalDrive !== undefined) {
+            this.settings.transmission.finalDrive = transmission.finalDrive;
+        }
+        if (transmission?.lowRange !== undefined) {
+            this.settings.drivetrain.transferCase.lowRatio = transmission.lowRange;
+        }
+
+        // torqueSplit is the front share on all-wheel drive
+        const split = differentials?.center?.torqueSplit;
+        if (split !== undefined) {
+            Object.assign(this.settings.drivetrain.types.awd, { frontBias: split, rearBias: 1 - split });
+        }
+
+        // Fitting or removing a locker; a removed one can't stay locked
+        ['front', 'rear'].forEach(axle => {
+            const locker = differentials?.[axle]?.locker;
+            if (locker === undefined) return;
+            this.settings.drivetrain.lockers.installed[axle] = locker;
+            if (!locker && this.state.drivetrain.lockers[axle]) {
+                this.setLockers({ ...this.state.drivetrain.lockers, [axle]: false });
+            }
+        });
+    }
+
     getAverageWheelSpeed() {
         return this.state.drivetrain.wheelSpeeds.reduce((a, b) => a + b, 0) / 4;
     }
@@ -639,12 +854,16 @@ export class VehiclePerformanceSystem extends EventEmitter {
             temperature: this.state.engine.temperature,
             damage: this.state.engine.damage,
             running: this.state.engine.running,
+            hydrolocked: this.state.engine.hydrolocked,
             fuelLevel: this.state.engine.fuelLevel
         };
     }
 
     dispose() {
         this.stopEngine();
+        this.vehicle.off('configured', this.onConfigured);
+        this.vehicle.off('hydrolocked', this.onHydrolocked);
+        this.vehicle.off('hydrolockCleared', this.onHydrolockCleared);
         this.removeAllListeners();
     }
 } 
\ No newline at end of file
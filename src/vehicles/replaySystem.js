@@ -43,6 +43,9 @@ export class VehicleReplaySystem extends EventEmitter {
                     brake: {
                         type: 'number',
                         precision: 2
+                    },
+                    transferCase: {
+                        type: 'enum'
                     }
                 }
             },
@@ -77,6 +80,9 @@ export class VehicleReplaySystem extends EventEmitter {
                     },
                     recovery: {
                         properties: ['method', 'duration', 'position']
+                    },
+                    transferCase: {
+                        properties: ['mode', 'previous']
                     }
                 },
                 maxCount: 1000
@@ -170,8 +176,7 @@ export class VehicleReplaySystem extends EventEmitter {
     captureMetadata() {
         return {
             timestamp: Date.now(),
-            vehicle: this.vehicle.getConfiguration(),
-            terrain: this.vehicle.getTerrainState(),
+            vehicle: structuredClone(this.vehicle.state.config),
             settings: {
                 frameRate: this.settings.recording.frameRate,
                 compression: this.settings.recording.compressionLevel
@@ -179,6 +184,12 @@ export class VehicleReplaySystem extends EventEmitter {
         };
     }
 
+    finalizeRecording() {
+        const { frames, metadata } = this.state.recording;
+        metadata.duration = frames.length > 0 ? frames[frames.length - 1].time : 0;
+        metadata.frameCount = frames.length;
+    }
+
     recordFrame() {
         const currentTime = performance.now();
         const frameTime = (currentTime - this.state.recording.startTime) / 1000;
@@ -200,15 +211,32 @@ export class VehicleReplaySystem extends EventEmitter {
 
     captureVehicleState() {
         const state = {};
-        
+        const vehicleState = this.vehicle.getState();
+
         Object.entries(this.settings.recording.properties).forEach(([prop, config]) => {
-            const value = this.vehicle[prop];
+            const value = this.readVehicleProperty(prop, vehicleState);
             state[prop] = this.formatValue(value, config);
         });
 
         return state;
     }
 
+    // Recorded properties by name, read off the simulation's getState()
+    readVehicleProperty(prop, vehicleState) {
+        switch (prop) {
+            case 'rotation':
+                return new THREE.Euler().setFromQuaternion(vehicleState.quaternion);
+            case 'velocity':
+                return this.vehicle.getVelocity();
+            case 'wheelRotation':
+                return this.vehicle.state.wheels.map(wheel => wheel.rotation);
+            case 'suspension':
+                return vehicleState.suspensionCompression;
+            default:
+                return vehicleState[prop];
+        }
+    }
+
     formatValue(value, config) {
         switch (config.type) {
             case 'vector3':
@@ -245,6 +273,8 @@ export class VehicleReplaySystem extends EventEmitter {
     calculateDifference(current, last) {
         if (typeof current === 'number') {
             return Math.abs(current - last);
+        } else if (typeof current === 'string') {
+            return current === last ? 0 : Infinity;
         } else if (current instanceof Object) {
             return Math.max(
                 ...Object.keys(current).map(key =>
@@ -679,7 +709,7 @@ export class VehicleReplaySystem extends EventEmitter {
 
     onVehicleStateChange(data) {
         if (this.state.recording.active) {
-            this.recordEvent('stateChange', data);
+            this.recordEvent(data.type === 'transferCase' ? 'transferCase' : 'stateChange', data);
         }
     }
 
@@ -699,113 +729,3 @@ export class VehicleReplaySystem extends EventEmitter {
         this.removeAllListeners();
     }
 } 
-        const highlight = {
-            type,
-            timestamp: Date.now() - this.state.recording.startTime,
-            duration: this.settings.highlights.duration
-        };
-
-        this.state.recording.markers.push(highlight);
-        this.emit('highlightMarked', highlight);
-    }
-
-    saveReplay(replay) {
-        const compressed = this.compressReplay(replay);
-
-        // Manage storage limits
-        if (this.state.saved.size >= this.settings.storage.maxReplays) {
-            const oldest = Array.from(this.state.saved.keys())[0];
-            this.state.saved.delete(oldest);
-        }
-
-        this.state.saved.set(replay.id, replay);
-        this.saveReplayData();
-
-        this.emit('replaySaved', replay);
-    }
-
-    compressReplay(replay) {
-        if (!this.settings.storage.compression) return replay;
-
-        return {
-            ...replay,
-            frames: replay.frames.map(frame => ({
-                timestamp: frame.timestamp,
-                state: this.compressFrame(frame.state)
-            }))
-        };
-    }
-
-    decompressReplay(replay) {
-        if (!this.settings.storage.compression) return replay;
-
-        return {
-            ...replay,
-            frames: replay.frames.map(frame => ({
-                timestamp: frame.timestamp,
-                state: this.decompressFrame(frame.state)
-            }))
-        };
-    }
-
-    compressFrame(state) {
-        // Implement frame compression logic
-        return state;
-    }
-
-    decompressFrame(state) {
-        // Implement frame decompression logic
-        return state;
-    }
-
-    saveReplayData() {
-        try {
-            const data = {
-                replays: Array.from(this.state.saved.entries()),
-                highlights: this.state.highlights,
-                stats: this.state.stats
-            };
-
-            localStorage.setItem('vehicleReplays', 
-                               JSON.stringify(data));
-            
-            this.emit('replayDataSaved', data);
-        } catch (error) {
-            console.error('Failed to save replay data:', error);
-        }
-    }
-
-    getEnvironmentData() {
-        return {
-            terrain: this.vehicle.getCurrentTerrain(),
-            weather: this.vehicle.getCurrentWeather(),
-            time: Date.now()
-        };
-    }
-
-    setupPlaybackEnvironment(metadata) {
-        // Setup environment based on metadata
-        this.vehicle.setEnvironment(metadata.environment);
-    }
-
-    resetPlaybackEnvironment() {
-        // Reset environment to current state
-        this.vehicle.resetEnvironment();
-    }
-
-    dispose() {
-        if (this.state.recording) {
-            this.stopRecording();
-        }
-        if (this.state.playback) {
-            this.stopPlayback();
-        }
-
-        // Clear state
-        this.state.saved.clear();
-        this.state.highlights = [];
-
-        // Remove event listeners
-        this.removeAllListeners();
-    }
-} 
\ No newline at end of file
@@ -243,25 +243,22 @@ export class VehicleResourceSystem extends EventEmitter {
         });
     }
 
+    // Low resources become a single modifier set on the vehicle; empty tanks count double
     applyResourceEffects() {
+        const modifiers = {};
         this.state.resources.forEach((resource, name) => {
             const config = this.settings.resources[name];
             if (resource.current <= config.criticalThreshold) {
+                const scale = resource.current === 0 ? 2 : 1;
                 Object.entries(config.effects).forEach(([stat, effect]) => {
-                    this.vehicle.modifyStats(stat, effect);
+                    modifiers[stat] = (modifiers[stat] ?? 0) + effect * scale;
                 });
             }
         });
+        this.vehicle.setModifier('resources', modifiers);
     }
 
     handleResourceDepletion(resourceName) {
-        const effects = this.settings.resources[resourceName].effects;
-        
-        // Apply depletion effects
-        Object.entries(effects).forEach(([stat, effect]) => {
-            this.vehicle.modifyStats(stat, effect * 2);
-        });
-
         this.emit('resourceDepleted', { resource: resourceName });
     }
 
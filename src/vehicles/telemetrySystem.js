@@ -16,6 +16,7 @@ export class VehicleTelemetrySystem extends EventEmitter {
                     },
                     transmission: {
                         gear: { min: -1, max: 6 },
+                        transferCase: { min: 0, max: 3 }, // Lever position in transferCaseModes
                         clutch: { min: 0, max: 100 },
                         efficiency: { min: 0, max: 100, warning: 40 }
                     },
@@ -36,6 +37,7 @@ export class VehicleTelemetrySystem extends EventEmitter {
                     lateral: { min: 0, max: 100, warning: 80 }
                 }
             },
+            transferCaseModes: ['2H', '4H', 'N', '4L'],
             sampling: {
                 rate: 60,
                 bufferSize: 3600,
@@ -76,6 +78,7 @@ export class VehicleTelemetrySystem extends EventEmitter {
 
     initialize() {
         this.initializeMetrics();
+        this.setTransferCase(this.vehicle.transferCase);
         this.setupEventListeners();
         this.startSampling();
     }
@@ -104,6 +107,28 @@ export class VehicleTelemetrySystem extends EventEmitter {
         this.vehicle.on('warning', this.handleWarning.bind(this));
     }
 
+    handleStateChange(data) {
+        if (data.type === 'transferCase') {
+            this.setTransferCase(data.mode);
+        }
+    }
+
+    handleWarning(data) {
+        this.triggerAlert('warning', data);
+    }
+
+    // Sampled as the lever position so the mode sits in the history with the other metrics
+    setTransferCase(mode) {
+        const position = this.settings.transferCaseModes.indexOf(mode);
+        if (position === -1) return;
+        this.state.current.get('performance').get('transmission').set('transferCase', position);
+    }
+
+    getTransferCase() {
+        const position = this.getMetricValue('performance', 'transmission', 'transferCase');
+        return this.settings.transferCaseModes[position];
+    }
+
     startSampling() {
         setInterval(() => {
             this.sampleMetrics();
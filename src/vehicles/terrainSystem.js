@@ -11,7 +11,12 @@ export class VehicleTerrainSystem extends EventEmitter {
             surfaces: {
                 dirt: {
                     friction: 0.8,
+                    wetFriction: 0.6,
                     resistance: 0.3,
+                    // Per unit of extra contact patch from airing down; soft ground
+                    // rewards the tire floating on it, hard ground just rolls harder
+                    patchGrip: 0.15,
+                    patchResistance: 0.1,
                     deformability: 0.7,
                     particleColor: '#8B4513',
                     soundEffect: 'dirt.mp3',
@@ -19,7 +24,10 @@ export class VehicleTerrainSystem extends EventEmitter {
                 },
                 mud: {
                     friction: 0.4,
+                    wetFriction: 0.75,
                     resistance: 0.8,
+                    patchGrip: 0.25,
+                    patchResistance: -0.2,
                     deformability: 0.9,
                     particleColor: '#483C32',
                     soundEffect: 'mud.mp3',
@@ -27,7 +35,10 @@ export class VehicleTerrainSystem extends EventEmitter {
                 },
                 sand: {
                     friction: 0.6,
+                    wetFriction: 1.05, // Damp sand packs firmer
                     resistance: 0.5,
+                    patchGrip: 0.3, // Floats over instead of digging in
+                    patchResistance: -0.45,
                     deformability: 0.8,
                     particleColor: '#C2B280',
                     soundEffect: 'sand.mp3',
@@ -35,7 +46,10 @@ export class VehicleTerrainSystem extends EventEmitter {
                 },
                 rock: {
                     friction: 0.9,
+                    wetFriction: 0.7,
                     resistance: 0.2,
+                    patchGrip: 0.25, // Wraps over edges
+                    patchResistance: 0.15,
                     deformability: 0.1,
                     particleColor: '#808080',
                     soundEffect: 'rock.mp3',
@@ -43,19 +57,48 @@ export class VehicleTerrainSystem extends EventEmitter {
                 },
                 grass: {
                     friction: 0.7,
+                    wetFriction: 0.5, // Wet grass is slicker than the mud under it
                     resistance: 0.4,
+                    patchGrip: 0.15,
+                    patchResistance: 0.1,
                     deformability: 0.5,
                     particleColor: '#355E3B',
                     soundEffect: 'grass.mp3',
+                    packedFriction: 0.75, // Worn through to the dirt underneath
                     recovery: 0.3
+                },
+                snow: {
+                    friction: 0.45,
+                    packedFriction: 0.3, // Tracks polish to a slicker finish than fresh snow
+                    wetFriction: 1.0,
+                    resistance: 0.3,
+                    patchGrip: 0.3,
+                    patchResistance: -0.4,
+                    depthResistance: 2.5, // Extra resistance per metre of snow ploughed through
+                    deformability: 0.05,  // Tires pack the snow rather than rut the ground under it
+                    particleColor: '#F4F6F8',
+                    soundEffect: 'snow.mp3',
+                    recovery: 0.05
+                },
+                ice: {
+                    friction: 0.1,
+                    wetFriction: 1.0,
+                    resistance: 0.1,
+                    patchGrip: 0.05,
+                    patchResistance: 0.1,
+                    deformability: 0,
+                    particleColor: '#D6E6F2',
+                    soundEffect: 'ice.mp3',
+                    recovery: 1.0
                 }
             },
+            wetness: {
+                puddleResistance: 2.0   // Extra rolling resistance per metre of standing water
+            },
             deformation: {
                 maxDepth: 0.5, // Maximum deformation depth in meters
                 radius: 1.5,   // Radius of deformation area
-                resolution: 32, // Resolution of deformation grid
-                smoothing: 0.3, // Smoothing factor for deformation
-                persistence: 0.7 // How long deformation persists
+                persistence: 0.7 // How long deformation persists, and the share kept as trail wear
             },
             particles: {
                 maxParticles: 1000,
@@ -68,8 +111,15 @@ export class VehicleTerrainSystem extends EventEmitter {
                 gravity: 9.81,
                 buoyancy: 1.0,
                 dragCoefficient: 0.47,
-                densityAir: 1.225,
-                waterLevel: 0.0
+                densityWater: 1000,
+                hullSize: new THREE.Vector3(2, 1, 4), // Sealed volume that floats, matches the chassis box
+                hullSamples: 3                         // Water columns per side under the hull
+            },
+            intake: {
+                position: new THREE.Vector3(0.7, -0.1, 1.6), // About 0.5 m above ground at ride height
+                fordingDepth: 0.5,   // Stock wading depth, a snorkel raises it
+                ingestRate: 2.0,     // Engine water gained per second per metre the intake is under
+                drainRate: 0.05      // Engine water lost per second once the intake is clear
             }
         };
 
@@ -79,6 +129,11 @@ export class VehicleTerrainSystem extends EventEmitter {
             activeParticles: [],
             surfaceContacts: [], // Wheel contact points
             submergedVolume: 0,
+            waterDepth: 0,       // Water surface above the ground under the chassis
+            intakeDepth: 0,      // Water surface above the air intake, negative when clear
+            engineWater: 0,      // 0-1, hydrolocked at 1
+            hydrolocked: false,
+            gripModifiers: new Map(), // Equipped item -> per-surface friction multipliers
             lastUpdateTime: 0
         };
 
@@ -92,57 +147,9 @@ export class VehicleTerrainSystem extends EventEmitter {
     }
 
     initializeDeformationSystem() {
-        // Create heightfield for terrain deformation
-        const { resolution } = this.settings.deformation;
-        this.heightField = new Float32Array(resolution * resolution);
-        this.deformationGeometry = new THREE.PlaneGeometry(
-            this.terrain.width,
-            this.terrain.height,
-            resolution - 1,
-            resolution - 1
-        );
-
-        // Initialize deformation shader
-        this.deformationMaterial = new THREE.ShaderMaterial({
-            uniforms: {
-                heightMap: { value: null },
-                deformationMap: { value: null },
-                maxDepth: { value: this.settings.deformation.maxDepth },
-                smoothing: { value: this.settings.deformation.smoothing }
-            },
-            vertexShader: `
-                uniform sampler2D heightMap;
-                uniform sampler2D deformationMap;
-                uniform float maxDepth;
-                uniform float smoothing;
-                
-                varying vec2 vUv;
-                
-                void main() {
-                    vUv = uv;
-                    vec4 heightData = texture2D(heightMap, uv);
-                    vec4 deformData = texture2D(deformationMap, uv);
-                    
-                    float height = heightData.r;
-                    float deform = deformData.r * maxDepth;
-                    
-                    // Apply smoothing
-                    float smoothDeform = deform * (1.0 - smoothing);
-                    
-                    vec3 newPosition = position;
-                    newPosition.y = height - smoothDeform;
-                    
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(newPosition, 1.0);
-                }
-            `,
-            fragmentShader: `
-                varying vec2 vUv;
-                
-                void main() {
-                    gl_FragColor = vec4(1.0);
-                }
-            `
-        });
+        // Ruts are dug straight into the terrain height grid, which keeps
+        // the rendered mesh and the physics heightfield in step
+        this.state.deformationMap.clear();
     }
 
     initializeParticleSystem() {
@@ -166,13 +173,17 @@ export class VehicleTerrainSystem extends EventEmitter {
         
         // Create particle system
         this.particleSystem = new THREE.Points(this.particleGeometry, this.particleMaterial);
-        this.terrain.add(this.particleSystem);
+        this.terrain.scene.add(this.particleSystem);
     }
 
     setupEventListeners() {
         this.vehicle.on('wheelContact', this.handleWheelContact.bind(this));
+        this.vehicle.on('wheelLift', this.handleWheelLift.bind(this));
         this.vehicle.on('collision', this.handleCollision.bind(this));
-        this.terrain.on('update', this.update.bind(this));
+        this.vehicle.on('itemEquipped', this.handleItemEquipped.bind(this));
+        this.vehicle.on('itemUnequipped', this.handleItemUnequipped.bind(this));
+        this.onTerrainUpdate = this.update.bind(this);
+        this.terrain.addListener('update', this.onTerrainUpdate);
     }
 
     update(deltaTime) {
@@ -187,79 +198,64 @@ export class VehicleTerrainSystem extends EventEmitter {
     updateDeformation(deltaTime) {
         // Update terrain deformation based on vehicle interaction
         this.state.surfaceContacts.forEach(contact => {
-            const { position, force, surfaceType } = contact;
+            const { position, force, surfaceType, velocity } = contact;
             const surfaceSettings = this.settings.surfaces[surfaceType];
             
             if (surfaceSettings && force > 0) {
                 const deformAmount = force * surfaceSettings.deformability;
-                this.deformTerrain(position, deformAmount);
+                this.deformTerrain(position, deformAmount, velocity);
             }
         });
         
-        // Apply terrain recovery
+        // Apply terrain recovery, pushing the ground back up as ruts heal
+        const { radius, persistence } = this.settings.deformation;
         this.state.deformationMap.forEach((deformation, key) => {
             const surfaceType = this.getSurfaceTypeAtPosition(deformation.position);
             const recovery = this.settings.surfaces[surfaceType].recovery;
-            
-            deformation.depth *= (1 - recovery * deltaTime);
+            const recovered = deformation.depth * recovery * (1 - persistence) * deltaTime;
+
+            deformation.depth -= recovered;
+            this.terrain.adjustHeight(deformation.position.x, deformation.position.z, radius, recovered);
             
             if (deformation.depth < 0.01) {
+                this.terrain.adjustHeight(
+                    deformation.position.x,
+                    deformation.position.z,
+                    radius,
+                    deformation.depth
+                );
                 this.state.deformationMap.delete(key);
             }
         });
-        
-        this.updateDeformationGeometry();
     }
 
-    deformTerrain(position, amount) {
-        const { radius, resolution } = this.settings.deformation;
-        
-        // Calculate affected area in heightfield
-        const centerX = Math.floor((position.x / this.terrain.width) * resolution);
-        const centerZ = Math.floor((position.z / this.terrain.height) * resolution);
-        const radiusPixels = Math.ceil(radius * resolution / this.terrain.width);
+    deformTerrain(position, amount, velocity = null) {
+        const { radius, maxDepth, persistence } = this.settings.deformation;
         
-        // Apply deformation using Gaussian distribution
-        for (let x = -radiusPixels; x <= radiusPixels; x++) {
-            for (let z = -radiusPixels; z <= radiusPixels; z++) {
-                const px = centerX + x;
-                const pz = centerZ + z;
-                
-                if (px >= 0 && px < resolution && pz >= 0 && pz < resolution) {
-                    const distance = Math.sqrt(x * x + z * z) / radiusPixels;
-                    const influence = Math.exp(-distance * distance * 4);
-                    const index = pz * resolution + px;
-                    
-                    this.heightField[index] -= amount * influence;
-                }
-            }
+        // Track ruts per terrain cell so repeated passes deepen instead of stacking forever
+        const cellSize = this.terrain.getCellSize();
+        const key = `${Math.round(position.x / cellSize)},${Math.round(position.z / cellSize)}`;
+        const existing = this.state.deformationMap.get(key);
+        const currentDepth = existing ? existing.depth : 0;
+        let depth = Math.min(amount, maxDepth - currentDepth);
+
+        // The wear system keeps its share for days; only the rest springs back here
+        if (this.terrain.wear) {
+            depth -= this.terrain.wear.addPass(position, Math.max(0, depth) * persistence, velocity);
         }
         
+        if (depth <= 0) return;
+        
+        this.terrain.adjustHeight(position.x, position.z, radius, -depth);
+        
         // Store deformation for recovery
-        const key = `${centerX},${centerZ}`;
         this.state.deformationMap.set(key, {
-            position: position.clone(),
-            depth: amount,
+            position: existing ? existing.position : position.clone(),
+            depth: currentDepth + depth,
             time: Date.now()
         });
     }
 
-    updateDeformationGeometry() {
-        const positions = this.deformationGeometry.attributes.position.array;
-        
-        // Update vertex positions based on heightfield
-        for (let i = 0; i < positions.length; i += 3) {
-            const x = Math.floor((i / 3) % this.settings.deformation.resolution);
-            const z = Math.floor((i / 3) / this.settings.deformation.resolution);
-            const index = z * this.settings.deformation.resolution + x;
-            
-            positions[i + 1] = this.heightField[index];
-        }
-        
-        this.deformationGeometry.attributes.position.needsUpdate = true;
-        this.deformationGeometry.computeVertexNormals();
-    }
-
     updateParticles(deltaTime) {
         const { maxParticles, lifetime, velocityRange } = this.settings.particles;
         
@@ -347,36 +343,126 @@ export class VehicleTerrainSystem extends EventEmitter {
     }
 
     updatePhysics(deltaTime) {
-        // Calculate buoyancy and drag forces
-        if (this.state.submergedVolume > 0) {
-            const { buoyancy, dragCoefficient, densityAir } = this.settings.physics;
-            
-            // Buoyancy force
-            const buoyancyForce = new THREE.Vector3(0, 
-                buoyancy * this.state.submergedVolume * this.settings.physics.gravity, 
-                0
-            );
-            
-            // Drag force
-            const velocity = this.vehicle.getVelocity();
-            const dragForce = velocity.clone().multiplyScalar(
-                -0.5 * densityAir * dragCoefficient * this.state.submergedVolume * velocity.length()
-            );
-            
-            // Apply forces
-            this.vehicle.applyForce(buoyancyForce);
-            this.vehicle.applyForce(dragForce);
+        const water = this.terrain.water;
+        if (!water) return;
+
+        const { gravity, buoyancy, dragCoefficient, densityWater, hullSize, hullSamples } = this.settings.physics;
+        const position = this.vehicle.position;
+        const quaternion = this.vehicle.quaternion;
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(quaternion);
+        const velocity = this.vehicle.getVelocity();
+        const columnVolume = hullSize.x * hullSize.y * hullSize.z / (hullSamples * hullSamples);
+        const columnArea = hullSize.x * hullSize.y / (hullSamples * hullSamples);
+
+        const sample = {};
+        const base = new THREE.Vector3();
+        this.state.submergedVolume = 0;
+
+        // Split the hull into vertical columns so a nose-down jeep floats nose-down
+        for (let i = 0; i < hullSamples; i++) {
+            for (let j = 0; j < hullSamples; j++) {
+                base.set(
+                    ((i + 0.5) / hullSamples - 0.5) * hullSize.x,
+                    -hullSize.y / 2,
+                    ((j + 0.5) / hullSamples - 0.5) * hullSize.z
+                ).applyQuaternion(quaternion).add(position);
+
+                water.sample(base.x, base.z, sample);
+                if (sample.level === null) continue;
+
+                const height = Math.max(up.y * hullSize.y, 0.01);
+                const fraction = THREE.MathUtils.clamp((sample.level - base.y) / height, 0, 1);
+                if (fraction === 0) continue;
+
+                const volume = columnVolume * fraction;
+                this.state.submergedVolume += volume;
+
+                const point = base.clone().addScaledVector(up, hullSize.y * fraction / 2);
+
+                // Buoyancy force
+                const buoyancyForce = new THREE.Vector3(0, buoyancy * densityWater * volume * gravity, 0);
+
+                // Drag against the water, which may itself be flowing
+                const relative = velocity.clone().sub(sample.flow);
+                const dragForce = relative.multiplyScalar(
+                    -0.5 * densityWater * dragCoefficient * columnArea * fraction * relative.length()
+                );
+
+                // Apply forces
+                this.vehicle.applyForce(buoyancyForce, point);
+                this.vehicle.applyForce(dragForce, point);
+            }
+        }
+
+        const ground = this.terrain.query.getHeight(position.x, position.z);
+        const level = water.getWaterLevel(position.x, position.z);
+        const wasInWater = this.state.waterDepth > 0;
+        this.state.waterDepth = level === null ? 0 : Math.max(0, level - ground);
+
+        if (this.state.waterDepth > 0) {
+            if (!wasInWater) this.emit('waterEntered', { depth: this.state.waterDepth });
+            this.vehicle.emit('underwater', this.state.waterDepth);
+        } else if (wasInWater) {
+            this.emit('waterExited');
+        }
+
+        this.updateIntake(deltaTime, water);
+    }
+
+    // Water over the air intake fills the engine until it hydrolocks
+    updateIntake(deltaTime, water) {
+        const { position, ingestRate, drainRate } = this.settings.intake;
+        const intake = position.clone();
+        intake.y += this.getWaterDepthLimit() - this.settings.intake.fordingDepth;
+        intake.applyQuaternion(this.vehicle.quaternion).add(this.vehicle.position);
+
+        const level = water.getWaterLevel(intake.x, intake.z);
+        const wasSubmerged = this.state.intakeDepth > 0;
+        this.state.intakeDepth = level === null ? -Infinity : level - intake.y;
+
+        if (this.state.intakeDepth > 0) {
+            if (!wasSubmerged) this.emit('intakeSubmerged', { depth: this.state.intakeDepth });
+            this.state.engineWater = Math.min(1, this.state.engineWater + ingestRate * this.state.intakeDepth * deltaTime);
+        } else if (!this.state.hydrolocked) {
+            this.state.engineWater = Math.max(0, this.state.engineWater - drainRate * deltaTime);
+        }
+
+        if (this.state.engineWater >= 1 && !this.state.hydrolocked) {
+            this.state.hydrolocked = true;
+            this.emit('hydrolocked', { depth: this.state.intakeDepth });
+            this.vehicle.emit('hydrolocked', { depth: this.state.intakeDepth });
         }
     }
 
+    // A snorkel fitted on the vehicle raises the intake above the stock wading depth
+    getWaterDepthLimit() {
+        return Math.max(this.settings.intake.fordingDepth, this.vehicle.waterDepthLimit);
+    }
+
+    // Pulling the plugs and cranking the water out
+    clearHydrolock() {
+        this.state.engineWater = 0;
+        this.state.hydrolocked = false;
+        this.emit('hydrolockCleared');
+        this.vehicle.emit('hydrolockCleared');
+    }
+
     updateSurfaceEffects() {
         this.state.surfaceContacts.forEach(contact => {
             const { position, surfaceType, velocity } = contact;
             const surfaceSettings = this.settings.surfaces[surfaceType];
             
             // Update friction and resistance
-            this.vehicle.setWheelFriction(contact.wheelIndex, surfaceSettings.friction);
-            this.vehicle.setWheelResistance(contact.wheelIndex, surfaceSettings.resistance);
+            const packing = surfaceType === 'snow' ? contact.snowPacking : contact.wearPacking;
+            const patch = this.vehicle.getContactPatch(contact.wheelIndex);
+            this.vehicle.setWheelFriction(contact.wheelIndex, this.getSurfaceFriction(surfaceType, contact.wetness, packing, patch));
+            const resistance = surfaceSettings.resistance +
+                (contact.puddleDepth ?? 0) * this.settings.wetness.puddleResistance +
+                (contact.snowDepth ?? 0) * (surfaceSettings.depthResistance ?? 0);
+            this.vehicle.setWheelResistance(
+                contact.wheelIndex,
+                resistance * Math.max(0.1, 1 + (surfaceSettings.patchResistance ?? 0) * (patch - 1))
+            );
             
             // Emit surface-specific events
             this.emit('surfaceEffect', {
@@ -389,8 +475,20 @@ export class VehicleTerrainSystem extends EventEmitter {
     }
 
     handleWheelContact(contact) {
-        const surfaceType = this.getSurfaceTypeAtPosition(contact.position);
+        // Rocks and other decorations tag their bodies with a surface
+        const surfaceType = contact.body?.userData?.surface ?? this.getSurfaceTypeAtPosition(contact.position);
         contact.surfaceType = surfaceType;
+        contact.wetness = this.terrain.query.getWetness(contact.position.x, contact.position.z);
+        contact.puddleDepth = this.terrain.query.getPuddleDepth(contact.position.x, contact.position.z);
+
+        // Read the snow before the tire packs it; the next pass rolls on the track
+        const snow = this.terrain.snow;
+        contact.snowDepth = snow ? snow.getSnowDepth(contact.position.x, contact.position.z) : 0;
+        contact.snowPacking = snow ? snow.getPacking(contact.position.x, contact.position.z) : 0;
+        contact.wearPacking = this.terrain.wear?.getPacking(contact.position.x, contact.position.z) ?? 0;
+        if (surfaceType === 'snow') {
+            snow.packSnow(contact.position);
+        }
         
         this.state.surfaceContacts[contact.wheelIndex] = contact;
         
@@ -401,6 +499,11 @@ export class VehicleTerrainSystem extends EventEmitter {
         }
     }
 
+    // A wheel in the air stops digging and stops taking grip from the ground it left
+    handleWheelLift({ wheelIndex }) {
+        delete this.state.surfaceContacts[wheelIndex];
+    }
+
     handleCollision(collision) {
         const { position, force, normal } = collision;
         const surfaceType = this.getSurfaceTypeAtPosition(position);
@@ -423,23 +526,40 @@ export class VehicleTerrainSystem extends EventEmitter {
         }
     }
 
+    // Dry friction eased towards the surface's wet friction as rain soaks in,
+    // then scaled by the tire's contact patch and anything fitted to the tires such as chains
+    getSurfaceFriction(surfaceType, wetness = 0, packing = 0, patch = 1) {
+        const { friction, wetFriction, packedFriction = friction, patchGrip = 0 } = this.settings.surfaces[surfaceType];
+        let result = THREE.MathUtils.lerp(friction, packedFriction, packing) * THREE.MathUtils.lerp(1, wetFriction, wetness);
+        result *= Math.max(0.1, 1 + patchGrip * (patch - 1));
+
+        this.state.gripModifiers.forEach(grip => {
+            result *= grip[surfaceType] ?? 1;
+        });
+        return result;
+    }
+
+    handleItemEquipped({ type, config }) {
+        if (config.grip) {
+            this.state.gripModifiers.set(type, config.grip);
+        }
+    }
+
+    handleItemUnequipped({ type }) {
+        this.state.gripModifiers.delete(type);
+    }
+
     getSurfaceTypeAtPosition(position) {
-        // Get surface type from terrain data or heightmap
-        const x = Math.floor((position.x / this.terrain.width) * this.terrain.textureSize);
-        const z = Math.floor((position.z / this.terrain.height) * this.terrain.textureSize);
-        
-        return this.terrain.getSurfaceType(x, z);
+        return this.terrain.query.getSurfaceType(position.x, position.z);
     }
 
     dispose() {
         // Clean up resources
-        this.deformationGeometry.dispose();
-        this.deformationMaterial.dispose();
         this.particleGeometry.dispose();
         this.particleMaterial.dispose();
         
         // Remove from scene
-        this.terrain.remove(this.particleSystem);
+        this.terrain.scene.remove(this.particleSystem);
         
         // Clear state
         this.state.deformationMap.clear();
@@ -447,6 +567,7 @@ export class VehicleTerrainSystem extends EventEmitter {
         this.state.surfaceContacts = [];
         
         // Remove event listeners
+        this.terrain.removeListener('update', this.onTerrainUpdate);
         this.removeAllListeners();
     }
 } 
\ No newline at end of file
@@ -41,6 +41,12 @@ export class VehicleTuningSystem extends EventEmitter {
                     min: 0.1,
                     max: 0.5,
                     step: 0.05
+                },
+                // Transfer case low range
+                lowRange: {
+                    min: 1.5,
+                    max: 4.0,
+                    step: 0.01
                 }
             },
             suspension: {
@@ -128,7 +134,7 @@ export class VehicleTuningSystem extends EventEmitter {
             },
             tires: {
                 pressure: {
-                    min: 25,
+                    min: 8,
                     max: 45,
                     step: 1
                 },
@@ -150,7 +156,8 @@ export class VehicleTuningSystem extends EventEmitter {
             transmission: {
                 gearRatios: [3.5, 2.5, 1.8, 1.3, 1.0, 0.8],
                 finalDrive: 3.7,
-                shiftSpeed: 0.3
+                shiftSpeed: 0.3,
+                lowRange: 2.72
             },
             suspension: {
                 springs: {
@@ -280,6 +287,7 @@ export class VehicleTuningSystem extends EventEmitter {
             rpm: vehicleData.rpm,
             speed: vehicleData.speed,
             gear: vehicleData.gear,
+            transferCase: vehicleData.transferCase,
             throttle: vehicleData.throttle,
             brake: vehicleData.brake,
             suspension: vehicleData.suspensionCompression
@@ -304,7 +312,7 @@ export class VehicleTuningSystem extends EventEmitter {
             this.state[category][parameter] = value;
         }
 
-        this.applyTuning(category, subcategory, parameter);
+        this.applyTuning(category);
         this.emit('tuningUpdated', { category, subcategory, parameter, value });
         return true;
     }
@@ -323,125 +331,19 @@ export class VehicleTuningSystem extends EventEmitter {
         return false;
     }
 
-    applyTuning(category, subcategory, parameter) {
-        switch (category) {
-            case 'engine':
-                this.applyEngineTuning(subcategory, parameter);
-                break;
-            case 'transmission':
-                this.applyTransmissionTuning(parameter);
-                break;
-            case 'suspension':
-                this.applySuspensionTuning(subcategory, parameter);
-                break;
-            case 'differentials':
-                this.applyDifferentialTuning(subcategory, parameter);
-                break;
-            case 'brakes':
-                this.applyBrakeTuning(parameter);
-                break;
-            case 'tires':
-                this.applyTireTuning(parameter);
-                break;
-        }
-    }
-
-    applyEngineTuning(subcategory, parameter) {
-        const engineState = this.state.engine;
-        
-        if (parameter === 'powerCurve') {
-            this.vehicle.updatePowerCurve(engineState.powerCurve);
-        } else if (parameter === 'throttleResponse') {
-            this.vehicle.updateThrottleResponse(engineState.throttleResponse);
-        } else if (parameter === 'revLimiter') {
-            this.vehicle.updateRevLimiter(engineState.revLimiter);
-        }
-    }
-
-    applyTransmissionTuning(parameter) {
-        const transState = this.state.transmission;
-        
-        if (parameter === 'gearRatios') {
-            this.vehicle.updateGearRatios(transState.gearRatios);
-        } else if (parameter === 'finalDrive') {
-            this.vehicle.updateFinalDrive(transState.finalDrive);
-        } else if (parameter === 'shiftSpeed') {
-            this.vehicle.updateShiftSpeed(transState.shiftSpeed);
-        }
-    }
-
-    applySuspensionTuning(subcategory, parameter) {
-        const suspState = this.state.suspension;
-        
-        if (subcategory === 'springs') {
-            this.vehicle.updateSuspensionSprings({
-                stiffness: suspState.springs.stiffness,
-                height: suspState.springs.height
-            });
-        } else if (subcategory === 'dampers') {
-            this.vehicle.updateSuspensionDampers({
-                compression: suspState.dampers.compression,
-                rebound: suspState.dampers.rebound
-            });
-        } else if (subcategory === 'antiRollBars') {
-            this.vehicle.updateAntiRollBars({
-                front: suspState.antiRollBars.front,
-                rear: suspState.antiRollBars.rear
-            });
-        }
-    }
-
-    applyDifferentialTuning(subcategory, parameter) {
-        const diffState = this.state.differentials;
-        
-        if (subcategory === 'front' || subcategory === 'rear') {
-            this.vehicle.updateDifferential(subcategory, {
-                lockingRange: diffState[subcategory].lockingRange,
-                preload: diffState[subcategory].preload
-            });
-        } else if (subcategory === 'center') {
-            this.vehicle.updateTorqueSplit(diffState.center.torqueSplit);
-        }
-    }
-
-    applyBrakeTuning(parameter) {
-        const brakeState = this.state.brakes;
-        
-        if (parameter === 'bias') {
-            this.vehicle.updateBrakeBias(brakeState.bias);
-        } else if (parameter === 'pressure') {
-            this.vehicle.updateBrakePressure(brakeState.pressure);
-        }
-    }
-
-    applyTireTuning(parameter) {
-        const tireState = this.state.tires;
-        
-        if (parameter === 'pressure') {
-            this.vehicle.updateTirePressure(tireState.pressure);
-        } else if (parameter === 'compound') {
-            this.vehicle.updateTireCompound(tireState.compound);
-        } else if (parameter === 'camber') {
-            this.vehicle.updateTireCamber(tireState.camber);
-        }
+    // The vehicle takes whole sections; it applies what it simulates and passes the rest
+    // (engine, transmission, differentials) on to the drivetrain
+    applyTuning(category) {
+        this.vehicle.configure({ [category]: structuredClone(this.state[category]) });
     }
 
     applyCurrentTuning() {
-        // Apply all current tuning settings
+        const patch = {};
         Object.keys(this.state).forEach(category => {
             if (category === 'presets' || category === 'telemetry') return;
-            
-            const categoryState = this.state[category];
-            Object.keys(categoryState).forEach(parameter => {
-                if (typeof categoryState[parameter] === 'object') {
-                    Object.keys(categoryState[parameter]).forEach(subParameter => {
-                        this.applyTuning(category, parameter, subParameter);
-                    });
-                } else {
-                    this.applyTuning(category, null, parameter);
-                }
-            });
+            patch[category] = structuredClone(this.state[category]);
         });
+        this.vehicle.configure(patch);
     }
 
     savePreset(name, settings) {
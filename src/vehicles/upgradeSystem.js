@@ -120,6 +120,31 @@ export class VehicleUpgradeSystem extends EventEmitter {
                             costs: [2500, 5500, 11000]
                         }
                     }
+                },
+                // Fitted or not; the driver switches them from the cab
+                traction: {
+                    name: "Traction Aids",
+                    maxLevel: 1,
+                    upgrades: {
+                        frontLocker: {
+                            name: "Front Locker",
+                            baseValue: 0,
+                            incrementPerLevel: 1,
+                            costs: [4500]
+                        },
+                        rearLocker: {
+                            name: "Rear Locker",
+                            baseValue: 0,
+                            incrementPerLevel: 1,
+                            costs: [4000]
+                        },
+                        swayBarDisconnect: {
+                            name: "Electronic Sway Bar Disconnect",
+                            baseValue: 0,
+                            incrementPerLevel: 1,
+                            costs: [3000]
+                        }
+                    }
                 }
             },
             visual: {
@@ -173,7 +198,8 @@ export class VehicleUpgradeSystem extends EventEmitter {
                 suspension: { travel: [1, 2, 3, 4], stiffness: [1, 2, 3, 4] },
                 tires: { grip: [1, 2, 3], durability: [1, 2, 3] },
                 aerodynamics: { downforce: [2, 3, 4], dragReduction: [2, 3, 4] },
-                weight: { reduction: [3, 4, 5] }
+                weight: { reduction: [3, 4, 5] },
+                traction: { frontLocker: [3], rearLocker: [2], swayBarDisconnect: [2] }
             }
         };
 
@@ -336,6 +362,18 @@ export class VehicleUpgradeSystem extends EventEmitter {
                     this.vehicle.setWeightReduction(upgradeState.value);
                 }
                 break;
+
+            case 'traction': {
+                const fitted = upgradeState.value > 0;
+                if (upgrade === 'frontLocker') {
+                    this.vehicle.configure({ differentials: { front: { locker: fitted } } });
+                } else if (upgrade === 'rearLocker') {
+                    this.vehicle.configure({ differentials: { rear: { locker: fitted } } });
+                } else if (upgrade === 'swayBarDisconnect') {
+                    this.vehicle.configure({ suspension: { swayBarDisconnect: fitted } });
+                }
+                break;
+            }
         }
     }
 
@@ -269,16 +269,13 @@ export class VehicleWeatherEffectsSystem extends EventEmitter {
     updateVehicleEffects(weather, intensity) {
         const effects = this.settings.weather[weather].effects;
 
-        // Update vehicle physics
-        if (effects.traction) {
-            this.vehicle.modifyTraction(effects.traction * intensity);
-        }
-        if (effects.handling) {
-            this.vehicle.modifyHandling(effects.handling * intensity);
-        }
-        if (effects.stability) {
-            this.vehicle.modifyStability(effects.stability * intensity);
-        }
+        // Replaces whatever the previous weather set
+        this.vehicle.setModifier('weather', {
+            traction: (effects.traction ?? 0) * intensity,
+            handling: (effects.handling ?? 0) * intensity,
+            stability: (effects.stability ?? 0) * intensity,
+            weight: (effects.weight ?? 0) * intensity
+        });
 
         // Update windshield water
         if (weather === 'rain') {
@@ -11,7 +11,8 @@ export class WeatherSystem {
             CLOUDY: 'cloudy',
             RAIN: 'rain',
             STORM: 'storm',
-            FOG: 'fog'
+            FOG: 'fog',
+            SNOW: 'snow'
         };
 
         // Current weather state
@@ -25,7 +26,8 @@ export class WeatherSystem {
             rainCount: 10000,
             snowCount: 5000,
             cloudCount: 50,
-            lightningFrequency: 3.0 // seconds
+            lightningFrequency: 3.0, // seconds
+            nightCooling: 6 // degrees colder at midnight than at noon
         };
 
         // Weather components
@@ -33,10 +35,20 @@ export class WeatherSystem {
             sky: null,
             clouds: null,
             rain: null,
+            snow: null,
             lightning: null,
             fog: null
         };
 
+        // What the ground feels, eased between states with the visuals
+        this.conditions = {
+            rain: 0,       // 0-1 precipitation intensity
+            snow: 0,       // 0-1 snowfall intensity
+            wind: 3,       // m/s
+            cloudCover: 0.2, // 0-1
+            temperature: 15  // Celsius at noon
+        };
+
         // Time tracking
         this.time = {
             current: 12, // Start at noon
@@ -52,6 +64,7 @@ export class WeatherSystem {
         await this.createSky();
         this.createClouds();
         this.createRain();
+        this.createSnow();
         this.createLightning();
         this.createFog();
     }
@@ -134,6 +147,37 @@ export class WeatherSystem {
         };
     }
 
+    createSnow() {
+        const snowGeometry = new THREE.BufferGeometry();
+        const snowMaterial = new THREE.PointsMaterial({
+            size: 0.3,
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.8,
+            depthWrite: false
+        });
+
+        const positions = new Float32Array(this.settings.snowCount * 3);
+        const velocities = new Float32Array(this.settings.snowCount);
+
+        for (let i = 0; i < this.settings.snowCount; i++) {
+            positions[i * 3] = (Math.random() - 0.5) * 1000;
+            positions[i * 3 + 1] = Math.random() * 500;
+            positions[i * 3 + 2] = (Math.random() - 0.5) * 1000;
+            velocities[i] = 0.1 + Math.random() * 0.1;
+        }
+
+        snowGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+        const snow = new THREE.Points(snowGeometry, snowMaterial);
+        snow.visible = false;
+        this.scene.add(snow);
+        this.components.snow = {
+            mesh: snow,
+            velocities: velocities
+        };
+    }
+
     createLightning() {
         const lightningLight = new THREE.PointLight(0xffffff, 0, 1000);
         lightningLight.visible = false;
@@ -147,10 +191,12 @@ export class WeatherSystem {
         this.scene.fog.enabled = false;
     }
 
+    // Accepts the key ('SNOW') or the value ('snow')
     setWeatherState(state, instant = false) {
-        if (this.states[state]) {
+        const value = this.states[state] ?? state;
+        if (Object.values(this.states).includes(value)) {
             const duration = instant ? 0 : this.settings.transitionDuration;
-            this.transitionToState(state, duration);
+            this.transitionToState(value, duration);
         }
     }
 
@@ -161,13 +207,15 @@ export class WeatherSystem {
 
         const updateTransition = () => {
             const elapsed = (Date.now() - startTime) / 1000;
-            const progress = Math.min(elapsed / duration, 1);
+            const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
 
             // Interpolate properties
             this.updateSkyProperties(startState.sky, endState.sky, progress);
             this.updateCloudProperties(startState.clouds, endState.clouds, progress);
             this.updateRainProperties(startState.rain, endState.rain, progress);
+            this.updateSnowProperties(startState.snow, endState.snow, progress);
             this.updateFogProperties(startState.fog, endState.fog, progress);
+            this.updateConditions(startState, endState, progress);
 
             if (progress < 1) {
                 requestAnimationFrame(updateTransition);
@@ -185,36 +233,61 @@ export class WeatherSystem {
                 return {
                     sky: { intensity: 1.0, color: 0x0088ff },
                     clouds: { opacity: 0.2, count: 20 },
-                    rain: { enabled: false },
-                    fog: { density: 0 }
+                    rain: { enabled: false, intensity: 0 },
+                    fog: { density: 0 },
+                    snow: { enabled: false, intensity: 0 },
+                    wind: { speed: 3 },
+                    temperature: 15
                 };
             case this.states.CLOUDY:
                 return {
                     sky: { intensity: 0.7, color: 0x666666 },
                     clouds: { opacity: 0.8, count: 50 },
-                    rain: { enabled: false },
-                    fog: { density: 0.0002 }
+                    rain: { enabled: false, intensity: 0 },
+                    fog: { density: 0.0002 },
+                    snow: { enabled: false, intensity: 0 },
+                    wind: { speed: 5 },
+                    temperature: 12
                 };
             case this.states.RAIN:
                 return {
                     sky: { intensity: 0.4, color: 0x444444 },
                     clouds: { opacity: 0.9, count: 80 },
-                    rain: { enabled: true },
-                    fog: { density: 0.0005 }
+                    rain: { enabled: true, intensity: 0.6 },
+                    fog: { density: 0.0005 },
+                    snow: { enabled: false, intensity: 0 },
+                    wind: { speed: 6 },
+                    temperature: 10
                 };
             case this.states.STORM:
                 return {
                     sky: { intensity: 0.2, color: 0x222222 },
                     clouds: { opacity: 1.0, count: 100 },
-                    rain: { enabled: true },
-                    fog: { density: 0.001 }
+                    rain: { enabled: true, intensity: 1.0 },
+                    fog: { density: 0.001 },
+                    snow: { enabled: false, intensity: 0 },
+                    wind: { speed: 15 },
+                    temperature: 8
                 };
             case this.states.FOG:
                 return {
                     sky: { intensity: 0.5, color: 0x888888 },
                     clouds: { opacity: 0.3, count: 30 },
-                    rain: { enabled: false },
-                    fog: { density: 0.003 }
+                    rain: { enabled: false, intensity: 0 },
+                    fog: { density: 0.003 },
+                    snow: { enabled: false, intensity: 0 },
+                    wind: { speed: 1 },
+                    temperature: 8
+                };
+            case this.states.SNOW:
+                return {
+                    sky: { intensity: 0.6, color: 0x9aa4b0 },
+                    clouds: { opacity: 0.9, count: 80 },
+                    rain: { enabled: false, intensity: 0 },
+                    fog: { density: 0.0008 },
+                    snow: { enabled: true, intensity: 0.7 },
+                    wind: { speed: 4 },
+                    temperature: -4
                 };
         }
     }
@@ -244,11 +317,44 @@ export class WeatherSystem {
         }
     }
 
+    updateSnowProperties(start, end, progress) {
+        this.components.snow.mesh.visible = end.enabled;
+        if (end.enabled) {
+            const opacity = THREE.MathUtils.lerp(0, 0.8, progress);
+            this.components.snow.mesh.material.opacity = opacity;
+        }
+    }
+
     updateFogProperties(start, end, progress) {
         const density = THREE.MathUtils.lerp(start.density, end.density, progress);
         this.components.fog.density = density;
     }
 
+    updateConditions(start, end, progress) {
+        this.conditions.rain = THREE.MathUtils.lerp(start.rain.intensity, end.rain.intensity, progress);
+        this.conditions.snow = THREE.MathUtils.lerp(start.snow.intensity, end.snow.intensity, progress);
+        this.conditions.temperature = THREE.MathUtils.lerp(start.temperature, end.temperature, progress);
+        this.conditions.wind = THREE.MathUtils.lerp(start.wind.speed, end.wind.speed, progress);
+        this.conditions.cloudCover = THREE.MathUtils.lerp(start.clouds.opacity, end.clouds.opacity, progress);
+    }
+
+    // Rain, snow, wind, sunshine and air temperature at the ground, for systems that soak, dry or freeze it
+    getConditions(target = {}) {
+        const sunLight = this.components.sky?.sunLight;
+        target.rain = this.conditions.rain;
+        target.snow = this.conditions.snow;
+        target.wind = this.conditions.wind;
+        target.temperature = this.getTemperature();
+        target.sun = (sunLight ? sunLight.intensity : 0) * (1 - this.conditions.cloudCover * 0.8);
+        return target;
+    }
+
+    // Coldest at midnight
+    getTemperature() {
+        const daylight = Math.cos((this.time.current - 12) / 24 * Math.PI * 2) * 0.5 + 0.5;
+        return this.conditions.temperature - (1 - daylight) * this.settings.nightCooling;
+    }
+
     updateDayNightCycle(deltaTime) {
         if (!this.settings.dayNightCycle) return;
 
@@ -289,6 +395,26 @@ export class WeatherSystem {
         this.components.rain.mesh.geometry.attributes.position.needsUpdate = true;
     }
 
+    updateSnow(deltaTime) {
+        if (!this.components.snow.mesh.visible) return;
+
+        const positions = this.components.snow.mesh.geometry.attributes.position.array;
+        const velocities = this.components.snow.velocities;
+        const drift = this.conditions.wind * deltaTime;
+
+        for (let i = 0; i < this.settings.snowCount; i++) {
+            positions[i * 3] += drift;
+            positions[i * 3 + 1] -= velocities[i] * deltaTime * 100;
+
+            if (positions[i * 3 + 1] < 0) {
+                positions[i * 3] = (Math.random() - 0.5) * 1000;
+                positions[i * 3 + 1] = 500;
+            }
+        }
+
+        this.components.snow.mesh.geometry.attributes.position.needsUpdate = true;
+    }
+
     updateLightning(deltaTime) {
         if (this.currentState !== this.states.STORM) return;
 
@@ -329,8 +455,12 @@ export class WeatherSystem {
     }
 
     update(deltaTime) {
+        // The sky loads asynchronously and the particles come after it; fog is made last
+        if (!this.components.fog) return;
+
         this.updateDayNightCycle(deltaTime);
         this.updateRain(deltaTime);
+        this.updateSnow(deltaTime);
         this.updateLightning(deltaTime);
     }
 
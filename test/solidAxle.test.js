@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as CANNON from 'cannon-es';
+import { VehicleSimulation } from '../src/physics/vehicleSimulation.js';
+
+const rampSlope = 0.25;
+
+// Flat ground with a ramp under the front left wheel, rising towards the front and
+// standing the given height where the wheel sits. Only the wheels see the ramp, so
+// the chassis can't hang up on it.
+function settleOnRamp(height) {
+    const world = new CANNON.World();
+    world.gravity.set(0, -9.82, 0);
+    world.addBody(new CANNON.Body({
+        mass: 0,
+        shape: new CANNON.Box(new CANNON.Vec3(50, 1, 50)),
+        position: new CANNON.Vec3(0, -1, 0)
+    }));
+
+    const vehicle = new VehicleSimulation(world);
+    vehicle.chassisBody.collisionFilterMask = 1;
+
+    if (height > 0) {
+        const { x, z } = vehicle.settings.wheels.positions[0];
+        const thickness = 0.1;
+        const ramp = new CANNON.Body({
+            mass: 0,
+            shape: new CANNON.Box(new CANNON.Vec3(0.4, thickness, 3)),
+            position: new CANNON.Vec3(
+                x,
+                height - thickness * Math.cos(rampSlope),
+                z + thickness * Math.sin(rampSlope)
+            ),
+            collisionFilterGroup: 2
+        });
+        ramp.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -rampSlope);
+        world.addBody(ramp);
+    }
+
+    const deltaTime = 1 / 60;
+    for (let i = 0; i < 240; i++) {
+        vehicle.setControls({ brake: 1 });
+        vehicle.update(deltaTime);
+        world.step(deltaTime);
+    }
+    return vehicle;
+}
+
+test('both ends of an axle sit level on flat ground', () => {
+    const vehicle = settleOnRamp(0);
+    const [front, rear] = vehicle.getAxleStates();
+
+    assert.ok(Math.abs(front.travel[0] - front.travel[1]) < 0.005);
+    assert.ok(Math.abs(rear.travel[0] - rear.travel[1]) < 0.005);
+    assert.ok(vehicle.getWheelStates().every(wheel => wheel.inContact));
+});
+
+test('a ramp under one front wheel tucks it up and drops the other', () => {
+    const level = settleOnRamp(0).getAxleStates()[0];
+    const vehicle = settleOnRamp(0.3);
+    const [front] = vehicle.getAxleStates();
+    const wheels = vehicle.getWheelStates();
+
+    // The beam flexes across the block rather than lifting the whole jeep
+    assert.ok(front.travel[0] - front.travel[1] > 0.1, `front travel ${front.travel}`);
+    assert.ok(front.travel[0] > level.travel[0]);
+    assert.ok(front.travel[1] < level.travel[1]);
+    assert.ok(front.articulation > 0);
+    assert.ok(wheels[0].suspensionLength < wheels[1].suspensionLength);
+    assert.ok(wheels.every(wheel => wheel.inContact));
+});
+
+test('the front axle leans across the track by the height of the ramp under it', () => {
+    const height = 0.3;
+    const vehicle = settleOnRamp(height);
+    const [front] = vehicle.getAxleStates();
+    const [left, right] = vehicle.getWheelStates();
+    const { positions } = vehicle.settings.wheels;
+
+    // The jeep can roll back a little before the brakes hold, so read the ramp where the tire landed
+    const rampHeight = height + Math.tan(rampSlope) * (left.contactPoint.z - positions[0].z);
+    assert.ok(rampHeight > 0.2, `ramp height ${rampHeight}`);
+    assert.ok(Math.abs(right.contactPoint.y) < 0.01);
+
+    // Axle angle to the ground is the chassis roll plus the beam's own articulation
+    const side = vehicle.chassisBody.quaternion.vmult(new CANNON.Vec3(1, 0, 0));
+    const track = positions[0].x - positions[1].x;
+    const rise = track * Math.sin(Math.asin(side.y) + front.articulation);
+    assert.ok(Math.abs(rise - rampHeight) < 0.02, `axle rise ${rise}, ramp ${rampHeight}`);
+});
+
+test('past what the beams can flex over, the diagonal rear wheel hangs on its limit strap', () => {
+    const vehicle = settleOnRamp(0.75);
+    const wheels = vehicle.getWheelStates();
+    const { limitStrap } = vehicle.settings.suspension;
+
+    assert.ok(wheels[0].inContact);
+    assert.ok(!wheels[2].inContact);
+    assert.ok(Math.abs(wheels[2].suspensionLength - limitStrap) < 0.01, `rear left length ${wheels[2].suspensionLength}`);
+    assert.ok(wheels[3].inContact);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { TerrainOptimizationSystem } from '../src/terrain/terrainOptimization.js';
+
+// Just what streaming needs from TerrainSystem, over rolling ground with detail at
+// every scale so coarse and fine levels really do disagree between samples
+function createTerrain() {
+    return {
+        scene: new THREE.Scene(),
+        world: new CANNON.World(),
+        material: new THREE.MeshBasicMaterial(),
+        setBaseSurfaceEnabled() {},
+        addListener() {},
+        getBounds: () => ({ minX: 0, maxX: 0, minZ: 0, maxZ: 0 }),
+        getGroundColor: (x, z, target) => target.setHex(0x3b7d4e),
+        sampleWorldHeight: (x, z) => 8 * Math.sin(x * 0.05) * Math.cos(z * 0.07) + 1.5 * Math.sin(x * 0.9 + z * 1.3)
+    };
+}
+
+// Heights along the west edge (col 0) or east edge (last col) of a chunk mesh, in
+// world z order, with the morph target blended in the way the vertex shader does
+function getEdgeProfile(chunk, side) {
+    const geometry = chunk.mesh.geometry;
+    const positions = geometry.attributes.position;
+    const deltas = geometry.morphAttributes.position[0];
+    const resolution = Math.round(Math.sqrt(positions.count));
+    const col = side === 'west' ? 0 : resolution - 1;
+
+    const profile = [];
+    for (let row = 0; row < resolution; row++) {
+        const i = row * resolution + col;
+        profile.push({
+            z: chunk.mesh.position.z + positions.getZ(i),
+            y: positions.getY(i) + deltas.getY(i) * chunk.morphFactor
+        });
+    }
+    return profile;
+}
+
+function sampleProfile(profile, z) {
+    for (let i = 0; i < profile.length - 1; i++) {
+        const a = profile[i];
+        const b = profile[i + 1];
+        if (z >= a.z - 1e-6 && z <= b.z + 1e-6) {
+            return a.y + (b.y - a.y) * (z - a.z) / (b.z - a.z);
+        }
+    }
+    throw new Error(`z ${z} is off the edge`);
+}
+
+// Largest height difference along the seam between a chunk and its east neighbour
+function getSeamGap(west, east) {
+    const westEdge = getEdgeProfile(west, 'east');
+    const eastEdge = getEdgeProfile(east, 'west');
+
+    let gap = 0;
+    [...westEdge, ...eastEdge].forEach(({ z }) => {
+        gap = Math.max(gap, Math.abs(sampleProfile(westEdge, z) - sampleProfile(eastEdge, z)));
+    });
+    return gap;
+}
+
+function setLevels(system, chunks, levels, morph) {
+    chunks.forEach((chunk, i) => {
+        chunk.currentLOD = levels[i];
+        chunk.morphFactor = morph;
+    });
+    chunks.forEach(chunk => system.updateChunkLOD(chunk, chunk.currentLOD));
+}
+
+test('edge vertices of neighbouring chunks match across LOD levels and morph factors', () => {
+    const system = new TerrainOptimizationSystem(createTerrain());
+    const west = system.loadChunk('0,0');
+    const east = system.loadChunk('1,0');
+
+    for (const [a, b] of [[0, 0], [0, 1], [0, 2], [1, 2], [2, 3]]) {
+        for (const morph of [0, 0.5, 1]) {
+            for (const levels of [[a, b], [b, a]]) {
+                setLevels(system, [west, east], levels, morph);
+                const gap = getSeamGap(west, east);
+                assert.ok(gap < 1e-4, `LOD ${levels} at morph ${morph}: seam gap ${gap}`);
+            }
+        }
+    }
+});
+
+test('the seam check catches a chunk that ignores its coarser neighbour', () => {
+    const system = new TerrainOptimizationSystem(createTerrain());
+    const west = system.loadChunk('0,0');
+    const east = system.loadChunk('1,0');
+    setLevels(system, [west, east], [0, 2], 0);
+
+    west.edgeSteps = west.edgeSteps.map(() => system.getLevelStep(0));
+    west.mesh.geometry = system.createChunkGeometry(west, 0);
+
+    assert.ok(getSeamGap(west, east) > 0.01);
+});